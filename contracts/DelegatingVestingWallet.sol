@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/finance/VestingWallet.sol";
+import "@openzeppelin/contracts/governance/utils/IVotes.sol";
+
+/**
+ * @title DelegatingVestingWallet
+ * @notice Vesting wallet for governance token grants whose still-locked tokens keep voting: the wallet delegates
+ *         its votes to the beneficiary on creation, and the beneficiary may re-delegate them.
+ * @dev Released tokens are plain balance of the beneficiary, who delegates them like any other holder.
+ */
+contract DelegatingVestingWallet is VestingWallet {
+    /**
+     * @notice Governance token whose votes the wallet delegates.
+     */
+    IVotes public immutable votesToken;
+
+    constructor(IVotes token, address beneficiary, uint64 startTimestamp, uint64 durationSeconds)
+        VestingWallet(beneficiary, startTimestamp, durationSeconds)
+    {
+        votesToken = token;
+        token.delegate(beneficiary);
+    }
+
+    /**
+     * @notice Delegates the votes of the unreleased tokens to `delegatee`. Only the beneficiary can call this.
+     */
+    function delegate(address delegatee) external onlyOwner {
+        votesToken.delegate(delegatee);
+    }
+}
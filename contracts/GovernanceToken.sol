@@ -1,13 +1,214 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
+import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
 
-contract GovernanceToken is ERC20, ERC20Permit, ERC20Votes {
-    constructor() ERC20("GovernanceToken", "GT") ERC20Permit("GovernanceToken") {
+/**
+ * @title GovernanceToken
+ * @notice ERC20Votes governance token. Besides plain delegated votes it exposes conviction (time-weighted) votes,
+ *         used by Conviction proposals so that long-term delegates count more than flash acquirers.
+ * @dev New supply is minted by the minter (the timelock, i.e. a governance proposal) within an optional annual
+ *      inflation cap; the owner (also the timelock after deployment) appoints the minter and sets the cap.
+ *      Conviction is derived from the existing delegation checkpoints: a vote's age is how long the account's
+ *      delegated votes have not dropped below it, so votes that are moved away and back start ageing again.
+ */
+contract GovernanceToken is ERC20, ERC20Permit, ERC20Votes, Ownable {
+    /* Custom Errors */
+    error GovernanceToken__NotMinter(address account);
+    error GovernanceToken__InvalidInflation(uint256 maxInflationBps);
+    error GovernanceToken__InflationCapExceeded(uint256 amount, uint256 available);
+
+    /**
+     * @notice Emitted when the owner replaces the minter.
+     */
+    event MinterSet(address indexed oldMinter, address indexed newMinter);
+
+    /**
+     * @notice Emitted when the owner changes the annual inflation cap.
+     */
+    event MaxInflationSet(uint256 oldMaxInflationBps, uint256 newMaxInflationBps);
+
+    /**
+     * @notice Length of an inflation period; the cap applies to the supply minted within each period.
+     */
+    uint256 public constant INFLATION_PERIOD = 365 days;
+
+    /**
+     * @notice Blocks of delegation after which votes earn the full conviction bonus (~4 weeks of 12s blocks).
+     */
+    uint256 public constant CONVICTION_PERIOD = 201_600;
+
+    /**
+     * @notice Conviction bonus of fully aged votes, in basis points: they count 1 + 2 = 3 times.
+     */
+    uint256 public constant MAX_CONVICTION_BONUS_BPS = 20_000;
+
+    /**
+     * @notice Checkpoints read per conviction lookup. Votes older than the oldest checkpoint read earn no bonus,
+     *         which bounds the cost of counting a vote however often the account's votes changed.
+     */
+    uint256 public constant MAX_CONVICTION_CHECKPOINTS = 128;
+
+    uint256 private constant BPS = 10_000;
+
+    /**
+     * @notice Account allowed to mint new supply (address(0) disables minting).
+     */
+    address public minter;
+
+    /**
+     * @notice Supply that may be minted per inflation period, in basis points of the supply when the period
+     *         started (0 for no cap).
+     */
+    uint256 public maxInflationBps;
+
+    /**
+     * @notice Timestamp the current inflation period started at, the supply at that time and the amount minted
+     *         since. A period starts with the first mint after the previous one ended.
+     */
+    uint256 public inflationPeriodStart;
+    uint256 public inflationPeriodSupply;
+    uint256 public mintedInPeriod;
+
+    /**
+     * @param initialOwner Account allowed to set the minter and the cap; the timelock after deployment.
+     * @param initialMaxInflationBps Annual inflation cap in basis points, 0 for no cap.
+     */
+    constructor(address initialOwner, uint256 initialMaxInflationBps)
+        ERC20("GovernanceToken", "GT")
+        ERC20Permit("GovernanceToken")
+        Ownable(initialOwner)
+    {
         _mint(msg.sender, 1000000 * 10 ** decimals());
+        _setMaxInflation(initialMaxInflationBps);
+        inflationPeriodStart = block.timestamp;
+        inflationPeriodSupply = totalSupply();
+    }
+
+    /**
+     * @notice Mints `amount` new tokens to `to`, within the inflation cap of the current period.
+     */
+    function mint(address to, uint256 amount) external {
+        if (msg.sender != minter) {
+            revert GovernanceToken__NotMinter(msg.sender);
+        }
+        if (block.timestamp >= inflationPeriodStart + INFLATION_PERIOD) {
+            inflationPeriodStart = block.timestamp;
+            inflationPeriodSupply = totalSupply();
+            mintedInPeriod = 0;
+        }
+        uint256 available = mintable();
+        if (amount > available) {
+            revert GovernanceToken__InflationCapExceeded(amount, available);
+        }
+        mintedInPeriod += amount;
+        _mint(to, amount);
+    }
+
+    /**
+     * @notice Amount the minter may still mint in the current period (type(uint256).max without a cap).
+     */
+    function mintable() public view returns (uint256) {
+        if (maxInflationBps == 0) {
+            return type(uint256).max;
+        }
+        if (block.timestamp >= inflationPeriodStart + INFLATION_PERIOD) {
+            return Math.mulDiv(totalSupply(), maxInflationBps, BPS);
+        }
+        uint256 cap = Math.mulDiv(inflationPeriodSupply, maxInflationBps, BPS);
+        return cap > mintedInPeriod ? cap - mintedInPeriod : 0;
+    }
+
+    /**
+     * @notice Appoints the account allowed to mint. Only the owner (governance) can call this.
+     */
+    function setMinter(address newMinter) external onlyOwner {
+        emit MinterSet(minter, newMinter);
+        minter = newMinter;
+    }
+
+    /**
+     * @notice Changes the annual inflation cap, effective for the current period. Only the owner (governance) can
+     *         call this.
+     */
+    function setMaxInflation(uint256 newMaxInflationBps) external onlyOwner {
+        _setMaxInflation(newMaxInflationBps);
+    }
+
+    function _setMaxInflation(uint256 newMaxInflationBps) private {
+        if (newMaxInflationBps > BPS) {
+            revert GovernanceToken__InvalidInflation(newMaxInflationBps);
+        }
+        emit MaxInflationSet(maxInflationBps, newMaxInflationBps);
+        maxInflationBps = newMaxInflationBps;
+    }
+
+    /**
+     * @notice Conviction-weighted votes of `account` at the end of block `timepoint`, like getPastVotes. Each vote
+     *         counts 1 + 2 * min(age, CONVICTION_PERIOD) / CONVICTION_PERIOD.
+     */
+    function getPastConvictionVotes(address account, uint256 timepoint) public view returns (uint256) {
+        (, uint256 convictionVotes, ) = convictionMultiplier(account, timepoint);
+        return convictionVotes;
+    }
+
+    /**
+     * @notice Explains the conviction weight of `account` at `timepoint`.
+     * @return votes Plain delegated votes, as getPastVotes.
+     * @return convictionVotes Votes after the conviction bonus.
+     * @return multiplierBps Average multiplier of the votes in basis points, from 10000 (1x) to 30000 (3x).
+     */
+    function convictionMultiplier(address account, uint256 timepoint)
+        public
+        view
+        returns (uint256 votes, uint256 convictionVotes, uint256 multiplierBps)
+    {
+        votes = getPastVotes(account, timepoint);
+        uint256 agedVotes = _agedVotes(account, timepoint, votes);
+        convictionVotes = votes + Math.mulDiv(agedVotes, MAX_CONVICTION_BONUS_BPS, CONVICTION_PERIOD * BPS);
+        multiplierBps = votes == 0 ? BPS : Math.mulDiv(convictionVotes, BPS, votes);
+    }
+
+    /**
+     * @dev Sum over the conviction window of the votes held without interruption since each block, i.e. every
+     *      vote's age (capped at CONVICTION_PERIOD) times the vote. Walks checkpoints back from `timepoint`,
+     *      tracking the lowest votes seen so far.
+     */
+    function _agedVotes(address account, uint256 timepoint, uint256 votes) private view returns (uint256 agedVotes) {
+        uint256 windowStart = timepoint > CONVICTION_PERIOD ? timepoint - CONVICTION_PERIOD : 0;
+        uint256 pos = _checkpointsUpTo(account, timepoint);
+        uint256 stop = pos > MAX_CONVICTION_CHECKPOINTS ? pos - MAX_CONVICTION_CHECKPOINTS : 0;
+        uint256 held = votes;
+        uint256 end = timepoint;
+
+        while (pos > stop && held != 0) {
+            Checkpoints.Checkpoint208 memory checkpoint = checkpoints(account, uint32(--pos));
+            uint256 start = Math.max(checkpoint._key, windowStart);
+            held = Math.min(held, checkpoint._value);
+            agedVotes += held * (end - start);
+            if (start == windowStart) break;
+            end = start;
+        }
+    }
+
+    /**
+     * @dev Number of checkpoints of `account` at or before `timepoint`.
+     */
+    function _checkpointsUpTo(address account, uint256 timepoint) private view returns (uint256 high) {
+        uint256 low = 0;
+        high = numCheckpoints(account);
+        while (low < high) {
+            uint256 mid = Math.average(low, high);
+            if (checkpoints(account, uint32(mid))._key > timepoint) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
     }
 
     // The following functions are overrides required by Solidity.
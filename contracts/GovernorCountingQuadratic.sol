@@ -0,0 +1,175 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/governance/Governor.sol";
+import "./QuadraticVotes.sol";
+
+/**
+ * @title GovernorCountingQuadratic
+ * @notice Vote counting module supporting both single-shot Standard ballots and incremental Quadratic ballots.
+ * @dev Drop-in replacement for GovernorCountingSimple (same Bravo support values and tallies). Quadratic voters
+ *      may top up their votes across several calls on the side they first chose; the cumulative cost of a
+ *      ballot is always (totalVotes^2) / 1e18, so topping up is charged (total^2 - previous^2) / 1e18.
+ *      Alternatively a voter may cast one final split ballot allocating votes across For/Against/Abstain,
+ *      priced on the ballot's total votes. Budget enforcement is left to the inheriting governor. The ballot
+ *      accounting itself lives in the linked QuadraticVotes library.
+ */
+abstract contract GovernorCountingQuadratic is Governor {
+    using QuadraticVotes for QuadraticVotes.ProposalVote;
+
+    /**
+     * @notice Supported vote types. Matches Governor Bravo ordering.
+     */
+    enum VoteType { Against, For, Abstain }
+
+    /* Custom Errors */
+    error GovernorCountingQuadratic__SupportMismatch(address voter, uint8 castSupport, uint8 requestedSupport);
+
+    /**
+     * @notice Fixed-point precision of vote amounts; cost = votes^2 / QUADRATIC_PRECISION.
+     */
+    uint256 public constant QUADRATIC_PRECISION = QuadraticVotes.PRECISION;
+
+    /**
+     * @notice `support` value used for split ballots, which carry their allocation in the vote params.
+     */
+    uint8 public constant VOTE_TYPE_SPLIT = QuadraticVotes.GOVERNOR_SPLIT_SUPPORT;
+
+    mapping(uint256 => QuadraticVotes.ProposalVote) private _proposalVotes;
+
+    mapping(uint256 => mapping(address => QuadraticVotes.Ballot)) private _quadraticBallots;
+
+    /**
+     * @inheritdoc IGovernor
+     */
+    // solhint-disable-next-line func-name-mixedcase
+    function COUNTING_MODE() public pure virtual override returns (string memory) {
+        return "support=bravo&quorum=for,abstain&params=quadratic";
+    }
+
+    /**
+     * @inheritdoc IGovernor
+     */
+    function hasVoted(uint256 proposalId, address account) public view virtual override returns (bool) {
+        return _proposalVotes[proposalId].hasVoted[account];
+    }
+
+    /**
+     * @notice Accessor to the internal vote counts.
+     */
+    function proposalVotes(uint256 proposalId)
+        public
+        view
+        virtual
+        returns (uint256 againstVotes, uint256 forVotes, uint256 abstainVotes)
+    {
+        QuadraticVotes.ProposalVote storage proposalVote = _proposalVotes[proposalId];
+        return (proposalVote.againstVotes, proposalVote.forVotes, proposalVote.abstainVotes);
+    }
+
+    /**
+     * @notice Voting power spent on For and Abstain quadratic votes, i.e. the participation a quadratic
+     *         proposal's quorum is measured against. A split ballot contributes the share of its cost
+     *         allocated to For and Abstain.
+     */
+    function quadraticParticipation(uint256 proposalId) public view virtual returns (uint256) {
+        return _proposalVotes[proposalId].quadraticParticipation;
+    }
+
+    /**
+     * @notice Returns a voter's accumulated quadratic ballot.
+     * @return votes Total votes cast so far across all sides (1e18 units).
+     * @return cost Voting power consumed so far, i.e. quadraticCost(votes).
+     * @return support Side the votes were cast on; VOTE_TYPE_SPLIT for split ballots, only meaningful once votes > 0.
+     */
+    function quadraticBallot(uint256 proposalId, address account)
+        public
+        view
+        virtual
+        returns (uint256 votes, uint256 cost, uint8 support)
+    {
+        QuadraticVotes.Ballot storage ballot = _quadraticBallots[proposalId][account];
+        votes = ballot.againstVotes + ballot.forVotes + ballot.abstainVotes;
+        return (votes, ballot.cost, ballot.split ? VOTE_TYPE_SPLIT : ballot.support);
+    }
+
+    /**
+     * @notice Returns how a voter's quadratic ballot is allocated across sides.
+     */
+    function quadraticBallotAllocation(uint256 proposalId, address account)
+        public
+        view
+        virtual
+        returns (uint256 againstVotes, uint256 forVotes, uint256 abstainVotes, uint256 cost)
+    {
+        QuadraticVotes.Ballot storage ballot = _quadraticBallots[proposalId][account];
+        return (ballot.againstVotes, ballot.forVotes, ballot.abstainVotes, ballot.cost);
+    }
+
+    /**
+     * @notice Voting power required to hold `numVotes` quadratic votes.
+     */
+    function quadraticCost(uint256 numVotes) public pure virtual returns (uint256) {
+        return QuadraticVotes.cost(numVotes);
+    }
+
+    /**
+     * @dev Quorum is reached when For + Abstain votes meet the quorum at the proposal snapshot.
+     */
+    function _quorumReached(uint256 proposalId) internal view virtual override returns (bool) {
+        QuadraticVotes.ProposalVote storage proposalVote = _proposalVotes[proposalId];
+
+        return quorum(proposalSnapshot(proposalId)) <= proposalVote.forVotes + proposalVote.abstainVotes;
+    }
+
+    /**
+     * @dev For votes must be strictly over Against votes.
+     */
+    function _voteSucceeded(uint256 proposalId) internal view virtual override returns (bool) {
+        QuadraticVotes.ProposalVote storage proposalVote = _proposalVotes[proposalId];
+
+        return proposalVote.forVotes > proposalVote.againstVotes;
+    }
+
+    /**
+     * @dev Counts a single-shot Standard ballot with the voter's full weight.
+     */
+    function _countVote(
+        uint256 proposalId,
+        address account,
+        uint8 support,
+        uint256 totalWeight,
+        bytes memory // params
+    ) internal virtual override returns (uint256) {
+        _proposalVotes[proposalId].countVote(account, support, totalWeight);
+        return totalWeight;
+    }
+
+    /**
+     * @dev Records that `account` voted on a proposal whose ballot is counted outside this module, reverting if
+     *      it already voted.
+     */
+    function _markVoted(uint256 proposalId, address account) internal virtual {
+        QuadraticVotes.ProposalVote storage proposalVote = _proposalVotes[proposalId];
+        if (proposalVote.hasVoted[account]) {
+            revert GovernorAlreadyCastVote(account);
+        }
+        proposalVote.hasVoted[account] = true;
+    }
+
+    /**
+     * @dev Counts a Quadratic ballot encoded in `params` (see QuadraticVotes.countBallot): a top-up of a
+     *      single-side ballot, or a one-off split ballot priced on its total votes. The first top-up fixes the
+     *      ballot's side; split ballots are final.
+     * @return votes Votes added by this call.
+     * @return totalCost Voting power consumed by the voter's ballot so far, including this call.
+     * @return previousCost Voting power the ballot had consumed before this call.
+     */
+    function _countQuadraticBallot(uint256 proposalId, address account, uint8 support, bytes memory params)
+        internal
+        virtual
+        returns (uint256 votes, uint256 totalCost, uint256 previousCost)
+    {
+        return _proposalVotes[proposalId].countBallot(_quadraticBallots[proposalId][account], account, support, params);
+    }
+}
@@ -0,0 +1,219 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title MultiOptionVotes
+ * @notice Ballots and tallies of multi-option proposals, where voters choose among N options that each carry
+ *         their own action set: approval voting (any subset of options) or ranked-choice (instant runoff).
+ * @dev Deployed as a linked library so MyGovernor stays under the contract size limit. A ranked ballot counts
+ *      in an instant-runoff round for its first option not yet eliminated, which depends only on the set of
+ *      options ranked before it, not on their order. Ballots are therefore aggregated by (options ranked before,
+ *      option), so the cost of a tally is bounded by the number of options, however many voters or distinct
+ *      rankings there are.
+ */
+library MultiOptionVotes {
+    /* Custom Errors */
+    error MultiOptionVotes__InvalidOptions(uint256 optionCount, uint256 actionCount);
+    error MultiOptionVotes__InvalidBallot(address voter);
+
+    /**
+     * @notice Bounds on the number of options of a proposal.
+     */
+    uint256 internal constant MIN_OPTIONS = 2;
+    uint256 internal constant MAX_OPTIONS = 10;
+
+    struct Tally {
+        bool ranked;
+        // Exclusive end index of each option's actions in the proposal's targets, values and calldatas
+        uint256[] optionEnds;
+        // Weight of every voter, counted towards quorum
+        uint256 participation;
+        // Approval: weight approving each option. Ranked choice: weight ranking each option first
+        uint256[] optionVotes;
+        // Ranked choice: weight that moves to an option once every option ranked before it is eliminated, keyed
+        // by _transferKey(bitmask of the options ranked before, option)
+        mapping(uint256 => uint256) transferWeights;
+    }
+
+    /**
+     * @notice Stores the options of a new proposal.
+     * @param optionEnds Exclusive end index of each option's actions; options are contiguous, may be empty, and
+     *        must cover all `actionCount` actions.
+     */
+    function setup(Tally storage tally, bool ranked, uint256[] memory optionEnds, uint256 actionCount) public {
+        uint256 optionCount = optionEnds.length;
+        if (optionCount < MIN_OPTIONS || optionCount > MAX_OPTIONS || optionEnds[optionCount - 1] != actionCount) {
+            revert MultiOptionVotes__InvalidOptions(optionCount, actionCount);
+        }
+        for (uint256 i = 1; i < optionCount; ++i) {
+            if (optionEnds[i] < optionEnds[i - 1]) {
+                revert MultiOptionVotes__InvalidOptions(optionCount, actionCount);
+            }
+        }
+
+        tally.ranked = ranked;
+        tally.optionEnds = optionEnds;
+        tally.optionVotes = new uint256[](optionCount);
+    }
+
+    /**
+     * @notice Counts a ballot with the voter's full weight. Double voting is checked by the governor.
+     * @param options Approval: the approved options, in any order. Ranked choice: options from most to least
+     *        preferred; unranked options are never counted for this ballot.
+     */
+    function count(Tally storage tally, address account, uint256[] memory options, uint256 weight) public {
+        uint256 optionCount = tally.optionEnds.length;
+        if (options.length == 0 || options.length > optionCount) {
+            revert MultiOptionVotes__InvalidBallot(account);
+        }
+
+        uint256 seen;
+        for (uint256 i = 0; i < options.length; ++i) {
+            uint256 option = options[i];
+            if (option >= optionCount || seen & (1 << option) != 0) {
+                revert MultiOptionVotes__InvalidBallot(account);
+            }
+            seen |= 1 << option;
+        }
+
+        tally.participation += weight;
+        if (!tally.ranked) {
+            for (uint256 i = 0; i < options.length; ++i) {
+                tally.optionVotes[options[i]] += weight;
+            }
+            return;
+        }
+
+        tally.optionVotes[options[0]] += weight;
+        if (weight > 0) {
+            uint256 before;
+            for (uint256 i = 0; i < options.length; ++i) {
+                tally.transferWeights[_transferKey(before, options[i])] += weight;
+                before |= 1 << options[i];
+            }
+        }
+    }
+
+    /**
+     * @notice Current result of the vote.
+     * @dev Approval: the single option with the most approvals wins. Ranked choice: each round counts every
+     *      ballot for its most preferred remaining option; an option with a majority of the counted weight
+     *      wins, otherwise all options with the fewest votes are eliminated. Ties for the win decide nothing.
+     * @return rounds Votes per option in each round (a single round for approval voting).
+     * @return decided Whether a single option won.
+     * @return winner Index of the winning option, only meaningful if decided.
+     */
+    function results(Tally storage tally)
+        public
+        view
+        returns (uint256[][] memory rounds, bool decided, uint256 winner)
+    {
+        if (!tally.ranked) {
+            rounds = new uint256[][](1);
+            rounds[0] = tally.optionVotes;
+            (decided, winner) = _uniqueLeader(rounds[0]);
+            return (rounds, decided, winner);
+        }
+
+        uint256 optionCount = tally.optionEnds.length;
+        rounds = new uint256[][](optionCount);
+        uint256 eliminated;
+        uint256 round;
+        while (true) {
+            (uint256[] memory votes, uint256 counted) = _countRound(tally, optionCount, eliminated);
+            rounds[round++] = votes;
+
+            (uint256 leader, uint256 fewest) = _extremes(votes, eliminated);
+            if (votes[leader] * 2 > counted) {
+                (decided, winner) = (true, leader);
+                break;
+            }
+            if (votes[leader] == fewest) {
+                // Every remaining option is tied (or no ballot counts any more)
+                break;
+            }
+            for (uint256 i = 0; i < optionCount; ++i) {
+                if (eliminated & (1 << i) == 0 && votes[i] == fewest) {
+                    eliminated |= 1 << i;
+                }
+            }
+        }
+
+        // Trim the unused rounds
+        assembly {
+            mstore(rounds, round)
+        }
+    }
+
+    /**
+     * @notice Winning option, as reported by results.
+     */
+    function winningOption(Tally storage tally) public view returns (bool decided, uint256 winner) {
+        (, decided, winner) = results(tally);
+    }
+
+    /**
+     * @dev Counts every ballot for its most preferred option not yet eliminated: a remaining option gets the
+     *      weight of the ballots that rank it after any subset of the eliminated options. Exhausted ballots are
+     *      skipped. Reads (remaining options) * 2^(eliminated options) slots, at most 2,560 with 10 options.
+     */
+    function _countRound(Tally storage tally, uint256 optionCount, uint256 eliminated)
+        private
+        view
+        returns (uint256[] memory votes, uint256 counted)
+    {
+        votes = new uint256[](optionCount);
+        for (uint256 option = 0; option < optionCount; ++option) {
+            if (eliminated & (1 << option) != 0) continue;
+            // Every subset of the eliminated options, down to the empty one
+            for (uint256 before = eliminated; ; before = (before - 1) & eliminated) {
+                votes[option] += tally.transferWeights[_transferKey(before, option)];
+                if (before == 0) break;
+            }
+            counted += votes[option];
+        }
+    }
+
+    /**
+     * @dev Key of the weight that moves to `option` once the options in the bitmask `before` are eliminated.
+     */
+    function _transferKey(uint256 before, uint256 option) private pure returns (uint256) {
+        return (before << 8) | option;
+    }
+
+    /**
+     * @dev Option with the most votes (the first one on ties) and the fewest votes among remaining options.
+     */
+    function _extremes(uint256[] memory votes, uint256 eliminated)
+        private
+        pure
+        returns (uint256 leader, uint256 fewest)
+    {
+        fewest = type(uint256).max;
+        bool found;
+        for (uint256 i = 0; i < votes.length; ++i) {
+            if (eliminated & (1 << i) != 0) continue;
+            if (!found || votes[i] > votes[leader]) {
+                leader = i;
+                found = true;
+            }
+            if (votes[i] < fewest) {
+                fewest = votes[i];
+            }
+        }
+    }
+
+    /**
+     * @dev Option with strictly the most votes, if any has more than zero.
+     */
+    function _uniqueLeader(uint256[] memory votes) private pure returns (bool decided, uint256 leader) {
+        uint256 best;
+        for (uint256 i = 0; i < votes.length; ++i) {
+            if (votes[i] > best) {
+                (best, leader, decided) = (votes[i], i, true);
+            } else if (votes[i] == best) {
+                decided = false;
+            }
+        }
+    }
+}
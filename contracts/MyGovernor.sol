@@ -3,76 +3,166 @@ pragma solidity ^0.8.24;
 
 import "@openzeppelin/contracts/governance/Governor.sol";
 import "@openzeppelin/contracts/governance/extensions/GovernorSettings.sol";
-import "@openzeppelin/contracts/governance/extensions/GovernorCountingSimple.sol";
 import "@openzeppelin/contracts/governance/extensions/GovernorVotes.sol";
 import "@openzeppelin/contracts/governance/extensions/GovernorVotesQuorumFraction.sol";
+import "@openzeppelin/contracts/governance/extensions/GovernorTimelockControl.sol";
+import "@openzeppelin/contracts/governance/TimelockController.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "./GovernanceToken.sol";
+import "./GovernorCountingQuadratic.sol";
+import "./MultiOptionVotes.sol";
+import "./VoterRegistry.sol";
 
 /**
  * @title MyGovernor
  * @author Optimized AI Engineer
- * @notice A governance contract supporting both Standard (1 Token 1 Vote) and Quadratic Voting (QV).
+ * @notice A governance contract supporting Standard (1 Token 1 Vote), Quadratic Voting (QV) and Conviction
+ *         (time-weighted) yes/no proposals, and Approval or Ranked-Choice proposals choosing among several options.
  * @dev Optimized for gas efficiency using custom errors and adhering to professional NatSpec standards.
+ *      Successful proposals are queued in and executed by a TimelockController, which acts as the DAO executor.
+ *      Multi-option proposals only queue and execute the winning option's actions.
  */
 contract MyGovernor is 
     Governor, 
     GovernorSettings, 
-    GovernorCountingSimple, 
+    GovernorCountingQuadratic, 
     GovernorVotes, 
     GovernorVotesQuorumFraction,
+    GovernorTimelockControl,
     ReentrancyGuard,
     Pausable,
     Ownable
 {
+    using Checkpoints for Checkpoints.Trace208;
+    using MultiOptionVotes for MultiOptionVotes.Tally;
+
     /**
-     * @notice Types of voting mechanisms supported by the protocol.
+     * @notice Types of voting mechanisms supported by the protocol. Approval and RankedChoice proposals are
+     *         created with proposeWithOptions and voted on with castVoteWithReasonAndParams, passing
+     *         VOTE_TYPE_OPTIONS as support and abi.encode(uint256[] options) as params. Conviction proposals
+     *         are voted on like Standard ones, weighted by GovernanceToken.getPastConvictionVotes.
      */
-    enum VotingType { Standard, Quadratic }
+    enum VotingType { Standard, Quadratic, Approval, RankedChoice, Conviction }
+
+    /**
+     * @notice Deployment-time governance parameters. Each one can later be changed only through an executed
+     *         proposal (setVotingDelay, setVotingPeriod, setProposalThreshold, updateQuorumNumerator,
+     *         updateQuadraticQuorumNumerator, setGuardian, setVoterRegistry).
+     * @param votingDelay Blocks between proposal creation and the start of voting.
+     * @param votingPeriod Blocks during which votes are accepted.
+     * @param proposalThreshold Delegated voting power (in 1e18 units) required to propose.
+     * @param quorumNumerator Quorum as a percentage of the total supply at the snapshot.
+     * @param quadraticQuorumNumerator Quorum of Quadratic proposals as a percentage of the total supply, measured
+     *        against the voting power spent on For and Abstain rather than the (square-rooted) votes.
+     * @param guardian Account allowed to veto proposals (address(0) disables the veto).
+     * @param voterRegistry Registry that Quadratic proposals may require voters to be in (address(0) for none).
+     */
+    struct GovernorParams {
+        uint48 votingDelay;
+        uint32 votingPeriod;
+        uint256 proposalThreshold;
+        uint256 quorumNumerator;
+        uint256 quadraticQuorumNumerator;
+        address guardian;
+        VoterRegistry voterRegistry;
+    }
 
     /* Custom Errors for Gas Optimization */
     error MyGovernor__BelowProposalThreshold(uint256 votes, uint256 threshold);
     error MyGovernor__InvalidVotingType(uint256 proposalId);
     error MyGovernor__ZeroVotesCast();
     error MyGovernor__InsufficientVotingPower(uint256 cost, uint256 available);
+    error MyGovernor__NotGuardian(address caller);
+    error MyGovernor__VoterRegistryNotSet();
+    error MyGovernor__VoterNotRegistered(address voter);
+
+    /**
+     * @notice Emitted when governance hands the veto power to a new guardian.
+     */
+    event GuardianSet(address indexed oldGuardian, address indexed newGuardian);
+
+    /**
+     * @notice Emitted alongside ProposalCanceled when the guardian vetoes a proposal.
+     */
+    event ProposalVetoed(uint256 indexed proposalId, address indexed guardian, string reason);
+
+    /**
+     * @notice Emitted when the quorum numerator of Quadratic proposals changes.
+     */
+    event QuadraticQuorumNumeratorUpdated(uint256 oldQuadraticQuorumNumerator, uint256 newQuadraticQuorumNumerator);
+
+    /**
+     * @notice Emitted when governance replaces the voter registry used by new proposals.
+     */
+    event VoterRegistrySet(address oldVoterRegistry, address newVoterRegistry);
+
+    /**
+     * @notice Emitted after ProposalCreated for multi-option proposals. Option `i` executes actions
+     *         [optionEnds[i - 1], optionEnds[i]) of the proposal (starting at 0 for the first option).
+     */
+    event ProposalOptionsCreated(uint256 indexed proposalId, string[] labels, uint256[] optionEnds);
+
+    /**
+     * @notice EIP-712 typehash of a signed quadratic ballot, relayed through castQuadraticVoteBySig.
+     */
+    bytes32 public constant QUADRATIC_BALLOT_TYPEHASH =
+        keccak256("QuadraticBallot(uint256 proposalId,uint8 support,uint256 numVotes,address voter,uint256 nonce)");
+
+    /**
+     * @notice `support` value of multi-option ballots, which carry the chosen options in the vote params.
+     */
+    uint8 public constant VOTE_TYPE_OPTIONS = 254;
 
     /**
      * @notice Storage to track the voting mechanism assigned to each proposal.
      */
     mapping(uint256 => VotingType) public proposalVotingTypes;
-    
+
     /**
-     * @notice Minimum voting power (delegated) required to submit a proposal.
+     * @notice Account allowed to veto proposals before execution. Distinct from the owner, which can only pause.
      */
-    uint256 public immutable minProposalTokens;
-    
+    address public guardian;
+
+    Checkpoints.Trace208 private _quadraticQuorumNumeratorHistory;
+
+    /**
+     * @notice Registry that new Quadratic proposals can require their voters to be registered in.
+     */
+    VoterRegistry public voterRegistry;
+
     /**
-     * @dev Tracks the accumulation of votes cast per user per proposal in QV mode.
+     * @notice Registry a Quadratic proposal requires its voters to be in at the snapshot; address(0) if none.
      */
-    mapping(uint256 => mapping(address => uint256)) private _quadraticVotesUsed;
+    mapping(uint256 => VoterRegistry) public proposalVoterRegistry;
+
+    mapping(uint256 => MultiOptionVotes.Tally) private _optionTallies;
 
     /**
-     * @dev Tracks the accumulated voting power (cost) consumed per user per proposal in QV mode.
+     * @dev For + Abstain snapshot votes of Conviction proposals before the conviction bonus, checked against
+     *      the quorum so that the bonus shifts weight between voters without lowering the bar.
      */
-    mapping(uint256 => mapping(address => uint256)) private _quadraticCostUsed;
+    mapping(uint256 => uint256) private _convictionParticipation;
 
     /**
      * @param _tokenVotes The ERC20Votes compatible token used for governance.
+     * @param _timelock The TimelockController that queues and executes successful proposals.
+     * @param _params Initial voting delay, voting period, proposal threshold, quorum and guardian.
      */
-    constructor(IVotes _tokenVotes)
+    constructor(IVotes _tokenVotes, TimelockController _timelock, GovernorParams memory _params)
         Governor("MyGovernor")
-        GovernorSettings(
-            0,              // voting delay: 0 blocks
-            50400,          // voting period: ~1 week
-            1000 * 10**18   // proposal threshold: 1000 tokens
-        )
+        GovernorSettings(_params.votingDelay, _params.votingPeriod, _params.proposalThreshold)
         GovernorVotes(_tokenVotes)
-        GovernorVotesQuorumFraction(4) // 4% Quorum requirement
+        GovernorVotesQuorumFraction(_params.quorumNumerator)
+        GovernorTimelockControl(_timelock)
         Ownable(msg.sender)
     {
-        minProposalTokens = 1000 * 10**18;
+        _setGuardian(_params.guardian);
+        _updateQuadraticQuorumNumerator(_params.quadraticQuorumNumerator);
+        _setVoterRegistry(_params.voterRegistry);
     }
 
     /**
@@ -81,7 +171,7 @@ contract MyGovernor is
      * @param values Ether values for execution.
      * @param calldatas Encoded function calls.
      * @param description Text description of the proposal.
-     * @param votingType The mechanism to use (Standard or Quadratic).
+     * @param votingType The mechanism to use (Standard, Quadratic or Conviction).
      * @return proposalId Unique identifier of the created proposal.
      */
     function propose(
@@ -91,14 +181,25 @@ contract MyGovernor is
         string memory description,
         VotingType votingType
     ) public whenNotPaused returns (uint256) {
-        uint256 playerVotes = getVotes(msg.sender, block.number - 1);
-        if (playerVotes < minProposalTokens) {
-            revert MyGovernor__BelowProposalThreshold(playerVotes, minProposalTokens);
-        }
-        
-        uint256 proposalId = super.propose(targets, values, calldatas, description);
-        proposalVotingTypes[proposalId] = votingType;
-        return proposalId;
+        return _proposeWithType(targets, values, calldatas, description, votingType, false, new uint256[](0));
+    }
+
+    /**
+     * @notice Submits a proposal, optionally restricting a Quadratic vote to accounts in the voter registry.
+     * @param requireRegistration Only accounts registered in voterRegistry at the snapshot may vote. Quadratic only.
+     * @return proposalId Unique identifier of the created proposal.
+     */
+    function propose(
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        string memory description,
+        VotingType votingType,
+        bool requireRegistration
+    ) public whenNotPaused returns (uint256) {
+        return _proposeWithType(
+            targets, values, calldatas, description, votingType, requireRegistration, new uint256[](0)
+        );
     }
 
     /**
@@ -110,56 +211,197 @@ contract MyGovernor is
         bytes[] memory calldatas,
         string memory description
     ) public override(Governor) whenNotPaused returns (uint256) {
-        uint256 playerVotes = getVotes(msg.sender, block.number - 1);
-        if (playerVotes < minProposalTokens) {
-            revert MyGovernor__BelowProposalThreshold(playerVotes, minProposalTokens);
+        return _proposeWithType(
+            targets, values, calldatas, description, VotingType.Standard, false, new uint256[](0)
+        );
+    }
+
+    /**
+     * @notice Submits a proposal choosing among several options, each with its own action set. Only the winning
+     *         option's actions are queued and executed.
+     * @param targets Target addresses of every option's actions, option after option.
+     * @param values Ether values, aligned with targets.
+     * @param calldatas Encoded function calls, aligned with targets.
+     * @param labels Human readable name of each option, emitted in ProposalOptionsCreated.
+     * @param optionEnds Exclusive end index of each option's actions; an option may have no actions.
+     * @param description Text description of the proposal.
+     * @param votingType Approval or RankedChoice.
+     * @return proposalId Unique identifier of the created proposal.
+     */
+    function proposeWithOptions(
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        string[] memory labels,
+        uint256[] memory optionEnds,
+        string memory description,
+        VotingType votingType
+    ) public whenNotPaused returns (uint256) {
+        if (labels.length != optionEnds.length) {
+            revert MultiOptionVotes.MultiOptionVotes__InvalidOptions(optionEnds.length, targets.length);
         }
-        
-        uint256 proposalId = super.propose(targets, values, calldatas, description);
-        proposalVotingTypes[proposalId] = VotingType.Standard;
+        uint256 proposalId = _proposeWithType(targets, values, calldatas, description, votingType, false, optionEnds);
+        emit ProposalOptionsCreated(proposalId, labels, optionEnds);
         return proposalId;
     }
 
     /**
      * @notice Performs Quadratic Voting where cost = (votes * votes) / 1e18.
-     * @dev Uses voting power snapshots; no actual token transfers occur.
+     * @dev Uses voting power snapshots; no actual token transfers occur. Can be called repeatedly to top up
+     *      votes on the same side; each top-up is charged (total^2 - previous^2) / 1e18.
      * @param proposalId ID of the active proposal.
      * @param support Against (0), For (1), or Abstain (2).
-     * @param numVotes Number of votes (in 1e18 units) to cast.
+     * @param numVotes Number of additional votes (in 1e18 units) to cast.
      */
     function castQuadraticVote(
         uint256 proposalId,
         uint8 support,
         uint256 numVotes
+    ) external nonReentrant whenNotPaused returns (uint256) {
+        return _castQuadraticVote(proposalId, _msgSender(), support, numVotes, "");
+    }
+
+    /**
+     * @notice Same as castQuadraticVote, with a written rationale emitted in the VoteCastWithParams event.
+     * @param proposalId ID of the active proposal.
+     * @param support Against (0), For (1), or Abstain (2).
+     * @param numVotes Number of additional votes (in 1e18 units) to cast.
+     * @param reason Voter's rationale for this (top-up) vote.
+     */
+    function castQuadraticVoteWithReason(
+        uint256 proposalId,
+        uint8 support,
+        uint256 numVotes,
+        string calldata reason
+    ) external nonReentrant whenNotPaused returns (uint256) {
+        return _castQuadraticVote(proposalId, _msgSender(), support, numVotes, reason);
+    }
+
+    /**
+     * @notice Casts a quadratic vote on behalf of `voter` using an EIP-712 QuadraticBallot signature.
+     * @dev Lets a relayer pay the gas. The signature commits to the voter's current nonce (shared with
+     *      castVoteBySig), so every signed ballot can be submitted at most once.
+     * @param proposalId ID of the active proposal.
+     * @param support Against (0), For (1), or Abstain (2).
+     * @param numVotes Number of additional votes (in 1e18 units) to cast.
+     * @param voter Account that signed the ballot and whose voting power is used.
+     * @param signature EIP-712 signature (or ERC-1271 for contract wallets) over the QuadraticBallot.
+     */
+    function castQuadraticVoteBySig(
+        uint256 proposalId,
+        uint8 support,
+        uint256 numVotes,
+        address voter,
+        bytes memory signature
+    ) external nonReentrant whenNotPaused returns (uint256) {
+        bytes32 structHash = keccak256(
+            abi.encode(QUADRATIC_BALLOT_TYPEHASH, proposalId, support, numVotes, voter, _useNonce(voter))
+        );
+        if (!SignatureChecker.isValidSignatureNow(voter, _hashTypedDataV4(structHash), signature)) {
+            revert GovernorInvalidSignature(voter);
+        }
+
+        return _castQuadraticVote(proposalId, voter, support, numVotes, "");
+    }
+
+    /**
+     * @notice Casts a single, final quadratic ballot split across Against, For and Abstain.
+     * @dev The cost is computed on the whole ballot: (against + for + abstain)^2 / 1e18. Only allowed before any
+     *      other vote by the caller on this proposal.
+     * @param proposalId ID of the active proposal.
+     * @param againstVotes Votes (in 1e18 units) allocated Against.
+     * @param forVotes Votes (in 1e18 units) allocated For.
+     * @param abstainVotes Votes (in 1e18 units) allocated to Abstain.
+     */
+    function castQuadraticSplitVote(
+        uint256 proposalId,
+        uint256 againstVotes,
+        uint256 forVotes,
+        uint256 abstainVotes
     ) external nonReentrant whenNotPaused returns (uint256) {
         if (proposalVotingTypes[proposalId] != VotingType.Quadratic) {
             revert MyGovernor__InvalidVotingType(proposalId);
         }
+
+        bytes memory params = abi.encode(againstVotes, forVotes, abstainVotes);
+        return _castVote(proposalId, _msgSender(), VOTE_TYPE_SPLIT, "", params);
+    }
+
+    /**
+     * @dev Shared body of the propose functions. Options are required by, and only allowed for, multi-option
+     *      voting types. The registry is captured per proposal, so replacing it later does not change who may
+     *      vote on proposals already created.
+     */
+    function _proposeWithType(
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        string memory description,
+        VotingType votingType,
+        bool requireRegistration,
+        uint256[] memory optionEnds
+    ) private returns (uint256) {
+        _checkProposalThreshold();
+
+        uint256 proposalId = super.propose(targets, values, calldatas, description);
+        proposalVotingTypes[proposalId] = votingType;
+
+        if (_isMultiOption(votingType) != (optionEnds.length != 0)) {
+            revert MyGovernor__InvalidVotingType(proposalId);
+        }
+        if (optionEnds.length != 0) {
+            _optionTallies[proposalId].setup(votingType == VotingType.RankedChoice, optionEnds, targets.length);
+        }
+
+        if (requireRegistration) {
+            if (votingType != VotingType.Quadratic) {
+                revert MyGovernor__InvalidVotingType(proposalId);
+            }
+            if (address(voterRegistry) == address(0)) {
+                revert MyGovernor__VoterRegistryNotSet();
+            }
+            proposalVoterRegistry[proposalId] = voterRegistry;
+        }
+        return proposalId;
+    }
+
+    /**
+     * @dev Reverts with MyGovernor__BelowProposalThreshold when the caller's delegated power at the previous
+     *      block is below the current threshold.
+     */
+    function _checkProposalThreshold() private view {
+        uint256 threshold = proposalThreshold();
+        uint256 playerVotes = getVotes(_msgSender(), clock() - 1);
+        if (playerVotes < threshold) {
+            revert MyGovernor__BelowProposalThreshold(playerVotes, threshold);
+        }
+    }
+
+    /**
+     * @dev Shared body of the single-side quadratic entry points.
+     */
+    function _castQuadraticVote(
+        uint256 proposalId,
+        address account,
+        uint8 support,
+        uint256 numVotes,
+        string memory reason
+    ) private returns (uint256) {
+        if (proposalVotingTypes[proposalId] != VotingType.Quadratic) {
+            revert MyGovernor__InvalidVotingType(proposalId);
+        }
         if (numVotes == 0) {
             revert MyGovernor__ZeroVotesCast();
         }
-        
-        address account = _msgSender();
-        
-        // Mathematical Model: Cost = (Votes^2) / Precision
-        uint256 cost = (numVotes * numVotes) / 1e18;
-        
-        uint256 totalPower = getVotes(account, proposalSnapshot(proposalId));
-        uint256 alreadyUsed = _quadraticCostUsed[proposalId][account];
-        
-        if (alreadyUsed + cost > totalPower) {
-            revert MyGovernor__InsufficientVotingPower(cost, totalPower - alreadyUsed);
-        }
-        
-        _quadraticVotesUsed[proposalId][account] += numVotes;
-        _quadraticCostUsed[proposalId][account] += cost;
-        
-        bytes memory params = abi.encode(numVotes);
-        return _castVote(proposalId, account, support, "", params);
+
+        return _castVote(proposalId, account, support, reason, abi.encode(numVotes));
     }
 
     /**
-     * @dev Overridden to incorporate Quadratic Voting weights.
+     * @dev Routes Quadratic proposals to the quadratic ballot and enforces the snapshot-based power budget.
+     *      Every entry point (including castVoteWithReasonAndParams) passes through here, so the budget
+     *      cannot be bypassed. Conviction proposals tally the time-weighted value of the snapshot votes, and
+     *      record the unweighted For and Abstain votes separately for quorum.
      */
     function _countVote(
         uint256 proposalId,
@@ -167,23 +409,132 @@ contract MyGovernor is
         uint8 support,
         uint256 weight,
         bytes memory params
-    ) internal override(Governor, GovernorCountingSimple) returns (uint256) {
-        uint256 countedWeight = weight;
+    ) internal override(Governor, GovernorCountingQuadratic) returns (uint256) {
+        VotingType votingType = proposalVotingTypes[proposalId];
+        if (votingType == VotingType.Conviction) {
+            if (support == uint8(VoteType.For) || support == uint8(VoteType.Abstain)) {
+                _convictionParticipation[proposalId] += weight;
+            }
+            weight = GovernanceToken(address(token())).getPastConvictionVotes(account, proposalSnapshot(proposalId));
+        }
+        if (votingType == VotingType.Standard || votingType == VotingType.Conviction) {
+            return super._countVote(proposalId, account, support, weight, params);
+        }
+
+        // Multi-option ballot: abi.encode(uint256[] options)
+        if (_isMultiOption(votingType)) {
+            if (support != VOTE_TYPE_OPTIONS || params.length == 0) {
+                revert GovernorInvalidVoteType();
+            }
+            _markVoted(proposalId, account);
+            _optionTallies[proposalId].count(account, abi.decode(params, (uint256[])), weight);
+            return weight;
+        }
+
+        // Sybil resistance: split wallets only count if each one is registered at the snapshot
+        VoterRegistry registry = proposalVoterRegistry[proposalId];
+        if (address(registry) != address(0) && !registry.wasRegistered(account, proposalSnapshot(proposalId))) {
+            revert MyGovernor__VoterNotRegistered(account);
+        }
 
-        if (proposalVotingTypes[proposalId] == VotingType.Quadratic && params.length > 0) {
-            countedWeight = abi.decode(params, (uint256));
+        // Quadratic ballots: abi.encode(numVotes), or abi.encode(againstVotes, forVotes, abstainVotes) to split
+        if (params.length != 32 && params.length != 96) {
+            revert MyGovernor__InvalidVotingType(proposalId);
+        }
+        (uint256 votes, uint256 totalCost, uint256 previousCost) =
+            _countQuadraticBallot(proposalId, account, support, params);
+        if (votes == 0) {
+            revert MyGovernor__ZeroVotesCast();
         }
 
-        return super._countVote(proposalId, account, support, countedWeight, params);
+        // Mathematical Model: Cost = (TotalVotes^2) / Precision, charged incrementally
+        if (totalCost > weight) {
+            revert MyGovernor__InsufficientVotingPower(totalCost - previousCost, weight - previousCost);
+        }
+        return votes;
     }
     
     /**
-     * @notice Returns the proposal threshold in 1e18 units.
+     * @notice Returns the live proposal threshold in 1e18 units, as last set through governance.
      */
     function proposalThreshold() public view override(Governor, GovernorSettings) returns (uint256) {
-        return minProposalTokens;
+        return super.proposalThreshold();
     }
     
+    /**
+     * @notice Current quorum numerator of Quadratic proposals (out of quorumDenominator()).
+     */
+    function quadraticQuorumNumerator() public view returns (uint256) {
+        return _quadraticQuorumNumeratorHistory.latest();
+    }
+
+    /**
+     * @notice Quorum numerator of Quadratic proposals in effect at `timepoint`.
+     */
+    function quadraticQuorumNumerator(uint256 timepoint) public view returns (uint256) {
+        return _quadraticQuorumNumeratorHistory.upperLookupRecent(SafeCast.toUint48(timepoint));
+    }
+
+    /**
+     * @notice Voting power that must be spent on For and Abstain for a Quadratic proposal snapshotted at
+     *         `timepoint` to reach quorum. Comparable to quorum(timepoint), which is counted in votes.
+     */
+    function quadraticQuorum(uint256 timepoint) public view returns (uint256) {
+        return (token().getPastTotalSupply(timepoint) * quadraticQuorumNumerator(timepoint)) / quorumDenominator();
+    }
+
+    /**
+     * @notice Changes the quorum numerator of Quadratic proposals. Only callable through an executed proposal.
+     */
+    function updateQuadraticQuorumNumerator(uint256 newQuadraticQuorumNumerator) external onlyGovernance {
+        _updateQuadraticQuorumNumerator(newQuadraticQuorumNumerator);
+    }
+
+    /**
+     * @notice Quorum of a proposal in the unit of proposalParticipation: votes for Standard proposals,
+     *         voting power spent for Quadratic ones.
+     */
+    function proposalQuorum(uint256 proposalId) public view returns (uint256) {
+        uint256 snapshot = proposalSnapshot(proposalId);
+        return proposalVotingTypes[proposalId] == VotingType.Quadratic ? quadraticQuorum(snapshot) : quorum(snapshot);
+    }
+
+    /**
+     * @notice Participation counted towards a proposal's quorum: For + Abstain votes for Standard proposals,
+     *         voting power spent on For and Abstain for Quadratic ones, and the weight of every ballot for
+     *         multi-option ones. Conviction proposals count For + Abstain snapshot votes without the conviction
+     *         bonus, so their quorum is as hard to reach as a Standard proposal's with the same turnout.
+     */
+    function proposalParticipation(uint256 proposalId) public view returns (uint256) {
+        VotingType votingType = proposalVotingTypes[proposalId];
+        if (votingType == VotingType.Quadratic) {
+            return quadraticParticipation(proposalId);
+        }
+        if (votingType == VotingType.Conviction) {
+            return _convictionParticipation[proposalId];
+        }
+        if (_isMultiOption(votingType)) {
+            return _optionTallies[proposalId].participation;
+        }
+        (, uint256 forVotes, uint256 abstainVotes) = proposalVotes(proposalId);
+        return forVotes + abstainVotes;
+    }
+
+    /**
+     * @notice Tally of a multi-option proposal.
+     * @return rounds Votes per option: approvals for Approval proposals, and each instant-runoff round for
+     *         RankedChoice proposals, starting with first preferences.
+     * @return decided Whether a single option is winning.
+     * @return winner Index of the winning option, only meaningful if decided.
+     */
+    function optionResults(uint256 proposalId)
+        external
+        view
+        returns (uint256[][] memory rounds, bool decided, uint256 winner)
+    {
+        return _optionTallies[proposalId].results();
+    }
+
     /**
      * @notice Provides detailed data regarding a user's QV power consumption.
      * @return remaining Unused voting power.
@@ -192,10 +543,81 @@ contract MyGovernor is
      */
     function getQuadraticVotingPower(uint256 proposalId, address account) external view returns (uint256 remaining, uint256 used, uint256 total) {
         total = getVotes(account, proposalSnapshot(proposalId));
-        used = _quadraticCostUsed[proposalId][account];
+        (, used, ) = quadraticBallot(proposalId, account);
         remaining = total > used ? total - used : 0;
     }
 
+    /**
+     * @notice Current proposal state, taking the timelock operation status into account.
+     */
+    function state(uint256 proposalId)
+        public
+        view
+        override(Governor, GovernorTimelockControl)
+        returns (ProposalState)
+    {
+        return super.state(proposalId);
+    }
+
+    /**
+     * @notice Every proposal must be queued in the timelock before it can be executed.
+     */
+    function proposalNeedsQueuing(uint256 proposalId)
+        public
+        view
+        override(Governor, GovernorTimelockControl)
+        returns (bool)
+    {
+        return super.proposalNeedsQueuing(proposalId);
+    }
+
+    /**
+     * @notice Cancels a malicious proposal before it executes, including its scheduled timelock operation.
+     * @dev Allowed while the proposal is Pending, Active, Succeeded or Queued. Not subject to the pause, so the
+     *      guardian can still act during an emergency.
+     * @param reason Public justification for the veto, emitted in ProposalVetoed.
+     * @return proposalId ID of the vetoed proposal.
+     */
+    function vetoProposal(
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        bytes32 descriptionHash,
+        string calldata reason
+    ) external returns (uint256) {
+        if (_msgSender() != guardian) {
+            revert MyGovernor__NotGuardian(_msgSender());
+        }
+
+        uint256 proposalId = getProposalId(targets, values, calldatas, descriptionHash);
+        _validateStateBitmap(
+            proposalId,
+            _encodeStateBitmap(ProposalState.Pending) |
+                _encodeStateBitmap(ProposalState.Active) |
+                _encodeStateBitmap(ProposalState.Succeeded) |
+                _encodeStateBitmap(ProposalState.Queued)
+        );
+
+        _cancel(targets, values, calldatas, descriptionHash);
+        emit ProposalVetoed(proposalId, guardian, reason);
+        return proposalId;
+    }
+
+    /**
+     * @notice Replaces the voter registry used by proposals created from now on. Only callable through an
+     *         executed proposal.
+     */
+    function setVoterRegistry(VoterRegistry newVoterRegistry) external onlyGovernance {
+        _setVoterRegistry(newVoterRegistry);
+    }
+
+    /**
+     * @notice Replaces the guardian. Only callable through an executed proposal.
+     */
+    function setGuardian(address newGuardian) external onlyGovernance {
+        _setGuardian(newGuardian);
+    }
+
     /**
      * @notice Emergency administrative pause.
      */
@@ -222,4 +644,160 @@ contract MyGovernor is
     ) internal override whenNotPaused returns (uint256) {
         return super._castVote(proposalId, account, support, reason, params);
     }
+
+    /**
+     * @dev Schedules the proposal's operations in the timelock.
+     */
+    function _queueOperations(
+        uint256 proposalId,
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        bytes32 descriptionHash
+    ) internal override(Governor, GovernorTimelockControl) returns (uint48) {
+        (targets, values, calldatas) = _operations(proposalId, targets, values, calldatas);
+        return super._queueOperations(proposalId, targets, values, calldatas, descriptionHash);
+    }
+
+    /**
+     * @dev Executes the queued operations through the timelock.
+     */
+    function _executeOperations(
+        uint256 proposalId,
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        bytes32 descriptionHash
+    ) internal override(Governor, GovernorTimelockControl) {
+        (targets, values, calldatas) = _operations(proposalId, targets, values, calldatas);
+        super._executeOperations(proposalId, targets, values, calldatas, descriptionHash);
+    }
+
+    /**
+     * @dev Actions run by the timelock: the winning option's for multi-option proposals, all of them otherwise.
+     */
+    function _operations(
+        uint256 proposalId,
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas
+    ) private view returns (address[] memory, uint256[] memory, bytes[] memory) {
+        if (!_isMultiOption(proposalVotingTypes[proposalId])) {
+            return (targets, values, calldatas);
+        }
+
+        MultiOptionVotes.Tally storage tally = _optionTallies[proposalId];
+        (, uint256 winner) = tally.winningOption();
+        uint256 start = winner == 0 ? 0 : tally.optionEnds[winner - 1];
+        uint256 length = tally.optionEnds[winner] - start;
+
+        // Narrow the arrays to the winning range in place: the word before each range becomes its length. The
+        // full arrays are not read again by queue or execute after this point.
+        assembly ("memory-safe") {
+            let offset := mul(start, 0x20)
+            targets := add(targets, offset)
+            mstore(targets, length)
+            values := add(values, offset)
+            mstore(values, length)
+            calldatas := add(calldatas, offset)
+            mstore(calldatas, length)
+        }
+        return (targets, values, calldatas);
+    }
+
+    /**
+     * @dev Proposers may withdraw their own proposal until voting ends. With a zero voting delay the
+     *      default Pending-only window closes in the block the proposal is created.
+     */
+    function _validateCancel(uint256 proposalId, address caller) internal view override returns (bool) {
+        ProposalState current = state(proposalId);
+        return
+            (current == ProposalState.Pending || current == ProposalState.Active) &&
+            caller == proposalProposer(proposalId);
+    }
+
+    /**
+     * @dev Quorum is reached when proposalParticipation meets proposalQuorum.
+     */
+    function _quorumReached(uint256 proposalId)
+        internal
+        view
+        override(Governor, GovernorCountingQuadratic)
+        returns (bool)
+    {
+        return proposalQuorum(proposalId) <= proposalParticipation(proposalId);
+    }
+
+    /**
+     * @dev Multi-option proposals succeed when a single option wins; yes/no proposals when For beats Against.
+     */
+    function _voteSucceeded(uint256 proposalId)
+        internal
+        view
+        override(Governor, GovernorCountingQuadratic)
+        returns (bool)
+    {
+        if (_isMultiOption(proposalVotingTypes[proposalId])) {
+            (bool decided, ) = _optionTallies[proposalId].winningOption();
+            return decided;
+        }
+        return super._voteSucceeded(proposalId);
+    }
+
+    /**
+     * @dev Whether proposals of `votingType` choose among options rather than For/Against.
+     */
+    function _isMultiOption(VotingType votingType) private pure returns (bool) {
+        return votingType == VotingType.Approval || votingType == VotingType.RankedChoice;
+    }
+
+    /**
+     * @dev Checkpoints the quadratic quorum numerator, like GovernorVotesQuorumFraction does for Standard.
+     */
+    function _updateQuadraticQuorumNumerator(uint256 newQuadraticQuorumNumerator) private {
+        uint256 denominator = quorumDenominator();
+        if (newQuadraticQuorumNumerator > denominator) {
+            revert GovernorInvalidQuorumFraction(newQuadraticQuorumNumerator, denominator);
+        }
+
+        uint256 oldQuadraticQuorumNumerator = quadraticQuorumNumerator();
+        _quadraticQuorumNumeratorHistory.push(clock(), SafeCast.toUint208(newQuadraticQuorumNumerator));
+
+        emit QuadraticQuorumNumeratorUpdated(oldQuadraticQuorumNumerator, newQuadraticQuorumNumerator);
+    }
+
+    /**
+     * @dev Stores the voter registry and emits VoterRegistrySet.
+     */
+    function _setVoterRegistry(VoterRegistry newVoterRegistry) private {
+        emit VoterRegistrySet(address(voterRegistry), address(newVoterRegistry));
+        voterRegistry = newVoterRegistry;
+    }
+
+    /**
+     * @dev Stores the guardian and emits GuardianSet.
+     */
+    function _setGuardian(address newGuardian) private {
+        emit GuardianSet(guardian, newGuardian);
+        guardian = newGuardian;
+    }
+
+    /**
+     * @dev Cancels the proposal and any operation already scheduled in the timelock.
+     */
+    function _cancel(
+        address[] memory targets,
+        uint256[] memory values,
+        bytes[] memory calldatas,
+        bytes32 descriptionHash
+    ) internal override(Governor, GovernorTimelockControl) returns (uint256) {
+        return super._cancel(targets, values, calldatas, descriptionHash);
+    }
+
+    /**
+     * @dev The timelock, not the governor, is the executor holding treasury funds and owned contracts.
+     */
+    function _executor() internal view override(Governor, GovernorTimelockControl) returns (address) {
+        return super._executor();
+    }
 }
@@ -0,0 +1,189 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/governance/IGovernor.sol";
+import "./GovernorCountingQuadratic.sol";
+
+/**
+ * @title QuadraticVotes
+ * @notice Vote accounting behind GovernorCountingQuadratic: Standard ballots, incremental Quadratic ballots and
+ *         split Quadratic ballots.
+ * @dev Deployed as a linked library so MyGovernor stays under the contract size limit. Reverts with the errors
+ *      declared by GovernorCountingQuadratic and IGovernor.
+ */
+library QuadraticVotes {
+    struct ProposalVote {
+        uint256 againstVotes;
+        uint256 forVotes;
+        uint256 abstainVotes;
+        // Voting power spent on For and Abstain by quadratic ballots
+        uint256 quadraticParticipation;
+        mapping(address => bool) hasVoted;
+    }
+
+    /**
+     * @dev Accumulated quadratic ballot of a single voter on a single proposal.
+     */
+    struct Ballot {
+        uint256 againstVotes;
+        uint256 forVotes;
+        uint256 abstainVotes;
+        uint256 cost;
+        uint8 support;
+        bool split;
+    }
+
+    /**
+     * @notice Fixed-point precision of vote amounts; cost = votes^2 / PRECISION.
+     */
+    uint256 internal constant PRECISION = 1e18;
+
+    /**
+     * @notice `support` value of split ballots, GovernorCountingQuadratic.VOTE_TYPE_SPLIT.
+     */
+    uint8 internal constant GOVERNOR_SPLIT_SUPPORT = 255;
+
+    /**
+     * @notice Counts a single-shot Standard ballot with the voter's full weight.
+     */
+    function countVote(ProposalVote storage proposalVote, address account, uint8 support, uint256 weight) public {
+        if (proposalVote.hasVoted[account]) {
+            revert IGovernor.GovernorAlreadyCastVote(account);
+        }
+        proposalVote.hasVoted[account] = true;
+
+        _addVotes(proposalVote, support, weight);
+    }
+
+    /**
+     * @notice Counts a Quadratic ballot carried in the vote params: abi.encode(numVotes) tops up a single-side
+     *         ballot, abi.encode(againstVotes, forVotes, abstainVotes) with support VOTE_TYPE_SPLIT casts a
+     *         split ballot. Params of any other length must be rejected by the caller.
+     * @return votes Votes added by this call.
+     * @return totalCost Voting power consumed by the voter's ballot so far, including this call.
+     * @return previousCost Voting power the ballot had consumed before this call.
+     */
+    function countBallot(
+        ProposalVote storage proposalVote,
+        Ballot storage ballot,
+        address account,
+        uint8 support,
+        bytes memory params
+    ) public returns (uint256 votes, uint256 totalCost, uint256 previousCost) {
+        previousCost = ballot.cost;
+
+        if (params.length == 96) {
+            if (support != GOVERNOR_SPLIT_SUPPORT) {
+                revert IGovernor.GovernorInvalidVoteType();
+            }
+            (uint256 againstVotes, uint256 forVotes, uint256 abstainVotes) =
+                abi.decode(params, (uint256, uint256, uint256));
+            votes = againstVotes + forVotes + abstainVotes;
+            totalCost = _countSplitVote(proposalVote, ballot, account, againstVotes, forVotes, abstainVotes);
+        } else {
+            votes = abi.decode(params, (uint256));
+            totalCost = previousCost + _countQuadraticVote(proposalVote, ballot, account, support, votes);
+        }
+    }
+
+    /**
+     * @dev Adds `numVotes` to a voter's quadratic ballot. The first call fixes the ballot's side; later calls
+     *      must use the same side. Split ballots are final and cannot be topped up.
+     * @return additionalCost Voting power consumed by this top-up: cost(total) - cost(previous).
+     */
+    function _countQuadraticVote(
+        ProposalVote storage proposalVote,
+        Ballot storage ballot,
+        address account,
+        uint8 support,
+        uint256 numVotes
+    ) private returns (uint256 additionalCost) {
+        if (ballot.split) {
+            revert IGovernor.GovernorAlreadyCastVote(account);
+        }
+        uint256 previousVotes = ballot.againstVotes + ballot.forVotes + ballot.abstainVotes;
+        if (previousVotes > 0 && ballot.support != support) {
+            revert GovernorCountingQuadratic.GovernorCountingQuadratic__SupportMismatch(
+                account, ballot.support, support
+            );
+        }
+        proposalVote.hasVoted[account] = true;
+
+        _addVotes(proposalVote, support, numVotes);
+        _addVotes(ballot, support, numVotes);
+
+        uint256 newCost = cost(previousVotes + numVotes);
+        additionalCost = newCost - ballot.cost;
+
+        ballot.cost = newCost;
+        ballot.support = support;
+
+        if (support != uint8(GovernorCountingQuadratic.VoteType.Against)) {
+            proposalVote.quadraticParticipation += additionalCost;
+        }
+    }
+
+    /**
+     * @dev Records a voter's one-off split ballot. The whole ballot is priced on its total votes, so splitting
+     *      never costs less than casting the same number of votes on a single side.
+     * @return ballotCost Voting power consumed by the ballot.
+     */
+    function _countSplitVote(
+        ProposalVote storage proposalVote,
+        Ballot storage ballot,
+        address account,
+        uint256 againstVotes,
+        uint256 forVotes,
+        uint256 abstainVotes
+    ) private returns (uint256 ballotCost) {
+        if (proposalVote.hasVoted[account]) {
+            revert IGovernor.GovernorAlreadyCastVote(account);
+        }
+        proposalVote.hasVoted[account] = true;
+
+        proposalVote.againstVotes += againstVotes;
+        proposalVote.forVotes += forVotes;
+        proposalVote.abstainVotes += abstainVotes;
+
+        uint256 totalVotes = againstVotes + forVotes + abstainVotes;
+        ballotCost = cost(totalVotes);
+        if (totalVotes > 0) {
+            proposalVote.quadraticParticipation += (ballotCost * (forVotes + abstainVotes)) / totalVotes;
+        }
+
+        ballot.againstVotes = againstVotes;
+        ballot.forVotes = forVotes;
+        ballot.abstainVotes = abstainVotes;
+        ballot.cost = ballotCost;
+        ballot.split = true;
+    }
+
+    /**
+     * @notice Voting power required to hold `numVotes` quadratic votes.
+     */
+    function cost(uint256 numVotes) internal pure returns (uint256) {
+        return (numVotes * numVotes) / PRECISION;
+    }
+
+    function _addVotes(ProposalVote storage proposalVote, uint8 support, uint256 weight) private {
+        if (support == uint8(GovernorCountingQuadratic.VoteType.Against)) {
+            proposalVote.againstVotes += weight;
+        } else if (support == uint8(GovernorCountingQuadratic.VoteType.For)) {
+            proposalVote.forVotes += weight;
+        } else if (support == uint8(GovernorCountingQuadratic.VoteType.Abstain)) {
+            proposalVote.abstainVotes += weight;
+        } else {
+            revert IGovernor.GovernorInvalidVoteType();
+        }
+    }
+
+    function _addVotes(Ballot storage ballot, uint8 support, uint256 weight) private {
+        if (support == uint8(GovernorCountingQuadratic.VoteType.Against)) {
+            ballot.againstVotes += weight;
+        } else if (support == uint8(GovernorCountingQuadratic.VoteType.For)) {
+            ballot.forVotes += weight;
+        } else {
+            ballot.abstainVotes += weight;
+        }
+    }
+}
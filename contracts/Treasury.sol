@@ -0,0 +1,267 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+
+/**
+ * @title Treasury
+ * @notice DAO vault for ETH and ERC-20 tokens. Funds only leave through the owner (the timelock, i.e. an executed
+ *         proposal), either as one-off payments or as streams that vest linearly to the recipient.
+ * @dev Every outflow is booked against a category (e.g. "grants", "audits"), so the events form a spending ledger.
+ *      Governance may set a budget per category and asset; spending beyond it reverts. Tokens still owed to
+ *      streams are reserved and cannot be paid out otherwise. ETH is identified by address(0).
+ */
+contract Treasury is Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    /* Custom Errors */
+    error Treasury__InvalidPayment(address recipient, uint256 amount);
+    error Treasury__InsufficientFunds(address asset, uint256 amount, uint256 available);
+    error Treasury__BudgetExceeded(bytes32 category, address asset, uint256 amount, uint256 remaining);
+    error Treasury__InvalidStream(uint256 streamId);
+
+    /**
+     * @notice Emitted when the treasury receives ETH; ERC-20 deposits are plain transfers.
+     */
+    event Received(address indexed from, uint256 amount);
+
+    /**
+     * @notice Emitted when governance sets the budget of a category for an asset (0 removes the budget).
+     */
+    event BudgetSet(bytes32 indexed category, address indexed asset, uint256 budget);
+
+    /**
+     * @notice Emitted for every one-off payment.
+     */
+    event PaymentSent(bytes32 indexed category, address indexed asset, address indexed recipient, uint256 amount);
+
+    /**
+     * @notice Emitted when governance opens a stream; its whole amount is booked against the category.
+     */
+    event StreamCreated(
+        uint256 indexed streamId,
+        bytes32 indexed category,
+        address indexed recipient,
+        address asset,
+        uint256 amount,
+        uint64 start,
+        uint64 duration
+    );
+
+    /**
+     * @notice Emitted when vested stream funds are sent to the recipient.
+     */
+    event StreamWithdrawn(uint256 indexed streamId, address indexed recipient, uint256 amount);
+
+    /**
+     * @notice Emitted when governance stops a stream; the unvested `refunded` amount is released back to the
+     *         category's budget.
+     */
+    event StreamCancelled(uint256 indexed streamId, uint256 refunded);
+
+    /**
+     * @notice Asset identifier of ETH.
+     */
+    address public constant ETH = address(0);
+
+    struct Stream {
+        address asset;
+        address recipient;
+        bytes32 category;
+        uint64 start;
+        uint64 duration;
+        // Total amount vesting over the duration, and the part already sent to the recipient
+        uint256 amount;
+        uint256 withdrawn;
+    }
+
+    /**
+     * @notice Streams by id, starting at 0.
+     */
+    Stream[] public streams;
+
+    /**
+     * @notice Spending limit of a category per asset (0 for none) and the amount booked against it so far.
+     */
+    mapping(bytes32 category => mapping(address asset => uint256)) public budgets;
+    mapping(bytes32 category => mapping(address asset => uint256)) public spent;
+
+    /**
+     * @notice Amount of each asset still owed to streams.
+     */
+    mapping(address asset => uint256) public reserved;
+
+    /**
+     * @param initialOwner Account allowed to move funds; the timelock.
+     */
+    constructor(address initialOwner) Ownable(initialOwner) {}
+
+    receive() external payable {
+        emit Received(msg.sender, msg.value);
+    }
+
+    /**
+     * @notice Treasury balance of `asset`.
+     */
+    function balanceOf(address asset) public view returns (uint256) {
+        return asset == ETH ? address(this).balance : IERC20(asset).balanceOf(address(this));
+    }
+
+    /**
+     * @notice Balance of `asset` that is not reserved for streams.
+     */
+    function available(address asset) public view returns (uint256) {
+        uint256 balance = balanceOf(asset);
+        return balance > reserved[asset] ? balance - reserved[asset] : 0;
+    }
+
+    /**
+     * @notice Number of streams created so far.
+     */
+    function streamCount() external view returns (uint256) {
+        return streams.length;
+    }
+
+    /**
+     * @notice Sets the spending limit of `category` in `asset`, counting what was already spent. Only the owner
+     *         (governance) can call this.
+     */
+    function setBudget(bytes32 category, address asset, uint256 budget) external onlyOwner {
+        budgets[category][asset] = budget;
+        emit BudgetSet(category, asset, budget);
+    }
+
+    /**
+     * @notice Sends `amount` of `asset` to `recipient`, booked against `category`. Only the owner (governance)
+     *         can call this.
+     */
+    function pay(address asset, address recipient, uint256 amount, bytes32 category)
+        external
+        onlyOwner
+        nonReentrant
+    {
+        _book(asset, recipient, amount, category);
+        emit PaymentSent(category, asset, recipient, amount);
+        _transfer(asset, recipient, amount);
+    }
+
+    /**
+     * @notice Streams `amount` of `asset` to `recipient`, vesting linearly from `start` over `duration` seconds,
+     *         booked against `category`. Only the owner (governance) can call this.
+     * @return streamId Id of the new stream.
+     */
+    function createStream(
+        address asset,
+        address recipient,
+        uint256 amount,
+        uint64 start,
+        uint64 duration,
+        bytes32 category
+    ) external onlyOwner returns (uint256 streamId) {
+        if (duration == 0) {
+            revert Treasury__InvalidPayment(recipient, amount);
+        }
+        _book(asset, recipient, amount, category);
+        reserved[asset] += amount;
+
+        streamId = streams.length;
+        streams.push(Stream(asset, recipient, category, start, duration, amount, 0));
+        emit StreamCreated(streamId, category, recipient, asset, amount, start, duration);
+    }
+
+    /**
+     * @notice Amount of stream `streamId` vested so far, including what was withdrawn.
+     */
+    function vestedAmount(uint256 streamId) public view returns (uint256) {
+        Stream storage stream = _stream(streamId);
+        if (block.timestamp < stream.start) {
+            return 0;
+        }
+        if (block.timestamp >= stream.start + stream.duration) {
+            return stream.amount;
+        }
+        return (stream.amount * (block.timestamp - stream.start)) / stream.duration;
+    }
+
+    /**
+     * @notice Amount of stream `streamId` that can be withdrawn now.
+     */
+    function withdrawable(uint256 streamId) public view returns (uint256) {
+        uint256 withdrawn = _stream(streamId).withdrawn;
+        return vestedAmount(streamId) - withdrawn;
+    }
+
+    /**
+     * @notice Sends the vested funds of stream `streamId` to its recipient. Anyone may call this.
+     */
+    function withdrawFromStream(uint256 streamId) external nonReentrant returns (uint256 amount) {
+        amount = withdrawable(streamId);
+        Stream storage stream = streams[streamId];
+        stream.withdrawn += amount;
+        reserved[stream.asset] -= amount;
+        emit StreamWithdrawn(streamId, stream.recipient, amount);
+        _transfer(stream.asset, stream.recipient, amount);
+    }
+
+    /**
+     * @notice Stops stream `streamId`: the recipient keeps what has vested, the rest is no longer reserved and is
+     *         released back to the category's budget. Only the owner (governance) can call this.
+     */
+    function cancelStream(uint256 streamId) external onlyOwner {
+        uint256 vested = vestedAmount(streamId);
+        Stream storage stream = streams[streamId];
+        uint256 refunded = stream.amount - vested;
+        if (refunded == 0) {
+            revert Treasury__InvalidStream(streamId);
+        }
+
+        // End the stream now with what has vested
+        stream.amount = vested;
+        if (block.timestamp > stream.start) {
+            stream.duration = uint64(block.timestamp - stream.start);
+        }
+        reserved[stream.asset] -= refunded;
+        spent[stream.category][stream.asset] -= refunded;
+        emit StreamCancelled(streamId, refunded);
+    }
+
+    /**
+     * @dev Checks that `amount` is free to spend and within the category's budget, and books it.
+     */
+    function _book(address asset, address recipient, uint256 amount, bytes32 category) private {
+        if (recipient == address(0) || amount == 0) {
+            revert Treasury__InvalidPayment(recipient, amount);
+        }
+        uint256 free = available(asset);
+        if (amount > free) {
+            revert Treasury__InsufficientFunds(asset, amount, free);
+        }
+
+        uint256 budget = budgets[category][asset];
+        uint256 total = spent[category][asset] + amount;
+        if (budget != 0 && total > budget) {
+            uint256 booked = spent[category][asset];
+            revert Treasury__BudgetExceeded(category, asset, amount, budget > booked ? budget - booked : 0);
+        }
+        spent[category][asset] = total;
+    }
+
+    function _transfer(address asset, address recipient, uint256 amount) private {
+        if (asset == ETH) {
+            Address.sendValue(payable(recipient), amount);
+        } else {
+            IERC20(asset).safeTransfer(recipient, amount);
+        }
+    }
+
+    function _stream(uint256 streamId) private view returns (Stream storage) {
+        if (streamId >= streams.length) {
+            revert Treasury__InvalidStream(streamId);
+        }
+        return streams[streamId];
+    }
+}
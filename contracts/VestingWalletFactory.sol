@@ -0,0 +1,73 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/governance/utils/IVotes.sol";
+import "./DelegatingVestingWallet.sol";
+
+/**
+ * @title VestingWalletFactory
+ * @notice Creates and funds contributor grants: a DelegatingVestingWallet per grant, so the grant's voting power
+ *         goes to the beneficiary while it vests.
+ * @dev The grant is pulled from the caller, usually the timelock executing a proposal that approves the factory
+ *      (after minting or from the treasury) and then calls createVestingWallet.
+ */
+contract VestingWalletFactory {
+    using SafeERC20 for IERC20;
+
+    /* Custom Errors */
+    error VestingWalletFactory__InvalidGrant(address beneficiary, uint256 amount);
+
+    /**
+     * @notice Emitted for every grant; `funder` is the account the tokens were pulled from.
+     */
+    event VestingWalletCreated(
+        address indexed wallet,
+        address indexed beneficiary,
+        address indexed funder,
+        uint64 start,
+        uint64 duration,
+        uint256 amount
+    );
+
+    /**
+     * @notice Governance token granted by the wallets of this factory.
+     */
+    address public immutable token;
+
+    mapping(address => address[]) private _wallets;
+
+    constructor(address governanceToken) {
+        token = governanceToken;
+    }
+
+    /**
+     * @notice Creates a vesting wallet for `beneficiary` and funds it with `amount` tokens from the caller, which
+     *         must have approved the factory.
+     * @param startTimestamp When vesting starts; tokens vest linearly until `startTimestamp + durationSeconds`.
+     * @param durationSeconds Vesting duration; must be non-zero.
+     * @return wallet The new vesting wallet.
+     */
+    function createVestingWallet(address beneficiary, uint64 startTimestamp, uint64 durationSeconds, uint256 amount)
+        external
+        returns (address wallet)
+    {
+        // A zero duration would vest the whole grant at startTimestamp
+        if (beneficiary == address(0) || amount == 0 || durationSeconds == 0) {
+            revert VestingWalletFactory__InvalidGrant(beneficiary, amount);
+        }
+        wallet = address(new DelegatingVestingWallet(IVotes(token), beneficiary, startTimestamp, durationSeconds));
+        _wallets[beneficiary].push(wallet);
+        emit VestingWalletCreated(wallet, beneficiary, msg.sender, startTimestamp, durationSeconds, amount);
+
+        IERC20(token).safeTransferFrom(msg.sender, wallet, amount);
+    }
+
+    /**
+     * @notice Vesting wallets created for `beneficiary`, oldest first.
+     */
+    function vestingWallets(address beneficiary) external view returns (address[] memory) {
+        return _wallets[beneficiary];
+    }
+}
@@ -0,0 +1,134 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
+import "@openzeppelin/contracts/utils/types/Time.sol";
+
+/**
+ * @title VoterRegistry
+ * @notice Registry of unique voters that Quadratic proposals can require, so that splitting tokens across many
+ *         self-delegated accounts no longer buys extra votes.
+ * @dev Voters are added either by the owner (the timelock, i.e. a governance proposal) or by anyone relaying an
+ *      EIP-712 Attestation signed by the configured issuer, e.g. a proof-of-personhood service. Registrations are
+ *      checkpointed by block number, matching the governance token's clock, so the governor can check them at a
+ *      proposal's snapshot.
+ */
+contract VoterRegistry is Ownable, EIP712, Nonces {
+    using Checkpoints for Checkpoints.Trace208;
+
+    /* Custom Errors */
+    error VoterRegistry__AttestationExpired(uint256 deadline);
+    error VoterRegistry__InvalidAttestation(address voter);
+    error VoterRegistry__FutureLookup(uint256 timepoint, uint48 clock);
+
+    /**
+     * @notice Emitted when the owner replaces the attestation issuer.
+     */
+    event IssuerSet(address indexed oldIssuer, address indexed newIssuer);
+
+    /**
+     * @notice Emitted when a voter is added or removed; `registrar` is the owner or the attestation issuer.
+     */
+    event RegistrationChanged(address indexed voter, bool registered, address indexed registrar);
+
+    /**
+     * @notice EIP-712 typehash of an issuer attestation, relayed through registerWithAttestation.
+     */
+    bytes32 public constant ATTESTATION_TYPEHASH =
+        keccak256("Attestation(address voter,uint256 nonce,uint256 deadline)");
+
+    /**
+     * @notice Account whose attestations register voters (address(0) disables attestations).
+     */
+    address public issuer;
+
+    mapping(address => Checkpoints.Trace208) private _registrations;
+
+    /**
+     * @param initialOwner Account allowed to edit the allowlist and issuer; the timelock after deployment.
+     * @param initialIssuer Account whose signed attestations register voters.
+     */
+    constructor(address initialOwner, address initialIssuer) Ownable(initialOwner) EIP712("VoterRegistry", "1") {
+        _setIssuer(initialIssuer);
+    }
+
+    /**
+     * @notice Block number clock, the same as the governance token's ERC-6372 clock.
+     */
+    function clock() public view returns (uint48) {
+        return Time.blockNumber();
+    }
+
+    /**
+     * @notice Whether `voter` is currently registered.
+     */
+    function isRegistered(address voter) public view returns (bool) {
+        return _registrations[voter].latest() != 0;
+    }
+
+    /**
+     * @notice Whether `voter` was registered at the end of block `timepoint`, like getPastVotes.
+     */
+    function wasRegistered(address voter, uint256 timepoint) public view returns (bool) {
+        uint48 currentTimepoint = clock();
+        if (timepoint >= currentTimepoint) {
+            revert VoterRegistry__FutureLookup(timepoint, currentTimepoint);
+        }
+        return _registrations[voter].upperLookupRecent(SafeCast.toUint48(timepoint)) != 0;
+    }
+
+    /**
+     * @notice Adds or removes voters from the allowlist. Only callable by the owner (governance).
+     */
+    function setRegistered(address[] calldata voters, bool registered) external onlyOwner {
+        for (uint256 i = 0; i < voters.length; ++i) {
+            _setRegistered(voters[i], registered, _msgSender());
+        }
+    }
+
+    /**
+     * @notice Registers `voter` with an attestation signed by the issuer. Anyone may relay the attestation.
+     * @dev The attestation commits to the voter's current nonce, so it can be used once and cannot re-register a
+     *      voter that governance has since removed.
+     * @param voter Account being registered.
+     * @param deadline Timestamp after which the attestation can no longer be used.
+     * @param signature EIP-712 signature (or ERC-1271 for contract issuers) over the Attestation.
+     */
+    function registerWithAttestation(address voter, uint256 deadline, bytes calldata signature) external {
+        if (block.timestamp > deadline) {
+            revert VoterRegistry__AttestationExpired(deadline);
+        }
+
+        bytes32 structHash = keccak256(abi.encode(ATTESTATION_TYPEHASH, voter, _useNonce(voter), deadline));
+        address currentIssuer = issuer;
+        if (
+            currentIssuer == address(0) ||
+            !SignatureChecker.isValidSignatureNow(currentIssuer, _hashTypedDataV4(structHash), signature)
+        ) {
+            revert VoterRegistry__InvalidAttestation(voter);
+        }
+
+        _setRegistered(voter, true, currentIssuer);
+    }
+
+    /**
+     * @notice Replaces the attestation issuer. Only callable by the owner (governance).
+     */
+    function setIssuer(address newIssuer) external onlyOwner {
+        _setIssuer(newIssuer);
+    }
+
+    function _setRegistered(address voter, bool registered, address registrar) private {
+        _registrations[voter].push(clock(), registered ? 1 : 0);
+        emit RegistrationChanged(voter, registered, registrar);
+    }
+
+    function _setIssuer(address newIssuer) private {
+        emit IssuerSet(issuer, newIssuer);
+        issuer = newIssuer;
+    }
+}
@@ -0,0 +1,247 @@
+"use client";
+
+import { ReactNode, useEffect, useState } from "react";
+import Link from "next/link";
+import { ethers } from "ethers";
+import { AlertCircle, ArrowLeft, Download, Loader2 } from "lucide-react";
+import clsx from "clsx";
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Legend,
+  Line,
+  LineChart,
+  ReferenceLine,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { Analytics, AnalyticsTable, downloadCsv, downloadJson, fetchAnalytics } from "../../src/lib/analytics";
+
+const percent = (ratio: number | null) => (ratio === null ? "-" : `${(ratio * 100).toFixed(1)}%`);
+const tokens = (wei: string) => Number(ethers.formatEther(wei)).toLocaleString(undefined, { maximumFractionDigits: 2 });
+const shortTitle = (title: string) => (title.length > 24 ? `${title.slice(0, 23)}…` : title);
+
+type SectionProps = {
+  title: string;
+  table: AnalyticsTable;
+  onError: (message: string) => void;
+  children: ReactNode;
+};
+
+function Section({ title, table, onError, children }: SectionProps) {
+  return (
+    <section className="bg-slate-900 rounded-xl p-6 border border-slate-800">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-lg font-semibold">{title}</h2>
+        <button
+          onClick={() => downloadCsv(table).catch((e: unknown) => onError(e instanceof Error ? e.message : String(e)))}
+          className="text-xs text-slate-400 hover:text-slate-200 flex items-center gap-1"
+        >
+          <Download size={14} /> CSV
+        </button>
+      </div>
+      {children}
+    </section>
+  );
+}
+
+/**
+ * Governance health from the indexer: turnout against quorum per proposal, concentration of delegated voting
+ * power over time, pass rates per voting type and how closed proposals would have ended under the other of
+ * Standard and Quadratic voting. Every table can be exported as CSV, and all of them as JSON.
+ */
+export default function AnalyticsPage() {
+  const [analytics, setAnalytics] = useState<Analytics | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetchAnalytics()
+      .then(setAnalytics)
+      .catch((e: unknown) => setError(e instanceof Error ? e.message : String(e)));
+  }, []);
+
+  const latest = analytics?.concentration[analytics.concentration.length - 1];
+
+  return (
+    <div className="min-h-screen bg-slate-950 text-white font-sans p-8">
+      <header className="mb-8 border-b border-slate-800 pb-4 flex justify-between items-end">
+        <div>
+          <Link href="/" className="text-sm text-slate-400 hover:text-slate-200 flex items-center gap-1 mb-3">
+            <ArrowLeft size={14} /> All proposals
+          </Link>
+          <h1 className="text-2xl font-bold text-slate-100">Governance Analytics</h1>
+          {latest && (
+            <p className="text-xs text-slate-500 mt-1">
+              {latest.delegates} delegates · Gini {latest.gini.toFixed(2)} · Nakamoto coefficient {latest.nakamoto}
+            </p>
+          )}
+        </div>
+        {analytics && (
+          <button
+            onClick={() => downloadJson(analytics)}
+            className="bg-slate-800 hover:bg-slate-700 text-slate-200 px-3 py-2 rounded-lg text-sm flex items-center gap-2"
+          >
+            <Download size={16} /> Export JSON
+          </button>
+        )}
+      </header>
+
+      {error && (
+        <div className="bg-red-500/10 border border-red-500/50 text-red-400 p-4 rounded-lg mb-8 flex items-center gap-2">
+          <AlertCircle size={20} />
+          {error}. Is the indexer running?
+        </div>
+      )}
+      {!analytics && !error && <Loader2 className="animate-spin text-slate-500" />}
+
+      {analytics && (
+        <div className="grid grid-cols-1 xl:grid-cols-2 gap-8">
+          <Section title="Turnout vs. Quorum" table="turnout" onError={setError}>
+            <div className="h-64 mb-4">
+              <ResponsiveContainer width="100%" height="100%">
+                <BarChart
+                  data={analytics.turnout.map(row => ({
+                    name: shortTitle(row.title),
+                    turnout: (row.turnout ?? 0) * 100,
+                    quorum: (row.quorumRatio ?? 0) * 100,
+                  }))}
+                  margin={{ top: 8, right: 16, bottom: 8, left: 8 }}
+                >
+                  <CartesianGrid stroke="#1e293b" />
+                  <XAxis dataKey="name" stroke="#64748b" fontSize={11} />
+                  <YAxis stroke="#64748b" fontSize={12} unit="%" />
+                  <Tooltip
+                    contentStyle={{ background: "#0f172a", border: "1px solid #334155" }}
+                    formatter={value => `${Number(value).toFixed(1)}%`}
+                  />
+                  <Legend />
+                  <Bar dataKey="turnout" name="Delegated power that voted" fill="#60a5fa" />
+                  <Bar dataKey="quorum" name="Quorum participation" fill="#4ade80" />
+                  <ReferenceLine y={100} stroke="#facc15" strokeDasharray="4 4" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+            <table className="w-full text-sm">
+              <thead className="text-xs text-slate-500 text-left">
+                <tr>
+                  <th className="py-1">Proposal</th>
+                  <th>Type</th>
+                  <th>State</th>
+                  <th className="text-right">Voters</th>
+                  <th className="text-right">Turnout</th>
+                  <th className="text-right">Quorum</th>
+                </tr>
+              </thead>
+              <tbody>
+                {analytics.turnout.map(row => (
+                  <tr key={row.proposalId} className="border-t border-slate-800">
+                    <td className="py-1">
+                      <Link href={`/proposals/${row.proposalId}`} className="hover:underline text-slate-200">
+                        {row.title}
+                      </Link>
+                    </td>
+                    <td className="text-slate-400">{row.votingType}</td>
+                    <td className="text-slate-400">{row.state}</td>
+                    <td className="text-right font-mono">{row.voters}</td>
+                    <td className="text-right font-mono">{percent(row.turnout)}</td>
+                    <td className={clsx("text-right font-mono", row.quorumReached ? "text-green-400" : "text-slate-400")}>
+                      {percent(row.quorumRatio)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </Section>
+
+          <Section title="Delegated Voting Power Concentration" table="concentration" onError={setError}>
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={analytics.concentration} margin={{ top: 8, right: 16, bottom: 8, left: 8 }}>
+                  <CartesianGrid stroke="#1e293b" />
+                  <XAxis dataKey="blockNumber" type="number" domain={["dataMin", "dataMax"]} stroke="#64748b" fontSize={12} />
+                  <YAxis yAxisId="gini" domain={[0, 1]} stroke="#64748b" fontSize={12} />
+                  <YAxis yAxisId="nakamoto" orientation="right" allowDecimals={false} stroke="#64748b" fontSize={12} />
+                  <Tooltip contentStyle={{ background: "#0f172a", border: "1px solid #334155" }} labelFormatter={block => `Block ${block}`} />
+                  <Legend />
+                  <Line yAxisId="gini" type="stepAfter" dataKey="gini" name="Gini" stroke="#f472b6" dot={false} />
+                  <Line yAxisId="nakamoto" type="stepAfter" dataKey="nakamoto" name="Nakamoto" stroke="#60a5fa" dot={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+            <p className="text-xs text-slate-500 mt-2">
+              Gini runs from 0 (equal delegates) to 1 (one delegate holds everything). Nakamoto is the fewest delegates
+              that together hold more than half of the delegated votes.
+            </p>
+          </Section>
+
+          <Section title="Pass Rate by Voting Type" table="passRates" onError={setError}>
+            <table className="w-full text-sm">
+              <thead className="text-xs text-slate-500 text-left">
+                <tr>
+                  <th className="py-1">Voting type</th>
+                  <th className="text-right">Proposals</th>
+                  <th className="text-right">Passed</th>
+                  <th className="text-right">Defeated</th>
+                  <th className="text-right">Pass rate</th>
+                </tr>
+              </thead>
+              <tbody>
+                {analytics.passRates.map(row => (
+                  <tr key={row.votingType} className="border-t border-slate-800">
+                    <td className="py-1 text-slate-200">{row.votingType}</td>
+                    <td className="text-right font-mono">{row.proposals}</td>
+                    <td className="text-right font-mono text-green-400">{row.passed}</td>
+                    <td className="text-right font-mono text-red-400">{row.defeated}</td>
+                    <td className="text-right font-mono">{percent(row.passRate)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-slate-500 mt-2">Only proposals whose vote has closed count towards the rate.</p>
+          </Section>
+
+          <Section title="Standard vs. Quadratic" table="comparison" onError={setError}>
+            <table className="w-full text-sm">
+              <thead className="text-xs text-slate-500 text-left">
+                <tr>
+                  <th className="py-1">Proposal</th>
+                  <th>Counted as</th>
+                  <th className="text-right">For / Against</th>
+                  <th>Instead as</th>
+                  <th className="text-right">For / Against</th>
+                </tr>
+              </thead>
+              <tbody>
+                {analytics.comparison.map(row => (
+                  <tr key={row.proposalId} className={clsx("border-t border-slate-800", row.differs && "bg-yellow-500/5")}>
+                    <td className="py-1 text-slate-200">{row.title}</td>
+                    <td className={row.passed ? "text-green-400" : "text-red-400"}>
+                      {row.votingType}: {row.passed ? "passed" : "failed"}
+                    </td>
+                    <td className="text-right font-mono text-xs">
+                      {tokens(row.forVotes)} / {tokens(row.againstVotes)}
+                    </td>
+                    <td className={row.alternativePassed ? "text-green-400" : "text-red-400"}>
+                      {row.alternative}: {row.alternativePassed ? "passes" : "fails"}
+                    </td>
+                    <td className="text-right font-mono text-xs">
+                      {tokens(row.alternativeForVotes)} / {tokens(row.alternativeAgainstVotes)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-slate-500 mt-2">
+              Closed Standard proposals are re-counted with each voter buying the quadratic votes their voting power pays
+              for; Quadratic ones with each voter casting their full voting power at the snapshot. The quorum stays the
+              same. Highlighted rows would have ended differently.
+            </p>
+          </Section>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,214 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import { useParams } from "next/navigation";
+import { ethers } from "ethers";
+import { AlertCircle, ArrowLeft, Loader2 } from "lucide-react";
+import Markdown from "../../../src/components/Markdown";
+import { VotingTypeName, abiSources } from "../../../src/lib/contracts";
+import { SharedDraft, commentMessage, fetchDraft, postComment } from "../../../src/lib/drafts";
+import { isMultiOption } from "../../../src/lib/options";
+import { ProposalAction, decodeAction } from "../../../src/lib/proposalActions";
+
+const ActionList = ({ actions }: { actions: ProposalAction[] }) => (
+  <ol className="space-y-2">
+    {actions.map((action, i) => {
+      const decoded = decodeAction(action, abiSources);
+      return (
+        <li key={i} data-testid="draft-action" className="bg-slate-950 rounded-lg p-3 text-xs border border-slate-800">
+          <div className="font-mono text-slate-300 break-all">
+            <span className="text-slate-500">#{i + 1}</span>{" "}
+            {decoded ? decoded.signature : action.calldata === "0x" ? "ETH transfer" : "Unknown function"}
+          </div>
+          <div className="text-slate-500 mt-1 break-all">→ {action.target}</div>
+          {action.value > BigInt(0) && <div className="text-slate-500">Value: {ethers.formatEther(action.value)} ETH</div>}
+          {decoded && decoded.args.length > 0 && (
+            <ul className="mt-1 space-y-0.5">
+              {decoded.args.map(arg => (
+                <li key={arg.name} className="font-mono text-slate-400 break-all">
+                  {arg.name} <span className="text-slate-600">({arg.type})</span>: {arg.value}
+                </li>
+              ))}
+            </ul>
+          )}
+        </li>
+      );
+    })}
+  </ol>
+);
+
+/**
+ * Review page of a shared proposal draft: its Markdown body, voting type and decoded actions, and signed
+ * comments from co-authors. The draft is submitted on-chain from the dashboard.
+ */
+export default function DraftReviewPage() {
+  const { id } = useParams<{ id: string }>();
+  const [draft, setDraft] = useState<SharedDraft | null>(null);
+  const [comment, setComment] = useState("");
+  const [posting, setPosting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetchDraft(id)
+      .then(setDraft)
+      .catch((e: unknown) => setError(e instanceof Error ? e.message : String(e)));
+  }, [id]);
+
+  const submitComment = async () => {
+    if (!window.ethereum) {
+      setError("Connect a wallet to sign your comment");
+      return;
+    }
+    setError(null);
+    try {
+      setPosting(true);
+      const signer = await new ethers.BrowserProvider(window.ethereum).getSigner();
+      const body = comment.trim();
+      const signature = await signer.signMessage(commentMessage(id, body));
+      const posted = await postComment(id, await signer.getAddress(), body, signature);
+      setDraft(current => (current ? { ...current, comments: [...current.comments, posted] } : current));
+      setComment("");
+    } catch (e: unknown) {
+      setError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  const content = draft?.content;
+  const tags = content?.metadata.tags
+    .split(",")
+    .map(tag => tag.trim())
+    .filter(Boolean);
+
+  return (
+    <div className="min-h-screen bg-slate-950 text-white font-sans p-8">
+      <header className="mb-8 border-b border-slate-800 pb-4">
+        <Link href="/" className="text-sm text-slate-400 hover:text-slate-200 flex items-center gap-1 mb-3">
+          <ArrowLeft size={14} /> All proposals
+        </Link>
+        {draft && content ? (
+          <>
+            <div className="flex items-center gap-3 mb-1">
+              <span className="px-2 py-0.5 rounded text-xs font-bold uppercase tracking-wider bg-slate-700 text-slate-300">
+                Draft
+              </span>
+              <span className="text-xs text-slate-500 border border-slate-700 px-2 py-0.5 rounded">
+                {VotingTypeName[content.votingType]}
+              </span>
+              {content.votingType === 1 && content.requireRegistration && (
+                <span className="text-xs text-green-400 border border-green-800 px-2 py-0.5 rounded">
+                  Registered voters only
+                </span>
+              )}
+            </div>
+            <h1 data-testid="draft-title" className="text-2xl font-bold text-slate-100">
+              {content.title.trim() || "Untitled draft"}
+            </h1>
+            <p className="text-xs text-slate-500 mt-1">
+              Last edited {new Date(draft.updatedAt).toLocaleString()} ·{" "}
+              <Link href={`/?draft=${draft.id}`} className="text-blue-400 hover:underline">
+                Open in dashboard to submit
+              </Link>
+            </p>
+          </>
+        ) : (
+          !error && <Loader2 className="animate-spin text-slate-500" />
+        )}
+      </header>
+
+      {error && (
+        <div className="bg-red-500/10 border border-red-500/50 text-red-400 p-4 rounded-lg mb-8 flex items-center gap-2">
+          <AlertCircle size={20} />
+          {error}
+        </div>
+      )}
+
+      {draft && content && (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          <div className="lg:col-span-2 space-y-8">
+            <section className="bg-slate-900 rounded-xl p-6 border border-slate-800 space-y-3">
+              {content.metadata.summary && <p className="text-slate-300">{content.metadata.summary}</p>}
+              <Markdown source={content.metadata.body || "_No body yet_"} />
+              {content.metadata.discussion && (
+                <a
+                  href={content.metadata.discussion}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-xs text-blue-400 hover:underline break-all"
+                >
+                  {content.metadata.discussion}
+                </a>
+              )}
+              {tags && tags.length > 0 && (
+                <div className="flex flex-wrap gap-1">
+                  {tags.map(tag => (
+                    <span key={tag} className="text-xs bg-slate-800 text-slate-400 px-2 py-0.5 rounded">
+                      {tag}
+                    </span>
+                  ))}
+                </div>
+              )}
+            </section>
+
+            <section className="bg-slate-900 rounded-xl p-6 border border-slate-800">
+              <h2 className="text-lg font-semibold mb-4">Comments ({draft.comments.length})</h2>
+              <ul className="space-y-3 mb-4">
+                {draft.comments.map(c => (
+                  <li key={c.signature} data-testid="draft-comment" className="bg-slate-950 rounded-lg p-3 border border-slate-800">
+                    <div className="text-xs text-slate-500 mb-1">
+                      <span className="font-mono">{c.author}</span> · {new Date(c.createdAt).toLocaleString()}
+                    </div>
+                    <p className="text-sm text-slate-300 whitespace-pre-wrap">{c.body}</p>
+                  </li>
+                ))}
+              </ul>
+              <textarea
+                className="w-full bg-slate-800 border border-slate-700 rounded-lg p-3 text-sm focus:ring-2 focus:ring-blue-500 outline-none"
+                rows={3}
+                value={comment}
+                onChange={e => setComment(e.target.value)}
+                placeholder="Suggest a change..."
+              />
+              <button
+                onClick={submitComment}
+                disabled={posting || !comment.trim()}
+                className="mt-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm disabled:opacity-50"
+              >
+                {posting ? <Loader2 className="animate-spin" size={16} /> : "Sign & comment"}
+              </button>
+            </section>
+          </div>
+
+          <div className="space-y-8">
+            <section className="bg-slate-900 rounded-xl p-6 border border-slate-800">
+              {isMultiOption(content.votingType) ? (
+                <>
+                  <h2 className="text-lg font-semibold mb-4">Options ({content.options.length})</h2>
+                  <div className="space-y-4">
+                    {content.options.map((option, i) => (
+                      <div key={i}>
+                        <div className="text-sm text-blue-300 mb-2">{option.label.trim() || `Option ${i + 1}`}</div>
+                        {option.actions.length > 0 ? (
+                          <ActionList actions={option.actions} />
+                        ) : (
+                          <p className="text-xs text-slate-500">Executes nothing if it wins.</p>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </>
+              ) : (
+                <>
+                  <h2 className="text-lg font-semibold mb-4">Actions ({content.actions.length})</h2>
+                  <ActionList actions={content.actions} />
+                </>
+              )}
+            </section>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
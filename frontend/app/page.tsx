@@ -1,13 +1,75 @@
 "use client";
 
-import { useState, useEffect } from "react";
-import { ethers, BrowserProvider, Contract } from "ethers";
-import { Copy, Vote, ExternalLink, Loader2, Plus, Wallet, AlertCircle } from "lucide-react";
+import { useState, useEffect, useMemo, useRef } from "react";
+import Link from "next/link";
+import { ethers, BrowserProvider, Contract, EventLog } from "ethers";
+import {
+  Copy,
+  Vote,
+  ExternalLink,
+  Loader2,
+  Plus,
+  Wallet,
+  AlertCircle,
+  Clock,
+  Play,
+  Ban,
+  ShieldCheck,
+  Landmark,
+  FileText,
+  BarChart3,
+} from "lucide-react";
 import clsx from "clsx";
+import ProposalBuilder from "../src/components/ProposalBuilder";
+import QuadraticSplitBallot from "../src/components/QuadraticSplitBallot";
+import DelegateDirectory from "../src/components/DelegateDirectory";
+import DelegatePanel from "../src/components/DelegatePanel";
+import QuorumProgress from "../src/components/QuorumProgress";
+import VoterRegistryPanel from "../src/components/VoterRegistryPanel";
+import ConvictionMultiplier from "../src/components/ConvictionMultiplier";
+import OptionsBuilder from "../src/components/OptionsBuilder";
+import OptionsBallot from "../src/components/OptionsBallot";
+import OptionResults from "../src/components/OptionResults";
+import TreasuryPanel from "../src/components/TreasuryPanel";
+import MetadataFields from "../src/components/MetadataFields";
+import ProposalMetadataView from "../src/components/ProposalMetadataView";
+import DraftsWorkspace from "../src/components/DraftsWorkspace";
+import ProposalSimulation from "../src/components/ProposalSimulation";
+import { ProposalAction } from "../src/lib/proposalActions";
+import {
+  APPROVAL,
+  DraftOption,
+  RANKED_CHOICE,
+  VOTE_TYPE_OPTIONS,
+  describeOptionsBallot,
+  encodeOptionsBallot,
+  flattenOptions,
+  isMultiOption,
+} from "../src/lib/options";
+import { MetadataDraft, emptyMetadataDraft, hasMetadata, parseDescription, publishMetadata } from "../src/lib/metadata";
+import { DraftContent, markDraftSubmitted } from "../src/lib/drafts";
+import { signBallot, submitToRelayer } from "../src/lib/ballots";
+import { describeError } from "../src/lib/errors";
+import { GovernanceEvent, subscribeToGovernance } from "../src/lib/subscriptions";
+import { signDelegation, submitDelegation } from "../src/lib/delegations";
+import { IndexedProposal, aliasMessage, fetchProposals, registerAlias, waitForIndexedBlock } from "../src/lib/indexer";
 
-const addresses = require("../src/artifacts/addresses.json");
-const GovernanceTokenABI = require("../src/artifacts/contracts/GovernanceToken.sol/GovernanceToken.json");
-const MyGovernorABI = require("../src/artifacts/contracts/MyGovernor.sol/MyGovernor.json");
+import {
+  BUNDLED_ABI_HASH,
+  CONVICTION,
+  Deployment,
+  GovernanceTokenABI,
+  MyGovernorABI,
+  ProposalState,
+  RPC_URL,
+  TreasuryABI,
+  VoterRegistryABI,
+  VotingTypeName,
+  abiSources,
+  abiSourcesFor,
+  getDeployment,
+  supportedNetworks,
+} from "../src/lib/contracts";
 
 // Types
 type Proposal = {
@@ -24,16 +86,169 @@ type Proposal = {
   forVotes: bigint;
   againstVotes: bigint;
   abstainVotes: bigint;
+  // proposalParticipation / proposalQuorum; quorum is null while the proposal is Pending
+  participation: bigint;
+  quorum: bigint | null;
   votingType: number;
+  // Registry Quadratic voters must be registered in; null if the proposal does not require registration
+  voterRegistry: string | null;
+  eta: bigint;
+  // Connected account's accumulated quadratic ballot (QV proposals only)
+  myQuadraticVotes: bigint;
+  myQuadraticCost: bigint;
+  myQuadraticSupport: number;
+  // Approval and RankedChoice proposals: option labels, current tally and the connected account's ballot
+  // (null until it votes; empty if the ballot itself is unknown)
+  options: string[] | null;
+  optionResults: { rounds: bigint[][]; decided: boolean; winner: number } | null;
+  myOptions: number[] | null;
 };
 
-const ProposalState = ["Pending", "Active", "Canceled", "Defeated", "Succeeded", "Queued", "Expired", "Executed"];
+const emptyOptions = (): DraftOption[] => [
+  { label: "", actions: [] },
+  { label: "", actions: [] },
+];
+
+// Maps an indexer record (decimal strings) to the dashboard's proposal shape
+const fromIndexed = (p: IndexedProposal): Proposal => {
+  const ballot = p.voterBallot;
+  const myVotes = ballot ? BigInt(ballot.againstVotes) + BigInt(ballot.forVotes) + BigInt(ballot.abstainVotes) : BigInt(0);
+  return {
+    id: p.id,
+    proposer: p.proposer,
+    targets: p.targets,
+    values: p.values,
+    signatures: p.signatures,
+    calldatas: p.calldatas,
+    startBlock: BigInt(p.voteStart),
+    endBlock: BigInt(p.voteEnd),
+    description: p.description,
+    state: p.state,
+    forVotes: BigInt(p.forVotes),
+    againstVotes: BigInt(p.againstVotes),
+    abstainVotes: BigInt(p.abstainVotes),
+    participation: BigInt(p.participation),
+    quorum: p.quorum === null ? null : BigInt(p.quorum),
+    votingType: p.votingType,
+    voterRegistry: p.voterRegistry,
+    eta: BigInt(p.eta),
+    myQuadraticVotes: p.votingType === 1 ? myVotes : BigInt(0),
+    myQuadraticCost: p.votingType === 1 && ballot ? BigInt(ballot.cost) : BigInt(0),
+    myQuadraticSupport: ballot ? ballot.support : 0,
+    options: p.options ? p.options.map(option => option.label) : null,
+    optionResults: p.optionResults && {
+      rounds: p.optionResults.rounds.map(round => round.map(votes => BigInt(votes))),
+      decided: p.optionResults.decided,
+      winner: p.optionResults.winner,
+    },
+    myOptions: ballot?.options ?? null,
+  };
+};
+
+// Fields of a proposal that change after creation: tallies, state and the connected account's ballot
+type ProposalStatus = Pick<
+  Proposal,
+  | "state"
+  | "forVotes"
+  | "againstVotes"
+  | "abstainVotes"
+  | "participation"
+  | "quorum"
+  | "eta"
+  | "myQuadraticVotes"
+  | "myQuadraticCost"
+  | "myQuadraticSupport"
+  | "optionResults"
+  | "myOptions"
+>;
+
+const readProposalStatus = async (gov: Contract, id: string, votingType: number, user: string): Promise<ProposalStatus> => {
+  const state = Number(await gov.state(id));
+  const votes = await gov.proposalVotes(id);
+  const [qvVotes, qvCost, qvSupport] = votingType === 1 ? await gov.quadraticBallot(id, user) : [BigInt(0), BigInt(0), 0];
+  // The ballot of a multi-option proposal is only in the vote params, so only whether the account voted is known
+  let optionResults: Proposal["optionResults"] = null;
+  let myOptions: number[] | null = null;
+  if (isMultiOption(votingType)) {
+    const [rounds, decided, winner] = await gov.optionResults(id);
+    optionResults = { rounds: rounds.map((round: bigint[]) => [...round]), decided, winner: Number(winner) };
+    myOptions = (await gov.hasVoted(id, user)) ? [] : null;
+  }
+  return {
+    state,
+    forVotes: votes[1],
+    againstVotes: votes[0],
+    abstainVotes: votes[2],
+    participation: await gov.proposalParticipation(id),
+    // The quorum's total supply lookup reverts until the snapshot block has passed
+    quorum: state === 0 ? null : await gov.proposalQuorum(id),
+    eta: await gov.proposalEta(id),
+    myQuadraticVotes: qvVotes,
+    myQuadraticCost: qvCost,
+    myQuadraticSupport: Number(qvSupport),
+    optionResults,
+    myOptions,
+  };
+};
+
+// Reads a proposal from its ProposalCreated event and the governor's current view of it
+const readProposal = async (gov: Contract, event: EventLog, user: string): Promise<Proposal> => {
+  const args = event.args;
+  const id = args[0].toString();
+  const votingType = Number(await gov.proposalVotingTypes(id));
+  const voterRegistry: string = await gov.proposalVoterRegistry(id);
+  // Multi-option proposals: labels from ProposalOptionsCreated, emitted in the same transaction
+  let options: string[] | null = null;
+  if (isMultiOption(votingType)) {
+    const [created] = await gov.queryFilter(gov.filters.ProposalOptionsCreated(id), event.blockNumber, event.blockNumber);
+    options = created && "args" in created ? [...created.args.labels] : [];
+  }
+  return {
+    id,
+    proposer: args[1],
+    targets: [...args[2]],
+    values: [...args[3]],
+    signatures: [...args[4]],
+    calldatas: [...args[5]],
+    startBlock: args[6],
+    endBlock: args[7],
+    description: args[8],
+    votingType,
+    voterRegistry: voterRegistry === ethers.ZeroAddress ? null : voterRegistry,
+    options,
+    ...(await readProposalStatus(gov, id, votingType, user)),
+  };
+};
+
+// Formats the remaining timelock delay as e.g. "1h 02m 05s"
+const formatCountdown = (seconds: number) => {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  return `${h > 0 ? `${h}h ` : ""}${String(m).padStart(2, "0")}m ${String(s).padStart(2, "0")}s`;
+};
+
+// A quadratic ballot can only be topped up on the side it was first cast on
+const isQuadraticTopUp = (p: Proposal, support: number) =>
+  p.votingType === 1 && p.myQuadraticVotes > BigInt(0) && p.myQuadraticSupport === support;
+
+// GovernorCountingQuadratic.VOTE_TYPE_SPLIT
+const SPLIT_SUPPORT = 255;
+
+// MyGovernor.vetoProposal: Pending, Active, Succeeded or Queued; proposers may cancel while Pending or Active
+const VETOABLE_STATES = [0, 1, 4, 5];
+const CANCELLABLE_STATES = [0, 1];
+
+const isQuadraticSideLocked = (p: Proposal, support: number) =>
+  p.votingType === 1 && p.myQuadraticVotes > BigInt(0) && p.myQuadraticSupport !== support;
 
 export default function Home() {
   const [account, setAccount] = useState<string | null>(null);
   const [provider, setProvider] = useState<BrowserProvider | null>(null);
   const [governor, setGovernor] = useState<Contract | null>(null);
   const [token, setToken] = useState<Contract | null>(null);
+  const [registry, setRegistry] = useState<Contract | null>(null);
+  const [treasury, setTreasury] = useState<Contract | null>(null);
   const [proposals, setProposals] = useState<Proposal[]>([]);
   const [loading, setLoading] = useState(false);
   const [votingPower, setVotingPower] = useState("0");
@@ -41,28 +256,44 @@ export default function Home() {
   const [blockNumber, setBlockNumber] = useState(0);
   const [error, setError] = useState<string | null>(null);
   const [chainId, setChainId] = useState<number | null>(null);
+  // Deployment recorded for the wallet's network (null when there is none)
+  const [deployment, setDeployment] = useState<Deployment | null>(null);
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+  const [view, setView] = useState<"proposals" | "treasury">("proposals");
 
   // Form states
   const [desc, setDesc] = useState("");
+  const [metadataDraft, setMetadataDraft] = useState<MetadataDraft>(emptyMetadataDraft);
   const [votingType, setVotingType] = useState(0);
+  const [requireRegistration, setRequireRegistration] = useState(false);
+  const [actions, setActions] = useState<ProposalAction[]>([]);
+  const [options, setOptions] = useState<DraftOption[]>(emptyOptions);
+  // Local draft the proposal form autosaves into
+  const [activeDraftId, setActiveDraftId] = useState<string | null>(null);
+  const [splitBallot, setSplitBallot] = useState<{ proposalId: string; budget: bigint } | null>(null);
+  // Sign ballots off-chain and hand them to the relayer instead of sending transactions
+  const [gasless, setGasless] = useState(false);
+  const [currentDelegate, setCurrentDelegate] = useState<string>(ethers.ZeroAddress);
+  const [guardian, setGuardian] = useState<string>(ethers.ZeroAddress);
+  const [delegateTarget, setDelegateTarget] = useState("");
+  // Optional rationale per proposal, attached to the next vote cast on it
+  const [reasons, setReasons] = useState<Record<string, string>>({});
+  // Latest values for listeners that are subscribed once: the account and network switch handlers and the
+  // proposal list
+  const accountsChangedRef = useRef<(accounts: string[]) => void>(() => {});
+  const chainChangedRef = useRef<() => void>(() => {});
+  const proposalsRef = useRef<Proposal[]>([]);
 
   useEffect(() => {
     if (typeof window !== "undefined" && window.ethereum) {
       const p = new ethers.BrowserProvider(window.ethereum);
       setProvider(p);
 
-      // Listener for network changes
-      window.ethereum.on("chainChanged", (chainId: string) => {
-        console.log("Network changed to:", chainId);
-        window.location.reload();
-      });
-
-      // Listener for account changes
-      window.ethereum.on("accountsChanged", (accounts: string[]) => {
-        console.log("Account changed:", accounts[0]);
-        setAccount(accounts[0] || null);
-        window.location.reload();
-      });
+      // Listener for network changes; the dashboard rebinds to the new network's deployment in place
+      window.ethereum.on("chainChanged", () => chainChangedRef.current());
+
+      // Listener for account changes; the dashboard reconnects as the new account in place
+      window.ethereum.on("accountsChanged", (accounts: string[]) => accountsChangedRef.current(accounts));
     } else {
       setError("MetaMask not detected. Please install MetaMask to use this app.");
     }
@@ -76,6 +307,12 @@ export default function Home() {
     };
   }, []);
 
+  // Ticks once per second to drive the timelock ETA countdowns
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
   const connectWallet = async () => {
     if (!provider) {
       setError("MetaMask not available");
@@ -83,61 +320,225 @@ export default function Home() {
     }
 
     try {
-      setLoading(true);
-      setError(null);
-
       // Request accounts
       const accounts = await provider.send("eth_requestAccounts", []);
-      setAccount(accounts[0]);
+      await connectAccount(accounts[0]);
+    } catch (e: unknown) {
+      console.error("Connection error:", e);
+      setError(describeError(e));
+    }
+  };
+
+  // Connects as `user`: checks the network, binds the contracts to the account's signer and loads its data.
+  // `walletProvider` replaces the provider in state when the network has just changed.
+  const connectAccount = async (user: string, walletProvider: BrowserProvider | null = provider) => {
+    if (!walletProvider) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      setAccount(user);
+      setSplitBallot(null);
 
       // Check network
-      const network = await provider.getNetwork();
+      const network = await walletProvider.getNetwork();
       const currentChainId = Number(network.chainId);
       setChainId(currentChainId);
 
-      // Check if on correct network (Hardhat = 31337)
-      if (currentChainId !== 31337) {
-        setError(`Wrong network! Please connect to Hardhat network (Chain ID: 31337). Current: ${currentChainId}`);
-        setLoading(false);
+      // Use the contracts deployed on the wallet's network
+      const current = getDeployment(currentChainId);
+      setDeployment(current);
+      if (!current) {
+        const supported = supportedNetworks.map(d => `${d.network} (${d.chainId})`).join(", ");
+        setError(`No governance deployment on chain ${currentChainId}. Supported networks: ${supported || "none yet"}`);
         return;
       }
+      const { addresses } = current;
 
-      // Check if contracts are deployed
-      if (!addresses.token || !addresses.governor) {
-        setError("Contracts not deployed. Please wait for hardhat node to deploy contracts.");
-        setLoading(false);
-        return;
-      }
-
-      const signer = await provider.getSigner();
-      const govContract = new ethers.Contract(addresses.governor, MyGovernorABI.abi, signer);
-      const tokenContract = new ethers.Contract(addresses.token, GovernanceTokenABI.abi, signer);
+      const signer = await walletProvider.getSigner(user);
+      const govContract = new ethers.Contract(addresses.governor, MyGovernorABI, signer);
+      const tokenContract = new ethers.Contract(addresses.token, GovernanceTokenABI, signer);
 
       // Verify contracts are actually deployed
       try {
         await govContract.name();
         await tokenContract.name();
-      } catch (e) {
+      } catch {
         setError("Contracts not properly deployed at the specified addresses.");
-        setLoading(false);
         return;
       }
 
       setGovernor(govContract);
       setToken(tokenContract);
+      if (addresses.voterRegistry) {
+        setRegistry(new ethers.Contract(addresses.voterRegistry, VoterRegistryABI, signer));
+      }
+      if (addresses.treasury) {
+        setTreasury(new ethers.Contract(addresses.treasury, TreasuryABI, signer));
+      }
 
-      await refreshData(govContract, tokenContract, accounts[0]);
-    } catch (err: any) {
-      console.error("Connection error:", err);
-      setError(err.message || "Failed to connect wallet");
+      await refreshData(govContract, tokenContract, user);
+    } catch (e: unknown) {
+      console.error("Connection error:", e);
+      setError(describeError(e));
     } finally {
       setLoading(false);
     }
   };
 
+  // Asks the wallet to switch to a supported network; chainChanged reconnects the dashboard once it has
+  const switchNetwork = async (target: Deployment) => {
+    const chainIdHex = ethers.toQuantity(target.chainId);
+    try {
+      await window.ethereum.request({ method: "wallet_switchEthereumChain", params: [{ chainId: chainIdHex }] });
+    } catch (switchError: unknown) {
+      // 4902: the wallet does not know the chain. Only the local node's RPC URL is known here.
+      if ((switchError as { code?: number }).code !== 4902) {
+        console.error("Network switch failed:", switchError);
+        return;
+      }
+      if (target.chainId !== 31337) {
+        alert(`Add ${target.network} (chain ${target.chainId}) to your wallet, then switch to it.`);
+        return;
+      }
+      try {
+        await window.ethereum.request({
+          method: "wallet_addEthereumChain",
+          params: [
+            {
+              chainId: chainIdHex,
+              chainName: "Hardhat Local",
+              rpcUrls: [RPC_URL],
+              nativeCurrency: {
+                name: "GO Token",
+                symbol: "GO", // Symbol match user pref
+                decimals: 18,
+              },
+            },
+          ],
+        });
+      } catch (addError) {
+        console.error("Failed to add network:", addError);
+        alert(`Failed to add network automatically. Please add ${RPC_URL} manually.`);
+      }
+    }
+  };
+
+  // Drops the contracts and the account's data; unbinding the contracts also ends the live subscriptions
+  const unbindContracts = () => {
+    setGovernor(null);
+    setToken(null);
+    setRegistry(null);
+    setTreasury(null);
+    setProposals([]);
+    setVotingPower("0");
+    setBalance("0");
+  };
+
+  // Follows account switches in the wallet once connected; an empty list means the wallet disconnected
+  const switchAccount = (accounts: string[]) => {
+    if (!account) return;
+    if (accounts[0]) {
+      connectAccount(accounts[0]);
+      return;
+    }
+    setAccount(null);
+    unbindContracts();
+  };
+
+  // Follows network switches in the wallet: a BrowserProvider and the contracts are bound to one network, so
+  // both are recreated and, once connected, the account reconnects to the new network's deployment
+  const switchChain = () => {
+    const next = new ethers.BrowserProvider(window.ethereum);
+    setProvider(next);
+    setDeployment(null);
+    setChainId(null);
+    unbindContracts();
+    if (account) connectAccount(account, next);
+  };
+
+  useEffect(() => {
+    accountsChangedRef.current = switchAccount;
+    chainChangedRef.current = switchChain;
+  });
+
+  useEffect(() => {
+    proposalsRef.current = proposals;
+  }, [proposals]);
+
+  // Live updates: new proposals, everyone's votes, state transitions and voting power changes are applied in place
+  useEffect(() => {
+    if (!governor || !token || !account) return;
+    let active = true;
+    const user = account.toLowerCase();
+    const warn = (e: unknown) => console.warn("Live update failed:", e);
+
+    const refreshProposals = async (ids: string[]) => {
+      const changed = proposalsRef.current.filter(p => ids.includes(p.id));
+      const statuses = await Promise.all(changed.map(p => readProposalStatus(governor, p.id, p.votingType, account)));
+      if (!active) return;
+      setProposals(current =>
+        current.map(p => {
+          const i = changed.findIndex(c => c.id === p.id);
+          if (i < 0) return p;
+          // The chain only knows whether the account voted on options; keep the ballot already known
+          return { ...p, ...statuses[i], myOptions: statuses[i].myOptions && (p.myOptions ?? statuses[i].myOptions) };
+        })
+      );
+    };
+
+    const onEvent = (event: GovernanceEvent) => {
+      switch (event.kind) {
+        case "block": {
+          setBlockNumber(event.blockNumber);
+          // Pending proposals open and Active ones close as blocks pass
+          const due = proposalsRef.current.filter(
+            p =>
+              (p.state === 0 && event.blockNumber >= Number(p.startBlock)) ||
+              (p.state === 1 && event.blockNumber >= Number(p.endBlock))
+          );
+          if (due.length > 0) refreshProposals(due.map(p => p.id)).catch(warn);
+          break;
+        }
+        case "proposalCreated":
+          readProposal(governor, event.log, account)
+            .then(created => {
+              if (!active) return;
+              setProposals(current => (current.some(p => p.id === created.id) ? current : [created, ...current]));
+            })
+            .catch(warn);
+          break;
+        case "proposalChanged":
+          refreshProposals([event.proposalId]).catch(warn);
+          break;
+        case "votesChanged":
+          if (event.delegate.toLowerCase() === user) setVotingPower(ethers.formatEther(event.votes));
+          break;
+        case "delegateChanged":
+          if (event.delegator.toLowerCase() === user) setCurrentDelegate(event.delegate);
+          break;
+        case "transfer":
+          if (event.from.toLowerCase() === user || event.to.toLowerCase() === user) {
+            token
+              .balanceOf(account)
+              .then((bal: bigint) => active && setBalance(ethers.formatEther(bal)))
+              .catch(warn);
+          }
+          break;
+      }
+    };
+
+    const unsubscribe = subscribeToGovernance(governor, token, onEvent);
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [governor, token, account]);
+
   const refreshData = async (gov: Contract, tok: Contract, user: string) => {
     try {
-      const bn = await provider!.getBlockNumber();
+      // The contracts' provider, which is the new one right after a network switch
+      const bn = await gov.runner!.provider!.getBlockNumber();
       setBlockNumber(bn);
 
       // Get voting power (must delegate first)
@@ -147,45 +548,47 @@ export default function Home() {
       // Get balance
       const bal = await tok.balanceOf(user);
       setBalance(ethers.formatEther(bal));
+      setCurrentDelegate(await tok.delegates(user));
+      setGuardian(await gov.guardian());
 
-      // Fetch proposals
-      const filter = gov.filters.ProposalCreated();
-      const events = await gov.queryFilter(filter, 0, "latest");
+      // Fetch proposals from the indexer; scan the chain directly only if it is not running
+      try {
+        await waitForIndexedBlock(bn);
+        setProposals((await fetchProposals(user)).map(fromIndexed));
+        return;
+      } catch (indexerError) {
+        console.warn("Indexer unavailable, reading proposals from the chain:", indexerError);
+      }
 
+      const events = await gov.queryFilter(gov.filters.ProposalCreated(), 0, "latest");
       const fetchedProposals: Proposal[] = [];
       for (const event of events.reverse()) {
-        if ('args' in event) {
-          const args = event.args;
-          const id = args[0];
-          const state = await gov.state(id);
-          const votes = await gov.proposalVotes(id);
-          const vType = await gov.proposalVotingTypes(id);
-
-          fetchedProposals.push({
-            id: id.toString(),
-            proposer: args[1],
-            targets: args[2],
-            values: args[3],
-            signatures: args[4],
-            calldatas: args[5],
-            startBlock: args[6],
-            endBlock: args[7],
-            description: args[8],
-            state: Number(state),
-            forVotes: votes[1],
-            againstVotes: votes[0],
-            abstainVotes: votes[2],
-            votingType: Number(vType)
-          });
-        }
+        if ("args" in event) fetchedProposals.push(await readProposal(gov, event, user));
       }
       setProposals(fetchedProposals);
-    } catch (e: any) {
+    } catch (e: unknown) {
       console.error("Refresh error:", e);
-      setError("Failed to fetch data: " + e.message);
+      setError("Failed to fetch data: " + describeError(e));
     }
   };
 
+  // The builder offers the connected network's contracts; the read-only network's until a wallet connects
+  const sources = useMemo(() => (deployment ? abiSourcesFor(deployment.addresses) : abiSources), [deployment]);
+
+  const draftContent = useMemo<DraftContent>(
+    () => ({ title: desc, metadata: metadataDraft, votingType, requireRegistration, actions, options }),
+    [desc, metadataDraft, votingType, requireRegistration, actions, options]
+  );
+
+  const loadDraft = (content: DraftContent) => {
+    setDesc(content.title);
+    setMetadataDraft(content.metadata);
+    setVotingType(content.votingType);
+    setRequireRegistration(content.requireRegistration);
+    setActions(content.actions);
+    setOptions(content.options);
+  };
+
   const createProposal = async () => {
     if (!governor || !token || !account) return;
 
@@ -204,26 +607,78 @@ export default function Home() {
         return;
       }
 
-      const calldata = token.interface.encodeFunctionData("transfer", [account, 0]);
+      // Structured metadata is stored by content hash; the description carries the title and the identifier
+      const description = hasMetadata(metadataDraft) ? await publishMetadata(desc, metadataDraft) : desc;
 
-      const tx = (votingType === 1)
-        ? await governor["propose(address[],uint256[],bytes[],string,uint8)"]([addresses.token], [0], [calldata], desc, 1)
-        : await governor["propose(address[],uint256[],bytes[],string)"]([addresses.token], [0], [calldata], desc);
+      let tx;
+      if (isMultiOption(votingType)) {
+        // Only the winning option's slice of the actions is executed
+        const { targets, values, calldatas, labels, optionEnds } = flattenOptions(options);
+        tx = await governor.proposeWithOptions(targets, values, calldatas, labels, optionEnds, description, votingType);
+      } else {
+        tx = await governor["propose(address[],uint256[],bytes[],string,uint8,bool)"](
+          actions.map(a => a.target),
+          actions.map(a => a.value),
+          actions.map(a => a.calldata),
+          description,
+          votingType,
+          votingType === 1 && requireRegistration
+        );
+      }
 
       await tx.wait();
       await refreshData(governor, token, account);
+      if (activeDraftId) markDraftSubmitted(activeDraftId);
+      setActiveDraftId(null);
       setDesc("");
+      setMetadataDraft(emptyMetadataDraft());
+      setActions([]);
+      setOptions(emptyOptions());
+      setRequireRegistration(false);
       alert("Proposal submitted to the governance protocol.");
-    } catch (e: any) {
+    } catch (e: unknown) {
       console.error("Proposal error:", e);
-      setError(e.reason || e.message);
+      setError(describeError(e));
     } finally {
       setLoading(false);
     }
   };
 
+  // The registry is owned by the timelock, so allowlist edits go through a proposal
+  const draftAllowlist = (voters: string[], registered: boolean) => {
+    if (!deployment) return;
+    const signature = "setRegistered(address[],bool)";
+    setActions(current => [
+      ...current,
+      {
+        target: deployment.addresses.voterRegistry,
+        value: BigInt(0),
+        calldata: new ethers.Interface(VoterRegistryABI).encodeFunctionData(signature, [voters, registered]),
+        signature,
+        abiName: "VoterRegistry",
+      },
+    ]);
+    if (!desc) {
+      setDesc(`${registered ? "Register" : "Unregister"} ${voters.length} voter${voters.length === 1 ? "" : "s"} in the voter registry`);
+    }
+  };
+
+  // The treasury is owned by the timelock, so payments go through a proposal
+  const draftPayout = (action: ProposalAction, description: string) => {
+    setActions(current => [...current, action]);
+    if (!desc) {
+      setDesc(description);
+    }
+  };
+
   const castVote = async (proposalId: string, support: number, isQV: boolean) => {
-    if (!governor || !token || !account) return;
+    if (!governor || !token || !account || !provider) return;
+
+    const reason = (reasons[proposalId] ?? "").trim();
+    if (gasless && reason) {
+      setError("Reasons are only recorded with on-chain votes. Clear the reason or turn off gasless signing.");
+      return;
+    }
 
     try {
       setLoading(true);
@@ -231,56 +686,252 @@ export default function Home() {
 
       let tx;
       if (isQV) {
-        const input = prompt("Enter number of votes to cast (Quadratic Cost = Votes²):");
+        const [remaining]: [bigint] = await governor.getQuadraticVotingPower(proposalId, account);
+        const [votesCast, costUsed]: [bigint, bigint] = await governor.quadraticBallot(proposalId, account);
+
+        const input = prompt(
+          votesCast > BigInt(0)
+            ? `You hold ${ethers.formatEther(votesCast)} votes (cost ${ethers.formatEther(costUsed)}). ` +
+                "Enter additional votes (top-up cost = Total² − Previous²):"
+            : "Enter number of votes to cast (Quadratic Cost = Votes²):"
+        );
         if (!input) return;
 
-        const numVotes = parseFloat(input);
-        if (isNaN(numVotes) || numVotes <= 0) {
+        let numVotes: bigint;
+        try {
+          numVotes = ethers.parseEther(input.trim());
+        } catch {
+          numVotes = BigInt(0);
+        }
+        if (numVotes <= BigInt(0)) {
           setError("Invalid vote quantity");
           return;
         }
 
-        const cost = numVotes * numVotes;
-        const available = parseFloat(votingPower);
+        const newTotal = votesCast + numVotes;
+        const cost = (newTotal * newTotal) / ethers.WeiPerEther - costUsed;
 
-        if (cost > available) {
-          setError(`Insufficient voting power budget. Cost: ${cost} | Available: ${available}`);
+        if (cost > remaining) {
+          setError(
+            `Insufficient voting power budget. Cost: ${ethers.formatEther(cost)} | Available: ${ethers.formatEther(remaining)}`
+          );
           return;
         }
 
-        tx = await governor.castQuadraticVote(proposalId, support, ethers.parseEther(numVotes.toString()));
+        if (gasless) {
+          await submitToRelayer(await signBallot(await provider.getSigner(), governor, proposalId, support, numVotes));
+          alert("Signed ballot sent to the relayer. It will be counted with the next batch.");
+          return;
+        }
+        tx = reason
+          ? await governor.castQuadraticVoteWithReason(proposalId, support, numVotes, reason)
+          : await governor.castQuadraticVote(proposalId, support, numVotes);
       } else {
-        tx = await governor.castVote(proposalId, support);
+        if (gasless) {
+          await submitToRelayer(await signBallot(await provider.getSigner(), governor, proposalId, support));
+          alert("Signed ballot sent to the relayer. It will be counted with the next batch.");
+          return;
+        }
+        tx = reason
+          ? await governor.castVoteWithReason(proposalId, support, reason)
+          : await governor.castVote(proposalId, support);
       }
 
       await tx.wait();
+      setReasons({ ...reasons, [proposalId]: "" });
       alert("Vote successfully recorded on-chain.");
       await refreshData(governor, token, account);
-    } catch (e: any) {
+    } catch (e: unknown) {
       console.error("Vote error:", e);
-      // Attempt to parse custom errors from the contract
-      const errorMsg = e.reason || e.data?.message || e.message;
-      setError(errorMsg);
+      setError(describeError(e));
     } finally {
       setLoading(false);
     }
   };
 
-  const delegate = async () => {
-    if (!token || !account) return;
+  // Approval and ranked-choice ballots go through the generic params entry point and are always sent on-chain
+  const castOptionsVote = async (proposalId: string, chosen: number[]) => {
+    if (!governor || !token || !account) return;
 
     try {
       setLoading(true);
       setError(null);
 
-      const tx = await token.delegate(account);
+      const reason = (reasons[proposalId] ?? "").trim();
+      const tx = await governor.castVoteWithReasonAndParams(proposalId, VOTE_TYPE_OPTIONS, reason, encodeOptionsBallot(chosen));
+      await tx.wait();
+      setReasons({ ...reasons, [proposalId]: "" });
+      alert("Ballot successfully recorded on-chain.");
+      await refreshData(governor, token, account);
+    } catch (e: unknown) {
+      console.error("Options vote error:", e);
+      setError(describeError(e));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openSplitBallot = async (proposalId: string) => {
+    if (!governor || !account) return;
+
+    try {
+      const [remaining]: [bigint] = await governor.getQuadraticVotingPower(proposalId, account);
+      setSplitBallot({ proposalId, budget: remaining });
+    } catch (e: unknown) {
+      console.error("Split ballot error:", e);
+      setError(describeError(e));
+    }
+  };
+
+  const castSplitVote = async (proposalId: string, againstVotes: bigint, forVotes: bigint, abstainVotes: bigint) => {
+    if (!governor || !token || !account) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      // The generic params entry point routes split ballots the same way and carries the reason
+      const reason = (reasons[proposalId] ?? "").trim();
+      const tx = reason
+        ? await governor.castVoteWithReasonAndParams(
+            proposalId,
+            SPLIT_SUPPORT,
+            reason,
+            ethers.AbiCoder.defaultAbiCoder().encode(["uint256", "uint256", "uint256"], [againstVotes, forVotes, abstainVotes])
+          )
+        : await governor.castQuadraticSplitVote(proposalId, againstVotes, forVotes, abstainVotes);
+      await tx.wait();
+      setSplitBallot(null);
+      setReasons({ ...reasons, [proposalId]: "" });
+      alert("Split ballot successfully recorded on-chain.");
+      await refreshData(governor, token, account);
+    } catch (e: unknown) {
+      console.error("Split vote error:", e);
+      setError(describeError(e));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const queueProposal = async (p: Proposal) => {
+    if (!governor || !token || !account) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const tx = await governor.queue([...p.targets], [...p.values], [...p.calldatas], ethers.id(p.description));
+      await tx.wait();
+      alert("Proposal queued in the timelock.");
+      await refreshData(governor, token, account);
+    } catch (e: unknown) {
+      console.error("Queue error:", e);
+      setError("Failed to queue: " + describeError(e));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const executeProposal = async (p: Proposal) => {
+    if (!governor || !token || !account) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const tx = await governor.execute([...p.targets], [...p.values], [...p.calldatas], ethers.id(p.description));
+      await tx.wait();
+      alert("Proposal executed by the timelock.");
+      await refreshData(governor, token, account);
+    } catch (e: unknown) {
+      console.error("Execute error:", e);
+      setError("Failed to execute: " + describeError(e));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const isGuardian = !!account && account.toLowerCase() === guardian.toLowerCase();
+
+  const canCancel = (p: Proposal) =>
+    isGuardian
+      ? VETOABLE_STATES.includes(p.state)
+      : !!account && account.toLowerCase() === p.proposer.toLowerCase() && CANCELLABLE_STATES.includes(p.state);
+
+  // The guardian vetoes with a public reason; a proposer simply withdraws their own proposal
+  const cancelProposal = async (p: Proposal) => {
+    if (!governor || !token || !account) return;
+
+    const args = [[...p.targets], [...p.values], [...p.calldatas], ethers.id(p.description)];
+    let reason: string | null = null;
+    if (isGuardian) {
+      reason = window.prompt("Reason for vetoing this proposal (published on-chain):");
+      if (reason === null) return;
+    } else if (!window.confirm("Cancel your proposal? This cannot be undone.")) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const tx = reason !== null ? await governor.vetoProposal(...args, reason) : await governor.cancel(...args);
+      await tx.wait();
+      alert(reason !== null ? "Proposal vetoed." : "Proposal canceled.");
+      await refreshData(governor, token, account);
+    } catch (e: unknown) {
+      console.error("Cancel error:", e);
+      setError("Failed to cancel: " + describeError(e));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const delegate = async (delegatee: string, gasless = false) => {
+    if (!token || !account || !provider) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      if (gasless) {
+        await submitDelegation(await signDelegation(await provider.getSigner(), token, delegatee));
+        setDelegateTarget("");
+        alert("Signed delegation sent to the relayer. It takes effect with the next batch.");
+        return;
+      }
+
+      const tx = await token.delegate(delegatee);
       await tx.wait();
 
       await refreshData(governor!, token, account);
-      alert("Voting power activated! You can now vote and create proposals.");
-    } catch (e: any) {
+      setDelegateTarget("");
+      alert(
+        delegatee.toLowerCase() === account.toLowerCase()
+          ? "Voting power activated! You can now vote and create proposals."
+          : `Voting power delegated to ${delegatee}.`
+      );
+    } catch (e: unknown) {
       console.error("Delegate error:", e);
-      setError("Failed to delegate: " + (e.reason || e.message));
+      setError("Failed to delegate: " + describeError(e));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const claimAlias = async (alias: string) => {
+    if (!account || !provider) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      const signer = await provider.getSigner();
+      const signature = await signer.signMessage(aliasMessage(alias, account));
+      await registerAlias(alias, account, signature);
+      alert(`Alias "${alias}" now points to your address.`);
+    } catch (e: unknown) {
+      console.error("Alias error:", e);
+      setError(describeError(e));
     } finally {
       setLoading(false);
     }
@@ -297,6 +948,12 @@ export default function Home() {
         </div>
 
         <div className="flex items-center gap-4">
+          <Link
+            href="/analytics"
+            className="text-sm text-slate-400 hover:text-slate-200 flex items-center gap-1"
+          >
+            <BarChart3 size={16} /> Analytics
+          </Link>
           {account && chainId && (
             <div className="text-right">
               <p data-testid="user-address" className="text-sm font-mono text-slate-300">
@@ -306,7 +963,9 @@ export default function Home() {
                 Balance: {parseFloat(balance).toFixed(2)} GT |
                 Power: {parseFloat(votingPower).toFixed(2)} GT
               </p>
-              <p className="text-xs text-slate-600">Chain ID: {chainId}</p>
+              <p className="text-xs text-slate-600">
+                {deployment ? `${deployment.network} · ` : ""}Chain ID: {chainId}
+              </p>
             </div>
           )}
           <button
@@ -340,6 +999,18 @@ export default function Home() {
       <main className="grid grid-cols-1 lg:grid-cols-3 gap-8">
         {/* Left Column: Create Proposal & Actions */}
         <div className="lg:col-span-1 space-y-8">
+          <section className="bg-slate-900 rounded-xl p-6 border border-slate-800">
+            <h2 className="text-lg font-semibold mb-4 flex items-center gap-2">
+              <FileText className="text-blue-400" size={20} /> Drafts
+            </h2>
+            <DraftsWorkspace
+              content={draftContent}
+              activeId={activeDraftId}
+              onActivate={setActiveDraftId}
+              onLoad={loadDraft}
+            />
+          </section>
+
           <section className="bg-slate-900 rounded-xl p-6 border border-slate-800 shadow-xl">
             <h2 className="text-xl font-semibold mb-4 flex items-center gap-2">
               <Plus className="text-blue-400" /> Create Proposal
@@ -347,19 +1018,21 @@ export default function Home() {
 
             <div className="space-y-4">
               <div>
-                <label className="block text-sm text-slate-400 mb-1">Description</label>
+                <label className="block text-sm text-slate-400 mb-1">Title</label>
                 <textarea
                   className="w-full bg-slate-800 border border-slate-700 rounded-lg p-3 text-sm focus:ring-2 focus:ring-blue-500 outline-none transition-all"
-                  rows={3}
+                  rows={2}
                   value={desc}
                   onChange={e => setDesc(e.target.value)}
                   placeholder="What should we vote on?"
                 />
               </div>
 
+              <MetadataFields draft={metadataDraft} onChange={setMetadataDraft} />
+
               <div>
                 <label className="block text-sm text-slate-400 mb-1">Voting Mechanism</label>
-                <div className="flex gap-2">
+                <div className="grid grid-cols-2 gap-2">
                   <button
                     onClick={() => setVotingType(0)}
                     className={clsx(
@@ -382,12 +1055,74 @@ export default function Home() {
                   >
                     Quadratic
                   </button>
+                  <button
+                    onClick={() => setVotingType(APPROVAL)}
+                    className={clsx(
+                      "flex-1 py-2 rounded-lg text-sm border transition-all",
+                      votingType === APPROVAL
+                        ? "bg-teal-600/20 border-teal-500 text-teal-400"
+                        : "bg-slate-800 border-slate-700 text-slate-400 hover:bg-slate-750"
+                    )}
+                  >
+                    Approval
+                  </button>
+                  <button
+                    onClick={() => setVotingType(RANKED_CHOICE)}
+                    className={clsx(
+                      "flex-1 py-2 rounded-lg text-sm border transition-all",
+                      votingType === RANKED_CHOICE
+                        ? "bg-amber-600/20 border-amber-500 text-amber-400"
+                        : "bg-slate-800 border-slate-700 text-slate-400 hover:bg-slate-750"
+                    )}
+                  >
+                    Ranked Choice
+                  </button>
+                  <button
+                    onClick={() => setVotingType(CONVICTION)}
+                    className={clsx(
+                      "col-span-2 py-2 rounded-lg text-sm border transition-all",
+                      votingType === CONVICTION
+                        ? "bg-orange-600/20 border-orange-500 text-orange-400"
+                        : "bg-slate-800 border-slate-700 text-slate-400 hover:bg-slate-750"
+                    )}
+                  >
+                    Conviction (time-weighted)
+                  </button>
                 </div>
+                {votingType === CONVICTION && (
+                  <p className="text-xs text-slate-500 mt-2">
+                    Votes count up to 3× the longer they have been delegated before the snapshot.
+                  </p>
+                )}
+                {votingType === 1 && (
+                  <label className="flex items-center gap-2 text-xs text-slate-400 mt-2">
+                    <input
+                      data-testid="require-registration"
+                      type="checkbox"
+                      checked={requireRegistration}
+                      onChange={e => setRequireRegistration(e.target.checked)}
+                    />
+                    Only registered voters (one account per person)
+                  </label>
+                )}
               </div>
 
+              {isMultiOption(votingType) ? (
+                <OptionsBuilder sources={sources} options={options} onChange={setOptions} />
+              ) : (
+                <ProposalBuilder sources={sources} actions={actions} onChange={setActions} />
+              )}
+
               <button
                 onClick={createProposal}
-                disabled={!account || loading || !desc}
+                disabled={
+                  !account ||
+                  loading ||
+                  !desc ||
+                  (isMultiOption(votingType)
+                    ? options.every(o => o.actions.length === 0) || options.some(o => !o.label.trim())
+                    : actions.length === 0)
+                }
                 className="w-full bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-500 hover:to-indigo-500 text-white font-bold py-3 rounded-lg shadow-lg shadow-blue-900/20 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
               >
                 {loading ? <Loader2 className="animate-spin mx-auto" /> : "Submit Proposal"}
@@ -407,7 +1142,7 @@ export default function Home() {
           <section className="bg-slate-900 rounded-xl p-6 border border-slate-800">
             <h2 className="text-lg font-semibold mb-4">Actions</h2>
             <button
-              onClick={delegate}
+              onClick={() => account && delegate(account)}
               disabled={!account || loading || parseFloat(votingPower) > 0}
               className="w-full bg-slate-800 hover:bg-slate-700 border border-slate-700 text-slate-300 py-2 rounded-lg text-sm transition-colors disabled:opacity-50"
             >
@@ -416,17 +1151,77 @@ export default function Home() {
             <p className="text-xs text-slate-500 mt-2 text-center">
               Required to activate voting power and create proposals
             </p>
+            {account && (
+              <DelegatePanel
+                currentDelegate={currentDelegate}
+                target={delegateTarget}
+                onTargetChange={setDelegateTarget}
+                busy={loading}
+                onDelegate={delegate}
+                onRegisterAlias={claimAlias}
+              />
+            )}
+            <DelegateDirectory blockNumber={blockNumber} onSelect={setDelegateTarget} />
           </section>
+
+          {registry && account && (
+            <section className="bg-slate-900 rounded-xl p-6 border border-slate-800">
+              <h2 className="text-lg font-semibold mb-4 flex items-center gap-2">
+                <ShieldCheck className="text-green-400" size={20} /> Voter Registry
+              </h2>
+              <VoterRegistryPanel
+                registry={registry}
+                account={account}
+                blockNumber={blockNumber}
+                onDraftAllowlist={draftAllowlist}
+              />
+            </section>
+          )}
         </div>
 
-        {/* Right Column: Proposals List */}
+        {/* Right Column: Proposals List or Treasury */}
         <div className="lg:col-span-2">
-          <h2 className="text-xl font-semibold mb-6 flex items-center gap-2">
-            <Vote className="text-purple-400" />
-            {proposals.length > 0 ? `Proposals (${proposals.length})` : "Active Proposals"}
-          </h2>
+          <div className="flex justify-between items-center mb-6">
+            {view === "treasury" ? (
+              <h2 className="text-xl font-semibold flex items-center gap-2">
+                <Landmark className="text-emerald-400" /> Treasury
+              </h2>
+            ) : (
+              <h2 className="text-xl font-semibold flex items-center gap-2">
+                <Vote className="text-purple-400" />
+                {proposals.length > 0 ? `Proposals (${proposals.length})` : "Active Proposals"}
+              </h2>
+            )}
+            {treasury && (
+              <div className="flex gap-1 bg-slate-900 border border-slate-800 rounded-lg p-1">
+                {(["proposals", "treasury"] as const).map(tab => (
+                  <button
+                    key={tab}
+                    data-testid={`${tab}-tab`}
+                    onClick={() => setView(tab)}
+                    className={clsx(
+                      "px-3 py-1 rounded-md text-sm capitalize transition-colors",
+                      view === tab ? "bg-slate-700 text-white" : "text-slate-400 hover:text-slate-200"
+                    )}
+                  >
+                    {tab}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
 
-          <div className="space-y-4">
+          {view === "treasury" && treasury && deployment && (
+            <TreasuryPanel
+              treasury={treasury}
+              token={deployment.addresses.token}
+              proposals={proposals}
+              blockNumber={blockNumber}
+              onDraftPayout={draftPayout}
+            />
+          )}
+
+          <div className={clsx("space-y-4", view === "treasury" && treasury && "hidden")}>
             {proposals.length === 0 ? (
               <div className="text-center py-12 text-slate-500 bg-slate-900/50 rounded-xl border border-slate-800 border-dashed">
                 <p className="mb-2">No proposals found</p>
@@ -451,96 +1246,254 @@ export default function Home() {
                                 ? "bg-red-500/20 text-red-400"
                                 : p.state === 4
                                   ? "bg-blue-500/20 text-blue-400"
-                                  : "bg-slate-700 text-slate-400"
+                                  : p.state === 5
+                                    ? "bg-yellow-500/20 text-yellow-400"
+                                    : p.state === 7
+                                      ? "bg-purple-500/20 text-purple-400"
+                                      : "bg-slate-700 text-slate-400"
                           )}
                         >
                           {ProposalState[p.state]}
                         </span>
                         <span className="text-xs text-slate-500 border border-slate-700 px-2 py-0.5 rounded">
-                          {p.votingType === 1 ? "Quadratic" : "Standard"}
+                          {VotingTypeName[p.votingType]}
                         </span>
+                        {p.voterRegistry && (
+                          <span className="text-xs text-green-400 border border-green-800 px-2 py-0.5 rounded flex items-center gap-1">
+                            <ShieldCheck size={12} /> Registered voters
+                          </span>
+                        )}
                         <span className="text-xs text-slate-500">ID: {p.id}</span>
                       </div>
-                      <h3 className="text-lg font-medium text-slate-200">{p.description}</h3>
+                      <Link href={`/proposals/${p.id}`} className="hover:underline">
+                        <h3 className="text-lg font-medium text-slate-200">{parseDescription(p.description).title}</h3>
+                      </Link>
+                      <ProposalMetadataView description={p.description} />
                     </div>
                     <div className="text-right">
                       <div className="text-xs text-slate-500">Ends: Block {p.endBlock.toString()}</div>
-                      <div className="text-xs text-slate-500">Current: {blockNumber}</div>
+                      <div data-testid="block-countdown" className="text-xs text-slate-500">
+                        {p.state === 0
+                          ? `Voting opens in ${Math.max(Number(p.startBlock) - blockNumber, 0)} blocks`
+                          : p.state === 1
+                            ? `${Math.max(Number(p.endBlock) - blockNumber, 0)} blocks left`
+                            : `Current: ${blockNumber}`}
+                      </div>
                     </div>
                   </div>
 
                   {/* Votes Visualization */}
                   <div className="mb-6 bg-slate-950 rounded-lg p-3">
-                    <div className="flex justify-between text-sm mb-1">
-                      <span className="text-green-400">For: {ethers.formatEther(p.forVotes)}</span>
-                      <span className="text-red-400">Against: {ethers.formatEther(p.againstVotes)}</span>
-                      <span className="text-slate-400">Abstain: {ethers.formatEther(p.abstainVotes)}</span>
-                    </div>
-                    <div className="h-2 bg-slate-800 rounded-full overflow-hidden flex">
-                      <div
-                        style={{
-                          width: `${Number(p.forVotes) /
-                            (Number(p.forVotes + p.againstVotes + p.abstainVotes) || 1) *
-                            100
-                            }%`
-                        }}
-                        className="bg-green-500"
-                      />
-                      <div
-                        style={{
-                          width: `${Number(p.againstVotes) /
-                            (Number(p.forVotes + p.againstVotes + p.abstainVotes) || 1) *
-                            100
-                            }%`
-                        }}
-                        className="bg-red-500"
+                    {p.options && p.optionResults ? (
+                      <OptionResults
+                        labels={p.options}
+                        rounds={p.optionResults.rounds}
+                        decided={p.optionResults.decided}
+                        winner={p.optionResults.winner}
+                        ranked={p.votingType === RANKED_CHOICE}
                       />
-                      <div
-                        style={{
-                          width: `${Number(p.abstainVotes) /
-                            (Number(p.forVotes + p.againstVotes + p.abstainVotes) || 1) *
-                            100
-                            }%`
-                        }}
-                        className="bg-slate-500"
-                      />
-                    </div>
+                    ) : (
+                      <>
+                        <div className="flex justify-between text-sm mb-1">
+                          <span className="text-green-400">For: {ethers.formatEther(p.forVotes)}</span>
+                          <span className="text-red-400">Against: {ethers.formatEther(p.againstVotes)}</span>
+                          <span className="text-slate-400">Abstain: {ethers.formatEther(p.abstainVotes)}</span>
+                        </div>
+                        <div className="h-2 bg-slate-800 rounded-full overflow-hidden flex">
+                          <div
+                            style={{
+                              width: `${Number(p.forVotes) /
+                                (Number(p.forVotes + p.againstVotes + p.abstainVotes) || 1) *
+                                100
+                                }%`
+                            }}
+                            className="bg-green-500"
+                          />
+                          <div
+                            style={{
+                              width: `${Number(p.againstVotes) /
+                                (Number(p.forVotes + p.againstVotes + p.abstainVotes) || 1) *
+                                100
+                                }%`
+                            }}
+                            className="bg-red-500"
+                          />
+                          <div
+                            style={{
+                              width: `${Number(p.abstainVotes) /
+                                (Number(p.forVotes + p.againstVotes + p.abstainVotes) || 1) *
+                                100
+                                }%`
+                            }}
+                            className="bg-slate-500"
+                          />
+                        </div>
+                      </>
+                    )}
+                    <QuorumProgress votingType={p.votingType} participation={p.participation} quorum={p.quorum} />
                   </div>
 
                   {/* Actions */}
+                  {p.votingType === 1 && p.myQuadraticVotes > BigInt(0) && (
+                    <p className="text-xs text-purple-300 mb-2">
+                      Your ballot: {ethers.formatEther(p.myQuadraticVotes)} votes{" "}
+                      {["Against", "For", "Abstain"][p.myQuadraticSupport] ?? "split across sides"} (cost{" "}
+                      {ethers.formatEther(p.myQuadraticCost)} GT)
+                    </p>
+                  )}
                   {p.state === 1 && account && (
-                    <div className="flex gap-2 border-t border-slate-800 pt-4">
+                    <div className="border-t border-slate-800 pt-4 mb-2">
+                      <textarea
+                        data-testid="vote-reason-input"
+                        className="w-full bg-slate-800 border border-slate-700 rounded-lg p-2 text-sm focus:ring-2 focus:ring-blue-500 outline-none transition-all"
+                        rows={2}
+                        value={reasons[p.id] ?? ""}
+                        onChange={e => setReasons({ ...reasons, [p.id]: e.target.value })}
+                        placeholder="Reason for your vote (optional, stored on-chain)"
+                      />
+                    </div>
+                  )}
+                  {p.votingType === CONVICTION && token && account && (
+                    <ConvictionMultiplier token={token} account={account} snapshot={p.startBlock} blockNumber={blockNumber} />
+                  )}
+                  {p.options && p.myOptions && (
+                    <p className="text-xs text-blue-300 mb-2">
+                      {p.myOptions.length > 0
+                        ? `Your ballot: ${describeOptionsBallot(p.myOptions, p.options, p.votingType === RANKED_CHOICE)}`
+                        : "You have voted on this proposal."}
+                    </p>
+                  )}
+                  {p.state === 1 && account && p.options && !p.myOptions && (
+                    <OptionsBallot
+                      labels={p.options}
+                      ranked={p.votingType === RANKED_CHOICE}
+                      busy={loading}
+                      onSubmit={chosen => castOptionsVote(p.id, chosen)}
+                    />
+                  )}
+                  {p.state === 1 && account && !p.options && (
+                    <div className="flex gap-2">
                       <button
                         data-testid="vote-for-button"
                         onClick={() => castVote(p.id, 1, p.votingType === 1)}
-                        disabled={loading}
+                        disabled={loading || isQuadraticSideLocked(p, 1)}
                         className="flex-1 bg-green-900/30 hover:bg-green-900/50 text-green-400 border border-green-800/50 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
                       >
-                        Vote For
+                        {isQuadraticTopUp(p, 1) ? "Add Votes For" : "Vote For"}
                       </button>
                       <button
                         data-testid="vote-against-button"
                         onClick={() => castVote(p.id, 0, p.votingType === 1)}
-                        disabled={loading}
+                        disabled={loading || isQuadraticSideLocked(p, 0)}
                         className="flex-1 bg-red-900/30 hover:bg-red-900/50 text-red-400 border border-red-800/50 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
                       >
-                        Vote Against
+                        {isQuadraticTopUp(p, 0) ? "Add Votes Against" : "Vote Against"}
                       </button>
                       <button
                         data-testid="vote-abstain-button"
                         onClick={() => castVote(p.id, 2, p.votingType === 1)}
-                        disabled={loading}
+                        disabled={loading || isQuadraticSideLocked(p, 2)}
                         className="flex-1 bg-slate-800 hover:bg-slate-700 text-slate-300 border border-slate-700 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
                       >
-                        Abstain
+                        {isQuadraticTopUp(p, 2) ? "Add Abstain Votes" : "Abstain"}
                       </button>
                     </div>
                   )}
+                  {p.state === 1 && account && !p.options && (
+                    <label className="flex items-center gap-2 mt-2 text-xs text-slate-400">
+                      <input
+                        data-testid="gasless-toggle"
+                        type="checkbox"
+                        checked={gasless}
+                        onChange={e => setGasless(e.target.checked)}
+                        className="accent-blue-500"
+                      />
+                      Sign vote (no gas) — submitted by the relayer
+                    </label>
+                  )}
+                  {p.state === 1 && account && p.votingType === 1 && p.myQuadraticVotes === BigInt(0) && (
+                    splitBallot?.proposalId === p.id ? (
+                      <QuadraticSplitBallot
+                        budget={splitBallot.budget}
+                        busy={loading}
+                        onSubmit={(against, forVotes, abstain) => castSplitVote(p.id, against, forVotes, abstain)}
+                        onCancel={() => setSplitBallot(null)}
+                      />
+                    ) : (
+                      <button
+                        data-testid="split-ballot-button"
+                        onClick={() => openSplitBallot(p.id)}
+                        disabled={loading}
+                        className="w-full mt-2 text-xs text-purple-400 hover:text-purple-300 underline disabled:opacity-50"
+                      >
+                        Split ballot across For / Against / Abstain
+                      </button>
+                    )
+                  )}
                   {p.state === 1 && !account && (
                     <p className="text-center text-sm text-slate-500 border-t border-slate-800 pt-4">
                       Connect wallet to vote
                     </p>
                   )}
+
+                  {/* Dry run of the actions on a fork, while they can still be executed */}
+                  {[0, 1, 4, 5].includes(p.state) && (
+                    <div className="border-t border-slate-800 pt-4">
+                      <ProposalSimulation
+                        proposalId={p.id}
+                        options={p.options}
+                        winner={p.optionResults?.decided ? p.optionResults.winner : null}
+                      />
+                    </div>
+                  )}
+
+                  {/* Timelock: Queue → ETA countdown → Execute */}
+                  {p.state === 4 && account && (
+                    <div className="border-t border-slate-800 pt-4">
+                      <button
+                        data-testid="queue-button"
+                        onClick={() => queueProposal(p)}
+                        disabled={loading}
+                        className="w-full bg-blue-900/30 hover:bg-blue-900/50 text-blue-400 border border-blue-800/50 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50 flex items-center justify-center gap-2"
+                      >
+                        <Clock size={16} /> Queue for Execution
+                      </button>
+                    </div>
+                  )}
+                  {p.state === 5 && account && (
+                    <div className="flex items-center gap-4 border-t border-slate-800 pt-4">
+                      <div className="flex-1 text-xs text-slate-400">
+                        {Number(p.eta) > now ? (
+                          <span className="flex items-center gap-1 text-yellow-400">
+                            <Clock size={14} /> Executable in {formatCountdown(Number(p.eta) - now)}
+                          </span>
+                        ) : (
+                          <span className="text-green-400">Timelock delay elapsed</span>
+                        )}
+                        <span className="block text-slate-500 mt-1">
+                          ETA: {new Date(Number(p.eta) * 1000).toLocaleString()}
+                        </span>
+                      </div>
+                      <button
+                        data-testid="execute-button"
+                        onClick={() => executeProposal(p)}
+                        disabled={loading || Number(p.eta) > now}
+                        className="bg-purple-900/30 hover:bg-purple-900/50 text-purple-400 border border-purple-800/50 px-6 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50 flex items-center gap-2"
+                      >
+                        <Play size={16} /> Execute
+                      </button>
+                    </div>
+                  )}
+                  {canCancel(p) && (
+                    <button
+                      data-testid="cancel-proposal-button"
+                      onClick={() => cancelProposal(p)}
+                      disabled={loading}
+                      className="w-full mt-2 text-xs text-red-400 hover:text-red-300 flex items-center justify-center gap-1 disabled:opacity-50"
+                    >
+                      <Ban size={14} /> {isGuardian ? "Veto as guardian" : "Cancel proposal"}
+                    </button>
+                  )}
                 </div>
               ))
             )}
@@ -549,54 +1502,41 @@ export default function Home() {
       </main>
 
       {/* Network Warning with Auto-Switch */}
-      {chainId && chainId !== 31337 && (
-        <div className="fixed bottom-4 right-4 bg-red-900/90 border border-red-700 rounded-lg p-4 max-w-sm shadow-2xl z-50">
+      {chainId && !deployment && (
+        <div
+          data-testid="network-warning"
+          className="fixed bottom-4 right-4 bg-red-900/90 border border-red-700 rounded-lg p-4 max-w-sm shadow-2xl z-50"
+        >
           <p className="text-white font-bold mb-1 flex items-center gap-2">
-            <AlertCircle size={16} /> Wrong Network
+            <AlertCircle size={16} /> Unsupported Network
           </p>
           <p className="text-red-200 text-xs mb-3">
-            Expected: Hardhat (31337)<br />
-            Detected: {chainId}
+            No governance deployment on chain {chainId}. Switch to a supported network:
+          </p>
+          <div className="space-y-2">
+            {supportedNetworks.map(network => (
+              <button
+                key={network.chainId}
+                onClick={() => switchNetwork(network)}
+                className="w-full bg-white text-red-900 font-bold text-sm py-2 rounded hover:bg-red-50 transition-colors"
+              >
+                {network.network} ({network.chainId})
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* The bundled ABIs no longer match the ones this network's contracts were deployed with */}
+      {deployment && deployment.abiHash !== BUNDLED_ABI_HASH && (
+        <div className="fixed bottom-4 right-4 bg-yellow-900/90 border border-yellow-700 rounded-lg p-4 max-w-sm shadow-2xl z-50">
+          <p className="text-white font-bold mb-1 flex items-center gap-2">
+            <AlertCircle size={16} /> Outdated Contract ABIs
+          </p>
+          <p className="text-yellow-200 text-xs">
+            The {deployment.network} contracts were deployed with different ABIs than the ones bundled with this
+            dashboard. Some calls may fail until they match again.
           </p>
-          <button
-            onClick={async () => {
-              try {
-                await window.ethereum.request({
-                  method: 'wallet_switchEthereumChain',
-                  params: [{ chainId: '0x7A69' }], // 31337 in hex
-                });
-              } catch (switchError: any) {
-                // This error code 4902 means the chain has not been added to MetaMask.
-                if (switchError.code === 4902) {
-                  try {
-                    await window.ethereum.request({
-                      method: 'wallet_addEthereumChain',
-                      params: [
-                        {
-                          chainId: '0x7A69',
-                          chainName: 'Hardhat Local',
-                          rpcUrls: ['http://localhost:8545'], // Try localhost first
-                          nativeCurrency: {
-                            name: 'GO Token',
-                            symbol: 'GO', // Symbol match user pref
-                            decimals: 18,
-                          },
-                        },
-                      ],
-                    });
-                  } catch (addError) {
-                    console.error("Failed to add network:", addError);
-                    alert("Failed to add network automatically. Please add http://localhost:8545 manually.");
-                  }
-                } else {
-                  console.error("Network switch failed:", switchError);
-                }
-              }
-            }}
-            className="w-full bg-white text-red-900 font-bold text-sm py-2 rounded hover:bg-red-50 transition-colors"
-          >
-            Fix Network Now
-          </button>
         </div>
       )}
     </div>
@@ -0,0 +1,264 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import { useParams } from "next/navigation";
+import { ethers } from "ethers";
+import { AlertCircle, ArrowLeft, ChevronLeft, ChevronRight, Loader2 } from "lucide-react";
+import clsx from "clsx";
+import OptionResults from "../../../src/components/OptionResults";
+import ProposalMetadataView from "../../../src/components/ProposalMetadataView";
+import QuorumProgress from "../../../src/components/QuorumProgress";
+import TurnoutChart from "../../../src/components/TurnoutChart";
+import VoteHistoryTable from "../../../src/components/VoteHistoryTable";
+import { ProposalState, RPC_URL, VotingTypeName, abiSources } from "../../../src/lib/contracts";
+import { IndexedProposalDetail, VotePage, fetchProposal, fetchVotes } from "../../../src/lib/indexer";
+import { parseDescription } from "../../../src/lib/metadata";
+import { RANKED_CHOICE } from "../../../src/lib/options";
+import { decodeAction } from "../../../src/lib/proposalActions";
+
+const PAGE_SIZE = 20;
+
+type TimelineEntry = {
+  label: string;
+  block: number | null;
+  detail?: string;
+};
+
+const buildTimeline = (p: IndexedProposalDetail): TimelineEntry[] => {
+  const entries: TimelineEntry[] = [
+    { label: "Created", block: p.createdBlock, detail: p.createdTx },
+    { label: "Voting starts", block: Number(p.voteStart) },
+    { label: "Voting ends", block: Number(p.voteEnd) },
+  ];
+  if (p.queuedBlock !== null) {
+    entries.push({
+      label: "Queued",
+      block: p.queuedBlock,
+      detail: `Executable after ${new Date(Number(p.eta) * 1000).toLocaleString()}`,
+    });
+  }
+  if (p.executedBlock !== null) entries.push({ label: "Executed", block: p.executedBlock });
+  if (p.canceledBlock !== null) {
+    entries.push({
+      label: p.veto ? "Vetoed by guardian" : "Canceled",
+      block: p.canceledBlock,
+      detail: p.veto ? `${p.veto.guardian}: ${p.veto.reason}` : undefined,
+    });
+  }
+  return entries;
+};
+
+/**
+ * Full view of one proposal: its metadata with the Markdown body, decoded actions, lifecycle timeline, turnout against quorum and vote history.
+ */
+export default function ProposalDetailPage() {
+  const { id } = useParams<{ id: string }>();
+  const [proposal, setProposal] = useState<IndexedProposalDetail | null>(null);
+  const [votes, setVotes] = useState<VotePage | null>(null);
+  const [page, setPage] = useState(1);
+  const [currentBlock, setCurrentBlock] = useState<number | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetchProposal(id)
+      .then(setProposal)
+      .catch((e: unknown) => setError(e instanceof Error ? e.message : String(e)));
+    new ethers.JsonRpcProvider(RPC_URL)
+      .getBlockNumber()
+      .then(setCurrentBlock)
+      .catch(() => setCurrentBlock(null));
+  }, [id]);
+
+  useEffect(() => {
+    fetchVotes(id, page, PAGE_SIZE)
+      .then(setVotes)
+      .catch((e: unknown) => setError(e instanceof Error ? e.message : String(e)));
+  }, [id, page]);
+
+  const pageCount = votes ? Math.max(Math.ceil(votes.total / PAGE_SIZE), 1) : 1;
+
+  return (
+    <div className="min-h-screen bg-slate-950 text-white font-sans p-8">
+      <header className="mb-8 border-b border-slate-800 pb-4">
+        <Link href="/" className="text-sm text-slate-400 hover:text-slate-200 flex items-center gap-1 mb-3">
+          <ArrowLeft size={14} /> All proposals
+        </Link>
+        {proposal ? (
+          <>
+            <div className="flex items-center gap-3 mb-1">
+              <span className="px-2 py-0.5 rounded text-xs font-bold uppercase tracking-wider bg-slate-700 text-slate-300">
+                {ProposalState[proposal.state]}
+              </span>
+              <span className="text-xs text-slate-500 border border-slate-700 px-2 py-0.5 rounded">
+                {VotingTypeName[proposal.votingType]}
+              </span>
+              {proposal.voterRegistry && (
+                <span className="text-xs text-green-400 border border-green-800 px-2 py-0.5 rounded" title={proposal.voterRegistry}>
+                  Registered voters only
+                </span>
+              )}
+            </div>
+            <h1 data-testid="proposal-title" className="text-2xl font-bold text-slate-100">
+              {parseDescription(proposal.description).title}
+            </h1>
+            <p className="text-xs text-slate-500 mt-1 break-all">
+              ID {proposal.id} · proposed by <span className="font-mono">{proposal.proposer}</span>
+            </p>
+            <div className="mt-4 max-w-3xl">
+              <ProposalMetadataView description={proposal.description} full />
+            </div>
+          </>
+        ) : (
+          !error && <Loader2 className="animate-spin text-slate-500" />
+        )}
+      </header>
+
+      {error && (
+        <div className="bg-red-500/10 border border-red-500/50 text-red-400 p-4 rounded-lg mb-8 flex items-center gap-2">
+          <AlertCircle size={20} />
+          {error}. Is the indexer running?
+        </div>
+      )}
+
+      {proposal && (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          <div className="lg:col-span-2 space-y-8">
+            <section className="bg-slate-900 rounded-xl p-6 border border-slate-800">
+              <h2 className="text-lg font-semibold mb-4">Turnout vs. Quorum</h2>
+              <TurnoutChart
+                turnout={proposal.turnout}
+                voteStart={proposal.voteStart}
+                votingType={proposal.votingType}
+                quorum={proposal.quorum}
+              />
+              {proposal.options && proposal.optionResults ? (
+                <div className="mt-4">
+                  <OptionResults
+                    labels={proposal.options.map(option => option.label)}
+                    rounds={proposal.optionResults.rounds.map(round => round.map(votes => BigInt(votes)))}
+                    decided={proposal.optionResults.decided}
+                    winner={proposal.optionResults.winner}
+                    ranked={proposal.votingType === RANKED_CHOICE}
+                  />
+                </div>
+              ) : (
+                <div className="grid grid-cols-3 gap-4 text-sm mt-4">
+                  <div className="text-green-400">For: {ethers.formatEther(proposal.forVotes)}</div>
+                  <div className="text-red-400">Against: {ethers.formatEther(proposal.againstVotes)}</div>
+                  <div className="text-slate-300">Abstain: {ethers.formatEther(proposal.abstainVotes)}</div>
+                </div>
+              )}
+              <QuorumProgress
+                votingType={proposal.votingType}
+                participation={BigInt(proposal.participation)}
+                quorum={proposal.quorum === null ? null : BigInt(proposal.quorum)}
+              />
+              <p className="text-xs text-slate-500 mt-2">{proposal.voterCount} voters</p>
+            </section>
+
+            <section className="bg-slate-900 rounded-xl p-6 border border-slate-800">
+              <div className="flex justify-between items-center mb-4">
+                <h2 className="text-lg font-semibold">Votes ({votes?.total ?? 0})</h2>
+                <div className="flex items-center gap-2 text-sm text-slate-400">
+                  <button
+                    onClick={() => setPage(page - 1)}
+                    disabled={page <= 1}
+                    className="p-1 rounded hover:bg-slate-800 disabled:opacity-30"
+                  >
+                    <ChevronLeft size={16} />
+                  </button>
+                  Page {page} of {pageCount}
+                  <button
+                    onClick={() => setPage(page + 1)}
+                    disabled={page >= pageCount}
+                    className="p-1 rounded hover:bg-slate-800 disabled:opacity-30"
+                  >
+                    <ChevronRight size={16} />
+                  </button>
+                </div>
+              </div>
+              {votes ? (
+                <VoteHistoryTable
+                  votes={votes.votes}
+                  quadratic={proposal.votingType === 1}
+                  options={
+                    proposal.options
+                      ? { labels: proposal.options.map(option => option.label), ranked: proposal.votingType === RANKED_CHOICE }
+                      : undefined
+                  }
+                />
+              ) : (
+                <Loader2 className="animate-spin text-slate-500" />
+              )}
+            </section>
+          </div>
+
+          <div className="space-y-8">
+            <section className="bg-slate-900 rounded-xl p-6 border border-slate-800">
+              <h2 className="text-lg font-semibold mb-4">Timeline</h2>
+              <ol className="space-y-3">
+                {buildTimeline(proposal).map(entry => {
+                  const reached = currentBlock !== null && entry.block !== null && entry.block <= currentBlock;
+                  return (
+                    <li key={entry.label} className="flex gap-3">
+                      <span className={clsx("mt-1.5 h-2 w-2 rounded-full shrink-0", reached ? "bg-blue-400" : "bg-slate-700")} />
+                      <div>
+                        <div className={clsx("text-sm", reached ? "text-slate-200" : "text-slate-500")}>{entry.label}</div>
+                        <div className="text-xs text-slate-500">Block {entry.block}</div>
+                        {entry.detail && <div className="text-xs text-slate-600 break-all">{entry.detail}</div>}
+                      </div>
+                    </li>
+                  );
+                })}
+              </ol>
+            </section>
+
+            <section className="bg-slate-900 rounded-xl p-6 border border-slate-800">
+              <h2 className="text-lg font-semibold mb-4">Actions ({proposal.targets.length})</h2>
+              <ol className="space-y-2">
+                {proposal.targets.map((target, i) => {
+                  const decoded = decodeAction({ calldata: proposal.calldatas[i], abiName: "" }, abiSources);
+                  // Multi-option proposals only execute the winning option's actions
+                  const option = proposal.options?.find(o => i >= o.start && i < o.end);
+                  return (
+                    <li key={i} data-testid="proposal-action" className="bg-slate-950 rounded-lg p-3 text-xs border border-slate-800">
+                      {option && <div className="text-blue-300 mb-1">If &quot;{option.label}&quot; wins</div>}
+                      <div className="font-mono text-slate-300 break-all">
+                        <span className="text-slate-500">#{i + 1}</span>{" "}
+                        {decoded ? decoded.signature : proposal.calldatas[i] === "0x" ? "ETH transfer" : "Unknown function"}
+                      </div>
+                      <div className="text-slate-500 mt-1 break-all">→ {target}</div>
+                      {BigInt(proposal.values[i]) > BigInt(0) && (
+                        <div className="text-slate-500">Value: {ethers.formatEther(proposal.values[i])} ETH</div>
+                      )}
+                      {decoded && decoded.args.length > 0 && (
+                        <ul className="mt-1 space-y-0.5">
+                          {decoded.args.map(arg => (
+                            <li key={arg.name} className="font-mono text-slate-400 break-all">
+                              {arg.name} <span className="text-slate-600">({arg.type})</span>: {arg.value}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                      {!decoded && proposal.calldatas[i] !== "0x" && (
+                        <div className="font-mono text-slate-600 mt-1 break-all">{proposal.calldatas[i]}</div>
+                      )}
+                    </li>
+                  );
+                })}
+              </ol>
+              {proposal.options
+                ?.filter(option => option.start === option.end)
+                .map(option => (
+                  <p key={option.label} className="text-xs text-slate-500 mt-2">
+                    &quot;{option.label}&quot; executes nothing if it wins.
+                  </p>
+                ))}
+            </section>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { ethers, Contract } from "ethers";
+
+type Props = {
+  // GovernanceToken, which computes conviction from its delegation checkpoints
+  token: Contract;
+  account: string;
+  // Proposal snapshot block; conviction can only be read once it has passed
+  snapshot: bigint;
+  blockNumber: number;
+};
+
+type Conviction = { votes: bigint; convictionVotes: bigint; multiplierBps: bigint };
+
+// GovernanceToken.CONVICTION_PERIOD, for the explanation below
+const FULL_CONVICTION_DAYS = 28;
+
+/**
+ * Explains the connected account's weight on a Conviction proposal: votes at the snapshot, the multiplier earned
+ * by how long they had been delegated, and the resulting vote weight.
+ */
+export default function ConvictionMultiplier({ token, account, snapshot, blockNumber }: Props) {
+  const [conviction, setConviction] = useState<Conviction | null>(null);
+
+  useEffect(() => {
+    if (BigInt(blockNumber) <= snapshot) return;
+    let cancelled = false;
+    token
+      .convictionMultiplier(account, snapshot)
+      .then(([votes, convictionVotes, multiplierBps]: [bigint, bigint, bigint]) => {
+        if (!cancelled) setConviction({ votes, convictionVotes, multiplierBps });
+      })
+      .catch((e: unknown) => console.warn("Conviction unavailable:", e));
+    return () => {
+      cancelled = true;
+    };
+  }, [token, account, snapshot, blockNumber]);
+
+  if (!conviction) return null;
+
+  return (
+    <p data-testid="conviction-multiplier" className="text-xs text-amber-300 mb-2">
+      Your weight: {Number(ethers.formatEther(conviction.votes)).toLocaleString()} GT ×{" "}
+      {(Number(conviction.multiplierBps) / 10000).toFixed(2)} conviction ={" "}
+      {Number(ethers.formatEther(conviction.convictionVotes)).toLocaleString(undefined, { maximumFractionDigits: 2 })} votes.{" "}
+      <span className="text-slate-500">
+        Votes delegated for longer count more, up to 3× after ~{FULL_CONVICTION_DAYS} days.
+      </span>
+    </p>
+  );
+}
@@ -0,0 +1,75 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { ethers } from "ethers";
+import { Loader2 } from "lucide-react";
+import { IndexedDelegate, fetchDelegates } from "../lib/indexer";
+
+type Props = {
+  // Latest known block; the directory refetches when it changes
+  blockNumber: number;
+  onSelect: (address: string) => void;
+};
+
+// Rows shown in the directory
+const TOP_DELEGATES = 10;
+
+/**
+ * Top delegates by voting power, either now (getVotes) or at a past block (getPastVotes).
+ */
+export default function DelegateDirectory({ blockNumber, onSelect }: Props) {
+  const [delegates, setDelegates] = useState<IndexedDelegate[] | null>(null);
+  const [atBlock, setAtBlock] = useState("");
+  const [error, setError] = useState<string | null>(null);
+  // Delegator lists are only known for the current block
+  const historical = atBlock.trim() !== "";
+
+  useEffect(() => {
+    const block = atBlock.trim() === "" ? undefined : Number(atBlock);
+    if (block !== undefined && !Number.isInteger(block)) return;
+    fetchDelegates(block)
+      .then(list => {
+        setDelegates(list.slice(0, TOP_DELEGATES));
+        setError(null);
+      })
+      .catch(() => setError("Delegate directory needs the indexer"));
+  }, [atBlock, blockNumber]);
+
+  return (
+    <div className="border-t border-slate-800 pt-4 mt-4">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-sm font-semibold text-slate-300">Top Delegates</h3>
+        <input
+          className="w-28 bg-slate-800 border border-slate-700 rounded p-1 text-xs font-mono outline-none"
+          value={atBlock}
+          onChange={e => setAtBlock(e.target.value)}
+          placeholder="at block…"
+        />
+      </div>
+      {error && <p className="text-xs text-slate-500">{error}</p>}
+      {!error && !delegates && <Loader2 className="animate-spin text-slate-500" size={16} />}
+      {delegates && delegates.length === 0 && <p className="text-xs text-slate-500">No delegated votes at this block.</p>}
+      {delegates && delegates.length > 0 && (
+        <ol className="space-y-1">
+          {delegates.map((d, i) => (
+            <li key={d.address} data-testid="delegate-row" className="flex items-center gap-2 text-xs">
+              <span className="w-5 text-slate-600">{i + 1}</span>
+              <span className="flex-1 font-mono text-slate-300 truncate" title={d.address}>
+                {d.alias ?? `${d.address.substring(0, 6)}...${d.address.substring(38)}`}
+              </span>
+              <span className="text-slate-400">{Number(ethers.formatEther(d.votes)).toLocaleString()} GT</span>
+              {!historical && (
+                <span className="text-slate-600 w-8 text-right" title="Delegators">
+                  {d.delegators.length}
+                </span>
+              )}
+              <button onClick={() => onSelect(d.address)} className="text-blue-400 hover:text-blue-300">
+                Pick
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
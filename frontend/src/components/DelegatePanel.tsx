@@ -0,0 +1,105 @@
+"use client";
+
+import { useState } from "react";
+import { ethers } from "ethers";
+import { Loader2 } from "lucide-react";
+import { resolveAlias } from "../lib/indexer";
+
+type Props = {
+  // Address the connected account currently delegates to (ZeroAddress if none)
+  currentDelegate: string;
+  // Address or alias typed by the user, or picked from the delegate directory
+  target: string;
+  onTargetChange: (target: string) => void;
+  busy: boolean;
+  onDelegate: (delegatee: string, gasless: boolean) => void;
+  onRegisterAlias: (alias: string) => void;
+};
+
+/**
+ * Delegation form: delegate to any address or registered alias, by transaction or by a signature the
+ * relayer submits. Also lets the connected account claim an alias of its own.
+ */
+export default function DelegatePanel({ currentDelegate, target, onTargetChange, busy, onDelegate, onRegisterAlias }: Props) {
+  const [alias, setAlias] = useState("");
+  const [formError, setFormError] = useState<string | null>(null);
+  const [resolving, setResolving] = useState(false);
+
+  const submit = async (gasless: boolean) => {
+    setFormError(null);
+    const input = target.trim();
+    if (ethers.isAddress(input)) {
+      onDelegate(ethers.getAddress(input), gasless);
+      return;
+    }
+
+    try {
+      setResolving(true);
+      const resolved = await resolveAlias(input);
+      if (!resolved) {
+        setFormError(`"${input}" is neither an address nor a registered alias`);
+        return;
+      }
+      onDelegate(resolved, gasless);
+    } catch (e: unknown) {
+      setFormError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setResolving(false);
+    }
+  };
+
+  const inputClass =
+    "w-full bg-slate-800 border border-slate-700 rounded-lg p-2 text-sm font-mono focus:ring-2 focus:ring-blue-500 outline-none transition-all";
+  const disabled = busy || resolving || !target.trim();
+
+  return (
+    <div className="space-y-3 border-t border-slate-800 pt-4 mt-4">
+      <p className="text-xs text-slate-500">
+        Delegating to:{" "}
+        <span className="font-mono text-slate-300">
+          {currentDelegate === ethers.ZeroAddress ? "nobody" : `${currentDelegate.substring(0, 6)}...${currentDelegate.substring(38)}`}
+        </span>
+      </p>
+      <input
+        data-testid="delegate-input"
+        className={inputClass}
+        value={target}
+        onChange={e => onTargetChange(e.target.value)}
+        placeholder="0x... or alias"
+      />
+      <div className="flex gap-2">
+        <button
+          onClick={() => submit(false)}
+          disabled={disabled}
+          className="flex-1 bg-slate-800 hover:bg-slate-700 border border-slate-700 text-slate-300 py-2 rounded-lg text-sm transition-colors disabled:opacity-50"
+        >
+          {busy || resolving ? <Loader2 className="animate-spin mx-auto" size={16} /> : "Delegate"}
+        </button>
+        <button
+          onClick={() => submit(true)}
+          disabled={disabled}
+          className="flex-1 bg-blue-900/30 hover:bg-blue-900/50 border border-blue-800/50 text-blue-400 py-2 rounded-lg text-sm transition-colors disabled:opacity-50"
+        >
+          Sign (no gas)
+        </button>
+      </div>
+      {formError && <p className="text-xs text-red-400">{formError}</p>}
+
+      <div className="flex gap-2">
+        <input
+          className={inputClass}
+          value={alias}
+          onChange={e => setAlias(e.target.value.toLowerCase())}
+          placeholder="Claim an alias, e.g. alice"
+        />
+        <button
+          onClick={() => onRegisterAlias(alias)}
+          disabled={busy || !alias}
+          className="bg-slate-800 hover:bg-slate-700 border border-slate-700 text-slate-300 px-3 rounded-lg text-sm transition-colors disabled:opacity-50"
+        >
+          Claim
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,209 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import Link from "next/link";
+import { Loader2 } from "lucide-react";
+import clsx from "clsx";
+import { VotingTypeName } from "../lib/contracts";
+import {
+  DraftContent,
+  LocalDraft,
+  draftLink,
+  emptyDraftContent,
+  fetchDraft,
+  isEmptyDraft,
+  loadLocalDrafts,
+  saveLocalDrafts,
+  shareDraft,
+  updateSharedDraft,
+} from "../lib/drafts";
+
+type Props = {
+  // Current contents of the proposal form, autosaved into the active draft
+  content: DraftContent;
+  // Draft the form is editing (null until something is typed)
+  activeId: string | null;
+  onActivate: (id: string | null) => void;
+  // Replaces the proposal form with a draft's contents
+  onLoad: (content: DraftContent) => void;
+};
+
+// Autosave once typing pauses
+const AUTOSAVE_DELAY_MS = 1000;
+
+// Saves drafts and returns them as listed
+const storeDrafts = (drafts: LocalDraft[]) => {
+  saveLocalDrafts(drafts);
+  return loadLocalDrafts();
+};
+
+/**
+ * Proposal drafts kept in this browser: autosaves the proposal form, switches between drafts, and shares a
+ * draft through the indexer so co-authors can review it at its link. Opening the dashboard with ?draft=<id>
+ * imports a shared draft; it is submitted on-chain with the form's Submit Proposal button.
+ */
+export default function DraftsWorkspace({ content, activeId, onActivate, onLoad }: Props) {
+  const [drafts, setDrafts] = useState<LocalDraft[]>([]);
+  const [busy, setBusy] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [formError, setFormError] = useState<string | null>(null);
+
+  // Re-read on activation changes, which include the dashboard marking the active draft as submitted
+  useEffect(() => {
+    setDrafts(loadLocalDrafts());
+  }, [activeId]);
+
+  // Imports a draft shared by link; the copy cannot update the shared original. The parameter is removed once
+  // read, so this runs once.
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const sharedId = params.get("draft");
+    if (!sharedId) return;
+    window.history.replaceState(null, "", window.location.pathname);
+
+    fetchDraft(sharedId)
+      .then(shared => {
+        const existing = loadLocalDrafts();
+        const copy = existing.find(draft => draft.shared?.id === sharedId);
+        const draft: LocalDraft = {
+          id: copy?.id ?? crypto.randomUUID(),
+          content: shared.content,
+          updatedAt: Date.now(),
+          shared: copy?.shared ?? { id: sharedId, editKey: null },
+          submitted: false,
+        };
+        setDrafts(storeDrafts([draft, ...existing.filter(d => d.id !== draft.id)]));
+        onLoad(shared.content);
+        onActivate(draft.id);
+      })
+      .catch((e: unknown) => setFormError(e instanceof Error ? e.message : String(e)));
+  }, [onLoad, onActivate]);
+
+  // Autosave: locally on every pause, and to the shared copy when this browser holds its edit key
+  useEffect(() => {
+    if (!activeId && isEmptyDraft(content)) return;
+    const timer = setTimeout(() => {
+      const existing = loadLocalDrafts();
+      const current = existing.find(draft => draft.id === activeId);
+      const draft: LocalDraft = {
+        id: current?.id ?? crypto.randomUUID(),
+        content,
+        updatedAt: Date.now(),
+        shared: current?.shared ?? null,
+        submitted: current?.submitted ?? false,
+      };
+      setDrafts(storeDrafts([draft, ...existing.filter(d => d.id !== draft.id)]));
+      if (!current) onActivate(draft.id);
+      if (draft.shared?.editKey) {
+        updateSharedDraft(draft.shared.id, draft.shared.editKey, content).catch((e: unknown) =>
+          setFormError(e instanceof Error ? e.message : String(e))
+        );
+      }
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [content, activeId, onActivate]);
+
+  const active = drafts.find(draft => draft.id === activeId) ?? null;
+
+  const startNew = () => {
+    onActivate(null);
+    onLoad(emptyDraftContent());
+  };
+
+  const open = (draft: LocalDraft) => {
+    setCopied(false);
+    onLoad(draft.content);
+    onActivate(draft.id);
+  };
+
+  const remove = (id: string) => {
+    setDrafts(storeDrafts(loadLocalDrafts().filter(draft => draft.id !== id)));
+    if (id === activeId) startNew();
+  };
+
+  const share = async () => {
+    if (!active) return;
+    setFormError(null);
+    try {
+      setBusy(true);
+      let sharedId = active.shared?.id;
+      if (!sharedId) {
+        const { id, editKey } = await shareDraft(active.content);
+        sharedId = id;
+        setDrafts(
+          storeDrafts(loadLocalDrafts().map(draft => (draft.id === active.id ? { ...draft, shared: { id, editKey } } : draft)))
+        );
+      }
+      await navigator.clipboard.writeText(draftLink(sharedId));
+      setCopied(true);
+    } catch (e: unknown) {
+      setFormError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div data-testid="drafts-workspace" className="space-y-3">
+      <div className="flex justify-between items-center">
+        <p className="text-xs text-slate-500">
+          {active ? `Autosaving to "${active.content.title.trim() || "Untitled"}"` : "Start typing to save a draft"}
+        </p>
+        <button onClick={startNew} className="text-xs text-blue-400 hover:text-blue-300">
+          New draft
+        </button>
+      </div>
+
+      {drafts.length > 0 && (
+        <ul className="space-y-1 max-h-48 overflow-y-auto">
+          {drafts.map(draft => (
+            <li
+              key={draft.id}
+              data-testid="draft-item"
+              className={clsx(
+                "flex items-center gap-2 rounded-lg px-2 py-1.5 text-sm border",
+                draft.id === activeId ? "border-blue-700 bg-blue-900/20" : "border-slate-800 hover:bg-slate-800/50"
+              )}
+            >
+              <button onClick={() => open(draft)} className="flex-1 text-left min-w-0">
+                <div className="truncate text-slate-200">{draft.content.title.trim() || "Untitled"}</div>
+                <div className="text-xs text-slate-500">
+                  {VotingTypeName[draft.content.votingType]} · {new Date(draft.updatedAt).toLocaleString()}
+                  {draft.shared && " · shared"}
+                  {draft.submitted && " · submitted"}
+                </div>
+              </button>
+              <button onClick={() => remove(draft.id)} className="text-xs text-slate-500 hover:text-red-400">
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {active && (
+        <div className="flex items-center gap-3 text-xs">
+          <button
+            data-testid="share-draft"
+            onClick={share}
+            disabled={busy}
+            className="bg-slate-800 hover:bg-slate-700 border border-slate-700 text-slate-300 px-3 py-1.5 rounded-lg disabled:opacity-50"
+          >
+            {busy ? <Loader2 className="animate-spin" size={14} /> : active.shared ? "Copy review link" : "Share for review"}
+          </button>
+          {active.shared && (
+            <Link href={`/drafts/${active.shared.id}`} className="text-blue-400 hover:underline">
+              Open review page
+            </Link>
+          )}
+          {copied && <span className="text-green-400">Link copied</span>}
+        </div>
+      )}
+      {active?.shared && !active.shared.editKey && (
+        <p className="text-xs text-slate-500">Imported from a shared link: your edits stay in this browser.</p>
+      )}
+
+      {formError && <p className="text-xs text-red-400">{formError}</p>}
+    </div>
+  );
+}
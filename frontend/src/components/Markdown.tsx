@@ -0,0 +1,162 @@
+"use client";
+
+import { ReactNode } from "react";
+
+type Props = {
+  source: string;
+};
+
+type Block =
+  | { kind: "heading"; level: number; text: string }
+  | { kind: "paragraph"; text: string }
+  | { kind: "list"; ordered: boolean; items: string[] }
+  | { kind: "quote"; text: string }
+  | { kind: "code"; text: string };
+
+const HEADING = /^(#{1,4})\s+(.*)$/;
+const BULLET = /^\s*[-*]\s+(.*)$/;
+const NUMBERED = /^\s*\d+[.)]\s+(.*)$/;
+const QUOTE = /^>\s?(.*)$/;
+const FENCE = /^```/;
+
+// Inline code, bold, italic and links; links are only rendered for http(s) and mailto targets
+const INLINE = /(`[^`]+`)|(\*\*[^*]+\*\*)|(\*[^*\s][^*]*\*|_[^_\s][^_]*_)|(\[[^\]]+\]\([^)\s]+\))/;
+const SAFE_LINK = /^(https?:\/\/|mailto:)/i;
+
+const parseBlocks = (source: string): Block[] => {
+  const blocks: Block[] = [];
+  const lines = source.replace(/\r\n/g, "\n").split("\n");
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+    if (FENCE.test(line)) {
+      const code: string[] = [];
+      i++;
+      while (i < lines.length && !FENCE.test(lines[i])) code.push(lines[i++]);
+      i++;
+      blocks.push({ kind: "code", text: code.join("\n") });
+      continue;
+    }
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push({ kind: "heading", level: heading[1].length, text: heading[2] });
+      i++;
+      continue;
+    }
+    const listPattern = BULLET.test(line) ? BULLET : NUMBERED.test(line) ? NUMBERED : null;
+    if (listPattern) {
+      const items: string[] = [];
+      while (i < lines.length && listPattern.test(lines[i])) items.push(lines[i++].match(listPattern)![1]);
+      blocks.push({ kind: "list", ordered: listPattern === NUMBERED, items });
+      continue;
+    }
+    if (QUOTE.test(line)) {
+      const quoted: string[] = [];
+      while (i < lines.length && QUOTE.test(lines[i])) quoted.push(lines[i++].match(QUOTE)![1]);
+      blocks.push({ kind: "quote", text: quoted.join(" ") });
+      continue;
+    }
+    const paragraph: string[] = [];
+    while (
+      i < lines.length &&
+      lines[i].trim() &&
+      ![HEADING, BULLET, NUMBERED, QUOTE, FENCE].some(pattern => pattern.test(lines[i]))
+    ) {
+      paragraph.push(lines[i++].trim());
+    }
+    blocks.push({ kind: "paragraph", text: paragraph.join(" ") });
+  }
+  return blocks;
+};
+
+const renderInline = (text: string): ReactNode[] => {
+  const nodes: ReactNode[] = [];
+  let rest = text;
+  while (rest) {
+    const match = rest.match(INLINE);
+    if (!match || match.index === undefined) {
+      nodes.push(rest);
+      break;
+    }
+    if (match.index > 0) nodes.push(rest.slice(0, match.index));
+    const [token] = match;
+    const key = nodes.length;
+    if (match[1]) {
+      nodes.push(
+        <code key={key} className="bg-slate-800 rounded px-1 text-sm">
+          {token.slice(1, -1)}
+        </code>
+      );
+    } else if (match[2]) {
+      nodes.push(<strong key={key}>{renderInline(token.slice(2, -2))}</strong>);
+    } else if (match[3]) {
+      nodes.push(<em key={key}>{renderInline(token.slice(1, -1))}</em>);
+    } else {
+      const [, label, href] = token.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/)!;
+      nodes.push(
+        SAFE_LINK.test(href) ? (
+          <a key={key} href={href} target="_blank" rel="noopener noreferrer" className="text-blue-400 hover:underline">
+            {label}
+          </a>
+        ) : (
+          label
+        )
+      );
+    }
+    rest = rest.slice(match.index + token.length);
+  }
+  return nodes;
+};
+
+const HEADING_CLASSES = ["text-xl font-bold", "text-lg font-semibold", "text-base font-semibold", "text-sm font-semibold"];
+
+/**
+ * Renders the Markdown subset used in proposal bodies: headings, paragraphs, lists, quotes, code and inline
+ * emphasis and links. Builds React elements only, so proposal content can never inject HTML.
+ */
+export default function Markdown({ source }: Props) {
+  return (
+    <div data-testid="markdown" className="space-y-3 text-sm text-slate-300 leading-relaxed">
+      {parseBlocks(source).map((block, i) => {
+        switch (block.kind) {
+          case "heading":
+            return (
+              <p key={i} className={`${HEADING_CLASSES[block.level - 1]} text-slate-100`}>
+                {renderInline(block.text)}
+              </p>
+            );
+          case "list": {
+            const items = block.items.map((item, j) => <li key={j}>{renderInline(item)}</li>);
+            return block.ordered ? (
+              <ol key={i} className="list-decimal pl-5 space-y-1">
+                {items}
+              </ol>
+            ) : (
+              <ul key={i} className="list-disc pl-5 space-y-1">
+                {items}
+              </ul>
+            );
+          }
+          case "quote":
+            return (
+              <blockquote key={i} className="border-l-2 border-slate-600 pl-3 text-slate-400">
+                {renderInline(block.text)}
+              </blockquote>
+            );
+          case "code":
+            return (
+              <pre key={i} className="bg-slate-800 rounded-lg p-3 text-xs overflow-x-auto">
+                <code>{block.text}</code>
+              </pre>
+            );
+          default:
+            return <p key={i}>{renderInline(block.text)}</p>;
+        }
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+"use client";
+
+import { useState } from "react";
+import Markdown from "./Markdown";
+import { MetadataDraft } from "../lib/metadata";
+
+type Props = {
+  draft: MetadataDraft;
+  onChange: (draft: MetadataDraft) => void;
+};
+
+/**
+ * Optional structured metadata of a proposal being drafted: summary, Markdown body with a preview, discussion
+ * link and tags. When any is filled in, the document is stored by content hash and referenced from the
+ * description.
+ */
+export default function MetadataFields({ draft, onChange }: Props) {
+  const [preview, setPreview] = useState(false);
+  const set = (field: keyof MetadataDraft) => (value: string) => onChange({ ...draft, [field]: value });
+
+  const inputClass =
+    "w-full bg-slate-800 border border-slate-700 rounded-lg p-2 text-sm focus:ring-2 focus:ring-blue-500 outline-none transition-all";
+
+  return (
+    <div data-testid="metadata-fields" className="space-y-2">
+      <input
+        className={inputClass}
+        value={draft.summary}
+        onChange={e => set("summary")(e.target.value)}
+        placeholder="One-line summary (optional)"
+      />
+      <div>
+        <div className="flex justify-between items-center mb-1">
+          <label className="text-xs text-slate-400">Body (Markdown)</label>
+          <button onClick={() => setPreview(!preview)} className="text-xs text-blue-400 hover:text-blue-300">
+            {preview ? "Edit" : "Preview"}
+          </button>
+        </div>
+        {preview ? (
+          <div className="bg-slate-800/50 border border-slate-700 rounded-lg p-3 min-h-[6rem]">
+            <Markdown source={draft.body || "_Nothing to preview_"} />
+          </div>
+        ) : (
+          <textarea
+            className={`${inputClass} font-mono`}
+            rows={5}
+            value={draft.body}
+            onChange={e => set("body")(e.target.value)}
+            placeholder={"## Motivation\n\nWhy this proposal matters..."}
+          />
+        )}
+      </div>
+      <input
+        className={inputClass}
+        value={draft.discussion}
+        onChange={e => set("discussion")(e.target.value)}
+        placeholder="Discussion link https://..."
+      />
+      <input
+        className={inputClass}
+        value={draft.tags}
+        onChange={e => set("tags")(e.target.value)}
+        placeholder="Tags, comma separated"
+      />
+    </div>
+  );
+}
@@ -0,0 +1,60 @@
+"use client";
+
+import { ethers } from "ethers";
+import clsx from "clsx";
+
+type Props = {
+  labels: string[];
+  // MyGovernor.optionResults: votes per option in each round (a single round for approval voting)
+  rounds: bigint[][];
+  decided: boolean;
+  winner: number;
+  ranked: boolean;
+};
+
+const format = (wei: bigint) => Number(ethers.formatEther(wei)).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+/**
+ * Tally of a multi-option proposal: approvals per option, or every instant-runoff round for ranked choice,
+ * with the option currently winning highlighted.
+ */
+export default function OptionResults({ labels, rounds, decided, winner, ranked }: Props) {
+  const final = rounds[rounds.length - 1] ?? labels.map(() => BigInt(0));
+  const total = final.reduce((sum, votes) => sum + votes, BigInt(0));
+  // Round after which an option stopped receiving votes, i.e. was eliminated (-1 if it never was)
+  const eliminatedIn = (option: number) =>
+    rounds.findIndex((round, r) => r > 0 && round[option] === BigInt(0) && rounds[r - 1][option] > BigInt(0));
+
+  return (
+    <div data-testid="option-results" className="space-y-2">
+      {ranked && rounds.length > 1 && <p className="text-xs text-slate-500">Instant runoff: {rounds.length} rounds</p>}
+      {labels.map((label, option) => {
+        const percent = total === BigInt(0) ? 0 : Number((final[option] * BigInt(10000)) / total) / 100;
+        const leading = decided && winner === option;
+        const eliminated = ranked ? eliminatedIn(option) : -1;
+        return (
+          <div key={option}>
+            <div className="flex justify-between text-sm mb-1">
+              <span className={clsx(leading ? "text-green-400 font-medium" : "text-slate-300")}>
+                {label}
+                {leading && " ✓"}
+              </span>
+              <span className="text-xs text-slate-400 font-mono">
+                {ranked
+                  ? rounds.map(round => format(round[option])).join(" → ")
+                  : `${format(final[option])} (${percent.toFixed(1)}%)`}
+              </span>
+            </div>
+            <div className="h-1.5 bg-slate-800 rounded-full overflow-hidden">
+              <div style={{ width: `${percent}%` }} className={leading ? "bg-green-500 h-full" : "bg-blue-500 h-full"} />
+            </div>
+            {eliminated > 0 && <p className="text-[11px] text-slate-500">Eliminated after round {eliminated}</p>}
+          </div>
+        );
+      })}
+      {!decided && final.some(votes => votes > BigInt(0)) && (
+        <p className="text-xs text-yellow-400">Tied: no single option is winning, so the proposal would be defeated.</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+"use client";
+
+import { useState } from "react";
+import { ArrowDown, ArrowUp, Loader2 } from "lucide-react";
+
+type Props = {
+  labels: string[];
+  // Ranked choice orders the chosen options; approval accepts any subset
+  ranked: boolean;
+  busy: boolean;
+  onSubmit: (options: number[]) => void;
+};
+
+/**
+ * Ballot of a multi-option proposal. Approval: tick every acceptable option. Ranked choice: tick the options
+ * to rank and order them from most to least preferred; unranked options never receive this vote.
+ */
+export default function OptionsBallot({ labels, ranked, busy, onSubmit }: Props) {
+  // Chosen options, in preference order for ranked ballots
+  const [chosen, setChosen] = useState<number[]>([]);
+
+  const toggle = (option: number) =>
+    setChosen(chosen.includes(option) ? chosen.filter(o => o !== option) : [...chosen, option]);
+
+  const move = (index: number, offset: number) => {
+    const next = [...chosen];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    setChosen(next);
+  };
+
+  return (
+    <div data-testid="options-ballot" className="space-y-3">
+      <p className="text-xs text-slate-400">
+        {ranked
+          ? "Tick the options you support, then order them from most to least preferred."
+          : "Tick every option you approve of. The option with the most approvals wins."}
+      </p>
+
+      <ul className="space-y-1">
+        {labels.map((label, option) => (
+          <li key={option}>
+            <label className="flex items-center gap-2 text-sm text-slate-300">
+              <input
+                type="checkbox"
+                checked={chosen.includes(option)}
+                onChange={() => toggle(option)}
+                className="accent-blue-500"
+              />
+              {label}
+            </label>
+          </li>
+        ))}
+      </ul>
+
+      {ranked && chosen.length > 0 && (
+        <ol data-testid="ranked-order" className="space-y-1 bg-slate-950 rounded-lg p-2">
+          {chosen.map((option, i) => (
+            <li key={option} className="flex items-center gap-2 text-sm">
+              <span className="w-5 text-slate-500">{i + 1}.</span>
+              <span className="flex-1 text-slate-200">{labels[option]}</span>
+              <button onClick={() => move(i, -1)} disabled={i === 0} className="text-slate-500 hover:text-slate-200 disabled:opacity-30">
+                <ArrowUp size={14} />
+              </button>
+              <button
+                onClick={() => move(i, 1)}
+                disabled={i === chosen.length - 1}
+                className="text-slate-500 hover:text-slate-200 disabled:opacity-30"
+              >
+                <ArrowDown size={14} />
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <button
+        data-testid="cast-options-button"
+        onClick={() => onSubmit(chosen)}
+        disabled={busy || chosen.length === 0}
+        className="w-full bg-blue-900/30 hover:bg-blue-900/50 text-blue-400 border border-blue-800/50 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+      >
+        {busy ? <Loader2 className="animate-spin mx-auto" size={16} /> : ranked ? "Cast Ranking" : "Cast Approvals"}
+      </button>
+    </div>
+  );
+}
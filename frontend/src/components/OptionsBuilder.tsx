@@ -0,0 +1,105 @@
+"use client";
+
+import { useState } from "react";
+import { Plus, Trash2 } from "lucide-react";
+import clsx from "clsx";
+import ProposalBuilder from "./ProposalBuilder";
+import { AbiSource } from "../lib/proposalActions";
+import { DraftOption, MAX_OPTIONS, MIN_OPTIONS } from "../lib/options";
+
+type Props = {
+  sources: AbiSource[];
+  options: DraftOption[];
+  onChange: (options: DraftOption[]) => void;
+};
+
+/**
+ * Options of an Approval or Ranked-Choice proposal: a label per option and the actions executed if it wins,
+ * composed one option at a time with the regular action builder.
+ */
+export default function OptionsBuilder({ sources, options, onChange }: Props) {
+  const [selected, setSelected] = useState(0);
+  const current = Math.min(selected, options.length - 1);
+
+  const update = (index: number, option: DraftOption) => onChange(options.map((o, i) => (i === index ? option : o)));
+
+  const addOption = () => {
+    onChange([...options, { label: "", actions: [] }]);
+    setSelected(options.length);
+  };
+
+  const removeOption = (index: number) => {
+    onChange(options.filter((_, i) => i !== index));
+    setSelected(Math.max(current - (index <= current ? 1 : 0), 0));
+  };
+
+  const inputClass =
+    "w-full bg-slate-800 border border-slate-700 rounded-lg p-2 text-sm focus:ring-2 focus:ring-blue-500 outline-none transition-all";
+
+  return (
+    <div data-testid="options-builder" className="space-y-4">
+      <div>
+        <label className="block text-sm text-slate-400 mb-1">Options ({options.length})</label>
+        <ol className="space-y-2">
+          {options.map((option, i) => (
+            <li key={i} className="flex items-center gap-2">
+              <button
+                onClick={() => setSelected(i)}
+                className={clsx(
+                  "w-8 py-2 rounded-lg text-xs border transition-all shrink-0",
+                  i === current
+                    ? "bg-blue-600/20 border-blue-500 text-blue-400"
+                    : "bg-slate-800 border-slate-700 text-slate-400 hover:bg-slate-750"
+                )}
+                title="Edit this option's actions"
+              >
+                {i + 1}
+              </button>
+              <input
+                data-testid="option-label-input"
+                className={inputClass}
+                value={option.label}
+                onChange={e => update(i, { ...option, label: e.target.value })}
+                placeholder={`Option ${i + 1}`}
+              />
+              <span className="text-xs text-slate-500 shrink-0">
+                {option.actions.length} action{option.actions.length === 1 ? "" : "s"}
+              </span>
+              <button
+                onClick={() => removeOption(i)}
+                disabled={options.length <= MIN_OPTIONS}
+                className="text-slate-500 hover:text-red-400 disabled:opacity-30"
+              >
+                <Trash2 size={14} />
+              </button>
+            </li>
+          ))}
+        </ol>
+        <button
+          onClick={addOption}
+          disabled={options.length >= MAX_OPTIONS}
+          className="w-full mt-2 bg-slate-800 hover:bg-slate-700 border border-slate-700 text-slate-300 py-2 rounded-lg text-sm transition-colors disabled:opacity-50 flex items-center justify-center gap-2"
+        >
+          <Plus size={16} /> Add Option
+        </button>
+        <p className="text-xs text-slate-500 mt-1">
+          Only the winning option&apos;s actions are executed. Leave an option without actions to offer &quot;do
+          nothing&quot;.
+        </p>
+      </div>
+
+      <div className="border-t border-slate-800 pt-4">
+        <p className="text-sm text-slate-300 mb-2">
+          Actions of option {current + 1}
+          {options[current].label.trim() ? `: ${options[current].label.trim()}` : ""}
+        </p>
+        <ProposalBuilder
+          key={current}
+          sources={sources}
+          actions={options[current].actions}
+          onChange={actions => update(current, { ...options[current], actions })}
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,237 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import { ethers, InterfaceAbi } from "ethers";
+import { Plus, Trash2 } from "lucide-react";
+import clsx from "clsx";
+import {
+  AbiSource,
+  ProposalAction,
+  buildAction,
+  decodeAction,
+  listWritableFunctions,
+} from "../lib/proposalActions";
+
+const CUSTOM_ABI = "Custom ABI";
+const ETH_TRANSFER = "__eth_transfer__";
+
+type Props = {
+  // Deployed contracts whose ABIs can be loaded with one click
+  sources: AbiSource[];
+  actions: ProposalAction[];
+  onChange: (actions: ProposalAction[]) => void;
+};
+
+/**
+ * Multi-action proposal composer: pick a target and ABI, choose a function, fill typed arguments
+ * and an ETH value, then queue up as many actions as the proposal needs.
+ */
+export default function ProposalBuilder({ sources, actions, onChange }: Props) {
+  const [sourceName, setSourceName] = useState(sources[0]?.name ?? CUSTOM_ABI);
+  const [customAbi, setCustomAbi] = useState("");
+  const [target, setTarget] = useState(sources[0]?.address ?? "");
+  const [functionKey, setFunctionKey] = useState("");
+  const [args, setArgs] = useState<string[]>([]);
+  const [value, setValue] = useState("0");
+  const [builderError, setBuilderError] = useState<string | null>(null);
+
+  // The ABI currently selected, or an error if the pasted JSON does not parse
+  const { source, abiError } = useMemo((): { source: AbiSource | null; abiError: string | null } => {
+    if (sourceName !== CUSTOM_ABI) {
+      return { source: sources.find(s => s.name === sourceName) ?? null, abiError: null };
+    }
+    if (!customAbi.trim()) return { source: null, abiError: null };
+    try {
+      const parsed = JSON.parse(customAbi);
+      // Accept either a bare ABI array or a full Hardhat artifact
+      const abi: InterfaceAbi = Array.isArray(parsed) ? parsed : parsed.abi;
+      new ethers.Interface(abi);
+      return { source: { name: CUSTOM_ABI, abi }, abiError: null };
+    } catch {
+      return { source: null, abiError: "Invalid ABI JSON" };
+    }
+  }, [sourceName, customAbi, sources]);
+
+  const functions = useMemo(() => (source ? listWritableFunctions(source.abi) : []), [source]);
+  const fragment = functions.find(f => f.format() === functionKey) ?? null;
+
+  // Known ABIs plus the pasted one, for decoding every queued action
+  const decodeSources = useMemo(() => (source && source.name === CUSTOM_ABI ? [...sources, source] : sources), [source, sources]);
+
+  const selectSource = (name: string) => {
+    setSourceName(name);
+    const known = sources.find(s => s.name === name);
+    if (known?.address) setTarget(known.address);
+    setFunctionKey("");
+    setArgs([]);
+    setBuilderError(null);
+  };
+
+  const selectFunction = (key: string) => {
+    setFunctionKey(key);
+    const selected = functions.find(f => f.format() === key);
+    setArgs(selected ? selected.inputs.map(() => "") : []);
+    setBuilderError(null);
+  };
+
+  const addAction = () => {
+    if (!source) return;
+    try {
+      const action = buildAction(target, source, functionKey === ETH_TRANSFER ? null : fragment, args, value);
+      onChange([...actions, action]);
+      setArgs(fragment ? fragment.inputs.map(() => "") : []);
+      setValue("0");
+      setBuilderError(null);
+    } catch (e: unknown) {
+      setBuilderError(e instanceof Error ? e.message : String(e));
+    }
+  };
+
+  const removeAction = (index: number) => {
+    onChange(actions.filter((_, i) => i !== index));
+  };
+
+  const inputClass =
+    "w-full bg-slate-800 border border-slate-700 rounded-lg p-2 text-sm font-mono focus:ring-2 focus:ring-blue-500 outline-none transition-all";
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm text-slate-400 mb-1">Contract ABI</label>
+        <div className="flex flex-wrap gap-2">
+          {[...sources.map(s => s.name), CUSTOM_ABI].map(name => (
+            <button
+              key={name}
+              onClick={() => selectSource(name)}
+              className={clsx(
+                "flex-1 py-1.5 px-2 rounded-lg text-xs border transition-all",
+                sourceName === name
+                  ? "bg-blue-600/20 border-blue-500 text-blue-400"
+                  : "bg-slate-800 border-slate-700 text-slate-400 hover:bg-slate-750"
+              )}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+        {sourceName === CUSTOM_ABI && (
+          <>
+            <textarea
+              className={clsx(inputClass, "mt-2")}
+              rows={3}
+              value={customAbi}
+              onChange={e => setCustomAbi(e.target.value)}
+              placeholder='Paste ABI JSON: [{"type":"function",...}]'
+            />
+            {abiError && <p className="text-xs text-red-400 mt-1">{abiError}</p>}
+          </>
+        )}
+      </div>
+
+      <div>
+        <label className="block text-sm text-slate-400 mb-1">Target Address</label>
+        <input className={inputClass} value={target} onChange={e => setTarget(e.target.value)} placeholder="0x..." />
+      </div>
+
+      <div>
+        <label className="block text-sm text-slate-400 mb-1">Function</label>
+        <select
+          className={inputClass}
+          value={functionKey}
+          onChange={e => selectFunction(e.target.value)}
+          disabled={!source}
+        >
+          <option value="">Select a function…</option>
+          <option value={ETH_TRANSFER}>(plain ETH transfer)</option>
+          {functions.map(f => (
+            <option key={f.format()} value={f.format()}>
+              {f.format()}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {fragment && fragment.inputs.length > 0 && (
+        <div className="space-y-2">
+          {fragment.inputs.map((param, i) => (
+            <div key={`${functionKey}-${i}`}>
+              <label className="block text-xs text-slate-500 mb-1">
+                {param.name || `arg${i}`} <span className="font-mono">({param.type})</span>
+              </label>
+              <input
+                className={inputClass}
+                value={args[i] ?? ""}
+                onChange={e => setArgs(args.map((a, j) => (j === i ? e.target.value : a)))}
+                placeholder={
+                  param.isArray() || param.isTuple()
+                    ? "JSON, e.g. [\"0x...\", \"1\"]"
+                    : param.baseType.includes("int")
+                      ? "e.g. 1000000 or 100 ether"
+                      : param.type
+                }
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      {functionKey && (
+        <div>
+          <label className="block text-sm text-slate-400 mb-1">ETH Value</label>
+          <input className={inputClass} value={value} onChange={e => setValue(e.target.value)} placeholder="0.0" />
+        </div>
+      )}
+
+      {builderError && <p className="text-xs text-red-400">{builderError}</p>}
+
+      <button
+        onClick={addAction}
+        disabled={!source || !functionKey}
+        className="w-full bg-slate-800 hover:bg-slate-700 border border-slate-700 text-slate-300 py-2 rounded-lg text-sm transition-colors disabled:opacity-50 flex items-center justify-center gap-2"
+      >
+        <Plus size={16} /> Add Action
+      </button>
+
+      {/* Decoded preview of every action that will be proposed */}
+      <div>
+        <label className="block text-sm text-slate-400 mb-1">Actions ({actions.length})</label>
+        {actions.length === 0 ? (
+          <p className="text-xs text-slate-500">No actions yet. A proposal needs at least one.</p>
+        ) : (
+          <ol className="space-y-2">
+            {actions.map((action, i) => {
+              const decoded = decodeAction(action, decodeSources);
+              return (
+                <li key={i} data-testid="proposal-action" className="bg-slate-950 rounded-lg p-3 text-xs border border-slate-800">
+                  <div className="flex justify-between items-start gap-2">
+                    <div className="font-mono text-slate-300 break-all">
+                      <span className="text-slate-500">#{i + 1}</span>{" "}
+                      {decoded ? decoded.signature : action.calldata === "0x" ? "ETH transfer" : "Unknown function"}
+                    </div>
+                    <button onClick={() => removeAction(i)} className="text-slate-500 hover:text-red-400">
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                  <div className="text-slate-500 mt-1 break-all">→ {action.target}</div>
+                  {action.value > BigInt(0) && (
+                    <div className="text-slate-500">Value: {ethers.formatEther(action.value)} ETH</div>
+                  )}
+                  {decoded && decoded.args.length > 0 && (
+                    <ul className="mt-1 space-y-0.5">
+                      {decoded.args.map(arg => (
+                        <li key={arg.name} className="font-mono text-slate-400 break-all">
+                          {arg.name} <span className="text-slate-600">({arg.type})</span>: {arg.value}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  <div className="font-mono text-slate-600 mt-1 break-all">{action.calldata}</div>
+                </li>
+              );
+            })}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { AlertCircle, ExternalLink, ShieldCheck } from "lucide-react";
+import Markdown from "./Markdown";
+import { ResolvedMetadata, fetchMetadata, parseDescription } from "../lib/metadata";
+
+type Props = {
+  // On-chain proposal description, possibly referencing a metadata document
+  description: string;
+  // Cards show the summary and tags; the proposal page also shows the discussion link and the Markdown body
+  full?: boolean;
+};
+
+/**
+ * Metadata of a proposal whose description references a content identifier. Content that does not hash to the
+ * identifier is never shown. Renders nothing for plain descriptions.
+ */
+export default function ProposalMetadataView({ description, full = false }: Props) {
+  const { cid } = parseDescription(description);
+  const [resolved, setResolved] = useState<ResolvedMetadata | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!cid) return;
+    let cancelled = false;
+    fetchMetadata(cid)
+      .then(result => {
+        if (!cancelled) setResolved(result);
+      })
+      .catch((e: unknown) => {
+        if (!cancelled) setError(e instanceof Error ? e.message : String(e));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [cid]);
+
+  if (!cid) return null;
+
+  if (error || (resolved && !resolved.verified)) {
+    return (
+      <p data-testid="metadata-error" className="text-xs text-yellow-400 flex items-center gap-1">
+        <AlertCircle size={12} />
+        {error ?? `Metadata ${cid} does not match its content hash and is not shown`}
+      </p>
+    );
+  }
+  const metadata = resolved?.metadata;
+  if (!metadata) return null;
+
+  return (
+    <div data-testid="proposal-metadata" className="space-y-2">
+      {metadata.summary && <p className="text-sm text-slate-400">{metadata.summary}</p>}
+      {(metadata.tags.length > 0 || full) && (
+        <div className="flex flex-wrap items-center gap-2">
+          {metadata.tags.map(tag => (
+            <span key={tag} className="text-xs text-blue-300 bg-blue-500/10 border border-blue-900 px-2 py-0.5 rounded-full">
+              {tag}
+            </span>
+          ))}
+          {full && (
+            <span className="text-xs text-green-400 flex items-center gap-1" title={cid}>
+              <ShieldCheck size={12} /> Content hash verified
+            </span>
+          )}
+        </div>
+      )}
+      {full && metadata.discussion && (
+        <a
+          href={metadata.discussion}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="text-sm text-blue-400 hover:underline flex items-center gap-1"
+        >
+          Discussion <ExternalLink size={12} />
+        </a>
+      )}
+      {full && metadata.body && (
+        <div className="border-t border-slate-800 pt-4 mt-4">
+          <Markdown source={metadata.body} />
+        </div>
+      )}
+    </div>
+  );
+}
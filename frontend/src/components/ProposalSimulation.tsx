@@ -0,0 +1,145 @@
+"use client";
+
+import { useState } from "react";
+import { ethers } from "ethers";
+import { FlaskConical, Loader2 } from "lucide-react";
+import clsx from "clsx";
+import { Simulation, simulateProposal } from "../lib/simulation";
+
+type Props = {
+  proposalId: string;
+  // Option labels of Approval and Ranked choice proposals, null for the others
+  options: string[] | null;
+  // Option winning so far, simulated by default
+  winner: number | null;
+};
+
+const short = (address: string) => `${address.slice(0, 6)}…${address.slice(-4)}`;
+const named = (address: string, name: string | null) => name ?? short(address);
+
+const formatChange = (wei: string) => {
+  const amount = BigInt(wei);
+  return `${amount > BigInt(0) ? "+" : ""}${ethers.formatEther(amount).replace(/\.0$/, "")}`;
+};
+
+/**
+ * "Simulate" button of a proposal and the report of its dry run: what each action emits and writes, the first
+ * revert, and the balances that would change if the proposal were executed now.
+ */
+export default function ProposalSimulation({ proposalId, options, winner }: Props) {
+  const [option, setOption] = useState<number | null>(winner);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [simulation, setSimulation] = useState<Simulation | null>(null);
+
+  const simulate = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      setSimulation(await simulateProposal(proposalId, option ?? undefined));
+    } catch (e) {
+      setSimulation(null);
+      setError((e as Error).message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const report = simulation?.report;
+  return (
+    <div data-testid="proposal-simulation" className="space-y-3">
+      <div className="flex items-center gap-2">
+        {options && (
+          <select
+            value={option ?? ""}
+            onChange={e => setOption(e.target.value === "" ? null : Number(e.target.value))}
+            className="bg-slate-800 border border-slate-700 rounded px-2 py-1 text-sm text-slate-200"
+          >
+            <option value="">Winning option</option>
+            {options.map((label, i) => (
+              <option key={i} value={i}>
+                {label}
+              </option>
+            ))}
+          </select>
+        )}
+        <button
+          onClick={simulate}
+          disabled={busy}
+          className="flex items-center gap-1 px-3 py-1 text-sm rounded bg-slate-800 hover:bg-slate-700 text-slate-200 disabled:opacity-50"
+        >
+          {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <FlaskConical className="w-4 h-4" />}
+          Simulate
+        </button>
+      </div>
+      {error && <p className="text-xs text-red-400">{error}</p>}
+
+      {simulation && report && (
+        <div className="rounded border border-slate-800 bg-slate-900/60 p-3 space-y-3 text-sm">
+          <p className={clsx("font-medium", report.success ? "text-green-400" : "text-red-400")}>
+            {report.success ? "Execution succeeds" : "Execution reverts: nothing would change"}
+            <span className="text-xs text-slate-500 font-normal">
+              {" "}
+              (block {simulation.blockNumber}
+              {simulation.label !== null && `, option "${simulation.label}"`})
+            </span>
+          </p>
+          {BigInt(report.valueShortfall) > BigInt(0) && (
+            <p className="text-xs text-yellow-400">
+              The caller of execute must send {ethers.formatEther(report.valueShortfall)} ETH with it.
+            </p>
+          )}
+
+          {report.actions.map(action => (
+            <div key={action.index} className="space-y-1">
+              <p className="text-slate-200">
+                #{action.index + 1} {named(action.target, action.contract)}
+                <span className="font-mono text-xs text-slate-400"> {action.function ?? "(no call data)"}</span>
+              </p>
+              {action.error && <p className="text-xs text-red-400">Reverts: {action.error}</p>}
+              {action.events.map((event, i) => (
+                <p key={i} className="text-xs text-slate-400 font-mono break-all">
+                  {named(event.address, event.contract)}.{event.name ?? "(unknown event)"}(
+                  {event.args
+                    ? Object.entries(event.args)
+                        .map(([key, value]) => `${key}: ${String(value)}`)
+                        .join(", ")
+                    : event.topic}
+                  )
+                </p>
+              ))}
+              {action.calls
+                .filter(call => call.storageWrites > 0)
+                .map((call, i) => (
+                  <p key={i} className="text-xs text-slate-500">
+                    Writes {call.storageWrites} storage slot{call.storageWrites === 1 ? "" : "s"} of{" "}
+                    {named(call.to, call.contract)} via {call.function ?? call.kind}
+                  </p>
+                ))}
+            </div>
+          ))}
+
+          {report.balanceChanges.length > 0 && (
+            <table className="w-full text-xs">
+              <tbody>
+                {report.balanceChanges.map((change, i) => (
+                  <tr key={i} className="border-t border-slate-800">
+                    <td className="py-1 text-slate-300">{named(change.account, change.name)}</td>
+                    <td
+                      className={clsx(
+                        "py-1 text-right font-mono",
+                        BigInt(change.change) > BigInt(0) ? "text-green-400" : "text-red-400"
+                      )}
+                    >
+                      {formatChange(change.change)} {change.asset}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
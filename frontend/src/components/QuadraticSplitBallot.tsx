@@ -0,0 +1,93 @@
+"use client";
+
+import { useState } from "react";
+import { ethers } from "ethers";
+import { Loader2 } from "lucide-react";
+
+type Props = {
+  // Remaining quadratic voting power (wei) at the proposal snapshot
+  budget: bigint;
+  busy: boolean;
+  onSubmit: (againstVotes: bigint, forVotes: bigint, abstainVotes: bigint) => void;
+  onCancel: () => void;
+};
+
+const SIDES = [
+  { key: 1, label: "For", color: "accent-green-500", text: "text-green-400" },
+  { key: 0, label: "Against", color: "accent-red-500", text: "text-red-400" },
+  { key: 2, label: "Abstain", color: "accent-slate-400", text: "text-slate-300" },
+];
+
+/**
+ * Slider-based allocation of one quadratic ballot across For / Against / Abstain.
+ * The ballot is priced on its total: cost = (for + against + abstain)², so the sliders share
+ * a single pool of floor(√budget) votes.
+ */
+export default function QuadraticSplitBallot({ budget, busy, onSubmit, onCancel }: Props) {
+  const [allocation, setAllocation] = useState<Record<number, number>>({ 0: 0, 1: 0, 2: 0 });
+
+  const budgetTokens = Number(ethers.formatEther(budget));
+  const maxVotes = Math.floor(Math.sqrt(budgetTokens));
+  const totalVotes = allocation[0] + allocation[1] + allocation[2];
+  const cost = totalVotes * totalVotes;
+
+  const setSide = (side: number, votes: number) => {
+    const others = totalVotes - allocation[side];
+    setAllocation({ ...allocation, [side]: Math.min(votes, maxVotes - others) });
+  };
+
+  const submit = () => {
+    onSubmit(
+      ethers.parseEther(allocation[0].toString()),
+      ethers.parseEther(allocation[1].toString()),
+      ethers.parseEther(allocation[2].toString())
+    );
+  };
+
+  return (
+    <div data-testid="split-ballot" className="border-t border-slate-800 pt-4 space-y-3">
+      <p className="text-xs text-slate-400">
+        Allocate up to {maxVotes} votes. Cost is computed on the whole ballot: (For + Against + Abstain)².
+      </p>
+
+      {SIDES.map(side => (
+        <div key={side.key} className="flex items-center gap-3">
+          <span className={`w-16 text-sm ${side.text}`}>{side.label}</span>
+          <input
+            type="range"
+            min={0}
+            max={maxVotes}
+            step={1}
+            value={allocation[side.key]}
+            onChange={e => setSide(side.key, Number(e.target.value))}
+            className={`flex-1 ${side.color}`}
+          />
+          <span className="w-10 text-right text-sm font-mono text-slate-300">{allocation[side.key]}</span>
+        </div>
+      ))}
+
+      <div className="flex justify-between text-xs text-slate-400 bg-slate-950 rounded-lg p-2">
+        <span>Total: {totalVotes} votes</span>
+        <span>Cost: {cost} GT</span>
+        <span>Remaining: {Math.max(budgetTokens - cost, 0).toFixed(2)} GT</span>
+      </div>
+
+      <div className="flex gap-2">
+        <button
+          onClick={submit}
+          disabled={busy || totalVotes === 0}
+          className="flex-1 bg-purple-900/30 hover:bg-purple-900/50 text-purple-400 border border-purple-800/50 py-2 rounded-lg text-sm font-medium transition-colors disabled:opacity-50"
+        >
+          {busy ? <Loader2 className="animate-spin mx-auto" size={16} /> : "Cast Split Ballot"}
+        </button>
+        <button
+          onClick={onCancel}
+          disabled={busy}
+          className="bg-slate-800 hover:bg-slate-700 text-slate-300 border border-slate-700 px-4 py-2 rounded-lg text-sm transition-colors disabled:opacity-50"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+"use client";
+
+import { ethers } from "ethers";
+import { CONVICTION } from "../lib/contracts";
+import { isMultiOption } from "../lib/options";
+
+type Props = {
+  // MyGovernor.VotingType
+  votingType: number;
+  // proposalParticipation (wei)
+  participation: bigint;
+  // proposalQuorum (wei); null until the snapshot block has passed
+  quorum: bigint | null;
+};
+
+// Percentage of the quorum reached, capped at 100
+const progress = (participation: bigint, quorum: bigint) =>
+  quorum === BigInt(0) ? 100 : Math.min(Number((participation * BigInt(10000)) / quorum) / 100, 100);
+
+const format = (wei: bigint) => Number(ethers.formatEther(wei)).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+/**
+ * Progress towards a proposal's quorum. Standard proposals count For + Abstain votes; Quadratic proposals count
+ * the voting power spent on For and Abstain, since their votes are only the square root of the power spent;
+ * multi-option proposals count every ballot.
+ */
+export default function QuorumProgress({ votingType, participation, quorum }: Props) {
+  const unit = votingType === 1 ? "GT spent" : "votes";
+  const percent = quorum === null ? 0 : progress(participation, quorum);
+  const reached = quorum !== null && participation >= quorum;
+
+  return (
+    <div data-testid="quorum-progress" className="mt-3">
+      <div className="flex justify-between text-xs mb-1">
+        <span className={reached ? "text-green-400" : "text-slate-400"}>
+          Quorum: {format(participation)} / {quorum === null ? "—" : format(quorum)} {unit}
+        </span>
+        {quorum !== null && <span className="text-slate-500">{percent.toFixed(1)}%</span>}
+      </div>
+      <div className="h-1.5 bg-slate-800 rounded-full overflow-hidden">
+        <div style={{ width: `${percent}%` }} className={reached ? "bg-green-500 h-full" : "bg-yellow-500 h-full"} />
+      </div>
+      <p className="text-[11px] text-slate-500 mt-1">
+        {quorum === null
+          ? "Quorum is fixed once the snapshot block has passed."
+          : votingType === 1
+            ? "Quadratic quorum counts voting power spent on For and Abstain, not the number of votes."
+            : isMultiOption(votingType)
+              ? "Quorum counts the voting power of every ballot cast."
+              : votingType === CONVICTION
+                ? "Quorum counts conviction-weighted For and Abstain votes."
+                : "Quorum counts For and Abstain votes."}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,340 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { ethers, Contract, EventLog } from "ethers";
+import { Loader2 } from "lucide-react";
+import clsx from "clsx";
+import { ProposalState } from "../lib/contracts";
+import { describeError } from "../lib/errors";
+import { parseDescription } from "../lib/metadata";
+import { ProposalAction } from "../lib/proposalActions";
+import {
+  ETH,
+  TreasuryPayout,
+  buildPayoutAction,
+  decodeCategory,
+  decodeTreasuryPayouts,
+  describePayout,
+} from "../lib/treasury";
+
+// The parts of a proposal needed to find its treasury payouts
+export type PayoutProposal = {
+  id: string;
+  description: string;
+  state: number;
+  eta: bigint;
+  targets: string[];
+  calldatas: string[];
+};
+
+type Props = {
+  // Treasury connected to the wallet's signer
+  treasury: Contract;
+  // GovernanceToken address, listed next to ETH
+  token: string;
+  proposals: PayoutProposal[];
+  // Refreshes balances, streams and the ledger whenever a new block is seen
+  blockNumber: number;
+  // Adds a payment to the proposal being drafted (the treasury is owned by the timelock)
+  onDraftPayout: (action: ProposalAction, description: string) => void;
+};
+
+type Balance = { asset: string; balance: bigint; reserved: bigint };
+type StreamRow = { id: number; asset: string; recipient: string; category: string; amount: bigint; withdrawable: bigint };
+type LedgerRow = { category: string; asset: string; spent: bigint; budget: bigint };
+
+// Succeeded and Queued proposals pay out once executed
+const PENDING_STATES = [4, 5];
+
+const shorten = (address: string) => `${address.substring(0, 6)}...${address.substring(38)}`;
+
+/**
+ * DAO treasury: balances and stream reservations, open streams, spending per category against its budget,
+ * payouts of proposals awaiting execution, and a template drafting a new payment proposal.
+ */
+export default function TreasuryPanel({ treasury, token, proposals, blockNumber, onDraftPayout }: Props) {
+  const [balances, setBalances] = useState<Balance[] | null>(null);
+  const [streams, setStreams] = useState<StreamRow[]>([]);
+  const [ledger, setLedger] = useState<LedgerRow[]>([]);
+  const [kind, setKind] = useState<TreasuryPayout["kind"]>("payment");
+  const [asset, setAsset] = useState(ETH);
+  const [recipient, setRecipient] = useState("");
+  const [amount, setAmount] = useState("");
+  const [category, setCategory] = useState("");
+  const [startDate, setStartDate] = useState(() => new Date().toISOString().slice(0, 10));
+  const [durationDays, setDurationDays] = useState("30");
+  const [busy, setBusy] = useState(false);
+  const [formError, setFormError] = useState<string | null>(null);
+
+  const symbol = (address: string) =>
+    address === ETH ? "ETH" : address.toLowerCase() === token.toLowerCase() ? "GT" : shorten(address);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      const assets = [ETH, token];
+      const balanceRows = await Promise.all(
+        assets.map(async a => ({
+          asset: a,
+          balance: (await treasury.balanceOf(a)) as bigint,
+          reserved: (await treasury.reserved(a)) as bigint,
+        }))
+      );
+
+      const created = (await treasury.queryFilter(treasury.filters.StreamCreated(), 0, "latest")) as EventLog[];
+      const streamRows = await Promise.all(
+        created.map(async event => ({
+          id: Number(event.args.streamId),
+          asset: event.args.asset as string,
+          recipient: event.args.recipient as string,
+          category: decodeCategory(event.args.category),
+          amount: event.args.amount as bigint,
+          withdrawable: (await treasury.withdrawable(event.args.streamId)) as bigint,
+        }))
+      );
+
+      // Every category and asset that was budgeted or spent from, with its running total
+      const booked = [
+        ...((await treasury.queryFilter(treasury.filters.BudgetSet(), 0, "latest")) as EventLog[]),
+        ...((await treasury.queryFilter(treasury.filters.PaymentSent(), 0, "latest")) as EventLog[]),
+        ...created,
+      ];
+      const keys = new Map<string, [string, string]>();
+      for (const event of booked) {
+        keys.set(`${event.args.category}:${event.args.asset}`, [event.args.category, event.args.asset]);
+      }
+      const ledgerRows = await Promise.all(
+        [...keys.values()].map(async ([id, a]) => ({
+          category: decodeCategory(id),
+          asset: a,
+          spent: (await treasury.spent(id, a)) as bigint,
+          budget: (await treasury.budgets(id, a)) as bigint,
+        }))
+      );
+
+      if (cancelled) return;
+      setBalances(balanceRows);
+      setStreams(streamRows.reverse());
+      setLedger(ledgerRows.sort((a, b) => a.category.localeCompare(b.category)));
+    };
+    load().catch(e => console.warn("Treasury unavailable:", e));
+    return () => {
+      cancelled = true;
+    };
+  }, [treasury, token, blockNumber]);
+
+  const pending = proposals
+    .filter(p => PENDING_STATES.includes(p.state))
+    .map(p => ({ proposal: p, payouts: decodeTreasuryPayouts(treasury.target as string, p.targets, p.calldatas) }))
+    .filter(({ payouts }) => payouts.length > 0);
+
+  const withdraw = async (streamId: number) => {
+    setFormError(null);
+    try {
+      setBusy(true);
+      const tx = await treasury.withdrawFromStream(streamId);
+      await tx.wait();
+    } catch (e: unknown) {
+      setFormError(describeError(e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const draft = () => {
+    setFormError(null);
+    try {
+      let value: bigint;
+      try {
+        value = ethers.parseEther(amount.trim() || "0");
+      } catch {
+        throw new Error("Amount: invalid number");
+      }
+      const payout: TreasuryPayout = {
+        kind,
+        asset,
+        recipient: recipient.trim(),
+        amount: value,
+        category,
+        start: Math.floor(new Date(startDate).getTime() / 1000),
+        duration: Math.round(Number(durationDays) * 86400),
+      };
+      if (kind === "stream" && !Number.isFinite(payout.start)) throw new Error("Start: invalid date");
+      const action = buildPayoutAction(treasury.target as string, payout);
+      onDraftPayout(action, describePayout({ ...payout, category: category.trim().toLowerCase() }, symbol(asset)));
+      setRecipient("");
+      setAmount("");
+    } catch (e: unknown) {
+      setFormError(e instanceof Error ? e.message : String(e));
+    }
+  };
+
+  const inputClass =
+    "w-full bg-slate-800 border border-slate-700 rounded-lg p-2 text-sm focus:ring-2 focus:ring-blue-500 outline-none transition-all";
+  const buttonClass =
+    "bg-slate-800 hover:bg-slate-700 border border-slate-700 text-slate-300 px-3 py-2 rounded-lg text-sm transition-colors disabled:opacity-50";
+
+  return (
+    <div data-testid="treasury-panel" className="space-y-6">
+      <div className="grid grid-cols-2 gap-4">
+        {!balances && <Loader2 className="animate-spin text-slate-500" size={16} />}
+        {balances?.map(b => (
+          <div key={b.asset} data-testid="treasury-balance" className="bg-slate-900 rounded-xl p-4 border border-slate-800">
+            <p className="text-xs text-slate-500">{symbol(b.asset)}</p>
+            <p className="text-2xl font-semibold text-slate-200">
+              {Number(ethers.formatEther(b.balance)).toLocaleString(undefined, { maximumFractionDigits: 4 })}
+            </p>
+            {b.reserved > BigInt(0) && (
+              <p className="text-xs text-slate-500">{ethers.formatEther(b.reserved)} reserved for streams</p>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <section className="bg-slate-900 rounded-xl p-4 border border-slate-800">
+        <h3 className="text-sm font-semibold text-slate-300 mb-2">Pending payouts</h3>
+        {pending.length === 0 ? (
+          <p className="text-xs text-slate-500">No succeeded or queued proposal pays out of the treasury.</p>
+        ) : (
+          <ul className="space-y-2">
+            {pending.map(({ proposal, payouts }) => (
+              <li key={proposal.id} data-testid="pending-payout" className="text-xs">
+                <p className="text-slate-300">
+                  {parseDescription(proposal.description).title}{" "}
+                  <span className="text-slate-500">
+                    ({ProposalState[proposal.state]}
+                    {proposal.eta > BigInt(0) && `, executable ${new Date(Number(proposal.eta) * 1000).toLocaleString()}`})
+                  </span>
+                </p>
+                {payouts.map((payout, i) => (
+                  <p key={i} className="text-slate-400 pl-3">
+                    {describePayout(payout, symbol(payout.asset))}
+                  </p>
+                ))}
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      <section className="bg-slate-900 rounded-xl p-4 border border-slate-800">
+        <h3 className="text-sm font-semibold text-slate-300 mb-2">Spending by category</h3>
+        {ledger.length === 0 ? (
+          <p className="text-xs text-slate-500">Nothing has been budgeted or paid yet.</p>
+        ) : (
+          <table className="w-full text-xs">
+            <thead className="text-slate-500 text-left">
+              <tr>
+                <th className="font-normal">Category</th>
+                <th className="font-normal">Asset</th>
+                <th className="font-normal text-right">Spent</th>
+                <th className="font-normal text-right">Budget</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ledger.map(row => (
+                <tr key={`${row.category}:${row.asset}`} data-testid="ledger-row" className="text-slate-300">
+                  <td>{row.category}</td>
+                  <td>{symbol(row.asset)}</td>
+                  <td
+                    className={clsx(
+                      "text-right",
+                      row.budget > BigInt(0) && row.spent * BigInt(10) >= row.budget * BigInt(9) && "text-yellow-400"
+                    )}
+                  >
+                    {ethers.formatEther(row.spent)}
+                  </td>
+                  <td className="text-right text-slate-500">
+                    {row.budget > BigInt(0) ? ethers.formatEther(row.budget) : "—"}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      {streams.length > 0 && (
+        <section className="bg-slate-900 rounded-xl p-4 border border-slate-800">
+          <h3 className="text-sm font-semibold text-slate-300 mb-2">Streams</h3>
+          <ul className="space-y-1">
+            {streams.map(s => (
+              <li key={s.id} data-testid="treasury-stream" className="flex items-center gap-2 text-xs">
+                <span className="w-6 text-slate-600">#{s.id}</span>
+                <span className="flex-1 text-slate-300">
+                  {ethers.formatEther(s.amount)} {symbol(s.asset)} to{" "}
+                  <span className="font-mono">{shorten(s.recipient)}</span> ({s.category})
+                </span>
+                <span className="text-slate-400">{ethers.formatEther(s.withdrawable)} withdrawable</span>
+                <button
+                  onClick={() => withdraw(s.id)}
+                  disabled={busy || s.withdrawable === BigInt(0)}
+                  className="text-blue-400 hover:text-blue-300 disabled:opacity-50"
+                >
+                  Withdraw
+                </button>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      <section className="bg-slate-900 rounded-xl p-4 border border-slate-800 space-y-3">
+        <h3 className="text-sm font-semibold text-slate-300">New payment proposal</h3>
+        <div className="grid grid-cols-2 gap-2">
+          {(["payment", "stream"] as const).map(k => (
+            <button
+              key={k}
+              onClick={() => setKind(k)}
+              className={clsx(
+                "py-2 rounded-lg text-sm border transition-all",
+                kind === k
+                  ? "bg-emerald-600/20 border-emerald-500 text-emerald-400"
+                  : "bg-slate-800 border-slate-700 text-slate-400 hover:bg-slate-750"
+              )}
+            >
+              {k === "payment" ? "One-off payment" : "Stream"}
+            </button>
+          ))}
+        </div>
+        <div className="grid grid-cols-3 gap-2">
+          <select className={inputClass} value={asset} onChange={e => setAsset(e.target.value)}>
+            <option value={ETH}>ETH</option>
+            <option value={token}>GT</option>
+          </select>
+          <input className={clsx(inputClass, "col-span-2")} value={amount} onChange={e => setAmount(e.target.value)} placeholder="Amount" />
+        </div>
+        <input
+          className={clsx(inputClass, "font-mono")}
+          value={recipient}
+          onChange={e => setRecipient(e.target.value)}
+          placeholder="Recipient 0x..."
+        />
+        <input className={inputClass} value={category} onChange={e => setCategory(e.target.value)} placeholder="Category, e.g. grants" />
+        {kind === "stream" && (
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-xs text-slate-400">
+              Starts
+              <input type="date" className={inputClass} value={startDate} onChange={e => setStartDate(e.target.value)} />
+            </label>
+            <label className="text-xs text-slate-400">
+              Duration (days)
+              <input className={inputClass} value={durationDays} onChange={e => setDurationDays(e.target.value)} />
+            </label>
+          </div>
+        )}
+        <button
+          onClick={draft}
+          disabled={!recipient.trim() || !amount.trim() || !category.trim()}
+          className={clsx("w-full", buttonClass)}
+        >
+          Add to proposal
+        </button>
+        <p className="text-xs text-slate-500">
+          Adds the treasury call to the proposal form; the funds move once the proposal is executed.
+        </p>
+        {formError && <p className="text-xs text-red-400">{formError}</p>}
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+"use client";
+
+import { ethers } from "ethers";
+import { CartesianGrid, Legend, Line, LineChart, ReferenceLine, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { TurnoutPoint } from "../lib/indexer";
+import { isMultiOption } from "../lib/options";
+
+type Props = {
+  turnout: TurnoutPoint[];
+  voteStart: string;
+  // MyGovernor.VotingType
+  votingType: number;
+  // proposalQuorum (wei), in the unit of the participation line; null until the snapshot block has passed
+  quorum: string | null;
+};
+
+const toTokens = (wei: string) => Number(ethers.formatEther(wei));
+
+/**
+ * Cumulative votes per block against the quorum line. Quorum counts For + Abstain votes on Standard proposals,
+ * the voting power spent on them on Quadratic proposals and every ballot's weight on multi-option proposals,
+ * which have no For / Against lines.
+ */
+export default function TurnoutChart({ turnout, voteStart, votingType, quorum }: Props) {
+  const multiOption = isMultiOption(votingType);
+  const data = [
+    { block: Number(voteStart), quorumVotes: 0, forVotes: 0, againstVotes: 0 },
+    ...turnout.map(point => ({
+      block: point.blockNumber,
+      quorumVotes: toTokens(point.participation),
+      forVotes: toTokens(point.forVotes),
+      againstVotes: toTokens(point.againstVotes),
+    })),
+  ];
+
+  return (
+    <div data-testid="turnout-chart" className="h-64">
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart data={data} margin={{ top: 8, right: 16, bottom: 8, left: 8 }}>
+          <CartesianGrid stroke="#1e293b" />
+          <XAxis dataKey="block" type="number" domain={["dataMin", "dataMax"]} stroke="#64748b" fontSize={12} />
+          <YAxis stroke="#64748b" fontSize={12} />
+          <Tooltip contentStyle={{ background: "#0f172a", border: "1px solid #334155" }} labelFormatter={block => `Block ${block}`} />
+          <Legend />
+          <Line
+            type="stepAfter"
+            dataKey="quorumVotes"
+            name={multiOption ? "Ballot weight" : votingType === 1 ? "GT spent on For + Abstain" : "For + Abstain"}
+            stroke="#60a5fa"
+            dot={false}
+          />
+          {!multiOption && <Line type="stepAfter" dataKey="forVotes" name="For" stroke="#4ade80" dot={false} />}
+          {!multiOption && <Line type="stepAfter" dataKey="againstVotes" name="Against" stroke="#f87171" dot={false} />}
+          {quorum !== null && (
+            <ReferenceLine y={toTokens(quorum)} stroke="#facc15" strokeDasharray="4 4" label={{ value: "Quorum", fill: "#facc15", fontSize: 12 }} />
+          )}
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+"use client";
+
+import { ethers } from "ethers";
+import { IndexedVote } from "../lib/indexer";
+import { VoteSupport } from "../lib/contracts";
+import { VOTE_TYPE_OPTIONS, describeOptionsBallot } from "../lib/options";
+
+type Props = {
+  votes: IndexedVote[];
+  quadratic: boolean;
+  // Option labels of multi-option proposals
+  options?: { labels: string[]; ranked: boolean };
+};
+
+const SPLIT = 255;
+
+const describeSupport = (vote: IndexedVote, options: Props["options"]) => {
+  if (vote.support === VOTE_TYPE_OPTIONS) {
+    return describeOptionsBallot(vote.options ?? [], options?.labels ?? [], options?.ranked ?? false);
+  }
+  if (vote.support !== SPLIT) return VoteSupport[vote.support];
+  return [
+    `${ethers.formatEther(vote.forVotes)} For`,
+    `${ethers.formatEther(vote.againstVotes)} Against`,
+    `${ethers.formatEther(vote.abstainVotes)} Abstain`,
+  ].join(" / ");
+};
+
+const supportClass = (support: number) =>
+  support === 1 ? "text-green-400" : support === 0 ? "text-red-400" : support === 2 ? "text-slate-300" : "text-purple-300";
+
+/**
+ * Vote history of one proposal. Quadratic proposals show votes bought and the voting power each vote cost.
+ */
+export default function VoteHistoryTable({ votes, quadratic, options }: Props) {
+  if (votes.length === 0) {
+    return <p className="text-sm text-slate-500">No votes yet.</p>;
+  }
+
+  return (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-left text-xs text-slate-500 border-b border-slate-800">
+          <th className="py-2 pr-4 font-medium">Voter</th>
+          <th className="py-2 pr-4 font-medium">{options ? "Ballot" : "Support"}</th>
+          <th className="py-2 pr-4 font-medium text-right">{quadratic ? "Votes" : "Weight"}</th>
+          {quadratic && <th className="py-2 pr-4 font-medium text-right">Cost (GT)</th>}
+          <th className="py-2 pr-4 font-medium">Reason</th>
+          <th className="py-2 font-medium text-right">Block</th>
+        </tr>
+      </thead>
+      <tbody>
+        {votes.map(vote => (
+          <tr key={`${vote.transactionHash}-${vote.logIndex}`} data-testid="vote-row" className="border-b border-slate-900 align-top">
+            <td className="py-2 pr-4 font-mono text-slate-300">
+              {vote.voter.substring(0, 6)}...{vote.voter.substring(38)}
+            </td>
+            <td className={`py-2 pr-4 ${supportClass(vote.support)}`}>{describeSupport(vote, options)}</td>
+            <td className="py-2 pr-4 text-right font-mono text-slate-300">{ethers.formatEther(vote.weight)}</td>
+            {quadratic && <td className="py-2 pr-4 text-right font-mono text-slate-400">{ethers.formatEther(vote.cost)}</td>}
+            <td className="py-2 pr-4 text-slate-400 break-words max-w-xs">{vote.reason || <span className="text-slate-600">—</span>}</td>
+            <td className="py-2 text-right font-mono text-slate-500">{vote.blockNumber}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
@@ -0,0 +1,189 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { ethers, Contract, Signer } from "ethers";
+import { Loader2 } from "lucide-react";
+import { SignedAttestation, parseAttestation, signAttestation } from "../lib/attestations";
+import { describeError } from "../lib/errors";
+
+type Props = {
+  // VoterRegistry connected to the wallet's signer
+  registry: Contract;
+  account: string;
+  // Refreshes the status whenever a new block is seen
+  blockNumber: number;
+  // Adds a setRegistered call to the proposal being drafted (the registry is owned by the timelock)
+  onDraftAllowlist: (voters: string[], registered: boolean) => void;
+};
+
+// How long issued attestations stay valid
+const ATTESTATION_TTL_SECONDS = 7 * 24 * 3600;
+
+const shorten = (address: string) => `${address.substring(0, 6)}...${address.substring(38)}`;
+
+/**
+ * Voter registry admin: shows who issues attestations and whether an address is registered, lets the issuer
+ * sign attestations, lets anyone relay one, and drafts governance proposals editing the allowlist.
+ */
+export default function VoterRegistryPanel({ registry, account, blockNumber, onDraftAllowlist }: Props) {
+  const [issuer, setIssuer] = useState<string>(ethers.ZeroAddress);
+  const [registered, setRegistered] = useState(false);
+  const [lookup, setLookup] = useState("");
+  const [lookupResult, setLookupResult] = useState<string | null>(null);
+  const [voter, setVoter] = useState("");
+  const [issued, setIssued] = useState<SignedAttestation | null>(null);
+  const [pasted, setPasted] = useState("");
+  const [allowlist, setAllowlist] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [formError, setFormError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([registry.issuer() as Promise<string>, registry.isRegistered(account) as Promise<boolean>])
+      .then(([currentIssuer, isRegistered]) => {
+        if (cancelled) return;
+        setIssuer(currentIssuer);
+        setRegistered(isRegistered);
+      })
+      .catch(e => console.warn("Voter registry unavailable:", e));
+    return () => {
+      cancelled = true;
+    };
+  }, [registry, account, blockNumber]);
+
+  const isIssuer = issuer.toLowerCase() === account.toLowerCase();
+
+  const run = async (task: () => Promise<void>) => {
+    setFormError(null);
+    try {
+      setBusy(true);
+      await task();
+    } catch (e: unknown) {
+      setFormError(describeError(e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const checkAddress = () =>
+    run(async () => {
+      if (!ethers.isAddress(lookup.trim())) throw new Error("Enter an address to look up");
+      const address = ethers.getAddress(lookup.trim());
+      const isRegistered: boolean = await registry.isRegistered(address);
+      setLookupResult(`${shorten(address)} is ${isRegistered ? "registered" : "not registered"}`);
+    });
+
+  const issue = () =>
+    run(async () => {
+      if (!ethers.isAddress(voter.trim())) throw new Error("Enter the voter's address");
+      setIssued(await signAttestation(registry.runner as Signer, registry, voter.trim(), ATTESTATION_TTL_SECONDS));
+    });
+
+  const relay = () =>
+    run(async () => {
+      const attestation = parseAttestation(pasted);
+      const tx = await registry.registerWithAttestation(attestation.voter, attestation.deadline, attestation.signature);
+      await tx.wait();
+      setPasted("");
+      setRegistered(await registry.isRegistered(account));
+    });
+
+  const draft = (add: boolean) => {
+    setFormError(null);
+    const voters = allowlist.split(/[\s,]+/).filter(Boolean);
+    const invalid = voters.find(v => !ethers.isAddress(v));
+    if (voters.length === 0 || invalid) {
+      setFormError(invalid ? `"${invalid}" is not an address` : "Enter at least one address");
+      return;
+    }
+    onDraftAllowlist(voters.map(v => ethers.getAddress(v)), add);
+    setAllowlist("");
+  };
+
+  const inputClass =
+    "w-full bg-slate-800 border border-slate-700 rounded-lg p-2 text-sm font-mono focus:ring-2 focus:ring-blue-500 outline-none transition-all";
+  const buttonClass =
+    "bg-slate-800 hover:bg-slate-700 border border-slate-700 text-slate-300 px-3 py-2 rounded-lg text-sm transition-colors disabled:opacity-50";
+
+  return (
+    <div data-testid="voter-registry-panel" className="space-y-4">
+      <div className="text-xs text-slate-500 space-y-1">
+        <p>
+          You are{" "}
+          <span className={registered ? "text-green-400" : "text-yellow-400"}>
+            {registered ? "registered" : "not registered"}
+          </span>
+          . Quadratic proposals that require registration only count registered voters.
+        </p>
+        <p>
+          Issuer:{" "}
+          <span className="font-mono text-slate-300">{issuer === ethers.ZeroAddress ? "none" : shorten(issuer)}</span>
+        </p>
+      </div>
+
+      <div className="flex gap-2">
+        <input className={inputClass} value={lookup} onChange={e => setLookup(e.target.value)} placeholder="Look up 0x..." />
+        <button onClick={checkAddress} disabled={busy || !lookup.trim()} className={buttonClass}>
+          Check
+        </button>
+      </div>
+      {lookupResult && <p className="text-xs text-slate-400">{lookupResult}</p>}
+
+      {isIssuer && (
+        <div className="space-y-2 border-t border-slate-800 pt-4">
+          <label className="block text-sm text-slate-400">Issue attestation</label>
+          <div className="flex gap-2">
+            <input className={inputClass} value={voter} onChange={e => setVoter(e.target.value)} placeholder="Voter 0x..." />
+            <button onClick={issue} disabled={busy || !voter.trim()} className={buttonClass}>
+              Sign
+            </button>
+          </div>
+          {issued && (
+            <textarea
+              data-testid="issued-attestation"
+              readOnly
+              rows={4}
+              className={inputClass}
+              value={JSON.stringify(issued, null, 2)}
+            />
+          )}
+        </div>
+      )}
+
+      <div className="space-y-2 border-t border-slate-800 pt-4">
+        <label className="block text-sm text-slate-400">Register with attestation</label>
+        <textarea
+          className={inputClass}
+          rows={3}
+          value={pasted}
+          onChange={e => setPasted(e.target.value)}
+          placeholder='{"voter": "0x...", "deadline": "...", "signature": "0x..."}'
+        />
+        <button onClick={relay} disabled={busy || !pasted.trim()} className={`w-full ${buttonClass}`}>
+          {busy ? <Loader2 className="animate-spin mx-auto" size={16} /> : "Submit attestation"}
+        </button>
+      </div>
+
+      <div className="space-y-2 border-t border-slate-800 pt-4">
+        <label className="block text-sm text-slate-400">Edit allowlist by proposal</label>
+        <textarea
+          className={inputClass}
+          rows={2}
+          value={allowlist}
+          onChange={e => setAllowlist(e.target.value)}
+          placeholder="0x..., 0x..."
+        />
+        <div className="flex gap-2">
+          <button onClick={() => draft(true)} disabled={!allowlist.trim()} className={`flex-1 ${buttonClass}`}>
+            Propose adding
+          </button>
+          <button onClick={() => draft(false)} disabled={!allowlist.trim()} className={`flex-1 ${buttonClass}`}>
+            Propose removing
+          </button>
+        </div>
+      </div>
+
+      {formError && <p className="text-xs text-red-400">{formError}</p>}
+    </div>
+  );
+}
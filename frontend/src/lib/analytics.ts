@@ -0,0 +1,97 @@
+import { INDEXER_URL } from "./indexer";
+
+// Rows of GET /analytics (scripts/lib/analytics.js); amounts are decimal strings (wei, or 18-decimal votes on
+// Quadratic tallies) and ratios numbers, null when undefined
+export type TurnoutRow = {
+  proposalId: string;
+  title: string;
+  votingType: string;
+  state: string;
+  snapshot: number;
+  voters: number;
+  // Voting power delegated at the snapshot, and the part of it held by accounts that voted
+  votingPower: string;
+  votedPower: string;
+  turnout: number | null;
+  participation: string;
+  // null until the snapshot block has passed
+  quorum: string | null;
+  quorumRatio: number | null;
+  quorumReached: boolean | null;
+};
+
+export type ConcentrationPoint = {
+  blockNumber: number;
+  delegates: number;
+  totalVotes: string;
+  gini: number;
+  // Fewest delegates holding more than half of the delegated votes
+  nakamoto: number;
+};
+
+export type PassRateRow = {
+  votingType: string;
+  proposals: number;
+  // Proposals whose vote has closed, passed or defeated
+  decided: number;
+  passed: number;
+  defeated: number;
+  passRate: number | null;
+};
+
+// A closed Standard or Quadratic proposal re-tallied under the other mechanism, with the same quorum
+export type ComparisonRow = {
+  proposalId: string;
+  title: string;
+  votingType: string;
+  alternative: string;
+  quorum: string;
+  forVotes: string;
+  againstVotes: string;
+  participation: string;
+  passed: boolean;
+  alternativeForVotes: string;
+  alternativeAgainstVotes: string;
+  alternativeParticipation: string;
+  alternativePassed: boolean;
+  differs: boolean;
+};
+
+export type Analytics = {
+  turnout: TurnoutRow[];
+  concentration: ConcentrationPoint[];
+  passRates: PassRateRow[];
+  comparison: ComparisonRow[];
+};
+
+export type AnalyticsTable = keyof Analytics;
+
+export const fetchAnalytics = async (): Promise<Analytics> => {
+  const res = await fetch(`${INDEXER_URL}/analytics`);
+  if (!res.ok) throw new Error(`Indexer request failed: ${res.status} /analytics`);
+  return res.json();
+};
+
+const saveFile = (name: string, text: string, type: string) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Saves one analytics table as a CSV file, exported by the indexer.
+ */
+export const downloadCsv = async (table: AnalyticsTable): Promise<void> => {
+  const res = await fetch(`${INDEXER_URL}/analytics/${table}?format=csv`);
+  if (!res.ok) throw new Error(`Indexer request failed: ${res.status} /analytics/${table}`);
+  saveFile(`governance-${table}.csv`, await res.text(), "text/csv");
+};
+
+/**
+ * Saves every analytics table as one JSON file.
+ */
+export const downloadJson = (analytics: Analytics) =>
+  saveFile("governance-analytics.json", JSON.stringify(analytics, null, 2), "application/json");
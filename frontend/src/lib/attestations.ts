@@ -0,0 +1,54 @@
+import { Contract, Signer, getAddress } from "ethers";
+
+// EIP-712 type of VoterRegistry.registerWithAttestation; must match scripts/lib/attestations.js
+const ATTESTATION_TYPES = {
+  Attestation: [
+    { name: "voter", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// Issuer attestation as handed to the voter; uint256 values are decimal strings
+export type SignedAttestation = {
+  voter: string;
+  nonce: string;
+  deadline: string;
+  signature: string;
+};
+
+/**
+ * Signs an attestation registering `voter` with the issuer's wallet. It stays valid for `ttlSeconds`
+ * of chain time and only while the voter's registry nonce is unchanged.
+ */
+export const signAttestation = async (
+  issuer: Signer,
+  registry: Contract,
+  voter: string,
+  ttlSeconds: number
+): Promise<SignedAttestation> => {
+  const [domain, nonce, latest] = await Promise.all([
+    registry.eip712Domain(),
+    registry.nonces(voter) as Promise<bigint>,
+    issuer.provider!.getBlock("latest"),
+  ]);
+  const deadline = BigInt(latest!.timestamp + ttlSeconds);
+
+  const signature = await issuer.signTypedData(
+    { name: domain.name, version: domain.version, chainId: domain.chainId, verifyingContract: domain.verifyingContract },
+    ATTESTATION_TYPES,
+    { voter, nonce, deadline }
+  );
+  return { voter: getAddress(voter), nonce: nonce.toString(), deadline: deadline.toString(), signature };
+};
+
+/**
+ * Parses an attestation pasted as JSON, e.g. one produced by signAttestation.
+ */
+export const parseAttestation = (json: string): SignedAttestation => {
+  const raw = JSON.parse(json);
+  if (!raw || typeof raw.voter !== "string" || typeof raw.signature !== "string" || raw.deadline === undefined) {
+    throw new Error("Attestation must contain voter, deadline and signature");
+  }
+  return { voter: getAddress(raw.voter), nonce: String(raw.nonce ?? ""), deadline: String(raw.deadline), signature: raw.signature };
+};
@@ -0,0 +1,74 @@
+import { Contract, Signer, TypedDataDomain } from "ethers";
+import { pendingCount, postToRelayer } from "./relayer";
+
+// EIP-712 types; must match scripts/lib/ballots.js and the governor's typehashes
+const BALLOT_TYPES = {
+  Ballot: [
+    { name: "proposalId", type: "uint256" },
+    { name: "support", type: "uint8" },
+    { name: "voter", type: "address" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+const QUADRATIC_BALLOT_TYPES = {
+  QuadraticBallot: [
+    { name: "proposalId", type: "uint256" },
+    { name: "support", type: "uint8" },
+    { name: "numVotes", type: "uint256" },
+    { name: "voter", type: "address" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+// Signed ballot as accepted by the relayer's POST /ballots
+export type SignedBallot = {
+  kind: "standard" | "quadratic";
+  proposalId: string;
+  support: number;
+  numVotes?: string;
+  voter: string;
+  signature: string;
+};
+
+const governorDomain = async (governor: Contract, signer: Signer): Promise<TypedDataDomain> => {
+  const [name, version, network] = await Promise.all([governor.name(), governor.version(), signer.provider!.getNetwork()]);
+  return { name, version, chainId: network.chainId, verifyingContract: await governor.getAddress() };
+};
+
+/**
+ * Next nonce a new signature must use: the on-chain nonce plus the voter's ballots still queued at the relayer,
+ * since each relayed ballot consumes one nonce when it lands.
+ */
+const nextNonce = async (governor: Contract, voter: string): Promise<bigint> => {
+  const onChain: bigint = await governor.nonces(voter);
+  const pending = await pendingCount("/ballots", voter);
+  return onChain + BigInt(pending);
+};
+
+/**
+ * Signs a ballot off-chain. Pass `numVotes` for quadratic proposals, omit it for standard ones.
+ */
+export const signBallot = async (
+  signer: Signer,
+  governor: Contract,
+  proposalId: string,
+  support: number,
+  numVotes?: bigint
+): Promise<SignedBallot> => {
+  const voter = await signer.getAddress();
+  const [domain, nonce] = await Promise.all([governorDomain(governor, signer), nextNonce(governor, voter)]);
+
+  if (numVotes !== undefined) {
+    const signature = await signer.signTypedData(domain, QUADRATIC_BALLOT_TYPES, { proposalId, support, numVotes, voter, nonce });
+    return { kind: "quadratic", proposalId, support, numVotes: numVotes.toString(), voter, signature };
+  }
+
+  const signature = await signer.signTypedData(domain, BALLOT_TYPES, { proposalId, support, voter, nonce });
+  return { kind: "standard", proposalId, support, voter, signature };
+};
+
+/**
+ * Hands a signed ballot to the relayer, which pays the gas and submits it with its next batch.
+ */
+export const submitToRelayer = (ballot: SignedBallot) => postToRelayer("/ballots", ballot);
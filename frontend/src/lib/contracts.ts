@@ -0,0 +1,91 @@
+import { InterfaceAbi, ethers } from "ethers";
+import deploymentsJson from "../artifacts/deployments.json";
+import GovernanceTokenArtifact from "../artifacts/contracts/GovernanceToken.sol/GovernanceToken.json";
+import MyGovernorArtifact from "../artifacts/contracts/MyGovernor.sol/MyGovernor.json";
+import VoterRegistryArtifact from "../artifacts/contracts/VoterRegistry.sol/VoterRegistry.json";
+import TreasuryArtifact from "../artifacts/contracts/Treasury.sol/Treasury.json";
+import VestingWalletFactoryArtifact from "../artifacts/contracts/VestingWalletFactory.sol/VestingWalletFactory.json";
+import { AbiSource } from "./proposalActions";
+
+export type DeploymentAddresses = {
+  token: string;
+  governor: string;
+  timelock: string;
+  voterRegistry: string;
+  vestingFactory: string;
+  treasury: string;
+};
+
+// One network's entry in the deployment registry written by scripts/deploy.js
+export type Deployment = {
+  network: string;
+  chainId: number;
+  deployer: string;
+  deployBlock: number;
+  deployedAt: string;
+  abiHash: string;
+  addresses: DeploymentAddresses;
+  parameters: {
+    votingDelay: number;
+    votingPeriod: number;
+    // wei
+    proposalThreshold: string;
+    quorumNumerator: number;
+    quadraticQuorumNumerator: number;
+    guardian: string;
+    timelockDelay: number;
+    voterIssuer: string;
+    maxInflationBps: number;
+  };
+};
+
+const deployments: Record<string, Deployment> = deploymentsJson;
+
+// Networks the dashboard has a deployment for, by chain id
+export const supportedNetworks: Deployment[] = Object.values(deployments).sort((a, b) => a.chainId - b.chainId);
+
+export const getDeployment = (chainId: number): Deployment | null => deployments[String(chainId)] ?? null;
+
+export const GovernanceTokenABI = GovernanceTokenArtifact.abi as InterfaceAbi;
+export const MyGovernorABI = MyGovernorArtifact.abi as InterfaceAbi;
+export const VoterRegistryABI = VoterRegistryArtifact.abi as InterfaceAbi;
+export const TreasuryABI = TreasuryArtifact.abi as InterfaceAbi;
+export const VestingWalletFactoryABI = VestingWalletFactoryArtifact.abi as InterfaceAbi;
+
+// Hash of the ABIs bundled with the dashboard; must match abiHash in scripts/lib/deployment.js (same contract order)
+export const BUNDLED_ABI_HASH = ethers.id(
+  JSON.stringify({
+    GovernanceToken: GovernanceTokenArtifact.abi,
+    MyGovernor: MyGovernorArtifact.abi,
+    VoterRegistry: VoterRegistryArtifact.abi,
+    VestingWalletFactory: VestingWalletFactoryArtifact.abi,
+    Treasury: TreasuryArtifact.abi,
+  })
+);
+
+// ABIs the proposal builder and action previews can use for a deployment's contracts
+export const abiSourcesFor = (addresses: DeploymentAddresses): AbiSource[] => [
+  { name: "GovernanceToken", address: addresses.token, abi: GovernanceTokenABI },
+  { name: "MyGovernor", address: addresses.governor, abi: MyGovernorABI },
+  { name: "VoterRegistry", address: addresses.voterRegistry, abi: VoterRegistryABI },
+  { name: "Treasury", address: addresses.treasury, abi: TreasuryABI },
+  // Contributor grants: approve the factory from the timelock, then createVestingWallet
+  { name: "VestingWalletFactory", address: addresses.vestingFactory, abi: VestingWalletFactoryABI },
+];
+
+export const ProposalState = ["Pending", "Active", "Canceled", "Defeated", "Succeeded", "Queued", "Expired", "Executed"];
+
+export const VoteSupport = ["Against", "For", "Abstain"];
+
+// MyGovernor.VotingType
+export const VotingTypeName = ["Standard", "Quadratic", "Approval", "Ranked choice", "Conviction"];
+
+// MyGovernor.VotingType.Conviction: yes/no votes weighted by how long they have been delegated
+export const CONVICTION = 4;
+
+// Read-only node connection for pages that do not need a wallet, and the network it serves
+export const RPC_URL = process.env.NEXT_PUBLIC_RPC_URL || "http://localhost:8545";
+export const DEFAULT_CHAIN_ID = Number(process.env.NEXT_PUBLIC_CHAIN_ID || 31337);
+
+// ABI sources of the read-only network's deployment, for pages without a wallet
+export const abiSources: AbiSource[] = abiSourcesFor((getDeployment(DEFAULT_CHAIN_ID) ?? supportedNetworks[0]).addresses);
@@ -0,0 +1,48 @@
+import { Contract, Signer } from "ethers";
+import { pendingCount, postToRelayer } from "./relayer";
+
+// EIP-712 type of ERC20Votes.delegateBySig; must match scripts/lib/delegations.js
+const DELEGATION_TYPES = {
+  Delegation: [
+    { name: "delegatee", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "expiry", type: "uint256" },
+  ],
+};
+
+// How long a signed delegation stays valid
+const DELEGATION_TTL_SECONDS = 3600;
+
+export type SignedDelegation = {
+  kind: "delegation";
+  delegator: string;
+  delegatee: string;
+  nonce: string;
+  expiry: string;
+  signature: string;
+};
+
+/**
+ * Signs a delegation off-chain. The nonce skips past the signer's delegations still queued at the relayer,
+ * and the expiry is measured from the chain's clock, which is what delegateBySig checks.
+ */
+export const signDelegation = async (signer: Signer, token: Contract, delegatee: string): Promise<SignedDelegation> => {
+  const delegator = await signer.getAddress();
+  const [domain, onChainNonce, pending, latest] = await Promise.all([
+    token.eip712Domain(),
+    token.nonces(delegator) as Promise<bigint>,
+    pendingCount("/delegations", delegator),
+    signer.provider!.getBlock("latest"),
+  ]);
+  const nonce = onChainNonce + BigInt(pending);
+  const expiry = BigInt(latest!.timestamp + DELEGATION_TTL_SECONDS);
+
+  const signature = await signer.signTypedData(
+    { name: domain.name, version: domain.version, chainId: domain.chainId, verifyingContract: domain.verifyingContract },
+    DELEGATION_TYPES,
+    { delegatee, nonce, expiry }
+  );
+  return { kind: "delegation", delegator, delegatee, nonce: nonce.toString(), expiry: expiry.toString(), signature };
+};
+
+export const submitDelegation = (delegation: SignedDelegation) => postToRelayer("/delegations", delegation);
@@ -0,0 +1,171 @@
+import { INDEXER_URL } from "./indexer";
+import { MetadataDraft, emptyMetadataDraft, hasMetadata } from "./metadata";
+import { DraftOption } from "./options";
+import { ProposalAction } from "./proposalActions";
+
+// Everything the proposal form holds, so a draft can be submitted on-chain exactly as written
+export type DraftContent = {
+  title: string;
+  metadata: MetadataDraft;
+  votingType: number;
+  requireRegistration: boolean;
+  actions: ProposalAction[];
+  options: DraftOption[];
+};
+
+// Draft kept in this browser; `shared` is set once it is shared through the indexer or imported from a link
+export type LocalDraft = {
+  id: string;
+  content: DraftContent;
+  updatedAt: number;
+  // editKey is null for drafts opened from someone else's link, which cannot update the shared copy
+  shared: { id: string; editKey: string | null } | null;
+  submitted: boolean;
+};
+
+// Signed review comment on a shared draft
+export type DraftComment = {
+  author: string;
+  body: string;
+  signature: string;
+  createdAt: string;
+};
+
+// Shared draft as served by GET /drafts/:id
+export type SharedDraft = {
+  id: string;
+  content: DraftContent;
+  comments: DraftComment[];
+  createdAt: string;
+  updatedAt: string;
+};
+
+// JSON form of actions and drafts: action values are decimal strings (wei)
+type SerializedAction = Omit<ProposalAction, "value"> & { value: string };
+type SerializedContent = Omit<DraftContent, "actions" | "options"> & {
+  actions: SerializedAction[];
+  options: { label: string; actions: SerializedAction[] }[];
+};
+
+const STORAGE_KEY = "governance-drafts";
+
+const serializeActions = (actions: ProposalAction[]): SerializedAction[] =>
+  actions.map(action => ({ ...action, value: action.value.toString() }));
+
+const deserializeActions = (actions: SerializedAction[]): ProposalAction[] =>
+  actions.map(action => ({ ...action, value: BigInt(action.value) }));
+
+const serializeContent = (content: DraftContent): SerializedContent => ({
+  ...content,
+  actions: serializeActions(content.actions),
+  options: content.options.map(option => ({ label: option.label, actions: serializeActions(option.actions) })),
+});
+
+const deserializeContent = (content: SerializedContent): DraftContent => ({
+  ...content,
+  metadata: { ...emptyMetadataDraft(), ...content.metadata },
+  actions: deserializeActions(content.actions),
+  options: content.options.map(option => ({ label: option.label, actions: deserializeActions(option.actions) })),
+});
+
+export const emptyDraftContent = (): DraftContent => ({
+  title: "",
+  metadata: emptyMetadataDraft(),
+  votingType: 0,
+  requireRegistration: false,
+  actions: [],
+  options: [
+    { label: "", actions: [] },
+    { label: "", actions: [] },
+  ],
+});
+
+/**
+ * Whether the form holds nothing worth keeping as a draft.
+ */
+export const isEmptyDraft = (content: DraftContent) =>
+  !content.title.trim() &&
+  !hasMetadata(content.metadata) &&
+  content.actions.length === 0 &&
+  content.options.every(option => !option.label.trim() && option.actions.length === 0);
+
+/**
+ * Drafts saved in this browser, most recently edited first.
+ */
+export const loadLocalDrafts = (): LocalDraft[] => {
+  try {
+    const stored: (Omit<LocalDraft, "content"> & { content: SerializedContent })[] = JSON.parse(
+      localStorage.getItem(STORAGE_KEY) || "[]"
+    );
+    return stored
+      .map(draft => ({ ...draft, content: deserializeContent(draft.content) }))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  } catch {
+    return [];
+  }
+};
+
+export const saveLocalDrafts = (drafts: LocalDraft[]) => {
+  localStorage.setItem(
+    STORAGE_KEY,
+    JSON.stringify(drafts.map(draft => ({ ...draft, content: serializeContent(draft.content) })))
+  );
+};
+
+/**
+ * Marks a local draft as submitted on-chain; it stays listed so it can be reused for a follow-up proposal.
+ */
+export const markDraftSubmitted = (id: string) => {
+  saveLocalDrafts(loadLocalDrafts().map(draft => (draft.id === id ? { ...draft, submitted: true } : draft)));
+};
+
+// Message signed to comment on a shared draft; must match commentMessage in scripts/lib/drafts.js
+export const commentMessage = (draftId: string, body: string) => `Comment on governance draft ${draftId}:\n\n${body}`;
+
+// Review page of a shared draft
+export const draftLink = (id: string) => `${window.location.origin}/drafts/${id}`;
+
+const readResponse = async <T>(res: Response, failure: string): Promise<T> => {
+  const body = await res.json();
+  if (!res.ok) throw new Error(body.error || failure);
+  return body;
+};
+
+/**
+ * Shares a draft through the indexer. Keep the returned edit key: it is the only way to update the shared copy.
+ */
+export const shareDraft = async (content: DraftContent): Promise<{ id: string; editKey: string }> => {
+  const res = await fetch(`${INDEXER_URL}/drafts`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ content: serializeContent(content) }),
+  });
+  return readResponse(res, "Sharing the draft failed");
+};
+
+export const updateSharedDraft = async (id: string, editKey: string, content: DraftContent): Promise<void> => {
+  const res = await fetch(`${INDEXER_URL}/drafts/${id}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ editKey, content: serializeContent(content) }),
+  });
+  await readResponse(res, "Updating the shared draft failed");
+};
+
+export const fetchDraft = async (id: string): Promise<SharedDraft> => {
+  const res = await fetch(`${INDEXER_URL}/drafts/${id}`);
+  const draft = await readResponse<Omit<SharedDraft, "content"> & { content: SerializedContent }>(
+    res,
+    `Draft ${id} not found`
+  );
+  return { ...draft, content: deserializeContent(draft.content) };
+};
+
+export const postComment = async (id: string, author: string, body: string, signature: string): Promise<DraftComment> => {
+  const res = await fetch(`${INDEXER_URL}/drafts/${id}/comments`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ author, body, signature }),
+  });
+  return readResponse(res, "Posting the comment failed");
+};
@@ -0,0 +1,237 @@
+import { ErrorFragment, Interface, Result, ethers } from "ethers";
+
+// Decodes contract reverts into readable messages; must match scripts/lib/errors.js
+
+// IGovernor.ProposalState and TimelockController.OperationState, indexed by value
+const PROPOSAL_STATES = ["Pending", "Active", "Canceled", "Defeated", "Succeeded", "Queued", "Expired", "Executed"];
+const OPERATION_STATES = ["Unset", "Waiting", "Ready", "Done"];
+
+// Solidity panic codes (Panic(uint256))
+const PANIC_REASONS: Record<number, string> = {
+  0x01: "an assertion failed",
+  0x11: "an arithmetic overflow or underflow",
+  0x12: "a division by zero",
+  0x21: "an invalid enum value",
+  0x22: "a corrupted storage byte array",
+  0x31: "pop on an empty array",
+  0x32: "an out-of-bounds array index",
+  0x41: "an out-of-memory allocation",
+  0x51: "a call to an uninitialized function",
+};
+
+// 18-decimal amounts without a trailing ".0", e.g. "16" or "2.5"
+const units = (amount: bigint) => ethers.formatEther(amount).replace(/\.0$/, "");
+const gt = (amount: bigint) => `${units(amount)} GT`;
+const shorten = (address: string) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+const asset = (address: string, amount: bigint) =>
+  address === ethers.ZeroAddress ? `${units(amount)} ETH` : `${units(amount)} of token ${shorten(address)}`;
+
+const category = (bytes: string) => {
+  try {
+    return `"${ethers.decodeBytes32String(bytes)}"`;
+  } catch {
+    return bytes;
+  }
+};
+
+// Names of the states set in a bitmap such as GovernorUnexpectedProposalState's expectedStates
+const statesIn = (bitmap: string, names: string[]) => {
+  const set = names.filter((_, i) => (BigInt(bitmap) >> BigInt(i)) & BigInt(1));
+  return set.length ? set.join(" or ") : "none";
+};
+
+// Message for every custom error of the governance contracts and the OpenZeppelin contracts they build on
+const ERROR_MESSAGES: Record<string, (args: Result) => string> = {
+  // MyGovernor and its counting modules
+  "error MyGovernor__BelowProposalThreshold(uint256 votes, uint256 threshold)": ([votes, threshold]) =>
+    `Proposing needs ${gt(threshold)} of voting power; you have ${gt(votes)}`,
+  "error MyGovernor__InvalidVotingType(uint256 proposalId)": () =>
+    "This ballot or proposal does not fit the proposal's voting type",
+  "error MyGovernor__ZeroVotesCast()": () => "Cast at least some votes",
+  "error MyGovernor__InsufficientVotingPower(uint256 cost, uint256 available)": ([cost, available]) =>
+    `This vote needs ${gt(cost)} of voting power, ${gt(available)} remaining`,
+  "error MyGovernor__NotGuardian(address caller)": ([caller]) => `${caller} is not the guardian`,
+  "error MyGovernor__VoterRegistryNotSet()": () => "No voter registry is set, so proposals cannot require registration",
+  "error MyGovernor__VoterNotRegistered(address voter)": ([voter]) =>
+    `${voter} was not registered in the voter registry at the proposal's snapshot`,
+  "error GovernorCountingQuadratic__SupportMismatch(address voter, uint8 castSupport, uint8 requestedSupport)":
+    ([voter, castSupport]) =>
+      `${voter} already bought votes on another side (support ${castSupport}); add votes to that side instead`,
+  "error MultiOptionVotes__InvalidOptions(uint256 optionCount, uint256 actionCount)": ([optionCount, actionCount]) =>
+    `${optionCount} options cannot split ${actionCount} actions; use 2-10 labelled options whose actions come in order`,
+  "error MultiOptionVotes__InvalidBallot(address voter)": () =>
+    "Choose each option at most once, and only options the proposal has",
+
+  // OpenZeppelin Governor
+  "error GovernorAlreadyCastVote(address voter)": ([voter]) => `${voter} already voted on this proposal`,
+  "error GovernorAlreadyQueuedProposal(uint256 proposalId)": () => "The proposal is already queued",
+  "error GovernorDisabledDeposit()": () => "The governor does not accept deposits",
+  "error GovernorInsufficientProposerVotes(address proposer, uint256 votes, uint256 threshold)": ([, votes, threshold]) =>
+    `Proposing needs ${gt(threshold)} of voting power; you have ${gt(votes)}`,
+  "error GovernorInvalidProposalLength(uint256 targets, uint256 calldatas, uint256 values)": ([targets, calldatas, values]) =>
+    `A proposal needs at least one action and as many calldatas and values as targets (got ${targets}, ${calldatas} and ${values})`,
+  "error GovernorInvalidQuorumFraction(uint256 quorumNumerator, uint256 quorumDenominator)": ([numerator, denominator]) =>
+    `A quorum of ${numerator}/${denominator} is more than the whole supply`,
+  "error GovernorInvalidSignature(address voter)": ([voter]) => `The signature is not a valid ballot from ${voter}`,
+  "error GovernorInvalidVoteParams()": () => "The ballot's parameters are malformed",
+  "error GovernorInvalidVoteType()": () => "This vote type is not accepted on this proposal",
+  "error GovernorInvalidVotingPeriod(uint256 votingPeriod)": () => "The voting period cannot be zero",
+  "error GovernorNonexistentProposal(uint256 proposalId)": ([proposalId]) => `Proposal ${proposalId} does not exist`,
+  "error GovernorNotQueuedProposal(uint256 proposalId)": () => "The proposal must be queued first",
+  "error GovernorOnlyExecutor(address account)": ([account]) =>
+    `Only the timelock can do this, through a proposal (called by ${account})`,
+  "error GovernorQueueNotImplemented()": () => "This governor does not queue proposals",
+  "error GovernorRestrictedProposer(address proposer)": ([proposer]) =>
+    `The description restricts this proposal to another proposer than ${proposer}`,
+  "error GovernorUnableToCancel(uint256 proposalId, address account)": ([, account]) =>
+    `${account} cannot cancel this proposal: only its proposer can, until voting ends`,
+  "error GovernorUnexpectedProposalState(uint256 proposalId, uint8 current, bytes32 expectedStates)":
+    ([, current, expectedStates]) =>
+      `The proposal is ${PROPOSAL_STATES[Number(current)]}; this needs it to be ` +
+      statesIn(expectedStates, PROPOSAL_STATES),
+
+  // OpenZeppelin TimelockController (reverts bubble up through the governor)
+  "error TimelockInsufficientDelay(uint256 delay, uint256 minDelay)": ([delay, minDelay]) =>
+    `A delay of ${delay}s is below the timelock's minimum of ${minDelay}s`,
+  "error TimelockInvalidOperationLength(uint256 targets, uint256 payloads, uint256 values)": ([targets, payloads, values]) =>
+    `The operation has ${targets} targets, ${payloads} calldatas and ${values} values`,
+  "error TimelockUnauthorizedCaller(address caller)": ([caller]) => `${caller} may not execute timelock operations`,
+  "error TimelockUnexecutedPredecessor(bytes32 predecessorId)": ([predecessorId]) =>
+    `Operation ${predecessorId} must be executed first`,
+  "error TimelockUnexpectedOperationState(bytes32 operationId, bytes32 expectedStates)": ([, expectedStates]) =>
+    `The timelock operation is not ${statesIn(expectedStates, OPERATION_STATES)}` +
+    ((BigInt(expectedStates) >> BigInt(2)) & BigInt(1) ? "; wait until its ETA has passed" : ""),
+  "error AccessControlBadConfirmation()": () => "Roles can only be renounced by their holder",
+  "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)": ([account, neededRole]) =>
+    `${account} is missing role ${neededRole}`,
+
+  // GovernanceToken, VestingWalletFactory and the OpenZeppelin token extensions
+  "error GovernanceToken__NotMinter(address account)": ([account]) => `${account} is not the token's minter`,
+  "error GovernanceToken__InvalidInflation(uint256 maxInflationBps)": ([bps]) =>
+    `An inflation cap of ${bps} bps is above 10000 (100%)`,
+  "error GovernanceToken__InflationCapExceeded(uint256 amount, uint256 available)": ([amount, available]) =>
+    `Minting ${gt(amount)} exceeds this year's inflation cap; ${gt(available)} can still be minted`,
+  "error VestingWalletFactory__InvalidGrant(address beneficiary, uint256 amount)": () =>
+    "A grant needs a beneficiary, a non-zero amount and a non-zero duration",
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)": ([sender, balance, needed]) =>
+    `${sender} has ${gt(balance)}, needs ${gt(needed)}`,
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)": ([spender, allowance, needed]) =>
+    `${spender} may spend ${gt(allowance)}, needs ${gt(needed)}; approve more first`,
+  "error ERC20InvalidApprover(address approver)": ([approver]) => `${approver} cannot approve`,
+  "error ERC20InvalidReceiver(address receiver)": ([receiver]) => `${receiver} cannot receive tokens`,
+  "error ERC20InvalidSender(address sender)": ([sender]) => `${sender} cannot send tokens`,
+  "error ERC20InvalidSpender(address spender)": ([spender]) => `${spender} cannot be approved`,
+  "error ERC20ExceededSafeSupply(uint256 increasedSupply, uint256 cap)": ([supply, cap]) =>
+    `A supply of ${gt(supply)} exceeds the vote-safe maximum of ${gt(cap)}`,
+  "error ERC2612ExpiredSignature(uint256 deadline)": ([deadline]) =>
+    `The permit expired at ${new Date(Number(deadline) * 1000).toISOString()}`,
+  "error ERC2612InvalidSigner(address signer, address owner)": ([signer, owner]) =>
+    `The permit was signed by ${signer}, not the owner ${owner}`,
+  "error ERC5805FutureLookup(uint256 timepoint, uint48 clock)": ([timepoint, clock]) =>
+    `Block ${timepoint} is in the future (current block ${clock})`,
+  "error ERC6372InconsistentClock()": () => "The token's clock is inconsistent",
+  "error VotesExpiredSignature(uint256 expiry)": ([expiry]) =>
+    `The delegation signature expired at ${new Date(Number(expiry) * 1000).toISOString()}`,
+  "error InvalidAccountNonce(address account, uint256 currentNonce)": ([account, currentNonce]) =>
+    `The signature was made for another nonce; ${account}'s next nonce is ${currentNonce}`,
+  "error ECDSAInvalidSignature()": () => "The signature is invalid",
+  "error ECDSAInvalidSignatureLength(uint256 length)": ([length]) => `A signature of ${length} bytes is invalid`,
+  "error ECDSAInvalidSignatureS(bytes32 s)": () => "The signature is malleable (high s value)",
+
+  // Treasury and vesting wallets
+  "error Treasury__InvalidPayment(address recipient, uint256 amount)": () =>
+    "A payment needs a recipient and a non-zero amount (streams also a duration)",
+  "error Treasury__InsufficientFunds(address asset, uint256 amount, uint256 available)": ([token, amount, available]) =>
+    `The treasury cannot pay ${asset(token, amount)}; ${asset(token, available)} is available`,
+  "error Treasury__BudgetExceeded(bytes32 category, address asset, uint256 amount, uint256 remaining)":
+    ([name, token, amount, remaining]) =>
+      `Paying ${asset(token, amount)} exceeds the ${category(name)} budget; ${asset(token, remaining)} remaining`,
+  "error Treasury__InvalidStream(uint256 streamId)": ([streamId]) => `Stream ${streamId} does not exist or is cancelled`,
+  "error InsufficientBalance(uint256 balance, uint256 needed)": ([balance, needed]) =>
+    `The contract holds ${units(balance)} ETH, needs ${units(needed)} ETH`,
+  "error SafeERC20FailedOperation(address token)": ([token]) => `Token transfer of ${token} failed`,
+  "error FailedCall()": () => "A call made by the contract failed",
+
+  // VoterRegistry
+  "error VoterRegistry__AttestationExpired(uint256 deadline)": ([deadline]) =>
+    `The attestation expired at ${new Date(Number(deadline) * 1000).toISOString()}`,
+  "error VoterRegistry__InvalidAttestation(address voter)": ([voter]) =>
+    `The attestation for ${voter} was not signed by the issuer`,
+  "error VoterRegistry__FutureLookup(uint256 timepoint, uint48 clock)": ([timepoint, clock]) =>
+    `Block ${timepoint} is in the future (current block ${clock})`,
+
+  // Shared OpenZeppelin utilities
+  "error OwnableUnauthorizedAccount(address account)": ([account]) =>
+    `${account} is not the owner; owner-only changes go through a proposal`,
+  "error OwnableInvalidOwner(address owner)": ([owner]) => `${owner} cannot be the owner`,
+  "error EnforcedPause()": () => "The governor is paused",
+  "error ExpectedPause()": () => "The governor is not paused",
+  "error ReentrancyGuardReentrantCall()": () => "Reentrant call",
+  "error CheckpointUnorderedInsertion()": () => "Checkpoints must be written in order",
+  "error SafeCastOverflowedUintDowncast(uint8 bits, uint256 value)": ([bits, value]) =>
+    `${value} does not fit in ${bits} bits`,
+  "error InvalidShortString()": () => "Invalid short string",
+  "error StringTooLong(string str)": () => "String too long",
+};
+
+const formatters: Record<string, (args: Result) => string> = {};
+const errorInterface = new Interface(
+  Object.entries(ERROR_MESSAGES).map(([declaration, format]) => {
+    formatters[ErrorFragment.from(declaration).name] = format;
+    return declaration;
+  })
+);
+
+export type DecodedRevert = { name: string; args: unknown[]; message: string };
+
+/**
+ * Finds the revert data in an error thrown by ethers or the wallet, which nest it differently (`data`,
+ * `error.data`, `info.error.data`, `data.data`, ...). Returns null when there is none.
+ */
+export const findRevertData = (error: unknown, depth = 0): string | null => {
+  if (!error || typeof error !== "object" || depth > 5) return null;
+  const record = error as Record<string, unknown>;
+  if (typeof record.data === "string" && /^0x[0-9a-fA-F]{8}/.test(record.data)) return record.data;
+  for (const key of ["data", "error", "info", "cause"]) {
+    const found = findRevertData(record[key], depth + 1);
+    if (found) return found;
+  }
+  return null;
+};
+
+/**
+ * Decodes revert data into the error's name, arguments and message. Handles `Error(string)` and `Panic(uint256)`
+ * as well as the custom errors above; returns null for data no known error matches.
+ */
+export const decodeRevert = (data: string | null): DecodedRevert | null => {
+  if (!data) return null;
+  let parsed;
+  try {
+    parsed = errorInterface.parseError(data);
+  } catch {
+    return null;
+  }
+  if (!parsed) return null;
+
+  const args = parsed.args.toArray();
+  if (parsed.name === "Error") return { name: "Error", args, message: String(args[0]) };
+  if (parsed.name === "Panic") {
+    const reason = PANIC_REASONS[Number(args[0])] ?? `panic code ${args[0]}`;
+    return { name: "Panic", args, message: `The contract failed with ${reason}` };
+  }
+  return { name: parsed.name, args, message: formatters[parsed.name](parsed.args) };
+};
+
+/**
+ * Human readable message for a failed transaction or call: the decoded revert when there is one, otherwise the
+ * most specific message the error carries.
+ */
+export const describeError = (error: unknown): string => {
+  const decoded = decodeRevert(findRevertData(error));
+  if (decoded) return decoded.message;
+  if (error && typeof error === "object") {
+    const { reason, shortMessage, message } = error as { reason?: string; shortMessage?: string; message?: string };
+    return reason || shortMessage || message || String(error);
+  }
+  return String(error);
+};
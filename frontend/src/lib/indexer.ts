@@ -0,0 +1,196 @@
+import { getAddress } from "ethers";
+
+// Proposal indexer started with `npx hardhat run scripts/indexer.js --network localhost`
+export const INDEXER_URL = process.env.NEXT_PUBLIC_INDEXER_URL || "http://localhost:4000";
+
+// Accumulated ballot of one voter; amounts are decimal strings (wei)
+export type IndexedBallot = {
+  againstVotes: string;
+  forVotes: string;
+  abstainVotes: string;
+  cost: string;
+  // Side voted on, 255 for ballots split across sides, or 254 for multi-option ballots
+  support: number;
+  // Multi-option ballots: approved options, or options from most to least preferred
+  options?: number[];
+};
+
+// Option of a multi-option proposal, executing actions [start, end) of the proposal
+export type IndexedOption = {
+  label: string;
+  start: number;
+  end: number;
+};
+
+// MyGovernor.optionResults: votes per option in each round (one round for Approval)
+export type IndexedOptionResults = {
+  rounds: string[][];
+  decided: boolean;
+  winner: number;
+};
+
+// Proposal record as served by GET /proposals; uint256 values are decimal strings
+export type IndexedProposal = {
+  id: string;
+  proposer: string;
+  targets: string[];
+  values: string[];
+  signatures: string[];
+  calldatas: string[];
+  voteStart: string;
+  voteEnd: string;
+  description: string;
+  votingType: number;
+  createdBlock: number;
+  createdTx: string;
+  queuedBlock: number | null;
+  executedBlock: number | null;
+  canceledBlock: number | null;
+  // Set when the guardian canceled the proposal through vetoProposal
+  veto: { guardian: string; reason: string; transactionHash: string } | null;
+  // VoterRegistry Quadratic voters must be registered in, if the proposal requires registration
+  voterRegistry: string | null;
+  againstVotes: string;
+  forVotes: string;
+  abstainVotes: string;
+  // Counted towards quorum: For + Abstain votes (Standard, without the conviction bonus on Conviction), voting
+  // power spent on them (Quadratic) or the weight of every ballot (Approval, RankedChoice)
+  participation: string;
+  // proposalQuorum, in the same unit as participation; null until the snapshot block has passed
+  quorum: string | null;
+  state: number;
+  eta: string;
+  // Approval and RankedChoice proposals only
+  options: IndexedOption[] | null;
+  optionResults: IndexedOptionResults | null;
+  voteCount: number;
+  voterBallot?: IndexedBallot | null;
+};
+
+const getJson = async <T>(path: string): Promise<T> => {
+  const res = await fetch(`${INDEXER_URL}${path}`);
+  if (!res.ok) throw new Error(`Indexer request failed: ${res.status} ${path}`);
+  return res.json();
+};
+
+// Cumulative tally after a block with votes
+export type TurnoutPoint = {
+  blockNumber: number;
+  againstVotes: string;
+  forVotes: string;
+  abstainVotes: string;
+  participation: string;
+};
+
+// Proposal record as served by GET /proposals/:id
+export type IndexedProposalDetail = Omit<IndexedProposal, "voterBallot"> & {
+  voterCount: number;
+  turnout: TurnoutPoint[];
+};
+
+// One VoteCast / VoteCastWithParams event
+export type IndexedVote = {
+  voter: string;
+  // 0 Against, 1 For, 2 Abstain, 255 split quadratic ballot, 254 multi-option ballot
+  support: number;
+  weight: string;
+  reason: string;
+  params: string;
+  options?: number[];
+  againstVotes: string;
+  forVotes: string;
+  abstainVotes: string;
+  // Voting power consumed by this vote (quadratic proposals only)
+  cost: string;
+  // What this vote added to the proposal's quorum participation
+  participation: string;
+  blockNumber: number;
+  transactionHash: string;
+  logIndex: number;
+};
+
+export type VotePage = {
+  total: number;
+  page: number;
+  pageSize: number;
+  votes: IndexedVote[];
+};
+
+// Delegate record as served by GET /delegates; votes are a decimal string (wei)
+export type IndexedDelegate = {
+  address: string;
+  votes: string;
+  delegators: string[];
+  alias: string | null;
+};
+
+type IndexerStatus = {
+  chainId: number;
+  governor: string;
+  lastBlock: number;
+  syncedAt: string;
+};
+
+// How long to wait for the indexer to reach a block before giving up
+const SYNC_TIMEOUT_MS = 10_000;
+const SYNC_POLL_MS = 500;
+
+/**
+ * Resolves once the indexer has processed `blockNumber`, so reads right after a transaction include it.
+ */
+export const waitForIndexedBlock = async (blockNumber: number): Promise<void> => {
+  const deadline = Date.now() + SYNC_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const status = await getJson<IndexerStatus>("/status");
+    if (status.lastBlock >= blockNumber) return;
+    await new Promise(resolve => setTimeout(resolve, SYNC_POLL_MS));
+  }
+  throw new Error(`Indexer has not reached block ${blockNumber}`);
+};
+
+/**
+ * Lists every indexed proposal, newest first, with `voter`'s ballot attached.
+ */
+export const fetchProposals = (voter: string) =>
+  getJson<IndexedProposal[]>(`/proposals?voter=${encodeURIComponent(voter)}`);
+
+export const fetchProposal = (id: string) => getJson<IndexedProposalDetail>(`/proposals/${id}`);
+
+/**
+ * Fetches one page (1-based) of a proposal's votes, newest first.
+ */
+export const fetchVotes = (id: string, page: number, pageSize: number) =>
+  getJson<VotePage>(`/proposals/${id}/votes?page=${page}&pageSize=${pageSize}`);
+
+/**
+ * Delegates ranked by votes, as of `blockNumber` (like getPastVotes) or now when omitted.
+ */
+export const fetchDelegates = (blockNumber?: number) =>
+  getJson<IndexedDelegate[]>(blockNumber === undefined ? "/delegates" : `/delegates?block=${blockNumber}`);
+
+/**
+ * Resolves a registered alias to its address, or null if nobody holds it.
+ */
+export const resolveAlias = async (alias: string): Promise<string | null> => {
+  const res = await fetch(`${INDEXER_URL}/aliases/${encodeURIComponent(alias.toLowerCase())}`);
+  if (res.status === 404) return null;
+  if (!res.ok) throw new Error(`Indexer request failed: ${res.status} /aliases`);
+  const body: { address: string } = await res.json();
+  return body.address;
+};
+
+// Message signed to claim an alias; must match aliasMessage in scripts/lib/aliases.js
+export const aliasMessage = (alias: string, address: string) =>
+  `Register governance alias "${alias}" for ${getAddress(address)}`;
+
+export const registerAlias = async (alias: string, address: string, signature: string): Promise<void> => {
+  const res = await fetch(`${INDEXER_URL}/aliases`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ alias, address, signature }),
+  });
+  if (!res.ok) {
+    const body: { error?: string } = await res.json();
+    throw new Error(body.error || "Alias registration failed");
+  }
+};
@@ -0,0 +1,102 @@
+import { ethers } from "ethers";
+import { INDEXER_URL } from "./indexer";
+
+// Proposal metadata document; must match validateMetadata in scripts/lib/metadata.js
+export type ProposalMetadata = {
+  version: number;
+  title: string;
+  summary: string;
+  // Markdown
+  body: string;
+  // Link to the forum thread or other off-chain discussion ("" for none)
+  discussion: string;
+  tags: string[];
+};
+
+// Metadata being drafted in the proposal form; the title is the form's title field
+export type MetadataDraft = Pick<ProposalMetadata, "summary" | "body" | "discussion"> & { tags: string };
+
+export const emptyMetadataDraft = (): MetadataDraft => ({ summary: "", body: "", discussion: "", tags: "" });
+
+// Resolved metadata of a proposal: verified is false when the served content does not match the identifier
+export type ResolvedMetadata = { cid: string; metadata: ProposalMetadata | null; verified: boolean };
+
+const DESCRIPTION_PATTERN = /^([\s\S]*?)\s*\n\nipfs:\/\/(b[a-z2-7]{58})\s*$/;
+
+// CIDv1 prefix of raw content hashed with sha2-256 (see contentId in scripts/lib/metadata.js)
+const CID_PREFIX = "0x01551220";
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+const base32 = (bytes: Uint8Array) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+/**
+ * IPFS CIDv1 (raw, sha2-256, base32) of `bytes`, as computed by the content store.
+ */
+export const contentId = (bytes: Uint8Array) =>
+  `b${base32(ethers.getBytes(ethers.concat([CID_PREFIX, ethers.sha256(bytes)])))}`;
+
+/**
+ * Whether the draft holds anything besides a title; plain titles are proposed as they are.
+ */
+export const hasMetadata = (draft: MetadataDraft) =>
+  Boolean(draft.summary.trim() || draft.body.trim() || draft.discussion.trim() || draft.tags.trim());
+
+/**
+ * Splits a proposal description into its title and metadata identifier (null for plain descriptions).
+ */
+export const parseDescription = (description: string): { title: string; cid: string | null } => {
+  const match = description.match(DESCRIPTION_PATTERN);
+  return match ? { title: match[1], cid: match[2] } : { title: description, cid: null };
+};
+
+/**
+ * Proposal description referencing metadata stored under `cid`.
+ */
+export const metadataDescription = (title: string, cid: string) => `${title.trim()}\n\nipfs://${cid}`;
+
+/**
+ * Stores the metadata in the indexer's content store and returns the proposal description referencing it.
+ * The store validates the document; the returned identifier is checked against the canonical bytes.
+ */
+export const publishMetadata = async (title: string, draft: MetadataDraft): Promise<string> => {
+  const tags = draft.tags
+    .split(",")
+    .map(tag => tag.trim())
+    .filter(Boolean);
+  const res = await fetch(`${INDEXER_URL}/metadata`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ title, summary: draft.summary, body: draft.body, discussion: draft.discussion, tags }),
+  });
+  const body: { cid?: string; error?: string } = await res.json();
+  if (!res.ok || !body.cid) throw new Error(body.error || "Storing proposal metadata failed");
+
+  const stored = await fetchMetadata(body.cid);
+  if (!stored.verified) throw new Error("The content store returned content that does not match its identifier");
+  return metadataDescription(title, body.cid);
+};
+
+/**
+ * Fetches a metadata document and verifies that it hashes to `cid`; unverified content is not parsed.
+ */
+export const fetchMetadata = async (cid: string): Promise<ResolvedMetadata> => {
+  const res = await fetch(`${INDEXER_URL}/content/${cid}`);
+  if (!res.ok) throw new Error(`Metadata ${cid} is not available (${res.status})`);
+  const bytes = new Uint8Array(await res.arrayBuffer());
+  if (contentId(bytes) !== cid) return { cid, metadata: null, verified: false };
+  return { cid, metadata: JSON.parse(ethers.toUtf8String(bytes)), verified: true };
+};
@@ -0,0 +1,50 @@
+import { ethers } from "ethers";
+import { ProposalAction } from "./proposalActions";
+
+// MyGovernor.VotingType values of multi-option proposals
+export const APPROVAL = 2;
+export const RANKED_CHOICE = 3;
+
+// MyGovernor.VOTE_TYPE_OPTIONS: support of multi-option ballots, whose params carry the chosen options
+export const VOTE_TYPE_OPTIONS = 254;
+
+// MultiOptionVotes.MIN_OPTIONS / MAX_OPTIONS
+export const MIN_OPTIONS = 2;
+export const MAX_OPTIONS = 10;
+
+export const isMultiOption = (votingType: number) => votingType === APPROVAL || votingType === RANKED_CHOICE;
+
+// Option being drafted in the proposal form; an option without actions executes nothing if it wins
+export type DraftOption = {
+  label: string;
+  actions: ProposalAction[];
+};
+
+/**
+ * Flattens drafted options into proposeWithOptions arguments: every option's actions one after the other, and
+ * the exclusive end index of each option's actions.
+ */
+export const flattenOptions = (options: DraftOption[]) => {
+  const actions = options.flatMap(option => option.actions);
+  let end = 0;
+  return {
+    targets: actions.map(a => a.target),
+    values: actions.map(a => a.value),
+    calldatas: actions.map(a => a.calldata),
+    labels: options.map(option => option.label.trim()),
+    optionEnds: options.map(option => (end += option.actions.length)),
+  };
+};
+
+/**
+ * Vote params of a multi-option ballot: approved options, or options from most to least preferred.
+ */
+export const encodeOptionsBallot = (options: number[]) => ethers.AbiCoder.defaultAbiCoder().encode(["uint256[]"], [options]);
+
+/**
+ * Human readable ballot, e.g. "Fund A, Fund B" for approval or "1. Fund B → 2. Fund A" for ranked choice.
+ */
+export const describeOptionsBallot = (options: number[], labels: string[], ranked: boolean) => {
+  const names = options.map(option => labels[option] ?? `Option ${option + 1}`);
+  return ranked ? names.map((name, i) => `${i + 1}. ${name}`).join(" → ") : names.join(", ");
+};
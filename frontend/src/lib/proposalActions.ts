@@ -0,0 +1,181 @@
+import { ethers, FunctionFragment, Interface, InterfaceAbi, ParamType } from "ethers";
+
+// A contract ABI the proposal builder can encode calls against
+export type AbiSource = {
+  name: string;
+  address?: string;
+  abi: InterfaceAbi;
+};
+
+// One call executed by the timelock when the proposal passes
+export type ProposalAction = {
+  target: string;
+  value: bigint;
+  calldata: string;
+  // Human readable signature, e.g. "transfer(address,uint256)" ("" for plain ETH transfers)
+  signature: string;
+  // Name of the ABI source the call was encoded with, used to decode it again for previews
+  abiName: string;
+};
+
+export type DecodedArgument = {
+  name: string;
+  type: string;
+  value: string;
+};
+
+export type DecodedAction = {
+  functionName: string;
+  signature: string;
+  args: DecodedArgument[];
+};
+
+/**
+ * Lists the state-changing functions of an ABI, i.e. the ones worth calling from a proposal.
+ */
+export const listWritableFunctions = (abi: InterfaceAbi): FunctionFragment[] => {
+  const iface = new Interface(abi);
+  const fragments: FunctionFragment[] = [];
+  iface.forEachFunction(fragment => {
+    if (!fragment.constant) fragments.push(fragment);
+  });
+  return fragments.sort((a, b) => a.format().localeCompare(b.format()));
+};
+
+const parseJsonArgument = (label: string, input: string): unknown => {
+  try {
+    return JSON.parse(input);
+  } catch {
+    throw new Error(`${label}: expected JSON`);
+  }
+};
+
+/**
+ * Parses a raw form value into the JS value ethers expects for `param`.
+ * Integers accept an optional " ether" suffix (e.g. "100 ether" → 100e18); arrays and tuples are JSON.
+ */
+export const parseArgument = (param: ParamType, raw: string): unknown => {
+  const input = raw.trim();
+  const label = param.name || param.type;
+
+  if (param.isArray()) {
+    const parsed = parseJsonArgument(label, input);
+    if (!Array.isArray(parsed)) throw new Error(`${label}: expected a JSON array`);
+    return parsed.map(item => parseArgument(param.arrayChildren, typeof item === "string" ? item : JSON.stringify(item)));
+  }
+
+  if (param.isTuple()) {
+    const components = param.components;
+    const parsed = parseJsonArgument(label, input);
+    if (!Array.isArray(parsed) || parsed.length !== components.length) {
+      throw new Error(`${label}: expected a JSON array with ${components.length} items`);
+    }
+    return components.map((component, i) => {
+      const item = parsed[i];
+      return parseArgument(component, typeof item === "string" ? item : JSON.stringify(item));
+    });
+  }
+
+  switch (param.baseType) {
+    case "address":
+      if (!ethers.isAddress(input)) throw new Error(`${label}: invalid address`);
+      return ethers.getAddress(input);
+    case "bool":
+      if (input !== "true" && input !== "false") throw new Error(`${label}: expected true or false`);
+      return input === "true";
+    case "string":
+      return raw;
+    default:
+      break;
+  }
+
+  if (param.baseType.startsWith("uint") || param.baseType.startsWith("int")) {
+    const match = input.match(/^(-?[0-9.]+)\s*ether$/i);
+    try {
+      return match ? ethers.parseEther(match[1]) : BigInt(input);
+    } catch {
+      throw new Error(`${label}: invalid integer`);
+    }
+  }
+
+  if (param.baseType.startsWith("bytes")) {
+    if (!ethers.isHexString(input)) throw new Error(`${label}: expected 0x-prefixed hex`);
+    return input;
+  }
+
+  throw new Error(`${label}: unsupported type ${param.type}`);
+};
+
+/**
+ * Encodes a proposal action from form input. Pass `fragment = null` for a plain ETH transfer.
+ */
+export const buildAction = (
+  target: string,
+  source: AbiSource,
+  fragment: FunctionFragment | null,
+  rawArgs: string[],
+  rawValue: string
+): ProposalAction => {
+  if (!ethers.isAddress(target)) throw new Error("Target: invalid address");
+
+  let value: bigint;
+  try {
+    value = ethers.parseEther(rawValue.trim() || "0");
+  } catch {
+    throw new Error("ETH value: invalid amount");
+  }
+
+  if (!fragment) {
+    if (value === BigInt(0)) throw new Error("ETH value: a plain transfer needs a non-zero amount");
+    return { target: ethers.getAddress(target), value, calldata: "0x", signature: "", abiName: source.name };
+  }
+
+  if (value > BigInt(0) && !fragment.payable) {
+    throw new Error(`${fragment.name} is not payable; set the ETH value to 0`);
+  }
+
+  const args = fragment.inputs.map((param, i) => parseArgument(param, rawArgs[i] ?? ""));
+  const calldata = new Interface(source.abi).encodeFunctionData(fragment, args);
+
+  return {
+    target: ethers.getAddress(target),
+    value,
+    calldata,
+    signature: fragment.format("sighash"),
+    abiName: source.name,
+  };
+};
+
+const formatDecodedValue = (value: unknown): string => {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return `[${value.map(formatDecodedValue).join(", ")}]`;
+  return String(value);
+};
+
+/**
+ * Decodes an action's calldata against the known ABIs, preferring the one it was encoded with.
+ * Returns null for plain ETH transfers and calldata no known ABI understands.
+ */
+export const decodeAction = (action: Pick<ProposalAction, "calldata" | "abiName">, sources: AbiSource[]): DecodedAction | null => {
+  if (!action.calldata || action.calldata === "0x") return null;
+
+  const ordered = [...sources].sort((a, b) => Number(b.name === action.abiName) - Number(a.name === action.abiName));
+  for (const source of ordered) {
+    try {
+      const parsed = new Interface(source.abi).parseTransaction({ data: action.calldata });
+      if (!parsed) continue;
+      return {
+        functionName: parsed.name,
+        signature: parsed.signature,
+        args: parsed.fragment.inputs.map((param, i) => ({
+          name: param.name || `arg${i}`,
+          type: param.type,
+          value: formatDecodedValue(parsed.args[i]),
+        })),
+      };
+    } catch {
+      // Not this ABI; try the next one
+    }
+  }
+  return null;
+};
@@ -0,0 +1,34 @@
+// Local relayer started with `npx hardhat run scripts/relayer.js --network localhost`
+export const RELAYER_URL = process.env.NEXT_PUBLIC_RELAYER_URL || "http://localhost:8787";
+
+// Queue entry as listed by GET /ballots and GET /delegations
+type RelayedMessage = {
+  id: number;
+  kind: "standard" | "quadratic" | "delegation";
+  signer: string;
+  status: "pending" | "submitted" | "failed";
+};
+
+/**
+ * Number of `signer`'s messages still queued at `path`. Each one will consume a nonce when it lands,
+ * so a new signature has to skip past them.
+ */
+export const pendingCount = async (path: "/ballots" | "/delegations", signer: string): Promise<number> => {
+  const res = await fetch(`${RELAYER_URL}${path}`);
+  if (!res.ok) throw new Error(`Relayer unavailable at ${RELAYER_URL}`);
+  const queued: RelayedMessage[] = await res.json();
+  return queued.filter(m => m.status === "pending" && m.signer.toLowerCase() === signer.toLowerCase()).length;
+};
+
+/**
+ * Hands a signed message to the relayer, which pays the gas and submits it with its next batch.
+ */
+export const postToRelayer = async (path: "/ballots" | "/delegations", message: object): Promise<void> => {
+  const res = await fetch(`${RELAYER_URL}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(message),
+  });
+  const body: { rejected?: { error: string }[]; error?: string } = await res.json();
+  if (!res.ok) throw new Error(body.error || body.rejected?.[0]?.error || "Relayer rejected the message");
+};
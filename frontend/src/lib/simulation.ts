@@ -0,0 +1,85 @@
+// Local simulator started with `npx hardhat run scripts/simulator.js`
+export const SIMULATOR_URL = process.env.NEXT_PUBLIC_SIMULATOR_URL || "http://localhost:8788";
+
+// Amounts are decimal strings, as the simulator writes bigints
+export type SimulatedEvent = {
+  address: string;
+  contract: string | null;
+  // null when no known ABI decodes the log; `topic` is then its first topic
+  name: string | null;
+  args?: Record<string, unknown>;
+  topic?: string | null;
+};
+
+export type SimulatedCall = {
+  from: string;
+  to: string;
+  contract: string | null;
+  kind: string;
+  function: string | null;
+  value: string;
+  storageWrites: number;
+};
+
+export type SimulatedAction = {
+  index: number;
+  target: string;
+  contract: string | null;
+  function: string | null;
+  value: string;
+  success: boolean;
+  error: string | null;
+  gasUsed?: string;
+  events: SimulatedEvent[];
+  calls: SimulatedCall[];
+  storageWrites: { address: string; contract: string | null; slot: string; value: string }[];
+};
+
+export type BalanceChange = {
+  account: string;
+  name: string | null;
+  asset: string;
+  token: string | null;
+  before: string;
+  after: string;
+  change: string;
+};
+
+export type Simulation = {
+  chainId: number;
+  blockNumber: number;
+  proposalId: string;
+  // Option run for Approval and Ranked choice proposals, null for the others
+  option: number | null;
+  label: string | null;
+  report: {
+    success: boolean;
+    executor: string;
+    value: string;
+    // ETH the caller of execute has to send along because the timelock holds too little
+    valueShortfall: string;
+    actions: SimulatedAction[];
+    // Only filled in when every action succeeds
+    balanceChanges: BalanceChange[];
+  };
+};
+
+/**
+ * Dry-runs a proposal's actions as the timelock on a fork of the node. Option proposals run `option`, or the
+ * winning option when it is omitted.
+ */
+export const simulateProposal = async (proposalId: string, option?: number): Promise<Simulation> => {
+  let res: Response;
+  try {
+    res = await fetch(`${SIMULATOR_URL}/simulations`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ proposalId, option }),
+    });
+  } catch {
+    throw new Error(`Simulator unavailable at ${SIMULATOR_URL}`);
+  }
+  const body = await res.json();
+  if (!res.ok) throw new Error(body.error || "Simulation failed");
+  return body;
+};
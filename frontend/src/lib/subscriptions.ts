@@ -0,0 +1,67 @@
+import { Contract, ContractEventPayload, EventLog, Provider } from "ethers";
+
+// Chain activity the dashboard applies in place instead of reloading everything
+export type GovernanceEvent =
+  | { kind: "block"; blockNumber: number }
+  | { kind: "proposalCreated"; log: EventLog }
+  // A vote, queue, execution or cancellation changed the proposal's tally or state
+  | { kind: "proposalChanged"; proposalId: string; voter: string | null }
+  | { kind: "votesChanged"; delegate: string; votes: bigint }
+  | { kind: "delegateChanged"; delegator: string; delegate: string }
+  | { kind: "transfer"; from: string; to: string };
+
+// Governor events that change a proposal, with the position of the proposal id and voter (-1 for none) in their args
+const PROPOSAL_EVENTS: [string, number, number][] = [
+  ["VoteCast", 1, 0],
+  ["VoteCastWithParams", 1, 0],
+  ["ProposalQueued", 0, -1],
+  ["ProposalExecuted", 0, -1],
+  ["ProposalCanceled", 0, -1],
+];
+
+/**
+ * Subscribes to new blocks and to the governor's and token's events, reporting each as a GovernanceEvent.
+ * Returns a function that removes every listener.
+ */
+export const subscribeToGovernance = (
+  governor: Contract,
+  token: Contract,
+  onEvent: (event: GovernanceEvent) => void
+): (() => void) => {
+  const provider = governor.runner?.provider as Provider;
+  const listeners: [Contract, string, (...args: unknown[]) => void][] = [];
+  const listen = (contract: Contract, name: string, listener: (...args: unknown[]) => void) => {
+    listeners.push([contract, name, listener]);
+    contract.on(name, listener);
+  };
+
+  const onBlock = (blockNumber: number) => onEvent({ kind: "block", blockNumber });
+  provider.on("block", onBlock);
+
+  // Contract listeners get the event's args followed by the payload holding the log
+  listen(governor, "ProposalCreated", (...args) => {
+    const payload = args[args.length - 1] as ContractEventPayload;
+    onEvent({ kind: "proposalCreated", log: payload.log });
+  });
+  for (const [name, idIndex, voterIndex] of PROPOSAL_EVENTS) {
+    listen(governor, name, (...args) =>
+      onEvent({
+        kind: "proposalChanged",
+        proposalId: String(args[idIndex]),
+        voter: voterIndex < 0 ? null : String(args[voterIndex]),
+      })
+    );
+  }
+  listen(token, "DelegateVotesChanged", (delegate, previousVotes, newVotes) =>
+    onEvent({ kind: "votesChanged", delegate: String(delegate), votes: newVotes as bigint })
+  );
+  listen(token, "DelegateChanged", (delegator, fromDelegate, toDelegate) =>
+    onEvent({ kind: "delegateChanged", delegator: String(delegator), delegate: String(toDelegate) })
+  );
+  listen(token, "Transfer", (from, to) => onEvent({ kind: "transfer", from: String(from), to: String(to) }));
+
+  return () => {
+    provider.off("block", onBlock);
+    for (const [contract, name, listener] of listeners) contract.off(name, listener);
+  };
+};
@@ -0,0 +1,108 @@
+import { ethers, Interface } from "ethers";
+import { ProposalAction } from "./proposalActions";
+
+// Treasury.ETH: asset id of ether in payments, streams and the ledger
+export const ETH = ethers.ZeroAddress;
+
+// Treasury functions that move funds, decoded from proposal actions to list pending payouts
+const payoutInterface = new Interface([
+  "function pay(address asset, address recipient, uint256 amount, bytes32 category)",
+  "function createStream(address asset, address recipient, uint256 amount, uint64 start, uint64 duration, bytes32 category)",
+]);
+
+// A payment drafted in the treasury form or decoded from a proposal; streams vest from `start` over `duration`
+export type TreasuryPayout = {
+  kind: "payment" | "stream";
+  asset: string;
+  recipient: string;
+  amount: bigint;
+  category: string;
+  start: number;
+  duration: number;
+};
+
+/**
+ * Ledger category id of a label, e.g. "grants" (labels are case-insensitive and up to 31 bytes).
+ */
+export const encodeCategory = (label: string) => {
+  const normalized = label.trim().toLowerCase();
+  if (!normalized) throw new Error("Enter a category");
+  try {
+    return ethers.encodeBytes32String(normalized);
+  } catch {
+    throw new Error("Category: at most 31 characters");
+  }
+};
+
+/**
+ * Label of a ledger category id; ids not created from a label are shown as hex.
+ */
+export const decodeCategory = (category: string) => {
+  try {
+    return ethers.decodeBytes32String(category);
+  } catch {
+    return category;
+  }
+};
+
+/**
+ * Encodes the treasury call of a drafted payment as a proposal action.
+ */
+export const buildPayoutAction = (treasury: string, payout: TreasuryPayout): ProposalAction => {
+  if (!ethers.isAddress(payout.recipient)) throw new Error("Recipient: invalid address");
+  if (payout.amount <= BigInt(0)) throw new Error("Amount: must be greater than 0");
+  if (payout.kind === "stream" && payout.duration <= 0) throw new Error("Duration: must be greater than 0");
+
+  const recipient = ethers.getAddress(payout.recipient);
+  const category = encodeCategory(payout.category);
+  const fragment = payout.kind === "payment" ? payoutInterface.getFunction("pay")! : payoutInterface.getFunction("createStream")!;
+  const args =
+    payout.kind === "payment"
+      ? [payout.asset, recipient, payout.amount, category]
+      : [payout.asset, recipient, payout.amount, payout.start, payout.duration, category];
+
+  return {
+    target: ethers.getAddress(treasury),
+    value: BigInt(0),
+    calldata: payoutInterface.encodeFunctionData(fragment, args),
+    signature: fragment.format("sighash"),
+    abiName: "Treasury",
+  };
+};
+
+/**
+ * Treasury payouts among a proposal's actions, in action order. Other actions are skipped.
+ */
+export const decodeTreasuryPayouts = (treasury: string, targets: string[], calldatas: string[]): TreasuryPayout[] => {
+  const payouts: TreasuryPayout[] = [];
+  targets.forEach((target, i) => {
+    if (target.toLowerCase() !== treasury.toLowerCase()) return;
+    const parsed = payoutInterface.parseTransaction({ data: calldatas[i] });
+    if (!parsed) return;
+
+    const { asset, recipient, amount, category } = parsed.args;
+    const isStream = parsed.name === "createStream";
+    payouts.push({
+      kind: isStream ? "stream" : "payment",
+      asset,
+      recipient,
+      amount,
+      category: decodeCategory(category),
+      start: isStream ? Number(parsed.args.start) : 0,
+      duration: isStream ? Number(parsed.args.duration) : 0,
+    });
+  });
+  return payouts;
+};
+
+/**
+ * Human readable payout, e.g. "Pay 2.0 ETH to 0x1234...abcd (grants)".
+ */
+export const describePayout = (payout: TreasuryPayout, symbol: string) => {
+  const amount = `${ethers.formatEther(payout.amount)} ${symbol}`;
+  const recipient = `${payout.recipient.substring(0, 6)}...${payout.recipient.substring(38)}`;
+  const days = Math.round((payout.duration / 86400) * 10) / 10;
+  return payout.kind === "payment"
+    ? `Pay ${amount} to ${recipient} (${payout.category})`
+    : `Stream ${amount} to ${recipient} over ${days} days (${payout.category})`;
+};
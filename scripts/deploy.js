@@ -1,73 +1,161 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { loadGovernanceConfig } = require("./lib/governanceConfig");
+const {
+    FRONTEND_CONTRACTS,
+    abiHash,
+    checkExistingDeployment,
+    getGovernorFactory,
+    loadDeployments,
+    recordDeployment,
+} = require("./lib/deployment");
+
+// Run with: npx hardhat run scripts/deploy.js --network <network>
+//
+// DEPLOY_OVERWRITE  Set to 1 to replace the deployment already recorded for this chain
+const OVERWRITE = process.env.DEPLOY_OVERWRITE === "1";
+
+// Share of the initial supply handed to the DAO treasury
+const TREASURY_ALLOCATION = hre.ethers.parseEther("100000");
 
 async function main() {
     const [deployer] = await hre.ethers.getSigners();
     console.log("Deploying contracts with the account:", deployer.address);
 
-    // Deploy Governance Token
+    // Deployments are recorded per chain; never silently replace one that is still live
+    const root = hre.config.paths.root;
+    const chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+    const existing = await checkExistingDeployment(loadDeployments(root), chainId, hre.ethers.provider, {
+        overwrite: OVERWRITE,
+    });
+    if (existing) {
+        console.log(`Replacing the deployment recorded for chain ${chainId} at block ${existing.deployBlock}`);
+    }
+
+    // Voting delay/period, threshold, quorum, timelock delay, guardian and registry issuer for this network
+    const config = loadGovernanceConfig(root, hre.network.name);
+    // Without a configured guardian/issuer the deployer holds the role (use a multisig outside local networks)
+    const voterIssuer = config.voterIssuer ?? deployer.address;
+
+    // Deploy Governance Token (deployer owns it until the minter is wired)
     const GovernanceToken = await hre.ethers.getContractFactory("GovernanceToken");
-    const token = await GovernanceToken.deploy();
+    const token = await GovernanceToken.deploy(deployer.address, config.maxInflationBps);
     await token.waitForDeployment();
+    // The token is deployed first, so indexers can start from its block
+    const deployBlock = (await token.deploymentTransaction().wait()).blockNumber;
     const tokenAddress = await token.getAddress();
-    console.log("GovernanceToken deployed to:", tokenAddress);
+    console.log("GovernanceToken deployed to:", tokenAddress, "annual inflation cap (bps):", config.maxInflationBps);
+
+    // Deploy Timelock (deployer is temporary admin until roles are wired)
+    const TimelockController = await hre.ethers.getContractFactory("TimelockController");
+    const timelock = await TimelockController.deploy(config.timelockDelay, [], [], deployer.address);
+    await timelock.waitForDeployment();
+    const timelockAddress = await timelock.getAddress();
+    console.log("TimelockController deployed to:", timelockAddress);
+
+    // Deploy Voter Registry: the allowlist is edited by governance, attestations are signed by the issuer
+    const VoterRegistry = await hre.ethers.getContractFactory("VoterRegistry");
+    const registry = await VoterRegistry.deploy(timelockAddress, voterIssuer);
+    await registry.waitForDeployment();
+    const registryAddress = await registry.getAddress();
+    console.log("VoterRegistry deployed to:", registryAddress, "issuer:", voterIssuer);
+
+    // Deploy Treasury: the DAO vault, paying out only through executed proposals
+    const Treasury = await hre.ethers.getContractFactory("Treasury");
+    const treasury = await Treasury.deploy(timelockAddress);
+    await treasury.waitForDeployment();
+    const treasuryAddress = await treasury.getAddress();
+    console.log("Treasury deployed to:", treasuryAddress);
+
+    // Deploy Vesting Wallet Factory: contributor grants created by proposal delegate to their beneficiary
+    const VestingWalletFactory = await hre.ethers.getContractFactory("VestingWalletFactory");
+    const vestingFactory = await VestingWalletFactory.deploy(tokenAddress);
+    await vestingFactory.waitForDeployment();
+    const vestingFactoryAddress = await vestingFactory.getAddress();
+    console.log("VestingWalletFactory deployed to:", vestingFactoryAddress);
 
     // Deploy Governor
-    const MyGovernor = await hre.ethers.getContractFactory("MyGovernor");
-    const governor = await MyGovernor.deploy(tokenAddress);
+    const governorParams = {
+        ...config.governor,
+        guardian: config.governor.guardian ?? deployer.address,
+        voterRegistry: registryAddress
+    };
+    console.log(`Governance parameters (${hre.network.name}):`, governorParams, "timelock delay:", config.timelockDelay);
+    // Vote counting libraries are deployed first and linked into the governor
+    const MyGovernor = await getGovernorFactory(hre.ethers, deployer);
+    const governor = await MyGovernor.deploy(tokenAddress, timelockAddress, governorParams);
     await governor.waitForDeployment();
     const governorAddress = await governor.getAddress();
     console.log("MyGovernor deployed to:", governorAddress);
 
+    // Governor is the only proposer/canceller; anyone may execute once the delay has passed
+    await (await timelock.grantRole(await timelock.PROPOSER_ROLE(), governorAddress)).wait();
+    await (await timelock.grantRole(await timelock.CANCELLER_ROLE(), governorAddress)).wait();
+    await (await timelock.grantRole(await timelock.EXECUTOR_ROLE(), hre.ethers.ZeroAddress)).wait();
+    console.log("Timelock roles granted to governor");
+
+    // Move treasury funds and governor ownership behind the timelock
+    await (await token.transfer(treasuryAddress, TREASURY_ALLOCATION)).wait();
+    console.log(`Transferred ${hre.ethers.formatEther(TREASURY_ALLOCATION)} GT to the treasury`);
+
+    await (await governor.transferOwnership(timelockAddress)).wait();
+    console.log("Governor ownership transferred to timelock");
+
+    // Only governance mints new supply and changes the minter or the inflation cap
+    await (await token.setMinter(timelockAddress)).wait();
+    await (await token.transferOwnership(timelockAddress)).wait();
+    console.log("Token minter and ownership transferred to timelock");
+
+    // Deployer gives up timelock admin so only governance can change roles
+    await (await timelock.renounceRole(await timelock.DEFAULT_ADMIN_ROLE(), deployer.address)).wait();
+    console.log("Deployer renounced timelock admin role");
+
     // Delegate votes to deployer to enable proposal creation immediately
     await token.delegate(deployer.address);
     console.log("Delegated votes to deployer");
 
-    // Output for frontend
-    const addresses = {
-        token: tokenAddress,
-        governor: governorAddress
-    };
-    console.log("Writing addresses:", addresses);
-
-    // Determine path. If mapping works, defaults to ../frontend/src/artifacts relative to scripts/
-    // In Docker, we mount ./frontend/src/artifacts to /app/frontend/src/artifacts
-    // The script runs in /app/scripts or /app depending on CWD.
-    // Hardhat runs from /app.
-    // So relative path from project root is frontend/src/artifacts.
-    const artifactsDir = path.join(hre.config.paths.root, "frontend/src/artifacts");
-
-    if (!fs.existsSync(artifactsDir)) {
-        console.log("Creating artifacts directory:", artifactsDir);
-        fs.mkdirSync(artifactsDir, { recursive: true });
+    // Output for frontend: ABIs plus this chain's entry in the deployment registry
+    const artifactsDir = path.join(root, "frontend/src/artifacts");
+    const abis = {};
+    for (const name of FRONTEND_CONTRACTS) {
+        const src = path.join(root, "artifacts/contracts", `${name}.sol`, `${name}.json`);
+        const destDir = path.join(artifactsDir, "contracts", `${name}.sol`);
+        fs.mkdirSync(destDir, { recursive: true });
+        fs.copyFileSync(src, path.join(destDir, `${name}.json`));
+        abis[name] = JSON.parse(fs.readFileSync(src, "utf8")).abi;
+        console.log(`Copied ${name}.json to ${destDir}`);
     }
 
-    fs.writeFileSync(
-        path.join(artifactsDir, "addresses.json"),
-        JSON.stringify(addresses, null, 2)
-    );
-    console.log("Addresses written to addresses.json");
-
-    // Copy ABIs
-    const artifactsSrc = path.join(hre.config.paths.root, "artifacts/contracts");
-
-    // Helper to copy file
-    const copyArtifact = (contractPath, contractName) => {
-        const src = path.join(artifactsSrc, contractPath, `${contractName}.json`);
-        const destDir = path.join(artifactsDir, "contracts", contractPath);
-
-        if (!fs.existsSync(destDir)) {
-            fs.mkdirSync(destDir, { recursive: true });
+    const deployment = {
+        network: hre.network.name,
+        chainId,
+        deployer: deployer.address,
+        deployBlock,
+        deployedAt: new Date().toISOString(),
+        abiHash: abiHash(abis),
+        addresses: {
+            token: tokenAddress,
+            governor: governorAddress,
+            timelock: timelockAddress,
+            voterRegistry: registryAddress,
+            vestingFactory: vestingFactoryAddress,
+            treasury: treasuryAddress
+        },
+        parameters: {
+            votingDelay: governorParams.votingDelay,
+            votingPeriod: governorParams.votingPeriod,
+            proposalThreshold: governorParams.proposalThreshold.toString(),
+            quorumNumerator: governorParams.quorumNumerator,
+            quadraticQuorumNumerator: governorParams.quadraticQuorumNumerator,
+            guardian: governorParams.guardian,
+            timelockDelay: config.timelockDelay,
+            voterIssuer,
+            maxInflationBps: config.maxInflationBps
         }
-
-        const dest = path.join(destDir, `${contractName}.json`);
-        fs.copyFileSync(src, dest);
-        console.log(`Copied ${contractName}.json to ${dest}`);
     };
-
-    copyArtifact("GovernanceToken.sol", "GovernanceToken");
-    copyArtifact("MyGovernor.sol", "MyGovernor");
+    recordDeployment(root, deployment);
+    console.log(`Recorded the ${hre.network.name} deployment (chain ${chainId}):`, deployment.addresses);
 }
 
 main()
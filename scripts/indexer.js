@@ -0,0 +1,194 @@
+const hre = require("hardhat");
+const http = require("http");
+const path = require("path");
+const { loadDeployment } = require("./lib/deployment");
+const { readBody, sendBytes, sendJson } = require("./lib/http");
+const { createAliasRegistry } = require("./lib/aliases");
+const { ANALYTICS_TABLES, analyticsCsv, computeAnalytics } = require("./lib/analytics");
+const { createContentStore, encodeMetadata } = require("./lib/metadata");
+const { createDraftStore } = require("./lib/drafts");
+const { createJsonStore, createProposalIndexer } = require("./lib/indexer");
+
+// Run with: npx hardhat run scripts/indexer.js --network localhost
+//
+// INDEXER_PORT        HTTP port of the REST API (default 4000)
+// INDEXER_DB          JSON database file (default indexer-data/<network>.json)
+// INDEXER_POLL_MS     Delay between syncs (default 2000)
+// INDEXER_FROM_BLOCK  First block to index (default: the recorded deployment block, or 0 with explicit addresses)
+// INDEXER_ALIASES     Delegate alias registry file (default indexer-data/aliases.json)
+// INDEXER_CONTENT     Proposal metadata store directory (default indexer-data/content)
+// INDEXER_DRAFTS      Shared proposal drafts file (default indexer-data/drafts.json)
+// INDEXER_GOVERNOR    Governor address (default: this chain's entry in frontend/src/artifacts/deployments.json)
+// INDEXER_TOKEN       Governance token address (default: this chain's entry in frontend/src/artifacts/deployments.json)
+const PORT = Number(process.env.INDEXER_PORT || 4000);
+const POLL_MS = Number(process.env.INDEXER_POLL_MS || 2000);
+// Largest page of votes served at once
+const MAX_PAGE_SIZE = 100;
+const DB_FILE =
+    process.env.INDEXER_DB || path.join(hre.config.paths.root, "indexer-data", `${hre.network.name}.json`);
+const ALIASES_FILE = process.env.INDEXER_ALIASES || path.join(hre.config.paths.root, "indexer-data", "aliases.json");
+const CONTENT_DIR = process.env.INDEXER_CONTENT || path.join(hre.config.paths.root, "indexer-data", "content");
+const DRAFTS_FILE = process.env.INDEXER_DRAFTS || path.join(hre.config.paths.root, "indexer-data", "drafts.json");
+
+function runServer(indexer, aliases, content, drafts) {
+    const withAlias = (delegate) => ({ ...delegate, alias: aliases.aliasOf(delegate.address) });
+
+    const server = http.createServer(async (req, res) => {
+        if (req.method === "OPTIONS") return sendJson(res, 204, {});
+
+        const url = new URL(req.url, `http://localhost:${PORT}`);
+        const parts = url.pathname.split("/").filter(Boolean);
+
+        try {
+            // POST /aliases { alias, address, signature }
+            if (req.method === "POST" && parts.length === 1 && parts[0] === "aliases") {
+                const { alias, address, signature } = JSON.parse(await readBody(req));
+                return sendJson(res, 201, aliases.register(alias, address, signature));
+            }
+            // POST /metadata { title, summary, body, discussion, tags } -> { cid }
+            if (req.method === "POST" && parts.length === 1 && parts[0] === "metadata") {
+                const bytes = encodeMetadata(JSON.parse(await readBody(req)));
+                return sendJson(res, 201, { cid: content.put(bytes) });
+            }
+            // POST /drafts { content } -> { id, editKey }
+            if (req.method === "POST" && parts.length === 1 && parts[0] === "drafts") {
+                const { content: draft } = JSON.parse(await readBody(req));
+                return sendJson(res, 201, drafts.create(draft));
+            }
+            // POST /drafts/:id { editKey, content }
+            if (req.method === "POST" && parts.length === 2 && parts[0] === "drafts") {
+                const { editKey, content: draft } = JSON.parse(await readBody(req));
+                return sendJson(res, 200, drafts.update(parts[1], editKey, draft));
+            }
+            // POST /drafts/:id/comments { author, body, signature }
+            if (req.method === "POST" && parts.length === 3 && parts[0] === "drafts" && parts[2] === "comments") {
+                return sendJson(res, 201, drafts.comment(parts[1], JSON.parse(await readBody(req))));
+            }
+            if (req.method !== "GET") return sendJson(res, 405, { error: "Method not allowed" });
+
+            // GET /drafts/:id
+            if (parts.length === 2 && parts[0] === "drafts") {
+                const draft = drafts.get(parts[1]);
+                return draft ? sendJson(res, 200, draft) : sendJson(res, 404, { error: "Unknown draft" });
+            }
+
+            // GET /content/:cid
+            if (parts.length === 2 && parts[0] === "content") {
+                const bytes = content.get(parts[1]);
+                return bytes
+                    ? sendBytes(res, 200, bytes, "application/json")
+                    : sendJson(res, 404, { error: "Unknown content" });
+            }
+
+            // GET /aliases
+            if (parts.length === 1 && parts[0] === "aliases") {
+                return sendJson(res, 200, aliases.list());
+            }
+            // GET /aliases/:alias
+            if (parts.length === 2 && parts[0] === "aliases") {
+                const address = aliases.resolve(parts[1]);
+                return address
+                    ? sendJson(res, 200, { alias: parts[1].toLowerCase(), address })
+                    : sendJson(res, 404, { error: "Unknown alias" });
+            }
+            // GET /delegates?block=123
+            if (parts.length === 1 && parts[0] === "delegates") {
+                const block = url.searchParams.get("block");
+                return sendJson(res, 200, indexer.delegates(block ? Number(block) : undefined).map(withAlias));
+            }
+            // GET /delegates/:address
+            if (parts.length === 2 && parts[0] === "delegates") {
+                const delegate = indexer.delegate(parts[1]);
+                return delegate
+                    ? sendJson(res, 200, withAlias(delegate))
+                    : sendJson(res, 404, { error: "Unknown delegate" });
+            }
+            // GET /analytics
+            if (parts.length === 1 && parts[0] === "analytics") {
+                return sendJson(res, 200, computeAnalytics(indexer.records()));
+            }
+            // GET /analytics/:table?format=csv|json
+            if (parts.length === 2 && parts[0] === "analytics") {
+                const format = url.searchParams.get("format") || "json";
+                if (!ANALYTICS_TABLES[parts[1]] || !["csv", "json"].includes(format)) {
+                    return sendJson(res, 404, { error: "Unknown analytics table or format" });
+                }
+                const analytics = computeAnalytics(indexer.records());
+                return format === "csv"
+                    ? sendBytes(res, 200, analyticsCsv(analytics, parts[1]), "text/csv")
+                    : sendJson(res, 200, analytics[parts[1]]);
+            }
+            // GET /status
+            if (parts.length === 1 && parts[0] === "status") {
+                return sendJson(res, 200, indexer.status());
+            }
+            // GET /proposals?voter=0x...
+            if (parts.length === 1 && parts[0] === "proposals") {
+                return sendJson(res, 200, indexer.proposals(url.searchParams.get("voter") || undefined));
+            }
+            // GET /proposals/:id
+            if (parts.length === 2 && parts[0] === "proposals") {
+                const proposal = indexer.proposalDetail(parts[1]);
+                return proposal ? sendJson(res, 200, proposal) : sendJson(res, 404, { error: "Unknown proposal" });
+            }
+            // GET /proposals/:id/votes?page=1&pageSize=25
+            if (parts.length === 3 && parts[0] === "proposals" && parts[2] === "votes") {
+                const page = Math.max(Number(url.searchParams.get("page") || 1), 1);
+                const pageSize = Math.min(Math.max(Number(url.searchParams.get("pageSize") || 25), 1), MAX_PAGE_SIZE);
+                const votes = indexer.votes(parts[1], { page, pageSize });
+                return votes ? sendJson(res, 200, votes) : sendJson(res, 404, { error: "Unknown proposal" });
+            }
+        } catch (error) {
+            return sendJson(res, 400, { error: error.message });
+        }
+
+        sendJson(res, 404, { error: "Not found" });
+    });
+
+    server.listen(PORT, () => console.log(`Indexer API listening on http://localhost:${PORT}`));
+}
+
+async function main() {
+    const chainId = (await hre.ethers.provider.getNetwork()).chainId;
+    const deployment =
+        process.env.INDEXER_GOVERNOR && process.env.INDEXER_TOKEN
+            ? { addresses: {}, deployBlock: 0 }
+            : loadDeployment(hre.config.paths.root, chainId);
+    const { addresses } = deployment;
+    const governor = await hre.ethers.getContractAt("MyGovernor", process.env.INDEXER_GOVERNOR || addresses.governor);
+    const token = await hre.ethers.getContractAt("GovernanceToken", process.env.INDEXER_TOKEN || addresses.token);
+    const fromBlock = Number(process.env.INDEXER_FROM_BLOCK || deployment.deployBlock);
+    console.log("Indexing", await governor.getAddress(), "and", await token.getAddress(), "from block", fromBlock);
+    console.log("Database:", DB_FILE);
+
+    const indexer = createProposalIndexer({
+        governor,
+        token,
+        store: createJsonStore(DB_FILE),
+        fromBlock,
+    });
+
+    // Syncs run back to back, never overlapping, so the store is only written by one sync at a time
+    const poll = async () => {
+        try {
+            await indexer.sync();
+        } catch (error) {
+            console.error("Sync failed:", error.message);
+        }
+        setTimeout(poll, POLL_MS);
+    };
+
+    await indexer.sync();
+    runServer(
+        indexer,
+        createAliasRegistry(ALIASES_FILE),
+        createContentStore(CONTENT_DIR),
+        createDraftStore(DRAFTS_FILE)
+    );
+    setTimeout(poll, POLL_MS);
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,63 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Lowercase letters, digits and dashes; no dots so aliases are never mistaken for ENS names
+const ALIAS_PATTERN = /^[a-z0-9-]{3,32}$/;
+
+/**
+ * Message an account signs (personal_sign) to claim an alias for itself.
+ */
+const aliasMessage = (alias, address) => `Register governance alias "${alias}" for ${ethers.getAddress(address)}`;
+
+/**
+ * Local, ENS-free registry of delegate aliases persisted to a JSON file.
+ * An alias is claimed by signing `aliasMessage` with the account it points to, so nobody can
+ * register an alias for someone else's address. Each account holds at most one alias.
+ */
+function createAliasRegistry(file) {
+    let aliases = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+
+    const save = () => {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(aliases, null, 2));
+    };
+
+    return {
+        list: () => ({ ...aliases }),
+
+        resolve: (alias) => {
+            const name = alias.toLowerCase();
+            return Object.hasOwn(aliases, name) ? aliases[name] : null;
+        },
+
+        aliasOf: (address) => {
+            const account = ethers.getAddress(address);
+            return Object.keys(aliases).find((alias) => aliases[alias] === account) ?? null;
+        },
+
+        register(alias, address, signature) {
+            if (!ALIAS_PATTERN.test(alias)) {
+                throw new Error("Alias must be 3-32 lowercase letters, digits or dashes");
+            }
+            if (!ethers.isAddress(address)) {
+                throw new Error("address must be an address");
+            }
+            const account = ethers.getAddress(address);
+            if (Object.hasOwn(aliases, alias) && aliases[alias] !== account) {
+                throw new Error(`Alias "${alias}" is already taken`);
+            }
+            if (ethers.verifyMessage(aliasMessage(alias, account), signature) !== account) {
+                throw new Error(`Signature was not made by ${account}`);
+            }
+
+            // Re-registering moves the account's alias
+            aliases = Object.fromEntries(Object.entries(aliases).filter(([, owner]) => owner !== account));
+            aliases[alias] = account;
+            save();
+            return { alias, address: account };
+        },
+    };
+}
+
+module.exports = { ALIAS_PATTERN, aliasMessage, createAliasRegistry };
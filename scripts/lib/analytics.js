@@ -0,0 +1,265 @@
+const { PROPOSAL_STATES } = require("./errors");
+const { QUADRATIC_PRECISION, votesAt } = require("./indexer");
+const { VOTING_TYPES } = require("./proposals");
+
+const STANDARD = 0;
+const QUADRATIC = 1;
+
+// Proposal states once voting has closed: Defeated, and Succeeded, Queued, Expired or Executed (passed)
+const DEFEATED = 3;
+const PASSED_STATES = new Set([4, 5, 6, 7]);
+
+// Columns of each exported table, in order
+const ANALYTICS_TABLES = {
+    turnout: [
+        "proposalId",
+        "title",
+        "votingType",
+        "state",
+        "snapshot",
+        "voters",
+        "votingPower",
+        "votedPower",
+        "turnout",
+        "participation",
+        "quorum",
+        "quorumRatio",
+        "quorumReached",
+    ],
+    concentration: ["blockNumber", "delegates", "totalVotes", "gini", "nakamoto"],
+    passRates: ["votingType", "proposals", "decided", "passed", "defeated", "passRate"],
+    comparison: [
+        "proposalId",
+        "title",
+        "votingType",
+        "alternative",
+        "quorum",
+        "forVotes",
+        "againstVotes",
+        "participation",
+        "passed",
+        "alternativeForVotes",
+        "alternativeAgainstVotes",
+        "alternativeParticipation",
+        "alternativePassed",
+        "differs",
+    ],
+};
+
+// Ratio of two bigints to 4 decimals, or null when the denominator is 0
+const ratio = (numerator, denominator) =>
+    denominator === 0n ? null : Number((numerator * 10000n) / denominator) / 10000;
+
+const sum = (values) => values.reduce((total, value) => total + value, 0n);
+
+// Integer square root (Newton's method)
+function sqrt(value) {
+    if (value < 2n) return value;
+    let x = value;
+    let y = (x + 1n) / 2n;
+    while (y < x) {
+        x = y;
+        y = (x + value / x) / 2n;
+    }
+    return x;
+}
+
+/**
+ * Gini coefficient of `balances` (bigints): 0 when equal, approaching 1 when one holder has everything.
+ * Zero balances are left out, so it measures inequality among the delegates that hold votes.
+ */
+function giniCoefficient(balances) {
+    const sorted = balances.filter((balance) => balance > 0n).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    const n = BigInt(sorted.length);
+    const total = sum(sorted);
+    if (total === 0n) return 0;
+    // G = 2 Σ i·x_i / (n Σ x) - (n + 1) / n, with x sorted ascending and i from 1
+    const weighted = sum(sorted.map((balance, i) => BigInt(i + 1) * balance));
+    return ratio(2n * weighted - (n + 1n) * total, n * total);
+}
+
+/**
+ * Nakamoto coefficient of `balances` (bigints): the fewest holders that together have more than half of the total.
+ */
+function nakamotoCoefficient(balances) {
+    const sorted = balances.filter((balance) => balance > 0n).sort((a, b) => (a > b ? -1 : a < b ? 1 : 0));
+    const total = sum(sorted);
+    let held = 0n;
+    for (const [i, balance] of sorted.entries()) {
+        held += balance;
+        if (held * 2n > total) return i + 1;
+    }
+    return 0;
+}
+
+// Delegated votes of every delegate after each block in which any of them changed, oldest first
+function concentrationSeries(delegates) {
+    const changes = delegates
+        .flatMap((delegate) => delegate.history.map((point) => ({ ...point, address: delegate.address })))
+        .sort((a, b) => a.blockNumber - b.blockNumber);
+    const votes = new Map();
+    const series = [];
+    changes.forEach((change, i) => {
+        votes.set(change.address, BigInt(change.votes));
+        if (changes[i + 1]?.blockNumber === change.blockNumber) return;
+        const balances = [...votes.values()];
+        series.push({
+            blockNumber: change.blockNumber,
+            delegates: balances.filter((balance) => balance > 0n).length,
+            totalVotes: sum(balances).toString(),
+            gini: giniCoefficient(balances),
+            nakamoto: nakamotoCoefficient(balances),
+        });
+    });
+    return series;
+}
+
+const passed = (forVotes, againstVotes, participation, quorum) => participation >= quorum && forVotes > againstVotes;
+
+// Tally of a Standard proposal had each voter bought the quadratic votes their voting power pays for; the
+// voting power spent on For and Abstain, and so quorum, is the same
+function asQuadratic(proposal) {
+    const tally = [0n, 0n, 0n];
+    for (const ballot of Object.values(proposal.ballots)) {
+        const sides = [ballot.againstVotes, ballot.forVotes, ballot.abstainVotes].map(BigInt);
+        const power = sum(sides);
+        if (power === 0n) continue;
+        const votes = sqrt(power * QUADRATIC_PRECISION);
+        sides.forEach((side, i) => {
+            tally[i] += (votes * side) / power;
+        });
+    }
+    return { againstVotes: tally[0], forVotes: tally[1], participation: BigInt(proposal.participation) };
+}
+
+// Tally of a Quadratic proposal had each voter cast their full voting power at the snapshot, split like their
+// quadratic votes; voters with no delegate record count the voting power they spent
+function asStandard(proposal, delegates) {
+    const snapshot = Number(proposal.voteStart);
+    const tally = [0n, 0n, 0n];
+    for (const [voter, ballot] of Object.entries(proposal.ballots)) {
+        const sides = [ballot.againstVotes, ballot.forVotes, ballot.abstainVotes].map(BigInt);
+        const votes = sum(sides);
+        if (votes === 0n) continue;
+        const power = delegates.has(voter) ? BigInt(votesAt(delegates.get(voter), snapshot)) : BigInt(ballot.cost);
+        sides.forEach((side, i) => {
+            tally[i] += (power * side) / votes;
+        });
+    }
+    return { againstVotes: tally[0], forVotes: tally[1], participation: tally[1] + tally[2] };
+}
+
+/**
+ * Governance health from the indexer's records (as returned by its `records()`):
+ *
+ * - turnout: per proposal, the share of the voting power delegated at the snapshot that voted, and quorum
+ *   participation against the quorum;
+ * - concentration: Gini and Nakamoto coefficients of delegated voting power after every block that changed it;
+ * - passRates: passed and defeated proposals per voting type, once voting has closed;
+ * - comparison: closed Standard and Quadratic proposals re-tallied under the other mechanism, with the same quorum.
+ *
+ * Amounts are decimal strings (wei, or 18-decimal votes on Quadratic tallies) and ratios numbers to 4 decimals.
+ */
+function computeAnalytics({ proposals, delegates }) {
+    const byAddress = new Map(delegates.map((delegate) => [delegate.address, delegate]));
+    const ordered = [...proposals].sort((a, b) => a.createdBlock - b.createdBlock);
+    const title = (proposal) => proposal.description.split("\n")[0];
+
+    const turnout = ordered.map((proposal) => {
+        const snapshot = Number(proposal.voteStart);
+        const votingPower = sum(delegates.map((delegate) => BigInt(votesAt(delegate, snapshot))));
+        const voters = Object.keys(proposal.ballots);
+        const votedPower = sum(
+            voters.map((voter) => BigInt(byAddress.has(voter) ? votesAt(byAddress.get(voter), snapshot) : 0))
+        );
+        const participation = BigInt(proposal.participation);
+        const quorum = proposal.quorum === null ? null : BigInt(proposal.quorum);
+        return {
+            proposalId: proposal.id,
+            title: title(proposal),
+            votingType: VOTING_TYPES[proposal.votingType],
+            state: PROPOSAL_STATES[proposal.state],
+            snapshot,
+            voters: voters.length,
+            votingPower: votingPower.toString(),
+            votedPower: votedPower.toString(),
+            turnout: ratio(votedPower, votingPower),
+            participation: participation.toString(),
+            quorum: quorum === null ? null : quorum.toString(),
+            quorumRatio: quorum === null ? null : ratio(participation, quorum),
+            quorumReached: quorum === null ? null : participation >= quorum,
+        };
+    });
+
+    const passRates = VOTING_TYPES.map((votingType, type) => {
+        const states = ordered.filter((proposal) => proposal.votingType === type).map((proposal) => proposal.state);
+        const passedCount = states.filter((state) => PASSED_STATES.has(state)).length;
+        const defeated = states.filter((state) => state === DEFEATED).length;
+        return {
+            votingType,
+            proposals: states.length,
+            decided: passedCount + defeated,
+            passed: passedCount,
+            defeated,
+            passRate: passedCount + defeated === 0 ? null : ratio(BigInt(passedCount), BigInt(passedCount + defeated)),
+        };
+    }).filter((row) => row.proposals > 0);
+
+    const comparison = ordered
+        .filter((proposal) => [STANDARD, QUADRATIC].includes(proposal.votingType))
+        .filter((proposal) => proposal.state === DEFEATED || PASSED_STATES.has(proposal.state))
+        .filter((proposal) => proposal.quorum !== null)
+        .map((proposal) => {
+            const quorum = BigInt(proposal.quorum);
+            const forVotes = BigInt(proposal.forVotes);
+            const againstVotes = BigInt(proposal.againstVotes);
+            const participation = BigInt(proposal.participation);
+            const alternative =
+                proposal.votingType === STANDARD ? asQuadratic(proposal) : asStandard(proposal, byAddress);
+            const actual = passed(forVotes, againstVotes, participation, quorum);
+            const otherwise = passed(alternative.forVotes, alternative.againstVotes, alternative.participation, quorum);
+            return {
+                proposalId: proposal.id,
+                title: title(proposal),
+                votingType: VOTING_TYPES[proposal.votingType],
+                alternative: VOTING_TYPES[proposal.votingType === STANDARD ? QUADRATIC : STANDARD],
+                quorum: quorum.toString(),
+                forVotes: forVotes.toString(),
+                againstVotes: againstVotes.toString(),
+                participation: participation.toString(),
+                passed: actual,
+                alternativeForVotes: alternative.forVotes.toString(),
+                alternativeAgainstVotes: alternative.againstVotes.toString(),
+                alternativeParticipation: alternative.participation.toString(),
+                alternativePassed: otherwise,
+                differs: actual !== otherwise,
+            };
+        });
+
+    return { turnout, concentration: concentrationSeries(delegates), passRates, comparison };
+}
+
+/**
+ * CSV text of one of computeAnalytics' tables (a key of ANALYTICS_TABLES), with a header row.
+ */
+function analyticsCsv(analytics, table) {
+    const columns = ANALYTICS_TABLES[table];
+    if (!columns) {
+        const tables = Object.keys(ANALYTICS_TABLES).join(", ");
+        throw new Error(`Unknown analytics table "${table}"; expected one of ${tables}`);
+    }
+    const cell = (value) => {
+        const text = value === null || value === undefined ? "" : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = analytics[table].map((row) => columns.map((column) => cell(row[column])).join(","));
+    return [columns.join(","), ...rows].join("\n") + "\n";
+}
+
+module.exports = {
+    ANALYTICS_TABLES,
+    analyticsCsv,
+    computeAnalytics,
+    giniCoefficient,
+    nakamotoCoefficient,
+};
@@ -0,0 +1,39 @@
+const { ethers } = require("ethers");
+
+// EIP-712 type of VoterRegistry.registerWithAttestation
+const ATTESTATION_TYPES = {
+    Attestation: [
+        { name: "voter", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+    ],
+};
+
+/**
+ * Builds the EIP-712 domain of a deployed VoterRegistry.
+ */
+async function registryDomain(registry) {
+    const [domain, network] = await Promise.all([registry.eip712Domain(), registry.runner.provider.getNetwork()]);
+    return {
+        name: domain.name,
+        version: domain.version,
+        chainId: network.chainId,
+        verifyingContract: domain.verifyingContract,
+    };
+}
+
+/**
+ * Signs an attestation registering `voter`, valid until `deadline` (unix seconds), with the issuer's signer.
+ * Returns { voter, nonce, deadline, signature } ready for registerWithAttestation.
+ */
+async function signAttestation(registry, issuer, voter, deadline) {
+    const nonce = await registry.nonces(voter);
+    const signature = await issuer.signTypedData(await registryDomain(registry), ATTESTATION_TYPES, {
+        voter,
+        nonce,
+        deadline,
+    });
+    return { voter: ethers.getAddress(voter), nonce, deadline: BigInt(deadline), signature };
+}
+
+module.exports = { ATTESTATION_TYPES, registryDomain, signAttestation };
@@ -0,0 +1,102 @@
+const { ethers } = require("ethers");
+
+// EIP-712 types shared by the dashboard, the relayer and the tests.
+// Ballot is OpenZeppelin Governor's castVoteBySig type; QuadraticBallot is MyGovernor's castQuadraticVoteBySig type.
+const BALLOT_TYPES = {
+    Ballot: [
+        { name: "proposalId", type: "uint256" },
+        { name: "support", type: "uint8" },
+        { name: "voter", type: "address" },
+        { name: "nonce", type: "uint256" },
+    ],
+};
+
+const QUADRATIC_BALLOT_TYPES = {
+    QuadraticBallot: [
+        { name: "proposalId", type: "uint256" },
+        { name: "support", type: "uint8" },
+        { name: "numVotes", type: "uint256" },
+        { name: "voter", type: "address" },
+        { name: "nonce", type: "uint256" },
+    ],
+};
+
+/**
+ * Builds the EIP-712 domain of a deployed MyGovernor.
+ */
+async function governorDomain(governor) {
+    const [name, version, network, verifyingContract] = await Promise.all([
+        governor.name(),
+        governor.version(),
+        governor.runner.provider.getNetwork(),
+        governor.getAddress(),
+    ]);
+    return { name, version, chainId: network.chainId, verifyingContract };
+}
+
+/**
+ * Validates the shape of a signed ballot received from a file or HTTP request.
+ * Returns a normalized copy: { kind: "standard" | "quadratic", proposalId, support, numVotes?, voter, signature }.
+ */
+function normalizeBallot(raw) {
+    if (!raw || typeof raw !== "object") {
+        throw new Error("Ballot must be an object");
+    }
+
+    const kind = raw.kind || (raw.numVotes !== undefined ? "quadratic" : "standard");
+    if (kind !== "standard" && kind !== "quadratic") {
+        throw new Error(`Unknown ballot kind: ${kind}`);
+    }
+
+    const support = Number(raw.support);
+    if (![0, 1, 2].includes(support)) {
+        throw new Error("support must be 0 (Against), 1 (For) or 2 (Abstain)");
+    }
+    if (!ethers.isAddress(raw.voter)) {
+        throw new Error("voter must be an address");
+    }
+    if (!ethers.isHexString(raw.signature)) {
+        throw new Error("signature must be a hex string");
+    }
+
+    const ballot = {
+        kind,
+        proposalId: BigInt(raw.proposalId),
+        support,
+        voter: ethers.getAddress(raw.voter),
+        signature: raw.signature,
+    };
+
+    if (kind === "quadratic") {
+        ballot.numVotes = BigInt(raw.numVotes);
+        if (ballot.numVotes <= 0n) {
+            throw new Error("numVotes must be positive");
+        }
+    }
+    return ballot;
+}
+
+/**
+ * Recovers the signer of a normalized ballot for the given nonce.
+ */
+function recoverBallotSigner(domain, ballot, nonce) {
+    if (ballot.kind === "quadratic") {
+        const { proposalId, support, numVotes, voter } = ballot;
+        return ethers.verifyTypedData(
+            domain,
+            QUADRATIC_BALLOT_TYPES,
+            { proposalId, support, numVotes, voter, nonce },
+            ballot.signature
+        );
+    }
+    const { proposalId, support, voter } = ballot;
+    return ethers.verifyTypedData(domain, BALLOT_TYPES, { proposalId, support, voter, nonce }, ballot.signature);
+}
+
+module.exports = {
+    BALLOT_TYPES,
+    QUADRATIC_BALLOT_TYPES,
+    governorDomain,
+    normalizeBallot,
+    recoverBallotSigner,
+};
@@ -0,0 +1,64 @@
+const { ethers } = require("ethers");
+
+// EIP-712 type of ERC20Votes.delegateBySig
+const DELEGATION_TYPES = {
+    Delegation: [
+        { name: "delegatee", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "expiry", type: "uint256" },
+    ],
+};
+
+/**
+ * Builds the EIP-712 domain of a deployed GovernanceToken.
+ */
+async function tokenDomain(token) {
+    const [domain, network] = await Promise.all([token.eip712Domain(), token.runner.provider.getNetwork()]);
+    return {
+        name: domain.name,
+        version: domain.version,
+        chainId: network.chainId,
+        verifyingContract: domain.verifyingContract,
+    };
+}
+
+/**
+ * Validates a signed delegation received from a file or HTTP request and recovers its delegator.
+ * `now` is the chain's latest block timestamp, which is what delegateBySig checks the expiry against.
+ * Returns { delegator, delegatee, nonce, expiry, signature }.
+ */
+function normalizeDelegation(domain, raw, now) {
+    if (!raw || typeof raw !== "object") {
+        throw new Error("Delegation must be an object");
+    }
+    if (!ethers.isAddress(raw.delegatee)) {
+        throw new Error("delegatee must be an address");
+    }
+    if (!ethers.isHexString(raw.signature, 65)) {
+        throw new Error("signature must be a 65-byte hex string");
+    }
+
+    const delegation = {
+        delegatee: ethers.getAddress(raw.delegatee),
+        nonce: BigInt(raw.nonce),
+        expiry: BigInt(raw.expiry),
+        signature: raw.signature,
+    };
+    if (delegation.expiry <= BigInt(now)) {
+        throw new Error("Delegation signature has expired");
+    }
+
+    const { delegatee, nonce, expiry } = delegation;
+    delegation.delegator = ethers.verifyTypedData(
+        domain,
+        DELEGATION_TYPES,
+        { delegatee, nonce, expiry },
+        raw.signature
+    );
+    if (raw.delegator !== undefined && ethers.getAddress(raw.delegator) !== delegation.delegator) {
+        throw new Error(`Signature was not made by ${raw.delegator}`);
+    }
+    return delegation;
+}
+
+module.exports = { DELEGATION_TYPES, tokenDomain, normalizeDelegation };
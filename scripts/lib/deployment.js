@@ -0,0 +1,93 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Linked libraries MyGovernor delegates its vote counting to, to stay under the contract size limit
+const GOVERNOR_LIBRARIES = ["QuadraticVotes", "MultiOptionVotes"];
+
+// Deployments recorded by scripts/deploy.js, keyed by chain id; the frontend bundles it
+const DEPLOYMENTS_FILE = "frontend/src/artifacts/deployments.json";
+
+// Contracts whose ABIs are copied next to the registry for the frontend, in the order they are hashed
+const FRONTEND_CONTRACTS = ["GovernanceToken", "MyGovernor", "VoterRegistry", "VestingWalletFactory", "Treasury"];
+
+/**
+ * Hash identifying the ABIs a deployment was made with: keccak256 of `abis` ({ contractName: abi }, in
+ * FRONTEND_CONTRACTS order) as JSON. Must match abiHash in frontend/src/lib/contracts.ts.
+ */
+function abiHash(abis) {
+    return ethers.id(JSON.stringify(abis));
+}
+
+/**
+ * Reads the deployment registry, an object keyed by chain id. Returns {} before the first deployment.
+ */
+function loadDeployments(root, file = path.join(root, DEPLOYMENTS_FILE)) {
+    if (!fs.existsSync(file)) return {};
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Returns the deployment recorded for `chainId`: { network, chainId, deployer, deployBlock, deployedAt, abiHash,
+ * addresses, parameters }.
+ */
+function loadDeployment(root, chainId, file = path.join(root, DEPLOYMENTS_FILE)) {
+    const deployment = loadDeployments(root, file)[String(chainId)];
+    if (!deployment) {
+        throw new Error(`No deployment recorded for chain ${chainId}; run scripts/deploy.js on this network first`);
+    }
+    return deployment;
+}
+
+/**
+ * Refuses to deploy over the deployment recorded for `chainId` while its governor still has code on the chain,
+ * unless `overwrite` is set. A record left behind by a development chain that was reset is stale and may be
+ * replaced. Returns the recorded deployment, or null.
+ */
+async function checkExistingDeployment(registry, chainId, provider, { overwrite = false } = {}) {
+    const existing = registry[String(chainId)];
+    if (!existing || overwrite) return existing ?? null;
+    if ((await provider.getCode(existing.addresses.governor)) !== "0x") {
+        throw new Error(
+            `Chain ${chainId} already has a deployment (governor ${existing.addresses.governor}, block ` +
+                `${existing.deployBlock}); set DEPLOY_OVERWRITE=1 to replace it`
+        );
+    }
+    return existing;
+}
+
+/**
+ * Records `deployment` under its chain id, keeping the other chains' deployments.
+ */
+function recordDeployment(root, deployment, file = path.join(root, DEPLOYMENTS_FILE)) {
+    const registry = { ...loadDeployments(root, file), [String(deployment.chainId)]: deployment };
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(registry, null, 2));
+    return registry;
+}
+
+/**
+ * Deploys MyGovernor's libraries with `signer` (hardhat's first signer by default) and returns a MyGovernor
+ * factory linked against them. `hreEthers` is the hardhat-ethers plugin (`hre.ethers`).
+ */
+async function getGovernorFactory(hreEthers, signer) {
+    const libraries = {};
+    for (const name of GOVERNOR_LIBRARIES) {
+        const library = await (await hreEthers.getContractFactory(name, signer)).deploy();
+        await library.waitForDeployment();
+        libraries[name] = await library.getAddress();
+    }
+    return hreEthers.getContractFactory("MyGovernor", { signer, libraries });
+}
+
+module.exports = {
+    DEPLOYMENTS_FILE,
+    FRONTEND_CONTRACTS,
+    GOVERNOR_LIBRARIES,
+    abiHash,
+    checkExistingDeployment,
+    getGovernorFactory,
+    loadDeployment,
+    loadDeployments,
+    recordDeployment,
+};
@@ -0,0 +1,145 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+
+// MyGovernor.VotingType values a draft may use (Standard through Conviction)
+const MAX_VOTING_TYPE = 4;
+const MAX_ACTIONS = 50;
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Message a reviewer signs (personal_sign) to comment on a shared draft, so comments cannot be forged.
+ */
+const commentMessage = (draftId, body) => `Comment on governance draft ${draftId}:\n\n${body}`;
+
+const hashKey = (editKey) => crypto.createHash("sha256").update(String(editKey)).digest("hex");
+
+const validateAction = (action, label) => {
+    if (!action || !ethers.isAddress(action.target)) throw new Error(`${label}.target must be an address`);
+    if (!/^[0-9]+$/.test(String(action.value))) throw new Error(`${label}.value must be a decimal amount of wei`);
+    if (!ethers.isHexString(action.calldata)) throw new Error(`${label}.calldata must be hex`);
+    return {
+        target: ethers.getAddress(action.target),
+        value: String(action.value),
+        calldata: action.calldata,
+        signature: String(action.signature ?? ""),
+        abiName: String(action.abiName ?? ""),
+    };
+};
+
+const validateActions = (actions, label) => {
+    if (!Array.isArray(actions) || actions.length > MAX_ACTIONS) {
+        throw new Error(`${label} must be a list of at most ${MAX_ACTIONS} actions`);
+    }
+    return actions.map((action, i) => validateAction(action, `${label}[${i}]`));
+};
+
+/**
+ * Checks the content of a draft as saved by the dashboard's form and returns it normalized. Metadata fields
+ * are only checked to be strings here; they are validated when the proposal's metadata is published.
+ */
+function validateDraftContent(content) {
+    if (!content || typeof content !== "object") throw new Error("Draft content must be an object");
+    const metadata = content.metadata ?? {};
+    for (const field of ["summary", "body", "discussion", "tags"]) {
+        if (typeof (metadata[field] ?? "") !== "string") throw new Error(`metadata.${field} must be a string`);
+    }
+    if (typeof content.title !== "string") throw new Error("title must be a string");
+    if (!Number.isInteger(content.votingType) || content.votingType < 0 || content.votingType > MAX_VOTING_TYPE) {
+        throw new Error(`votingType must be an integer between 0 and ${MAX_VOTING_TYPE}`);
+    }
+    const options = content.options ?? [];
+    if (!Array.isArray(options)) throw new Error("options must be a list");
+
+    return {
+        title: content.title,
+        metadata: {
+            summary: metadata.summary ?? "",
+            body: metadata.body ?? "",
+            discussion: metadata.discussion ?? "",
+            tags: metadata.tags ?? "",
+        },
+        votingType: content.votingType,
+        requireRegistration: Boolean(content.requireRegistration),
+        actions: validateActions(content.actions ?? [], "actions"),
+        options: options.map((option, i) => ({
+            label: String(option?.label ?? ""),
+            actions: validateActions(option?.actions ?? [], `options[${i}].actions`),
+        })),
+    };
+}
+
+/**
+ * Shared proposal drafts persisted to a JSON file. Whoever shares a draft gets an edit key to update it; the
+ * draft id is the link co-authors open to review it and leave signed comments.
+ */
+function createDraftStore(file) {
+    let drafts = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+
+    const save = () => {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(drafts, null, 2));
+    };
+
+    const find = (id) => {
+        const draft = Object.hasOwn(drafts, id) ? drafts[id] : null;
+        if (!draft) throw new Error(`Unknown draft "${id}"`);
+        return draft;
+    };
+
+    // Drafts as served: everything but the edit key hash
+    const publicDraft = ({ editKeyHash, ...draft }) => draft;
+
+    return {
+        get: (id) => (Object.hasOwn(drafts, id) ? publicDraft(drafts[id]) : null),
+
+        create(content) {
+            const id = crypto.randomBytes(8).toString("hex");
+            const editKey = crypto.randomBytes(16).toString("hex");
+            const now = new Date().toISOString();
+            drafts[id] = {
+                id,
+                editKeyHash: hashKey(editKey),
+                content: validateDraftContent(content),
+                comments: [],
+                createdAt: now,
+                updatedAt: now,
+            };
+            save();
+            return { id, editKey };
+        },
+
+        update(id, editKey, content) {
+            const draft = find(id);
+            const expected = Buffer.from(draft.editKeyHash, "hex");
+            if (!crypto.timingSafeEqual(expected, Buffer.from(hashKey(editKey), "hex"))) {
+                throw new Error("Invalid edit key");
+            }
+            draft.content = validateDraftContent(content);
+            draft.updatedAt = new Date().toISOString();
+            save();
+            return publicDraft(draft);
+        },
+
+        comment(id, { author, body, signature }) {
+            const draft = find(id);
+            const text = typeof body === "string" ? body.trim() : "";
+            if (!text || text.length > MAX_COMMENT_LENGTH) {
+                throw new Error(`Comment must be 1-${MAX_COMMENT_LENGTH} characters`);
+            }
+            if (!ethers.isAddress(author)) throw new Error("author must be an address");
+            const account = ethers.getAddress(author);
+            if (ethers.verifyMessage(commentMessage(id, text), signature) !== account) {
+                throw new Error(`Signature was not made by ${account}`);
+            }
+
+            const comment = { author: account, body: text, signature, createdAt: new Date().toISOString() };
+            draft.comments.push(comment);
+            save();
+            return comment;
+        },
+    };
+}
+
+module.exports = { commentMessage, createDraftStore, validateDraftContent };
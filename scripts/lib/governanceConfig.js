@@ -0,0 +1,58 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Per-network deployment parameters, keyed by Hardhat network name
+const CONFIG_FILE = "config/governance.json";
+
+// GovernanceToken accepts annual inflation caps up to 100%
+const MAX_INFLATION_BPS = 10000;
+
+// Upper bounds of GovernorSettings' uint48 voting delay and uint32 voting period
+const MAX_VOTING_DELAY = 2 ** 48 - 1;
+const MAX_VOTING_PERIOD = 2 ** 32 - 1;
+
+const requireInteger = (network, name, value, min, max) => {
+    if (!Number.isSafeInteger(value) || value < min || value > max) {
+        throw new Error(`${network}.${name} must be an integer between ${min} and ${max}`);
+    }
+    return value;
+};
+
+/**
+ * Reads and validates the governance parameters for `network` from config/governance.json.
+ * `proposalThreshold` is given in whole tokens; `guardian` and `voterIssuer` may be null to let the caller pick
+ * a default. `maxInflationBps` is the token's annual inflation cap (0 for none). Returns { timelockDelay,
+ * voterIssuer, governor, maxInflationBps } where `governor` matches MyGovernor.GovernorParams without the voter
+ * registry, which is deployed alongside (proposalThreshold in wei).
+ */
+function loadGovernanceConfig(root, network, file = path.join(root, CONFIG_FILE)) {
+    const all = JSON.parse(fs.readFileSync(file, "utf8"));
+    const raw = all[network];
+    if (!raw) {
+        throw new Error(`No governance parameters for network "${network}" in ${file}`);
+    }
+    for (const key of ["guardian", "voterIssuer"]) {
+        if (raw[key] !== null && raw[key] !== undefined && !ethers.isAddress(raw[key])) {
+            throw new Error(`${network}.${key} must be an address or null`);
+        }
+    }
+
+    return {
+        timelockDelay: requireInteger(network, "timelockDelay", raw.timelockDelay, 0, Number.MAX_SAFE_INTEGER),
+        voterIssuer: raw.voterIssuer ? ethers.getAddress(raw.voterIssuer) : null,
+        governor: {
+            votingDelay: requireInteger(network, "votingDelay", raw.votingDelay, 0, MAX_VOTING_DELAY),
+            votingPeriod: requireInteger(network, "votingPeriod", raw.votingPeriod, 1, MAX_VOTING_PERIOD),
+            proposalThreshold: ethers.parseEther(String(raw.proposalThreshold)),
+            quorumNumerator: requireInteger(network, "quorumNumerator", raw.quorumNumerator, 0, 100),
+            quadraticQuorumNumerator: requireInteger(
+                network, "quadraticQuorumNumerator", raw.quadraticQuorumNumerator, 0, 100
+            ),
+            guardian: raw.guardian ? ethers.getAddress(raw.guardian) : null,
+        },
+        maxInflationBps: requireInteger(network, "maxInflationBps", raw.maxInflationBps, 0, MAX_INFLATION_BPS),
+    };
+}
+
+module.exports = { CONFIG_FILE, loadGovernanceConfig };
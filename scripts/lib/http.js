@@ -0,0 +1,42 @@
+// Request bodies above this size are refused
+const MAX_BODY_BYTES = 64 * 1024;
+
+// CORS is open because the local services are called from the dashboard's origin
+const CORS_HEADERS = {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+};
+
+/**
+ * Writes a JSON response.
+ */
+function sendJson(res, status, payload) {
+    res.writeHead(status, { "Content-Type": "application/json", ...CORS_HEADERS });
+    res.end(JSON.stringify(payload));
+}
+
+/**
+ * Writes stored bytes as they are, e.g. content-addressed documents whose hash the client verifies.
+ */
+function sendBytes(res, status, bytes, contentType) {
+    res.writeHead(status, { "Content-Type": contentType, ...CORS_HEADERS });
+    res.end(bytes);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = "";
+        req.on("data", (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new Error("Request body too large"));
+                req.destroy();
+            }
+        });
+        req.on("end", () => resolve(body));
+        req.on("error", reject);
+    });
+}
+
+module.exports = { sendJson, sendBytes, readBody };
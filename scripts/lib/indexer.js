@@ -0,0 +1,588 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Governor events the indexer follows; everything the dashboard shows is derived from these
+const INDEXED_EVENTS = [
+    "ProposalCreated",
+    "ProposalOptionsCreated",
+    "VoteCast",
+    "VoteCastWithParams",
+    "ProposalQueued",
+    "ProposalExecuted",
+    "ProposalCanceled",
+    "ProposalVetoed",
+];
+
+// Governance token events followed for the delegate directory
+const TOKEN_EVENTS = ["DelegateChanged", "DelegateVotesChanged"];
+
+// Proposal states that can no longer change: Canceled, Defeated, Expired, Executed
+const FINAL_STATES = new Set([2, 3, 6, 7]);
+
+// Must match GovernorCountingQuadratic.QUADRATIC_PRECISION and VOTE_TYPE_SPLIT
+const QUADRATIC_PRECISION = 10n ** 18n;
+const VOTE_TYPE_SPLIT = 255;
+
+// Must match MyGovernor.VOTE_TYPE_OPTIONS, the support of Approval and RankedChoice ballots
+const VOTE_TYPE_OPTIONS = 254;
+
+// Must match MyGovernor.VotingType.Conviction
+const CONVICTION = 4;
+
+// Number of recent block hashes kept to detect reorgs
+const REORG_WINDOW = 128;
+
+const SIDES = ["againstVotes", "forVotes", "abstainVotes"];
+
+const serialize = (value) => {
+    if (typeof value === "bigint") return value.toString();
+    if (Array.isArray(value)) return value.map(serialize);
+    return value;
+};
+
+/**
+ * JSON file persistence for the indexer. The whole database is rewritten on every save,
+ * which is fine for a local node's worth of proposals.
+ */
+function createJsonStore(file) {
+    return {
+        load() {
+            if (!fs.existsSync(file)) return null;
+            return JSON.parse(fs.readFileSync(file, "utf8"));
+        },
+        save(data) {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            const tmp = `${file}.tmp`;
+            fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+            fs.renameSync(tmp, file);
+        },
+    };
+}
+
+function emptyDatabase(chainId, governor, token, fromBlock) {
+    return {
+        chainId,
+        governor,
+        token,
+        fromBlock,
+        lastBlock: fromBlock - 1,
+        blocks: {},
+        events: [],
+        proposals: {},
+        delegates: {},
+    };
+}
+
+/**
+ * Folds the stored event log into proposal records: metadata, tallies, vote history and per-voter ballots.
+ * `stateCache` carries the on-chain state, eta and quorum last read for each proposal.
+ */
+function buildProposals(events, stateCache = {}) {
+    const proposals = {};
+
+    for (const event of events) {
+        const { args } = event;
+
+        if (event.name === "ProposalCreated") {
+            proposals[args.proposalId] = {
+                id: args.proposalId,
+                proposer: args.proposer,
+                targets: args.targets,
+                values: args.values,
+                signatures: args.signatures,
+                calldatas: args.calldatas,
+                voteStart: args.voteStart,
+                voteEnd: args.voteEnd,
+                description: args.description,
+                votingType: event.votingType,
+                voterRegistry: event.voterRegistry ?? null,
+                createdBlock: event.blockNumber,
+                createdTx: event.transactionHash,
+                queuedBlock: null,
+                executedBlock: null,
+                canceledBlock: null,
+                veto: null,
+                againstVotes: "0",
+                forVotes: "0",
+                abstainVotes: "0",
+                participation: "0",
+                state: stateCache[args.proposalId]?.state ?? 0,
+                eta: stateCache[args.proposalId]?.eta ?? "0",
+                quorum: stateCache[args.proposalId]?.quorum ?? null,
+                // Multi-option proposals: labels with the [start, end) range of each option's actions
+                options: null,
+                optionResults: stateCache[args.proposalId]?.optionResults ?? null,
+                votes: [],
+                ballots: {},
+            };
+            continue;
+        }
+
+        const proposal = proposals[args.proposalId];
+        if (!proposal) continue;
+
+        if (event.name === "ProposalOptionsCreated") {
+            proposal.options = args.labels.map((label, i) => ({
+                label,
+                start: i === 0 ? 0 : Number(args.optionEnds[i - 1]),
+                end: Number(args.optionEnds[i]),
+            }));
+        } else if (event.name === "ProposalQueued") {
+            proposal.queuedBlock = event.blockNumber;
+            proposal.eta = args.etaSeconds;
+        } else if (event.name === "ProposalExecuted") {
+            proposal.executedBlock = event.blockNumber;
+        } else if (event.name === "ProposalCanceled") {
+            proposal.canceledBlock = event.blockNumber;
+        } else if (event.name === "ProposalVetoed") {
+            proposal.veto = { guardian: args.guardian, reason: args.reason, transactionHash: event.transactionHash };
+        } else {
+            applyVote(proposal, event);
+        }
+    }
+
+    return proposals;
+}
+
+// What a vote adds to MyGovernor.proposalParticipation: For + Abstain votes on Standard proposals, the snapshot
+// votes behind them on Conviction ones (`votes`, without the conviction bonus), the voting power spent on For and
+// Abstain on Quadratic ones (a split ballot's cost pro rata to its For + Abstain votes)
+function quorumParticipation(votingType, [against, forVotes, abstain], cost, votes) {
+    if (votingType === CONVICTION) return forVotes + abstain > 0n ? BigInt(votes ?? forVotes + abstain) : 0n;
+    if (votingType !== 1) return forVotes + abstain;
+    const total = against + forVotes + abstain;
+    return total === 0n ? 0n : (cost * (forVotes + abstain)) / total;
+}
+
+// Multi-option ballots choose options rather than a side; each counts its full weight towards quorum
+function applyOptionsVote(proposal, event) {
+    const { args } = event;
+    const [chosen] = ethers.AbiCoder.defaultAbiCoder().decode(["uint256[]"], args.params);
+    const options = chosen.map(Number);
+
+    proposal.ballots[args.voter] = {
+        againstVotes: "0",
+        forVotes: "0",
+        abstainVotes: "0",
+        cost: "0",
+        support: VOTE_TYPE_OPTIONS,
+        options,
+    };
+    proposal.participation = (BigInt(proposal.participation) + BigInt(args.weight)).toString();
+    proposal.votes.push({
+        voter: args.voter,
+        support: VOTE_TYPE_OPTIONS,
+        weight: args.weight,
+        reason: args.reason,
+        params: args.params,
+        options,
+        againstVotes: "0",
+        forVotes: "0",
+        abstainVotes: "0",
+        cost: "0",
+        participation: args.weight,
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+        logIndex: event.logIndex,
+    });
+}
+
+function applyVote(proposal, event) {
+    const { args } = event;
+    const support = Number(args.support);
+    if (support === VOTE_TYPE_OPTIONS) {
+        applyOptionsVote(proposal, event);
+        return;
+    }
+    const ballot = (proposal.ballots[args.voter] ||= {
+        againstVotes: "0",
+        forVotes: "0",
+        abstainVotes: "0",
+        cost: "0",
+    });
+    let allocation;
+
+    if (support === VOTE_TYPE_SPLIT) {
+        const [against, forVotes, abstain] = ethers.AbiCoder.defaultAbiCoder().decode(
+            ["uint256", "uint256", "uint256"],
+            args.params
+        );
+        allocation = [against, forVotes, abstain];
+    } else {
+        allocation = [0n, 0n, 0n];
+        allocation[support] = BigInt(args.weight);
+    }
+
+    const previousCost = BigInt(ballot.cost);
+    let ballotVotes = 0n;
+    SIDES.forEach((side, i) => {
+        proposal[side] = (BigInt(proposal[side]) + allocation[i]).toString();
+        ballot[side] = (BigInt(ballot[side]) + allocation[i]).toString();
+        ballotVotes += BigInt(ballot[side]);
+    });
+    // Quadratic ballots are priced on their running total; standard ballots cost nothing extra
+    ballot.cost = proposal.votingType === 1 ? ((ballotVotes * ballotVotes) / QUADRATIC_PRECISION).toString() : "0";
+    ballot.support = ballot.support === undefined || ballot.support === support ? support : VOTE_TYPE_SPLIT;
+
+    const cost = BigInt(ballot.cost) - previousCost;
+    const participation = quorumParticipation(proposal.votingType, allocation, cost, event.votes);
+    proposal.participation = (BigInt(proposal.participation) + participation).toString();
+
+    proposal.votes.push({
+        voter: args.voter,
+        support,
+        weight: args.weight,
+        reason: args.reason,
+        params: args.params ?? "0x",
+        againstVotes: allocation[0].toString(),
+        forVotes: allocation[1].toString(),
+        abstainVotes: allocation[2].toString(),
+        // Voting power this vote consumed (quadratic top-ups are charged on the running total)
+        cost: cost.toString(),
+        participation: participation.toString(),
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+        logIndex: event.logIndex,
+    });
+}
+
+/**
+ * Folds token delegation events into delegate records: current votes, current delegators
+ * and the votes held after every change (the data behind getVotes / getPastVotes).
+ */
+function buildDelegates(events) {
+    const delegates = {};
+    const record = (address) => (delegates[address] ||= { address, votes: "0", delegators: [], history: [] });
+
+    for (const event of events) {
+        const { args } = event;
+
+        if (event.name === "DelegateChanged") {
+            if (args.fromDelegate !== ethers.ZeroAddress) {
+                const previous = record(args.fromDelegate);
+                previous.delegators = previous.delegators.filter((delegator) => delegator !== args.delegator);
+            }
+            if (args.toDelegate !== ethers.ZeroAddress) {
+                record(args.toDelegate).delegators.push(args.delegator);
+            }
+        } else if (event.name === "DelegateVotesChanged") {
+            const delegate = record(args.delegate);
+            delegate.votes = args.newVotes;
+            const last = delegate.history[delegate.history.length - 1];
+            if (last && last.blockNumber === event.blockNumber) {
+                last.votes = args.newVotes;
+            } else {
+                delegate.history.push({ blockNumber: event.blockNumber, votes: args.newVotes });
+            }
+        }
+    }
+
+    return delegates;
+}
+
+/**
+ * Votes a delegate record held at the end of `blockNumber`, like getPastVotes.
+ */
+function votesAt(delegate, blockNumber) {
+    let votes = "0";
+    for (const point of delegate.history) {
+        if (point.blockNumber > blockNumber) break;
+        votes = point.votes;
+    }
+    return votes;
+}
+
+// Running For/Against/Abstain and quorum participation totals after each block with votes, for turnout charts
+function turnoutSeries(votes) {
+    const series = [];
+    const totals = [0n, 0n, 0n];
+    let participation = 0n;
+    for (const vote of votes) {
+        SIDES.forEach((side, i) => {
+            totals[i] += BigInt(vote[side]);
+        });
+        participation += BigInt(vote.participation);
+        const point = {
+            blockNumber: vote.blockNumber,
+            againstVotes: totals[0].toString(),
+            forVotes: totals[1].toString(),
+            abstainVotes: totals[2].toString(),
+            participation: participation.toString(),
+        };
+        if (series.length > 0 && series[series.length - 1].blockNumber === vote.blockNumber) {
+            series[series.length - 1] = point;
+        } else {
+            series.push(point);
+        }
+    }
+    return series;
+}
+
+/**
+ * Follows the governor's events into a local store and keeps proposal records up to date.
+ * Call `sync()` periodically; it resumes from the last indexed block and rolls back blocks
+ * that were reorged away (including a restarted local node) before indexing new ones.
+ */
+function createProposalIndexer({ governor, token, store, fromBlock = 0, blockRange = 5000, log = console.log }) {
+    const provider = governor.runner.provider ?? governor.runner;
+    let db;
+
+    const eventTopics = [
+        ...INDEXED_EVENTS.map((name) => governor.interface.getEvent(name).topicHash),
+        ...(token ? TOKEN_EVENTS.map((name) => token.interface.getEvent(name).topicHash) : []),
+    ];
+
+    async function init() {
+        const [network, address, tokenAddress] = await Promise.all([
+            provider.getNetwork(),
+            governor.getAddress(),
+            token ? token.getAddress() : null,
+        ]);
+        const chainId = Number(network.chainId);
+        db = store.load();
+        if (!db || db.chainId !== chainId || db.governor !== address || db.token !== tokenAddress) {
+            db = emptyDatabase(chainId, address, tokenAddress, fromBlock);
+        }
+    }
+
+    function rebuild(stateCache) {
+        db.proposals = buildProposals(db.events, stateCache);
+        db.delegates = buildDelegates(db.events);
+    }
+
+    // Returns the highest stored block whose hash still matches the chain, or null if none does
+    async function findCommonAncestor() {
+        const numbers = Object.keys(db.blocks).map(Number).sort((a, b) => b - a);
+        for (const number of numbers) {
+            const block = await provider.getBlock(number);
+            if (block && block.hash === db.blocks[number]) return number;
+        }
+        return null;
+    }
+
+    function rollback(toBlock) {
+        db.events = db.events.filter((event) => event.blockNumber <= toBlock);
+        for (const number of Object.keys(db.blocks)) {
+            if (Number(number) > toBlock) delete db.blocks[number];
+        }
+        db.lastBlock = toBlock;
+        rebuild();
+    }
+
+    async function detectReorg() {
+        const tip = db.blocks[db.lastBlock];
+        if (tip === undefined) return;
+
+        const block = await provider.getBlock(db.lastBlock);
+        if (block && block.hash === tip) return;
+
+        const ancestor = await findCommonAncestor();
+        if (ancestor === null) {
+            log(`Reorg deeper than ${REORG_WINDOW} blocks (or chain reset); reindexing from block ${db.fromBlock}`);
+            db = emptyDatabase(db.chainId, db.governor, db.token, db.fromBlock);
+        } else {
+            log(`Reorg detected; rolling back to block ${ancestor}`);
+            rollback(ancestor);
+        }
+    }
+
+    function rememberBlock(number, hash) {
+        db.blocks[number] = hash;
+        const numbers = Object.keys(db.blocks).map(Number).sort((a, b) => a - b);
+        for (const old of numbers.slice(0, Math.max(numbers.length - REORG_WINDOW, 0))) {
+            delete db.blocks[old];
+        }
+    }
+
+    async function decodeLog(entry) {
+        const contract = entry.address === db.token ? token : governor;
+        const parsed = contract.interface.parseLog(entry);
+        const args = {};
+        parsed.fragment.inputs.forEach((input, i) => {
+            args[input.name] = serialize(parsed.args[i]);
+        });
+
+        const event = {
+            name: parsed.name,
+            blockNumber: entry.blockNumber,
+            blockHash: entry.blockHash,
+            transactionHash: entry.transactionHash,
+            logIndex: entry.index,
+            args,
+        };
+        // The voting type and voter registry are not part of ProposalCreated; both are fixed at creation,
+        // so read them once
+        if (parsed.name === "ProposalCreated") {
+            const [votingType, voterRegistry] = await Promise.all([
+                governor.proposalVotingTypes(args.proposalId),
+                governor.proposalVoterRegistry(args.proposalId),
+            ]);
+            event.votingType = Number(votingType);
+            event.voterRegistry = voterRegistry === ethers.ZeroAddress ? null : voterRegistry;
+        }
+        // Conviction votes emit their time-weighted weight, but count their snapshot votes towards quorum
+        if (parsed.name === "VoteCast" || parsed.name === "VoteCastWithParams") {
+            const created = db.events.find(
+                (stored) => stored.name === "ProposalCreated" && stored.args.proposalId === args.proposalId
+            );
+            if (created?.votingType === CONVICTION) {
+                event.votes = (await governor.getVotes(args.voter, created.args.voteStart)).toString();
+            }
+        }
+        return event;
+    }
+
+    async function indexRange(from, to) {
+        const logs = await provider.getLogs({
+            address: db.token ? [db.governor, db.token] : db.governor,
+            topics: [eventTopics],
+            fromBlock: from,
+            toBlock: to,
+        });
+
+        for (const entry of logs) {
+            db.events.push(await decodeLog(entry));
+            rememberBlock(entry.blockNumber, entry.blockHash);
+        }
+        const tip = await provider.getBlock(to);
+        rememberBlock(to, tip.hash);
+        db.lastBlock = to;
+        return logs.length;
+    }
+
+    // On-chain state depends on the current block and time, so refresh it for proposals that can still change.
+    // Quorum is fixed at the snapshot and only readable once the snapshot block is in the past; it is read through
+    // proposalQuorum so Quadratic proposals get their voting-power quorum. Multi-option results (including
+    // instant-runoff rounds) are read from optionResults rather than recomputed.
+    async function refreshStates(head) {
+        const open = Object.values(db.proposals).filter(
+            (proposal) => !FINAL_STATES.has(proposal.state) || proposal.quorum === null
+        );
+        await Promise.all(
+            open.map(async (proposal) => {
+                const [state, eta] = await Promise.all([
+                    governor.state(proposal.id),
+                    governor.proposalEta(proposal.id),
+                ]);
+                proposal.state = Number(state);
+                proposal.eta = eta.toString();
+                if (proposal.quorum === null && head > Number(proposal.voteStart)) {
+                    proposal.quorum = (await governor.proposalQuorum(proposal.id)).toString();
+                }
+                if (proposal.options) {
+                    const [rounds, decided, winner] = await governor.optionResults(proposal.id);
+                    proposal.optionResults = { rounds: serialize(rounds), decided, winner: Number(winner) };
+                }
+            })
+        );
+    }
+
+    /**
+     * Indexes every block up to the current head. Returns the number of new events.
+     */
+    async function sync() {
+        if (!db) await init();
+        await detectReorg();
+
+        const head = await provider.getBlockNumber();
+        let indexed = 0;
+        for (let from = db.lastBlock + 1; from <= head; from += blockRange) {
+            indexed += await indexRange(from, Math.min(from + blockRange - 1, head));
+        }
+
+        const stateCache = Object.fromEntries(
+            Object.values(db.proposals).map(({ id, state, eta, quorum, optionResults }) => [
+                id,
+                { state, eta, quorum, optionResults },
+            ])
+        );
+        rebuild(stateCache);
+        await refreshStates(head);
+        db.syncedAt = new Date().toISOString();
+        store.save(db);
+
+        if (indexed > 0) log(`Indexed ${indexed} events up to block ${head}`);
+        return indexed;
+    }
+
+    // Ids come from URL paths, so names such as "constructor" must not resolve to Object.prototype members
+    const storedProposal = (id) => (db && Object.hasOwn(db.proposals, id) ? db.proposals[id] : null);
+
+    return {
+        sync,
+        status: () => ({
+            chainId: db?.chainId,
+            governor: db?.governor,
+            lastBlock: db?.lastBlock,
+            syncedAt: db?.syncedAt,
+        }),
+        /**
+         * Proposals newest first, without vote history. Pass `voter` to include that account's ballot.
+         */
+        proposals: (voter) =>
+            Object.values(db?.proposals ?? {})
+                .sort((a, b) => b.createdBlock - a.createdBlock)
+                .map(({ votes, ballots, ...proposal }) => ({
+                    ...proposal,
+                    voteCount: votes.length,
+                    voterBallot: voter ? ballots[ethers.getAddress(voter)] ?? null : undefined,
+                })),
+        proposal: (id) => storedProposal(id),
+        /**
+         * Delegates ranked by votes held at `blockNumber` (default: now), without history.
+         */
+        delegates: (blockNumber) =>
+            Object.values(db?.delegates ?? {})
+                .map(({ history, ...delegate }) => ({
+                    ...delegate,
+                    votes: blockNumber === undefined ? delegate.votes : votesAt({ history }, blockNumber),
+                }))
+                .filter((delegate) => delegate.votes !== "0")
+                .sort((a, b) => (BigInt(b.votes) > BigInt(a.votes) ? 1 : BigInt(b.votes) < BigInt(a.votes) ? -1 : 0)),
+        delegate: (address) => db?.delegates[ethers.getAddress(address)] ?? null,
+        /**
+         * Every proposal record with its votes and ballots, and every delegate record with its history.
+         */
+        records: () => ({
+            proposals: Object.values(db?.proposals ?? {}),
+            delegates: Object.values(db?.delegates ?? {}),
+        }),
+        /**
+         * One proposal without vote history, plus its cumulative tally after each block that had votes.
+         */
+        proposalDetail: (id) => {
+            const proposal = storedProposal(id);
+            if (!proposal) return null;
+            const { votes, ballots, ...detail } = proposal;
+            return {
+                ...detail,
+                voteCount: votes.length,
+                voterCount: Object.keys(ballots).length,
+                turnout: turnoutSeries(votes),
+            };
+        },
+        /**
+         * Page of a proposal's vote history, newest first. `page` is 1-based.
+         */
+        votes: (id, { page = 1, pageSize = 25 } = {}) => {
+            const proposal = storedProposal(id);
+            if (!proposal) return null;
+            const ordered = [...proposal.votes].reverse();
+            const start = (page - 1) * pageSize;
+            return { total: ordered.length, page, pageSize, votes: ordered.slice(start, start + pageSize) };
+        },
+    };
+}
+
+module.exports = {
+    INDEXED_EVENTS,
+    QUADRATIC_PRECISION,
+    TOKEN_EVENTS,
+    VOTE_TYPE_OPTIONS,
+    buildDelegates,
+    buildProposals,
+    createJsonStore,
+    createProposalIndexer,
+    votesAt,
+};
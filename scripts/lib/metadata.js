@@ -0,0 +1,150 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Version of the proposal metadata format written by the dashboard
+const METADATA_VERSION = 1;
+
+// Field limits, so cards stay readable and the documents stay small
+const MAX_TITLE_LENGTH = 120;
+const MAX_SUMMARY_LENGTH = 500;
+const MAX_TAGS = 8;
+const TAG_PATTERN = /^[a-z0-9-]{1,24}$/;
+
+// A description pointing at metadata ends with its content identifier on its own line
+const CID_PATTERN = /^b[a-z2-7]{58}$/;
+const DESCRIPTION_PATTERN = /^([\s\S]*?)\s*\n\nipfs:\/\/(b[a-z2-7]{58})\s*$/;
+
+// CIDv1 prefix of raw content hashed with sha2-256: version 1, codec raw (0x55), multihash sha2-256 (0x12, 32 bytes)
+const CID_PREFIX = Buffer.from([0x01, 0x55, 0x12, 0x20]);
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+
+const base32 = (bytes) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+    for (const byte of bytes) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+/**
+ * Content identifier of `bytes`: the CIDv1 (raw codec, sha2-256, base32) IPFS gives the same bytes when added as
+ * a single raw block, so documents can later be pinned to IPFS unchanged.
+ */
+function contentId(bytes) {
+    const digest = crypto.createHash("sha256").update(bytes).digest();
+    return `b${base32(Buffer.concat([CID_PREFIX, digest]))}`;
+}
+
+/**
+ * Checks a metadata document and returns it normalized: trimmed fields, lowercase unique tags and the current
+ * version. Throws on the first invalid field.
+ */
+function validateMetadata(metadata) {
+    if (!metadata || typeof metadata !== "object") {
+        throw new Error("Metadata must be an object");
+    }
+    const text = (name, max) => {
+        const value = metadata[name] ?? "";
+        if (typeof value !== "string") throw new Error(`${name} must be a string`);
+        if (max && value.trim().length > max) throw new Error(`${name} must be at most ${max} characters`);
+        return value.trim();
+    };
+
+    const title = text("title", MAX_TITLE_LENGTH);
+    if (!title) throw new Error("title is required");
+    const discussion = text("discussion");
+    if (discussion && !/^https?:\/\/\S+$/.test(discussion)) {
+        throw new Error("discussion must be an http(s) link");
+    }
+    const tags = metadata.tags ?? [];
+    if (!Array.isArray(tags) || tags.length > MAX_TAGS) {
+        throw new Error(`tags must be a list of at most ${MAX_TAGS} tags`);
+    }
+    const normalizedTags = [...new Set(tags.map((tag) => String(tag).trim().toLowerCase()))];
+    const invalid = normalizedTags.find((tag) => !TAG_PATTERN.test(tag));
+    if (invalid !== undefined) {
+        throw new Error(`Tag "${invalid}" must be 1-24 lowercase letters, digits or dashes`);
+    }
+
+    return {
+        version: METADATA_VERSION,
+        title,
+        summary: text("summary", MAX_SUMMARY_LENGTH),
+        body: text("body"),
+        discussion,
+        tags: normalizedTags,
+    };
+}
+
+/**
+ * Canonical bytes of a metadata document (fixed key order, no whitespace), the content the identifier covers.
+ */
+function encodeMetadata(metadata) {
+    const { version, title, summary, body, discussion, tags } = validateMetadata(metadata);
+    return Buffer.from(JSON.stringify({ version, title, summary, body, discussion, tags }), "utf8");
+}
+
+/**
+ * Proposal description for metadata stored under `cid`: the title, so explorers still show something readable,
+ * then the content identifier.
+ */
+const metadataDescription = (title, cid) => `${title.trim()}\n\nipfs://${cid}`;
+
+/**
+ * Splits a proposal description into its title and metadata identifier (null for plain descriptions).
+ */
+function parseDescription(description) {
+    const match = description.match(DESCRIPTION_PATTERN);
+    return match ? { title: match[1], cid: match[2] } : { title: description, cid: null };
+}
+
+/**
+ * Local content-addressed store, a stand-in for an IPFS node: each document is a file named by its identifier.
+ * Reads check the content against its identifier, so a tampered file is never served.
+ */
+function createContentStore(dir) {
+    const fileOf = (cid) => {
+        if (!CID_PATTERN.test(cid)) throw new Error(`Invalid content identifier "${cid}"`);
+        return path.join(dir, cid);
+    };
+
+    return {
+        put(bytes) {
+            const cid = contentId(bytes);
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(fileOf(cid), bytes);
+            return cid;
+        },
+
+        get(cid) {
+            const file = fileOf(cid);
+            if (!fs.existsSync(file)) return null;
+            const bytes = fs.readFileSync(file);
+            if (contentId(bytes) !== cid) {
+                throw new Error(`Content of ${cid} does not match its identifier`);
+            }
+            return bytes;
+        },
+    };
+}
+
+module.exports = {
+    METADATA_VERSION,
+    contentId,
+    createContentStore,
+    encodeMetadata,
+    metadataDescription,
+    parseDescription,
+    validateMetadata,
+};
@@ -0,0 +1,347 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { PROPOSAL_STATES } = require("./errors");
+const { VOTE_TYPE_OPTIONS } = require("./indexer");
+
+// MyGovernor.VotingType, by the names the governance tasks accept
+const VOTING_TYPES = ["standard", "quadratic", "approval", "ranked-choice", "conviction"];
+const QUADRATIC = 1;
+const APPROVAL = 2;
+const RANKED_CHOICE = 3;
+
+// GovernorCountingSimple.VoteType
+const SUPPORT = ["against", "for", "abstain"];
+
+const isMultiOption = (votingType) => votingType === APPROVAL || votingType === RANKED_CHOICE;
+
+const lookup = (names, value, what) => {
+    const text = String(value).trim().toLowerCase();
+    const index = /^\d+$/.test(text) ? Number(text) : names.indexOf(text);
+    if (!(index >= 0 && index < names.length)) {
+        throw new Error(`Unknown ${what} "${value}"; expected one of ${names.join(", ")}`);
+    }
+    return index;
+};
+
+/**
+ * MyGovernor.VotingType of a name such as "quadratic" or "ranked-choice", or of its number.
+ */
+const parseVotingType = (value) => lookup(VOTING_TYPES, value, "voting type");
+
+/**
+ * Support value of "against", "for" or "abstain" (or 0, 1, 2).
+ */
+const parseSupport = (value) => lookup(SUPPORT, value, "support");
+
+/**
+ * Option indexes of a comma-separated list of 1-based option numbers, e.g. "2,1" → [1, 0]. Order matters for
+ * ranked-choice ballots.
+ */
+function parseOptionList(value) {
+    const numbers = String(value).split(",").map((part) => part.trim());
+    if (!numbers.every((number) => /^[1-9]\d*$/.test(number))) {
+        throw new Error(`Options must be option numbers separated by commas, e.g. "2,1"; got "${value}"`);
+    }
+    return numbers.map((number) => Number(number) - 1);
+}
+
+/**
+ * Encodes one action of a proposal file. `target` is an address or the name of a deployed contract in `addresses`
+ * (e.g. "treasury"), `value` is in wei, and the call is either raw `calldata` or a `function` signature such as
+ * "transfer(address,uint256)" with its `args`.
+ */
+function encodeAction(action, addresses, label) {
+    if (!action || typeof action !== "object") throw new Error(`${label} must be an object`);
+    const target = ethers.isAddress(action.target) ? action.target : addresses[action.target];
+    if (!target) {
+        throw new Error(`${label}.target must be an address or one of ${Object.keys(addresses).join(", ")}`);
+    }
+    const value = String(action.value ?? "0");
+    if (!/^\d+$/.test(value)) throw new Error(`${label}.value must be a decimal amount of wei`);
+
+    let calldata = action.calldata ?? "0x";
+    if (action.function) {
+        try {
+            const fragment = ethers.FunctionFragment.from(action.function);
+            calldata = new ethers.Interface([fragment]).encodeFunctionData(fragment, action.args ?? []);
+        } catch (error) {
+            throw new Error(`${label}: cannot encode ${action.function}: ${error.shortMessage ?? error.message}`);
+        }
+    } else if (!ethers.isHexString(calldata)) {
+        throw new Error(`${label}.calldata must be hex`);
+    }
+    return { target: ethers.getAddress(target), value: BigInt(value), calldata };
+}
+
+/**
+ * Reads a proposal file: either a list of actions, or an object with `actions` or, for Approval and Ranked choice
+ * proposals, `options` ([{ label, actions }]), plus an optional `description` and `votingType`. Returns
+ * { description, votingType, actions, options } with encoded actions; description and votingType are undefined
+ * when the file leaves them to the command line.
+ */
+function loadProposalFile(file, addresses) {
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+        throw new Error(`Cannot read proposal file ${file}: ${error.message}`);
+    }
+    const plan = Array.isArray(raw) ? { actions: raw } : raw;
+    const actions = plan.actions ?? [];
+    const options = plan.options ?? [];
+    if (!Array.isArray(actions) || !Array.isArray(options)) {
+        throw new Error("actions and options must be lists");
+    }
+    if (plan.description !== undefined && typeof plan.description !== "string") {
+        throw new Error("description must be a string");
+    }
+
+    return {
+        description: plan.description,
+        votingType: plan.votingType === undefined ? undefined : parseVotingType(plan.votingType),
+        actions: actions.map((action, i) => encodeAction(action, addresses, `actions[${i}]`)),
+        options: options.map((option, i) => {
+            if (!option || typeof option.label !== "string" || !Array.isArray(option.actions ?? [])) {
+                throw new Error(`options[${i}] must have a label and a list of actions`);
+            }
+            return {
+                label: option.label,
+                actions: (option.actions ?? []).map((action, j) =>
+                    encodeAction(action, addresses, `options[${i}].actions[${j}]`)
+                ),
+            };
+        }),
+    };
+}
+
+/**
+ * Governor function and arguments that submit `plan` (as returned by loadProposalFile, with its description and
+ * votingType set): proposeWithOptions for multi-option voting types, propose otherwise.
+ */
+function proposeCall({ description, votingType, actions, options }, requireRegistration = false) {
+    const columns = (list) => [list.map((a) => a.target), list.map((a) => a.value), list.map((a) => a.calldata)];
+    if (isMultiOption(votingType)) {
+        if (actions.length > 0) throw new Error(`${VOTING_TYPES[votingType]} proposals take options, not actions`);
+        let end = 0;
+        const optionEnds = options.map((option) => (end += option.actions.length));
+        return {
+            method: "proposeWithOptions",
+            args: [
+                ...columns(options.flatMap((option) => option.actions)),
+                options.map((option) => option.label),
+                optionEnds,
+                description,
+                votingType,
+            ],
+        };
+    }
+    if (options.length > 0) throw new Error(`${VOTING_TYPES[votingType]} proposals take actions, not options`);
+    return {
+        method: "propose(address[],uint256[],bytes[],string,uint8,bool)",
+        args: [...columns(actions), description, votingType, requireRegistration],
+    };
+}
+
+/**
+ * Every proposal created in blocks from `fromBlock`, oldest first, as
+ * { proposalId, proposer, targets, values, calldatas, description, labels, optionEnds, blockNumber }. `labels`
+ * names the options of Approval and Ranked choice proposals and `optionEnds` is the exclusive end of each option's
+ * actions; both are empty for the others.
+ */
+async function findProposals(governor, fromBlock = 0) {
+    const [created, withOptions] = await Promise.all([
+        governor.queryFilter(governor.filters.ProposalCreated(), fromBlock),
+        governor.queryFilter(governor.filters.ProposalOptionsCreated(), fromBlock),
+    ]);
+    const options = new Map(withOptions.map((event) => [event.args.proposalId, event.args]));
+    return created.map((event) => ({
+        proposalId: event.args.proposalId,
+        proposer: event.args.proposer,
+        targets: [...event.args.targets],
+        // By position: `values` is also the name of an Array method on the Result
+        values: [...event.args[3]],
+        calldatas: [...event.args.calldatas],
+        description: event.args.description,
+        labels: [...(options.get(event.args.proposalId)?.labels ?? [])],
+        optionEnds: [...(options.get(event.args.proposalId)?.optionEnds ?? [])].map(Number),
+        blockNumber: event.blockNumber,
+    }));
+}
+
+/**
+ * `proposalId` (a decimal or 0x-prefixed string, or a bigint) as a bigint, throwing when it is not a proposal id.
+ */
+function parseProposalId(proposalId) {
+    const text = String(proposalId).trim();
+    if (!/^(\d+|0x[0-9a-fA-F]+)$/.test(text)) throw new Error(`Invalid proposal id "${proposalId}"`);
+    return BigInt(text);
+}
+
+/**
+ * The proposal with id `proposalId` as listed by findProposals, or null.
+ */
+async function findProposal(governor, proposalId, fromBlock = 0) {
+    const id = parseProposalId(proposalId);
+    return (await findProposals(governor, fromBlock)).find((proposal) => proposal.proposalId === id) ?? null;
+}
+
+/**
+ * Governor arguments identifying a proposal to queue, execute or cancel: its full action list and description hash.
+ */
+const proposalCall = (proposal) => [
+    proposal.targets,
+    proposal.values,
+    proposal.calldatas,
+    ethers.id(proposal.description),
+];
+
+/**
+ * Actions the timelock would run for a proposal found by findProposals, as { target, value, calldata }: all of
+ * them, or for option proposals those of the option at index `option`.
+ */
+function proposalActions(proposal, option) {
+    const actions = proposal.targets.map((target, i) => ({
+        target,
+        value: proposal.values[i],
+        calldata: proposal.calldatas[i],
+    }));
+    if (proposal.optionEnds.length === 0) return actions;
+    if (!(option >= 0 && option < proposal.optionEnds.length)) {
+        throw new Error(`Proposal ${proposal.proposalId} has options 1 to ${proposal.optionEnds.length}`);
+    }
+    return actions.slice(option === 0 ? 0 : proposal.optionEnds[option - 1], proposal.optionEnds[option]);
+}
+
+/**
+ * Current state and tally of a proposal found by findProposals. Votes are GT for Standard and Conviction
+ * proposals and bought votes for Quadratic ones; option proposals list each option's votes in the last counting
+ * round (the only one for Approval) and the winner once decided. The quorum is null until the snapshot has passed.
+ */
+async function readProposalStatus(governor, proposal) {
+    const id = proposal.proposalId;
+    const votingType = Number(await governor.proposalVotingTypes(id));
+    const [state, snapshot, deadline, eta, participation, votes, clock] = await Promise.all([
+        governor.state(id),
+        governor.proposalSnapshot(id),
+        governor.proposalDeadline(id),
+        governor.proposalEta(id),
+        governor.proposalParticipation(id),
+        governor.proposalVotes(id),
+        governor.clock(),
+    ]);
+    // The quorum reads the supply at the snapshot, which reverts until that block has passed
+    const quorum = clock > snapshot ? await governor.proposalQuorum(id) : null;
+    const status = {
+        proposalId: id,
+        title: proposal.description.split("\n")[0],
+        proposer: proposal.proposer,
+        votingType: VOTING_TYPES[votingType],
+        state: PROPOSAL_STATES[Number(state)],
+        snapshot,
+        deadline,
+        eta,
+        quorum,
+        participation,
+        votes: { against: votes[0], for: votes[1], abstain: votes[2] },
+        options: [],
+        winner: null,
+    };
+    if (isMultiOption(votingType)) {
+        const [rounds, decided, winner] = await governor.optionResults(id);
+        const last = rounds[rounds.length - 1] ?? [];
+        status.options = proposal.labels.map((label, i) => ({ label, votes: last[i] ?? 0n }));
+        status.winner = decided ? proposal.labels[Number(winner)] : null;
+    }
+    return status;
+}
+
+/**
+ * JSON text of `value` with bigints written as decimal strings.
+ */
+const toJson = (value) =>
+    JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item), 2);
+
+/**
+ * Aligned text table of `rows` (lists of cells) under `headers`.
+ */
+function formatTable(headers, rows) {
+    const cells = [headers, ...rows].map((row) => row.map(String));
+    const widths = headers.map((_, i) => Math.max(...cells.map((row) => row[i].length)));
+    const line = (row) => row.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd();
+    return [line(cells[0]), line(widths.map((width) => "-".repeat(width))), ...cells.slice(1).map(line)].join("\n");
+}
+
+// 18-decimal amounts without a trailing ".0", e.g. "16" or "2.5"
+const units = (amount) => ethers.formatEther(amount).replace(/\.0$/, "");
+
+/**
+ * Table of one proposal's status: its fields, then the tally per side or per option.
+ */
+function formatStatus(status) {
+    const fields = formatTable(
+        ["Field", "Value"],
+        [
+            ["Proposal", status.proposalId],
+            ["Title", status.title],
+            ["Proposer", status.proposer],
+            ["Voting type", status.votingType],
+            ["State", status.state],
+            ["Voting", `blocks ${status.snapshot} to ${status.deadline}`],
+            ["ETA", status.eta > 0n ? new Date(Number(status.eta) * 1000).toISOString() : "-"],
+            ["Quorum", status.quorum === null ? "-" : `${units(status.participation)} of ${units(status.quorum)}`],
+        ]
+    );
+    const tally =
+        status.options.length > 0
+            ? formatTable(
+                ["#", "Option", "Votes"],
+                status.options.map((option, i) => [
+                    i + 1,
+                    option.label === status.winner ? `${option.label} (winning)` : option.label,
+                    units(option.votes),
+                ])
+            )
+            : formatTable(["Support", "Votes"], SUPPORT.map((side) => [side, units(status.votes[side])]));
+    return `${fields}\n\n${tally}`;
+}
+
+/**
+ * One-line-per-proposal table of several statuses.
+ */
+const formatStatusList = (statuses) =>
+    formatTable(
+        ["Proposal", "State", "Type", "For", "Against", "Abstain", "Title"],
+        statuses.map((status) => [
+            status.proposalId,
+            status.state,
+            status.votingType,
+            units(status.votes.for),
+            units(status.votes.against),
+            units(status.votes.abstain),
+            status.title,
+        ])
+    );
+
+module.exports = {
+    QUADRATIC,
+    SUPPORT,
+    VOTE_TYPE_OPTIONS,
+    VOTING_TYPES,
+    encodeAction,
+    findProposal,
+    findProposals,
+    formatStatus,
+    formatStatusList,
+    isMultiOption,
+    loadProposalFile,
+    parseOptionList,
+    parseProposalId,
+    parseSupport,
+    parseVotingType,
+    proposalActions,
+    proposalCall,
+    proposeCall,
+    readProposalStatus,
+    toJson,
+    units,
+};
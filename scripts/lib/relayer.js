@@ -0,0 +1,144 @@
+const { ethers } = require("ethers");
+const { governorDomain, normalizeBallot, recoverBallotSigner } = require("./ballots");
+const { normalizeDelegation, tokenDomain } = require("./delegations");
+const { describeError } = require("./errors");
+
+/**
+ * In-memory queue of signed ballots (and, when `token` is given, delegations) submitted in batches.
+ * Signatures and nonces are checked off-chain before a message is accepted, so a bad one
+ * is rejected up front instead of wasting the relayer's gas.
+ */
+function createBallotRelayer({ governor, token, batchSize = 10, log = console.log }) {
+    const entries = [];
+    let nextId = 1;
+    const domains = {};
+
+    const domain = (name, build) => {
+        if (!domains[name]) domains[name] = build();
+        return domains[name];
+    };
+
+    // Messages from the same signer consume consecutive nonces of the same contract,
+    // so account for the ones still queued
+    const BALLOT_KINDS = ["standard", "quadratic"];
+    const nonceKinds = (kind) => (kind === "delegation" ? ["delegation"] : BALLOT_KINDS);
+    const pendingOf = (kinds, signer) =>
+        entries.filter((entry) => entry.status === "pending" && kinds.includes(entry.kind) && entry.signer === signer);
+    const pendingCount = (kinds, signer) => pendingOf(kinds, signer).length;
+
+    function enqueue(kind, signer, payload, description) {
+        const entry = { id: nextId++, kind, signer, payload, status: "pending", txHash: null, error: null };
+        entries.push(entry);
+        log(`Queued ${kind} #${entry.id} from ${signer} ${description}`);
+        return entry;
+    }
+
+    /**
+     * Validates and enqueues one signed ballot. Throws if the ballot is malformed or the
+     * signature does not recover to `voter` for its next nonce.
+     */
+    async function submit(raw) {
+        const ballot = normalizeBallot(raw);
+        const nonce =
+            (await governor.nonces(ballot.voter)) + BigInt(pendingCount(BALLOT_KINDS, ballot.voter));
+        const signer = recoverBallotSigner(await domain("governor", () => governorDomain(governor)), ballot, nonce);
+        if (signer !== ballot.voter) {
+            throw new Error(`Signature does not match voter ${ballot.voter} for nonce ${nonce}`);
+        }
+        return enqueue(ballot.kind, ballot.voter, ballot, `on proposal ${ballot.proposalId}`);
+    }
+
+    /**
+     * Validates and enqueues one signed delegation. Throws if it is malformed, expired, or
+     * signed over a nonce other than the delegator's next one.
+     */
+    async function submitDelegation(raw) {
+        if (!token) throw new Error("This relayer does not accept delegations");
+        const latest = await token.runner.provider.getBlock("latest");
+        const delegation = normalizeDelegation(await domain("token", () => tokenDomain(token)), raw, latest.timestamp);
+        const { delegator } = delegation;
+        const nonce = (await token.nonces(delegator)) + BigInt(pendingCount(["delegation"], delegator));
+        if (delegation.nonce !== nonce) {
+            throw new Error(`Delegation nonce ${delegation.nonce} is not the next nonce ${nonce} of ${delegator}`);
+        }
+        return enqueue("delegation", delegator, delegation, `to ${delegation.delegatee}`);
+    }
+
+    function send(entry) {
+        const { kind, payload } = entry;
+        if (kind === "delegation") {
+            const { v, r, s } = ethers.Signature.from(payload.signature);
+            return token.delegateBySig(payload.delegatee, payload.nonce, payload.expiry, v, r, s);
+        }
+        if (kind === "quadratic") {
+            return governor.castQuadraticVoteBySig(
+                payload.proposalId,
+                payload.support,
+                payload.numVotes,
+                payload.voter,
+                payload.signature
+            );
+        }
+        return governor.castVoteBySig(payload.proposalId, payload.support, payload.voter, payload.signature);
+    }
+
+    async function relay(entry) {
+        try {
+            const tx = await send(entry);
+            entry.txHash = tx.hash;
+            await tx.wait();
+            entry.status = "submitted";
+            log(`${entry.kind} #${entry.id} submitted in ${tx.hash}`);
+        } catch (error) {
+            entry.status = "failed";
+            entry.error = describeError(error);
+            log(`${entry.kind} #${entry.id} failed: ${entry.error}`);
+            // A failed message leaves its nonce unused, so the signer's later messages are signed over nonces
+            // that can no longer come up; fail them rather than send them to revert
+            for (const later of pendingOf(nonceKinds(entry.kind), entry.signer)) {
+                later.status = "failed";
+                later.error = `Signed after ${entry.kind} #${entry.id}, which failed and left its nonce unused; sign again`;
+                log(`${later.kind} #${later.id} failed: ${later.error}`);
+            }
+        }
+    }
+
+    /**
+     * Submits up to `batchSize` pending messages in queue order and returns the processed entries.
+     * Messages are sent one after another because each consumes its signer's next nonce.
+     */
+    async function flush() {
+        const batch = entries.filter((entry) => entry.status === "pending").slice(0, batchSize);
+        for (const entry of batch) {
+            if (entry.status === "pending") await relay(entry);
+        }
+        return batch;
+    }
+
+    /**
+     * Public view of the queue, safe to serialize as JSON.
+     */
+    function list() {
+        return entries.map(({ id, kind, signer, payload, status, txHash, error }) => {
+            const details =
+                kind === "delegation"
+                    ? { delegatee: payload.delegatee, expiry: payload.expiry.toString() }
+                    : {
+                          proposalId: payload.proposalId.toString(),
+                          support: payload.support,
+                          numVotes: payload.numVotes !== undefined ? payload.numVotes.toString() : undefined,
+                      };
+            return { id, kind, signer, ...details, status, txHash, error };
+        });
+    }
+
+    return {
+        submit,
+        submitDelegation,
+        flush,
+        list,
+        pending: () => entries.filter((entry) => entry.status === "pending").length,
+    };
+}
+
+module.exports = { createBallotRelayer };
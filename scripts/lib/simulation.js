@@ -0,0 +1,399 @@
+const { ethers } = require("ethers");
+const { loadDeployment } = require("./deployment");
+const { describeError } = require("./errors");
+const { findProposal, proposalActions } = require("./proposals");
+
+// Opcodes that start a call frame, and those that run the callee's code on the caller's storage
+const CALL_OPS = new Set(["CALL", "CALLCODE", "DELEGATECALL", "STATICCALL"]);
+const CODE_ONLY_OPS = new Set(["CALLCODE", "DELEGATECALL"]);
+
+// Transfers of any ERC-20 token, so balance changes cover tokens the simulator has no ABI for
+const ERC20 = new ethers.Interface([
+    "event Transfer(address indexed from, address indexed to, uint256 value)",
+    "function balanceOf(address account) view returns (uint256)",
+    "function symbol() view returns (string)",
+]);
+
+// Deployment address keys and the contract at each, plus contracts whose events may show up at other addresses
+const DEPLOYED_CONTRACTS = {
+    token: "GovernanceToken",
+    governor: "MyGovernor",
+    timelock: "TimelockController",
+    voterRegistry: "VoterRegistry",
+    vestingFactory: "VestingWalletFactory",
+    treasury: "Treasury",
+};
+const UNDEPLOYED_CONTRACTS = ["DelegatingVestingWallet"];
+
+// Label of the queue of governance calls the governor authorizes while executing a proposal
+const GOVERNANCE_CALL_QUEUE = "_governanceCall";
+
+const toAddress = (word) => ethers.getAddress(`0x${word.slice(-40)}`);
+
+const format = (value) => {
+    if (typeof value === "bigint") return value.toString();
+    if (Array.isArray(value)) return value.map(format);
+    return value;
+};
+
+/**
+ * Storage slot of MyGovernor's queue of authorized governance calls (Governor._governanceCall), read from the
+ * compiler's storage layout. `artifacts` is hardhat's artifacts object (`hre.artifacts`).
+ */
+async function governanceCallSlot(artifacts) {
+    const buildInfo = await artifacts.getBuildInfo("contracts/MyGovernor.sol:MyGovernor");
+    const layout = buildInfo?.output.contracts["contracts/MyGovernor.sol"].MyGovernor.storageLayout;
+    const entry = layout?.storage.find((variable) => variable.label === GOVERNANCE_CALL_QUEUE);
+    if (!entry) throw new Error("MyGovernor's storage layout is missing; run npx hardhat compile --force");
+    return BigInt(entry.slot);
+}
+
+/**
+ * Known contracts of a deployment's `addresses`, as simulateActions takes them: { name, address, abi }, with a
+ * null address for contracts that are only used to decode events.
+ */
+async function deploymentContracts(artifacts, addresses) {
+    const contracts = [];
+    for (const [key, name] of Object.entries(DEPLOYED_CONTRACTS)) {
+        if (addresses[key]) {
+            const { abi } = await artifacts.readArtifact(name);
+            contracts.push({ name, address: ethers.getAddress(addresses[key]), abi });
+        }
+    }
+    for (const name of UNDEPLOYED_CONTRACTS) {
+        contracts.push({ name, address: null, abi: (await artifacts.readArtifact(name)).abi });
+    }
+    return contracts;
+}
+
+/**
+ * Resets the in-process Hardhat network (`networkProvider` is `hre.network.provider`) to a fork of the node at
+ * `url`, at its latest block. Returns the node's { chainId, blockNumber }.
+ */
+async function forkNode(networkProvider, url) {
+    const rpc = async (method) => {
+        const res = await fetch(url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ jsonrpc: "2.0", id: 1, method, params: [] }),
+        });
+        if (!res.ok) throw new Error(`${method} returned HTTP ${res.status}`);
+        const { result, error } = await res.json();
+        if (error || result === undefined) throw new Error(`${method} failed: ${error?.message ?? "no result"}`);
+        return Number(result);
+    };
+    let chainId;
+    let blockNumber;
+    try {
+        [chainId, blockNumber] = [await rpc("eth_chainId"), await rpc("eth_blockNumber")];
+    } catch (error) {
+        throw new Error(`Cannot reach the node to fork at ${url}: ${error.message}`);
+    }
+    await networkProvider.request({
+        method: "hardhat_reset",
+        params: [{ forking: { jsonRpcUrl: url, blockNumber } }],
+    });
+    // Calls can only run in blocks mined locally: the fork has no hardfork history for the node's own blocks
+    await networkProvider.request({ method: "evm_mine", params: [] });
+    return { chainId, blockNumber };
+}
+
+/**
+ * Lets the executor make `calldata`'s call to the governor: outside of Governor.execute, onlyGovernance functions
+ * only accept calls whose hash is waiting in the governor's queue, so the queue is set to hold just that hash.
+ */
+async function authorizeGovernanceCall(provider, governor, slot, calldata) {
+    const slotHex = (value) => ethers.toBeHex(value, 32);
+    // Bytes32Deque { uint128 _begin; uint128 _end; mapping(uint128 => bytes32) _data }: begin 0, end 1
+    await provider.send("hardhat_setStorageAt", [governor, slotHex(slot), slotHex(1n << 128n)]);
+    const first = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["uint128", "uint256"], [0, slot + 1n]));
+    await provider.send("hardhat_setStorageAt", [governor, first, ethers.keccak256(calldata)]);
+}
+
+/**
+ * Follows a transaction's opcode trace: every call it makes, with the function selected when the callee is
+ * known, and every storage slot it writes, attributed to the contract whose storage changes.
+ */
+function walkTrace(structLogs, root) {
+    const calls = [root];
+    const storageWrites = [];
+    const frames = [root];
+    let pending = null;
+
+    for (const log of structLogs) {
+        // The step after a call runs one level deeper only if the callee has code
+        if (pending && log.depth === frames.length + 1) frames.push(pending);
+        pending = null;
+        frames.length = Math.min(frames.length, log.depth);
+        const frame = frames[frames.length - 1];
+        const stack = (i) => log.stack[log.stack.length - 1 - i];
+
+        if (log.op === "SSTORE") {
+            storageWrites.push({ address: frame.storage, slot: `0x${stack(0)}`, value: `0x${stack(1)}` });
+            frame.writes += 1;
+        } else if (CALL_OPS.has(log.op)) {
+            const withValue = log.op === "CALL" || log.op === "CALLCODE";
+            const argsOffset = Number(BigInt(`0x${stack(withValue ? 3 : 2)}`));
+            const argsLength = Number(BigInt(`0x${stack(withValue ? 4 : 3)}`));
+            const selector = log.memory.join("").slice(argsOffset * 2, argsOffset * 2 + 8);
+            const to = toAddress(stack(1));
+            pending = {
+                from: frame.to,
+                to,
+                storage: CODE_ONLY_OPS.has(log.op) ? frame.storage : to,
+                kind: log.op,
+                value: withValue ? BigInt(`0x${stack(2)}`) : 0n,
+                selector: argsLength >= 4 ? `0x${selector}` : null,
+                writes: 0,
+            };
+            calls.push(pending);
+        }
+    }
+    return { calls, storageWrites };
+}
+
+/**
+ * Runs a proposal's actions ({ target, value, calldata }, as the timelock would execute them) from the governance
+ * executor on the in-process Hardhat network, inside an EVM snapshot that is reverted afterwards.
+ * `contracts` ({ name, address, abi }) names known contracts and decodes their calls and events; `governor` and
+ * `governanceCallSlot` let actions call the governor's onlyGovernance functions.
+ *
+ * Returns { success, executor, value, valueShortfall, actions, balanceChanges }. Each action lists its events,
+ * every call it made, the calls that wrote storage and the slots written; the first reverting action carries the
+ * decoded error and stops the run, as it would revert the whole execution. Balance changes of ETH and of every
+ * token that emitted a Transfer are only reported when every action succeeds.
+ */
+async function simulateActions({ provider, executor, governor, governanceCallSlot: slot, actions, contracts }) {
+    const names = new Map(contracts.filter((c) => c.address).map((contract) => [contract.address, contract.name]));
+    const interfaces = contracts.map((contract) => new ethers.Interface(contract.abi));
+    const nameOf = (address) => names.get(address) ?? null;
+    const describeCall = (selector) => {
+        for (const iface of interfaces) {
+            const fragment = selector && iface.getFunction(selector);
+            if (fragment) return fragment.format("sighash");
+        }
+        return selector;
+    };
+    const decodeLog = (log) => {
+        for (const iface of [...interfaces, ERC20]) {
+            const event = iface.parseLog(log);
+            if (event) {
+                const args = Object.fromEntries(
+                    event.fragment.inputs.map((input, i) => [input.name || i, format(event.args[i])])
+                );
+                return { address: log.address, contract: nameOf(log.address), name: event.name, args };
+            }
+        }
+        return { address: log.address, contract: nameOf(log.address), name: null, topic: log.topics[0] ?? null };
+    };
+
+    const snapshot = await provider.send("evm_snapshot", []);
+    try {
+        await provider.send("hardhat_impersonateAccount", [executor]);
+        const start = await provider.send("evm_snapshot", []);
+        // The timelock pays action values from its balance plus what the caller of execute sends along, which is
+        // left out of the balance changes
+        const value = actions.reduce((sum, action) => sum + BigInt(action.value), 0n);
+        const balance = await provider.getBalance(executor);
+        const valueShortfall = value > balance ? value - balance : 0n;
+        if (valueShortfall > 0n) await provider.send("hardhat_setBalance", [executor, ethers.toQuantity(value)]);
+
+        const results = [];
+        const ethAccounts = new Set([executor]);
+        const tokenAccounts = new Map();
+        let success = true;
+        for (const [index, action] of actions.entries()) {
+            const target = ethers.getAddress(action.target);
+            const result = {
+                index,
+                target,
+                contract: nameOf(target),
+                function: action.calldata.length >= 10 ? describeCall(action.calldata.slice(0, 10)) : null,
+                value: BigInt(action.value),
+                success: true,
+                error: null,
+                events: [],
+                calls: [],
+                storageWrites: [],
+            };
+            results.push(result);
+            if (governor && target === governor) {
+                await authorizeGovernanceCall(provider, governor, slot, action.calldata);
+            }
+
+            // Gas is free so it does not show up as a balance change of the executor
+            const tx = { from: executor, to: target, value: ethers.toQuantity(result.value), data: action.calldata };
+            try {
+                await provider.send("eth_call", [tx, "latest"]);
+            } catch (error) {
+                Object.assign(result, { success: false, error: describeError(error) });
+                success = false;
+                break;
+            }
+            await provider.send("hardhat_setNextBlockBaseFeePerGas", ["0x0"]);
+            const hash = await provider.send("eth_sendTransaction", [
+                { ...tx, maxFeePerGas: "0x0", maxPriorityFeePerGas: "0x0" },
+            ]);
+            const receipt = await provider.getTransactionReceipt(hash);
+            const { structLogs } = await provider.send("debug_traceTransaction", [hash, { disableStorage: true }]);
+            const { calls, storageWrites } = walkTrace(structLogs, {
+                from: executor,
+                to: target,
+                storage: target,
+                kind: "CALL",
+                value: result.value,
+                selector: action.calldata.length >= 10 ? action.calldata.slice(0, 10) : null,
+                writes: 0,
+            });
+
+            result.gasUsed = receipt.gasUsed;
+            result.events = receipt.logs.map(decodeLog);
+            result.calls = calls.map((call) => ({
+                from: call.from,
+                to: call.to,
+                contract: nameOf(call.to),
+                kind: call.kind,
+                function: describeCall(call.selector),
+                value: call.value,
+                storageWrites: call.writes,
+            }));
+            result.storageWrites = storageWrites.map((write) => ({ ...write, contract: nameOf(write.address) }));
+
+            for (const call of calls) {
+                if (call.value > 0n) [call.from, call.to].forEach((account) => ethAccounts.add(account));
+            }
+            for (const log of receipt.logs) {
+                const transfer = log.topics.length === 3 && ERC20.parseLog(log);
+                if (!transfer) continue;
+                const accounts = tokenAccounts.get(log.address) ?? new Set();
+                [transfer.args.from, transfer.args.to].forEach((account) => accounts.add(account));
+                tokenAccounts.set(log.address, accounts);
+            }
+        }
+
+        const balanceChanges = [];
+        if (success) {
+            // Read after the run, then again once rolled back: forks may not serve state at their own fork block
+            const balances = [];
+            for (const account of ethAccounts) balances.push({ account, asset: "ETH", token: null });
+            for (const [token, accounts] of tokenAccounts) {
+                const contract = new ethers.Contract(token, ERC20, provider);
+                const symbol = await contract.symbol().catch(() => nameOf(token) ?? token);
+                for (const account of accounts) {
+                    if (account !== ethers.ZeroAddress) balances.push({ account, asset: symbol, token });
+                }
+            }
+            const read = ({ account, token }) =>
+                token ? new ethers.Contract(token, ERC20, provider).balanceOf(account) : provider.getBalance(account);
+            for (const balance of balances) balance.after = await read(balance);
+            await provider.send("evm_revert", [start]);
+            for (const balance of balances) {
+                const before = await read(balance);
+                if (before !== balance.after) {
+                    const { account, asset, token, after } = balance;
+                    const name = nameOf(account);
+                    balanceChanges.push({ account, name, asset, token, before, after, change: after - before });
+                }
+            }
+        }
+
+        return { success, executor, value, valueShortfall, actions: results, balanceChanges };
+    } finally {
+        await provider.send("hardhat_stopImpersonatingAccount", [executor]);
+        await provider.send("evm_revert", [snapshot]);
+    }
+}
+
+/**
+ * Forks the node at `fork` into hre's in-process network and simulates the execution of proposal `proposalId` of
+ * the node's recorded deployment (or of the governor at `governor`). Option proposals run the option at index
+ * `option`, by default the winning one. Returns { chainId, blockNumber, proposalId, option, label, report } where
+ * `option` and `label` are null for proposals without options and `report` is simulateActions' result.
+ */
+async function simulateProposal(hre, { fork, governor: governorAddress, proposalId, option }) {
+    if (hre.network.name !== "hardhat") {
+        throw new Error("Simulations fork a node into the in-process hardhat network; run them without --network");
+    }
+    const { chainId, blockNumber } = await forkNode(hre.network.provider, fork);
+    const deployment = governorAddress
+        ? { addresses: { governor: governorAddress }, deployBlock: 0 }
+        : loadDeployment(hre.config.paths.root, chainId);
+    const governor = await hre.ethers.getContractAt("MyGovernor", deployment.addresses.governor);
+    const proposal = await findProposal(governor, proposalId, deployment.deployBlock);
+    if (!proposal) throw new Error(`Unknown proposal ${proposalId}`);
+
+    let chosen = null;
+    if (proposal.optionEnds.length > 0) {
+        chosen = option ?? null;
+        if (chosen === null) {
+            const [, decided, winner] = await governor.optionResults(proposal.proposalId);
+            if (!decided) throw new Error(`Proposal ${proposalId} has no winning option yet; choose an option`);
+            chosen = Number(winner);
+        }
+    }
+    const actions = proposalActions(proposal, chosen);
+    const executor = await governor.timelock();
+    const addresses = { ...deployment.addresses, governor: await governor.getAddress(), timelock: executor };
+    const report = await simulateActions({
+        provider: hre.ethers.provider,
+        executor,
+        governor: addresses.governor,
+        governanceCallSlot: await governanceCallSlot(hre.artifacts),
+        actions,
+        contracts: await deploymentContracts(hre.artifacts, addresses),
+    });
+    return {
+        chainId,
+        blockNumber,
+        proposalId: proposal.proposalId,
+        option: chosen,
+        label: chosen === null ? null : proposal.labels[chosen],
+        report,
+    };
+}
+
+/**
+ * Text report of a simulation: per action its outcome, events and storage-writing calls, then balance changes.
+ * `units` formats 18-decimal amounts.
+ */
+function formatSimulation(report, units) {
+    const named = (address, name) => (name ? `${name} (${address})` : address);
+    const lines = [];
+    if (report.valueShortfall > 0n) {
+        lines.push(`The caller of execute must send ${units(report.valueShortfall)} ETH with it`);
+    }
+    for (const action of report.actions) {
+        const call = action.function ?? "(no call data)";
+        lines.push(`#${action.index + 1} ${named(action.target, action.contract)} ${call}`);
+        if (!action.success) {
+            lines.push(`   REVERTS: ${action.error}`);
+            continue;
+        }
+        for (const event of action.events) {
+            const args = event.name
+                ? Object.entries(event.args).map(([key, value]) => `${key}=${value}`).join(", ")
+                : event.topic;
+            lines.push(`   event ${event.contract ?? event.address}.${event.name ?? "(unknown)"}(${args})`);
+        }
+        for (const call of action.calls.filter((c) => c.storageWrites > 0)) {
+            const via = call.function ?? call.kind;
+            lines.push(`   writes ${call.storageWrites} slot(s) in ${named(call.to, call.contract)} via ${via}`);
+        }
+    }
+    lines.push(report.success ? "Execution succeeds" : "Execution reverts: nothing would change");
+    for (const change of report.balanceChanges) {
+        const sign = change.change > 0n ? "+" : "";
+        lines.push(`   ${named(change.account, change.name)}: ${sign}${units(change.change)} ${change.asset}`);
+    }
+    return lines.join("\n");
+}
+
+module.exports = {
+    authorizeGovernanceCall,
+    deploymentContracts,
+    forkNode,
+    formatSimulation,
+    governanceCallSlot,
+    simulateActions,
+    simulateProposal,
+};
@@ -0,0 +1,124 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const http = require("http");
+const { loadDeployment } = require("./lib/deployment");
+const { readBody, sendJson } = require("./lib/http");
+const { createBallotRelayer } = require("./lib/relayer");
+
+// Run with: npx hardhat run scripts/relayer.js --network localhost
+//
+// RELAYER_BALLOTS_FILE  JSON file with an array of signed ballots and delegations; submits them all and exits
+// RELAYER_PORT          HTTP port for POST /ballots and /delegations when no file is given (default 8787)
+// RELAYER_BATCH_SIZE    Ballots submitted per batch (default 10)
+// RELAYER_INTERVAL_MS   Delay between batches in HTTP mode (default 5000)
+// RELAYER_GOVERNOR      Governor address (default: this chain's entry in frontend/src/artifacts/deployments.json)
+// RELAYER_TOKEN         Governance token address (default: this chain's entry in frontend/src/artifacts/deployments.json)
+const PORT = Number(process.env.RELAYER_PORT || 8787);
+const BATCH_SIZE = Number(process.env.RELAYER_BATCH_SIZE || 10);
+const INTERVAL_MS = Number(process.env.RELAYER_INTERVAL_MS || 5000);
+
+// HTTP endpoints: which queue entries each one lists, and how posted messages are submitted
+const ROUTES = {
+    "/ballots": { kinds: ["standard", "quadratic"], submit: (relayer, message) => relayer.submit(message) },
+    "/delegations": { kinds: ["delegation"], submit: (relayer, message) => relayer.submitDelegation(message) },
+};
+
+// Messages with kind "delegation" go to delegateBySig, everything else is a ballot
+const submitByKind = (relayer, message) =>
+    message?.kind === "delegation" ? relayer.submitDelegation(message) : relayer.submit(message);
+
+async function submitAll(relayer, messages, submit) {
+    const rejected = [];
+    for (const [index, message] of messages.entries()) {
+        try {
+            await submit(relayer, message);
+        } catch (error) {
+            rejected.push({ index, error: error.message });
+        }
+    }
+    return rejected;
+}
+
+async function runFromFile(relayer, file) {
+    const messages = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!Array.isArray(messages)) throw new Error(`${file} must contain a JSON array of ballots`);
+
+    const rejected = await submitAll(relayer, messages, submitByKind);
+    rejected.forEach(({ index, error }) => console.log(`Rejected message ${index}: ${error}`));
+
+    while (relayer.pending() > 0) {
+        await relayer.flush();
+    }
+    console.table(relayer.list());
+}
+
+function runServer(relayer) {
+    const server = http.createServer(async (req, res) => {
+        if (req.method === "OPTIONS") return sendJson(res, 204, {});
+
+        const route = ROUTES[req.url];
+        if (route && req.method === "GET") {
+            return sendJson(res, 200, relayer.list().filter((entry) => route.kinds.includes(entry.kind)));
+        }
+
+        if (route && req.method === "POST") {
+            try {
+                const parsed = JSON.parse(await readBody(req));
+                const messages = Array.isArray(parsed) ? parsed : [parsed];
+                const rejected = await submitAll(relayer, messages, route.submit);
+                return sendJson(res, rejected.length === messages.length ? 400 : 202, {
+                    accepted: messages.length - rejected.length,
+                    rejected,
+                });
+            } catch (error) {
+                return sendJson(res, 400, { error: error.message });
+            }
+        }
+
+        sendJson(res, 404, { error: "Not found" });
+    });
+
+    // Batches run back to back, never overlapping, so nonces are consumed in queue order
+    const tick = async () => {
+        if (relayer.pending() > 0) await relayer.flush();
+        setTimeout(tick, INTERVAL_MS);
+    };
+
+    server.listen(PORT, () => {
+        console.log(`Relayer listening on http://localhost:${PORT} (batch ${BATCH_SIZE}, every ${INTERVAL_MS}ms)`);
+        tick();
+    });
+}
+
+async function main() {
+    const [relayerAccount] = await hre.ethers.getSigners();
+    const addresses =
+        process.env.RELAYER_GOVERNOR && process.env.RELAYER_TOKEN
+            ? {}
+            : loadDeployment(hre.config.paths.root, (await hre.ethers.provider.getNetwork()).chainId).addresses;
+    const governor = await hre.ethers.getContractAt(
+        "MyGovernor",
+        process.env.RELAYER_GOVERNOR || addresses.governor,
+        relayerAccount
+    );
+    const token = await hre.ethers.getContractAt(
+        "GovernanceToken",
+        process.env.RELAYER_TOKEN || addresses.token,
+        relayerAccount
+    );
+    console.log("Relaying ballots to", await governor.getAddress(), "from", relayerAccount.address);
+    console.log("Relaying delegations to", await token.getAddress());
+
+    const relayer = createBallotRelayer({ governor, token, batchSize: BATCH_SIZE });
+
+    if (process.env.RELAYER_BALLOTS_FILE) {
+        await runFromFile(relayer, process.env.RELAYER_BALLOTS_FILE);
+        process.exit(0);
+    }
+    runServer(relayer);
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
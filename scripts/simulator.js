@@ -0,0 +1,57 @@
+const hre = require("hardhat");
+const http = require("http");
+const { readBody, sendJson } = require("./lib/http");
+const { simulateProposal } = require("./lib/simulation");
+
+// Run with: npx hardhat run scripts/simulator.js
+// (on the in-process network, which every simulation resets to a fork of the node)
+//
+// SIMULATOR_PORT      HTTP port for POST /simulations (default 8788)
+// SIMULATOR_FORK_URL  JSON-RPC URL of the node to fork (default http://127.0.0.1:8545)
+// SIMULATOR_GOVERNOR  Governor address (default: the node's entry in frontend/src/artifacts/deployments.json)
+const PORT = Number(process.env.SIMULATOR_PORT || 8788);
+const FORK_URL = process.env.SIMULATOR_FORK_URL || "http://127.0.0.1:8545";
+
+// JSON with bigints written as decimal strings, as the dashboard parses them
+const serialize = (value) =>
+    JSON.parse(JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item)));
+
+function main() {
+    // Simulations share the one in-process network, so they run one at a time
+    let queue = Promise.resolve();
+    const simulate = (request) => {
+        const run = queue.then(() =>
+            simulateProposal(hre, {
+                fork: FORK_URL,
+                governor: process.env.SIMULATOR_GOVERNOR,
+                proposalId: request.proposalId,
+                option: request.option ?? undefined,
+            })
+        );
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    const server = http.createServer(async (req, res) => {
+        if (req.method === "OPTIONS") return sendJson(res, 204, {});
+        if (req.url !== "/simulations" || req.method !== "POST") return sendJson(res, 404, { error: "Not found" });
+
+        let request;
+        try {
+            request = JSON.parse(await readBody(req));
+            if (!/^\d+$/.test(String(request?.proposalId))) throw new Error("proposalId must be a decimal proposal id");
+            if (request.option != null && !Number.isInteger(request.option)) throw new Error("option must be an index");
+        } catch (error) {
+            return sendJson(res, 400, { error: error.message });
+        }
+        try {
+            sendJson(res, 200, serialize(await simulate(request)));
+        } catch (error) {
+            sendJson(res, 422, { error: error.message });
+        }
+    });
+
+    server.listen(PORT, () => console.log(`Simulator listening on http://localhost:${PORT}, forking ${FORK_URL}`));
+}
+
+main();
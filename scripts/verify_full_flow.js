@@ -1,5 +1,8 @@
-const { ethers } = require("hardhat");
+const { ethers, config, network } = require("hardhat");
 const { expect } = require("chai");
+const { loadGovernanceConfig } = require("./lib/governanceConfig");
+const { getGovernorFactory } = require("./lib/deployment");
+const { describeError } = require("./lib/errors");
 
 async function main() {
     console.log("🚀 STARTING BRUTAL VERIFICATION SCRIPT");
@@ -11,18 +14,32 @@ async function main() {
 
     // 2. Deploy Contracts
     console.log("\n📜 Deploying Contracts...");
+    const params = loadGovernanceConfig(config.paths.root, network.name);
     const GovernanceToken = await ethers.getContractFactory("GovernanceToken");
-    const token = await GovernanceToken.deploy();
+    const token = await GovernanceToken.deploy(deployer.address, params.maxInflationBps);
     await token.waitForDeployment();
     const tokenAddr = await token.getAddress();
     console.log(`   Tokens Deployed at: ${tokenAddr}`);
 
-    const MyGovernor = await ethers.getContractFactory("MyGovernor");
-    const governor = await MyGovernor.deploy(tokenAddr);
+    const TimelockController = await ethers.getContractFactory("TimelockController");
+    const timelock = await TimelockController.deploy(params.timelockDelay, [], [], deployer.address);
+    await timelock.waitForDeployment();
+    const timelockAddr = await timelock.getAddress();
+    console.log(`   Timelock Deployed at: ${timelockAddr}`);
+
+    const MyGovernor = await getGovernorFactory(ethers, deployer);
+    const governor = await MyGovernor.deploy(tokenAddr, timelockAddr, {
+        ...params.governor,
+        guardian: params.governor.guardian ?? deployer.address,
+        voterRegistry: ethers.ZeroAddress
+    });
     await governor.waitForDeployment();
     const govAddr = await governor.getAddress();
     console.log(`   Governor Deployed at: ${govAddr}`);
 
+    await timelock.grantRole(await timelock.PROPOSER_ROLE(), govAddr);
+    await timelock.grantRole(await timelock.EXECUTOR_ROLE(), ethers.ZeroAddress);
+
     // 3. Setup Token Balances & Delegation
     console.log("\n💰 Setting up Balances...");
     // Transfer tokens to User1
@@ -55,7 +72,7 @@ async function main() {
         await tx.wait();
         console.log("   ✅ Proposal Created Successfully (Threshold Passed)");
     } catch (e) {
-        console.error("   ❌ Proposal Creation Failed!", e);
+        console.error("   ❌ Proposal Creation Failed!", describeError(e));
         process.exit(1);
     }
 
@@ -138,7 +155,7 @@ async function main() {
         console.error("   ❌ FAILURE: Insufficient power should have reverted!");
         process.exit(1);
     } catch (error) {
-        console.log("   ✅ CORRECT: Reverted as expected (Error: " + error.message.split('\n')[0] + ")");
+        console.log("   ✅ CORRECT: Reverted as expected (" + describeError(error) + ")");
     }
 
     console.log("\n🎉 ALL SYSTEMS GO. PROTOCOL IS SECURE.");
@@ -0,0 +1,263 @@
+const { task } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { loadDeployment } = require("../scripts/lib/deployment");
+const { describeError } = require("../scripts/lib/errors");
+const {
+    QUADRATIC,
+    SUPPORT,
+    VOTE_TYPE_OPTIONS,
+    VOTING_TYPES,
+    findProposal,
+    findProposals,
+    formatStatus,
+    formatStatusList,
+    isMultiOption,
+    loadProposalFile,
+    parseOptionList,
+    parseProposalId,
+    parseSupport,
+    parseVotingType,
+    proposalCall,
+    proposeCall,
+    readProposalStatus,
+    toJson,
+    units,
+} = require("../scripts/lib/proposals");
+const { formatSimulation, simulateProposal } = require("../scripts/lib/simulation");
+
+// Governance from the terminal, e.g. npx hardhat gov:status --network localhost
+// Every task acts on this network's deployment in frontend/src/artifacts/deployments.json unless --governor and
+// --token are given, and sends transactions from the first account unless --from names another one.
+// gov:simulate is the exception: it runs on the in-process network, forking the node given with --fork.
+
+const fail = (message) => new HardhatPluginError("gov", message);
+
+// Contracts bound to the sending account, the deployment's addresses and the block to search for proposals from
+async function connect(hre, { governor, token, from }) {
+    const signer = from ? await hre.ethers.getSigner(from) : (await hre.ethers.getSigners())[0];
+    const deployment =
+        governor && token
+            ? { addresses: {}, deployBlock: 0 }
+            : loadDeployment(hre.config.paths.root, (await hre.ethers.provider.getNetwork()).chainId);
+    const addresses = { ...deployment.addresses, ...(governor && { governor }), ...(token && { token }) };
+    return {
+        signer,
+        addresses,
+        fromBlock: deployment.deployBlock,
+        governor: await hre.ethers.getContractAt("MyGovernor", addresses.governor, signer),
+        token: await hre.ethers.getContractAt("GovernanceToken", addresses.token, signer),
+    };
+}
+
+// Waits for a transaction, turning a revert into its readable message
+async function send(transaction) {
+    try {
+        return await (await transaction).wait();
+    } catch (error) {
+        throw fail(describeError(error));
+    }
+}
+
+async function requireProposal(context, proposalId) {
+    try {
+        parseProposalId(proposalId);
+    } catch (error) {
+        throw fail(error.message);
+    }
+    const proposal = await findProposal(context.governor, proposalId, context.fromBlock);
+    if (!proposal) throw fail(`Unknown proposal ${proposalId}`);
+    return proposal;
+}
+
+const eventOf = (governor, receipt, name) =>
+    receipt.logs.map((log) => governor.interface.parseLog(log)).find((event) => event?.name === name);
+
+const governanceTask = (name, description) =>
+    task(name, description)
+        .addOptionalParam("governor", "MyGovernor address (default: this network's recorded deployment)")
+        .addOptionalParam("token", "GovernanceToken address (default: this network's recorded deployment)")
+        .addOptionalParam("from", "Address of the account that sends the transaction (default: the first account)");
+
+governanceTask("gov:propose", "Submits a proposal whose actions or options are read from a JSON file")
+    .addParam("file", "JSON file: a list of actions, or { description, votingType, actions | options }")
+    .addOptionalParam("description", "Proposal description (default: the file's)")
+    .addOptionalParam("type", `Voting type: ${VOTING_TYPES.join(", ")} (default: the file's, or standard)`)
+    .addFlag("requireRegistration", "Only count voters registered in the voter registry (Quadratic only)")
+    .setAction(async (args, hre) => {
+        const context = await connect(hre, args);
+        let plan;
+        let call;
+        try {
+            plan = loadProposalFile(args.file, context.addresses);
+            plan.description = args.description ?? plan.description;
+            plan.votingType = args.type !== undefined ? parseVotingType(args.type) : plan.votingType ?? 0;
+            if (!plan.description) throw new Error("A description is required, in the file or with --description");
+            call = proposeCall(plan, args.requireRegistration);
+        } catch (error) {
+            throw fail(error.message);
+        }
+
+        const receipt = await send(context.governor[call.method](...call.args));
+        const proposalId = eventOf(context.governor, receipt, "ProposalCreated").args.proposalId;
+        console.log(`Proposal ${proposalId} created (${VOTING_TYPES[plan.votingType]}) in block ${receipt.blockNumber}`);
+        return { proposalId };
+    });
+
+governanceTask("gov:vote", "Votes on a Standard, Conviction, Approval or Ranked choice proposal")
+    .addParam("id", "Proposal id")
+    .addOptionalParam("support", `${SUPPORT.join(", ")} (yes/no proposals)`)
+    .addOptionalParam("options", "Option numbers separated by commas, in order of preference for ranked choice")
+    .addOptionalParam("reason", "Rationale published with the vote")
+    .setAction(async (args, hre) => {
+        const context = await connect(hre, args);
+        const { governor } = context;
+        const proposal = await requireProposal(context, args.id);
+        const votingType = Number(await governor.proposalVotingTypes(proposal.proposalId));
+
+        let transaction;
+        let ballot;
+        try {
+            if (votingType === QUADRATIC) {
+                throw new Error("This is a Quadratic proposal: vote with gov:qv-vote");
+            }
+            if (isMultiOption(votingType)) {
+                if (args.options === undefined) throw new Error("Choose options with --options, e.g. --options 2,1");
+                const options = parseOptionList(args.options);
+                const params = hre.ethers.AbiCoder.defaultAbiCoder().encode(["uint256[]"], [options]);
+                ballot = options.map((option) => proposal.labels[option] ?? `option ${option + 1}`).join(", ");
+                transaction = governor.castVoteWithReasonAndParams(
+                    proposal.proposalId, VOTE_TYPE_OPTIONS, args.reason ?? "", params
+                );
+            } else {
+                if (args.support === undefined) throw new Error(`Choose --support ${SUPPORT.join(", ")}`);
+                const support = parseSupport(args.support);
+                ballot = SUPPORT[support];
+                transaction = args.reason
+                    ? governor.castVoteWithReason(proposal.proposalId, support, args.reason)
+                    : governor.castVote(proposal.proposalId, support);
+            }
+        } catch (error) {
+            throw fail(error.message);
+        }
+
+        const receipt = await send(transaction);
+        const event = eventOf(governor, receipt, "VoteCast") ?? eventOf(governor, receipt, "VoteCastWithParams");
+        const weight = event.args.weight;
+        console.log(`${context.signer.address} voted ${ballot} on proposal ${proposal.proposalId} with ${units(weight)} GT`);
+        return { weight };
+    });
+
+governanceTask("gov:qv-vote", "Buys votes on a Quadratic proposal; n votes cost n² GT of voting power")
+    .addParam("id", "Proposal id")
+    .addParam("support", SUPPORT.join(", "))
+    .addParam("votes", "Number of votes to add, e.g. 10 or 2.5")
+    .addOptionalParam("reason", "Rationale published with the vote")
+    .setAction(async (args, hre) => {
+        const context = await connect(hre, args);
+        const { governor, signer } = context;
+        const proposal = await requireProposal(context, args.id);
+        let support;
+        let votes;
+        try {
+            support = parseSupport(args.support);
+            votes = hre.ethers.parseEther(args.votes);
+        } catch (error) {
+            throw fail(error.shortMessage ?? error.message);
+        }
+
+        await send(
+            args.reason
+                ? governor.castQuadraticVoteWithReason(proposal.proposalId, support, votes, args.reason)
+                : governor.castQuadraticVote(proposal.proposalId, support, votes)
+        );
+        const [remaining, used] = await governor.getQuadraticVotingPower(proposal.proposalId, signer.address);
+        console.log(
+            `${signer.address} bought ${args.votes} ${SUPPORT[support]} votes on proposal ${proposal.proposalId}; ` +
+                `${units(used)} GT of voting power used, ${units(remaining)} GT remaining`
+        );
+        return { remaining, used };
+    });
+
+governanceTask("gov:queue", "Queues a succeeded proposal in the timelock")
+    .addParam("id", "Proposal id")
+    .setAction(async (args, hre) => {
+        const context = await connect(hre, args);
+        const proposal = await requireProposal(context, args.id);
+        await send(context.governor.queue(...proposalCall(proposal)));
+        const eta = await context.governor.proposalEta(proposal.proposalId);
+        console.log(`Proposal ${proposal.proposalId} queued; executable from ${new Date(Number(eta) * 1000).toISOString()}`);
+        return { eta };
+    });
+
+governanceTask("gov:execute", "Executes a queued proposal once its timelock delay has passed")
+    .addParam("id", "Proposal id")
+    .setAction(async (args, hre) => {
+        const context = await connect(hre, args);
+        const proposal = await requireProposal(context, args.id);
+        const receipt = await send(context.governor.execute(...proposalCall(proposal)));
+        console.log(`Proposal ${proposal.proposalId} executed in block ${receipt.blockNumber}`);
+        return { blockNumber: receipt.blockNumber };
+    });
+
+governanceTask("gov:delegate", "Delegates the sending account's votes")
+    .addOptionalParam("to", "Delegate address (default: the sending account itself)")
+    .setAction(async (args, hre) => {
+        const context = await connect(hre, args);
+        const { signer, token } = context;
+        const delegatee = args.to ?? signer.address;
+        if (!hre.ethers.isAddress(delegatee)) throw fail(`Invalid delegate address "${delegatee}"`);
+        await send(token.delegate(delegatee));
+        const votes = await token.getVotes(delegatee);
+        console.log(`${signer.address} delegated to ${delegatee}, who now has ${units(votes)} GT of votes`);
+        return { votes };
+    });
+
+governanceTask("gov:status", "Prints a proposal's state and tally, or every proposal's")
+    .addOptionalParam("id", "Proposal id (default: all proposals)")
+    .addOptionalParam("format", "table or json", "table")
+    .setAction(async (args, hre) => {
+        if (!["table", "json"].includes(args.format)) throw fail(`Unknown format "${args.format}"; use table or json`);
+        const context = await connect(hre, args);
+        const proposals =
+            args.id === undefined
+                ? await findProposals(context.governor, context.fromBlock)
+                : [await requireProposal(context, args.id)];
+        const statuses = [];
+        for (const proposal of proposals) statuses.push(await readProposalStatus(context.governor, proposal));
+
+        if (args.format === "json") {
+            console.log(toJson(args.id === undefined ? statuses : statuses[0]));
+        } else if (args.id !== undefined) {
+            console.log(formatStatus(statuses[0]));
+        } else {
+            console.log(statuses.length ? formatStatusList(statuses) : "No proposals yet");
+        }
+        return args.id === undefined ? statuses : statuses[0];
+    });
+
+task("gov:simulate", "Dry-runs a proposal's actions as the timelock on a fork of a node, without changing the node")
+    .addParam("id", "Proposal id")
+    .addOptionalParam("option", "Option number to run for Approval and Ranked choice proposals (default: the winner)")
+    .addOptionalParam("fork", "JSON-RPC URL of the node to fork", "http://127.0.0.1:8545")
+    .addOptionalParam("governor", "MyGovernor address (default: the forked chain's recorded deployment)")
+    .addOptionalParam("format", "table or json", "table")
+    .setAction(async (args, hre) => {
+        if (!["table", "json"].includes(args.format)) throw fail(`Unknown format "${args.format}"; use table or json`);
+        let simulation;
+        try {
+            const [option] = args.option === undefined ? [] : parseOptionList(args.option);
+            simulation = await simulateProposal(hre, { ...args, proposalId: args.id, option });
+        } catch (error) {
+            throw fail(error.message);
+        }
+
+        if (args.format === "json") {
+            console.log(toJson(simulation));
+        } else {
+            const option = simulation.label === null ? "" : ` option ${simulation.option + 1} (${simulation.label})`;
+            const { proposalId, chainId, blockNumber } = simulation;
+            console.log(`Proposal ${proposalId}${option} on chain ${chainId} at block ${blockNumber}`);
+            console.log(formatSimulation(simulation.report, units));
+        }
+        return simulation;
+    });
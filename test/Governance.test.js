@@ -1,9 +1,67 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
-const { time, mine, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { artifacts, ethers, network, run } = require("hardhat");
+const { time, mine, loadFixture, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { BALLOT_TYPES, QUADRATIC_BALLOT_TYPES, governorDomain } = require("../scripts/lib/ballots");
+const { createBallotRelayer } = require("../scripts/lib/relayer");
+const { createProposalIndexer } = require("../scripts/lib/indexer");
+const { DELEGATION_TYPES, tokenDomain } = require("../scripts/lib/delegations");
+const { aliasMessage, createAliasRegistry } = require("../scripts/lib/aliases");
+const { loadGovernanceConfig } = require("../scripts/lib/governanceConfig");
+const { signAttestation } = require("../scripts/lib/attestations");
+const {
+    FRONTEND_CONTRACTS,
+    abiHash,
+    checkExistingDeployment,
+    getGovernorFactory,
+    loadDeployment,
+    loadDeployments,
+    recordDeployment
+} = require("../scripts/lib/deployment");
+const {
+    contentId,
+    createContentStore,
+    encodeMetadata,
+    metadataDescription,
+    parseDescription,
+    validateMetadata
+} = require("../scripts/lib/metadata");
+const { commentMessage, createDraftStore, validateDraftContent } = require("../scripts/lib/drafts");
+const { ERROR_MESSAGES, decodeRevert, describeError } = require("../scripts/lib/errors");
+const { proposalActions } = require("../scripts/lib/proposals");
+const {
+    analyticsCsv,
+    computeAnalytics,
+    giniCoefficient,
+    nakamotoCoefficient
+} = require("../scripts/lib/analytics");
+const {
+    deploymentContracts,
+    formatSimulation,
+    governanceCallSlot,
+    simulateActions
+} = require("../scripts/lib/simulation");
 
 describe("🎯 COMPREHENSIVE Governance Test Suite", function () {
 
+    const MIN_DELAY = 3600; // Timelock delay: 1 hour
+
+    // MyGovernor.GovernorParams the suite is written against (the guardian is added by the fixture)
+    const GOVERNOR_PARAMS = {
+        votingDelay: 0,
+        votingPeriod: 50400,
+        proposalThreshold: ethers.parseEther("1000"),
+        quorumNumerator: 4,
+        quadraticQuorumNumerator: 4
+    };
+
+    // GovernanceToken's annual inflation cap in basis points (2%)
+    const MAX_INFLATION_BPS = 200;
+
     // ============================================
     // FIXTURES & SETUP
     // ============================================
@@ -13,17 +71,55 @@ describe("🎯 COMPREHENSIVE Governance Test Suite", function () {
         const [owner, addr1, addr2, addr3, addr4, addr5] = signers;
         // Use a fresh signer for independent tests to avoid pre-existing delegation
         const freshUser = signers[10];
+        // Veto power is held by its own account, not the owner
+        const guardian = signers[9];
+        // Signs voter registry attestations
+        const issuer = signers[8];
 
         // Deploy Token
         const Token = await ethers.getContractFactory("GovernanceToken");
-        const token = await Token.deploy();
+        const token = await Token.deploy(owner.address, MAX_INFLATION_BPS);
         await token.waitForDeployment();
 
+        // Deploy Timelock (executor & treasury)
+        const Timelock = await ethers.getContractFactory("TimelockController");
+        const timelock = await Timelock.deploy(MIN_DELAY, [], [], owner.address);
+        await timelock.waitForDeployment();
+
+        // Deploy Voter Registry (allowlist owned by the timelock, attestations signed by the issuer)
+        const Registry = await ethers.getContractFactory("VoterRegistry");
+        const registry = await Registry.deploy(await timelock.getAddress(), issuer.address);
+        await registry.waitForDeployment();
+
         // Deploy Governor
-        const Governor = await ethers.getContractFactory("MyGovernor");
-        const governor = await Governor.deploy(await token.getAddress());
+        const Governor = await getGovernorFactory(ethers);
+        const governor = await Governor.deploy(await token.getAddress(), await timelock.getAddress(), {
+            ...GOVERNOR_PARAMS,
+            guardian: guardian.address,
+            voterRegistry: await registry.getAddress()
+        });
         await governor.waitForDeployment();
 
+        // Wire governor as the only proposer/canceller, allow anyone to execute
+        const governorAddress = await governor.getAddress();
+        await timelock.grantRole(await timelock.PROPOSER_ROLE(), governorAddress);
+        await timelock.grantRole(await timelock.CANCELLER_ROLE(), governorAddress);
+        await timelock.grantRole(await timelock.EXECUTOR_ROLE(), ethers.ZeroAddress);
+
+        // Governance mints new supply and owns the token's minting settings
+        await token.setMinter(await timelock.getAddress());
+        await token.transferOwnership(await timelock.getAddress());
+
+        // Deploy Treasury (funds move only through the timelock)
+        const Treasury = await ethers.getContractFactory("Treasury");
+        const treasury = await Treasury.deploy(await timelock.getAddress());
+        await treasury.waitForDeployment();
+
+        // Deploy Vesting Wallet Factory (grants are funded by whoever creates them)
+        const VestingFactory = await ethers.getContractFactory("VestingWalletFactory");
+        const vestingFactory = await VestingFactory.deploy(await token.getAddress());
+        await vestingFactory.waitForDeployment();
+
         // Distribute tokens
         await token.transfer(addr1.address, ethers.parseEther("50000"));  // Big whale
         await token.transfer(addr2.address, ethers.parseEther("10000"));  // Medium holder
@@ -42,6 +138,7 @@ describe("🎯 COMPREHENSIVE Governance Test Suite", function () {
         return {
             token,
             governor,
+            timelock,
             owner,
             addr1,
             addr2,
@@ -49,11 +146,56 @@ describe("🎯 COMPREHENSIVE Governance Test Suite", function () {
             addr4,
             addr5,
             freshUser,
+            guardian,
+            issuer,
+            registry,
+            vestingFactory,
+            treasury,
             tokenAddress: await token.getAddress(),
-            governorAddress: await governor.getAddress()
+            governorAddress,
+            timelockAddress: await timelock.getAddress(),
+            registryAddress: await registry.getAddress(),
+            vestingFactoryAddress: await vestingFactory.getAddress(),
+            treasuryAddress: await treasury.getAddress()
         };
     }
 
+    // Passes and executes a governance proposal made of `actions` ([target, calldata] pairs)
+    async function executeByGovernance(fixture, actions, description) {
+        const { governor, addr1, addr2 } = fixture;
+        const args = [actions.map(([target]) => target), actions.map(() => 0), actions.map(([, data]) => data)];
+
+        const tx = await governor.connect(addr1)["propose(address[],uint256[],bytes[],string)"](...args, description);
+        const receipt = await tx.wait();
+        const pid = receipt.logs.find(log => log.fragment?.name === 'ProposalCreated').args[0];
+        await mine(1);
+        await governor.connect(addr1).castVote(pid, 1);
+        await governor.connect(addr2).castVote(pid, 1);
+        await mine(50401);
+        await governor.queue(...args, ethers.id(description));
+        await time.increase(MIN_DELAY);
+        return governor.execute(...args, ethers.id(description));
+    }
+
+    // Creates a proposal transferring 0 GT to addr1 with the given voting type, and mines its voting delay
+    async function createProposal(fixture, description, votingType) {
+        const { governor, token, addr1, tokenAddress } = fixture;
+        const calldata = token.interface.encodeFunctionData("transfer", [addr1.address, 0]);
+        const tx = await governor.connect(addr1)["propose(address[],uint256[],bytes[],string,uint8)"](
+            [tokenAddress], [0], [calldata], description, votingType
+        );
+        const receipt = await tx.wait();
+        const event = receipt.logs.find(log => log.fragment?.name === 'ProposalCreated');
+        await mine(1);
+        return event.args[0];
+    }
+
+    // In-memory stand-in for the indexer's JSON file store
+    function memoryStore() {
+        let data = null;
+        return { load: () => data, save: (next) => { data = JSON.parse(JSON.stringify(next)); } };
+    }
+
     // ============================================
     // 1. TOKEN & DELEGATION TESTS
     // ============================================
@@ -397,6 +539,14 @@ describe("🎯 COMPREHENSIVE Governance Test Suite", function () {
             const votingPower = await token.getVotes(addr1.address);
             expect(votes[2]).to.equal(votingPower); // abstainVotes
         });
+
+        it("Should emit the voter's reason in VoteCast", async function () {
+            const votingPower = await token.getVotes(addr1.address);
+
+            await expect(governor.connect(addr1).castVoteWithReason(proposalId, 1, "Aligns with the roadmap"))
+                .to.emit(governor, "VoteCast")
+                .withArgs(addr1.address, proposalId, 1, votingPower, "Aligns with the roadmap");
+        });
     });
 
     // ============================================
@@ -428,25 +578,284 @@ describe("🎯 COMPREHENSIVE Governance Test Suite", function () {
             expect(used).to.equal(ethers.parseEther("100")); // Cost = 100
         });
 
-        it("Should prevent double voting in QV", async function () {
+        it("Should emit the voter's reason with quadratic votes", async function () {
+            const { governor, token, addr2, tokenAddress } = await loadFixture(deployGovernanceFixture);
+
+            const calldata = token.interface.encodeFunctionData("transfer", [addr2.address, 0]);
+            const tx = await governor.connect(addr2)["propose(address[],uint256[],bytes[],string,uint8)"](
+                [tokenAddress], [0], [calldata], "QV Reason", 1
+            );
+            const receipt = await tx.wait();
+            const pid = receipt.logs.find(log => log.fragment?.name === 'ProposalCreated').args[0];
+            await mine(1);
+
+            const numVotes = ethers.parseEther("10");
+            const params = ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [numVotes]);
+            await expect(governor.connect(addr2).castQuadraticVoteWithReason(pid, 1, numVotes, "Worth 100 GT to me"))
+                .to.emit(governor, "VoteCastWithParams")
+                .withArgs(addr2.address, pid, 1, numVotes, "Worth 100 GT to me", params);
+
+            const [votes, cost] = await governor.quadraticBallot(pid, addr2.address);
+            expect(votes).to.equal(numVotes);
+            expect(cost).to.equal(ethers.parseEther("100"));
+        });
+
+        it("Should reject reasoned quadratic votes on standard proposals", async function () {
+            const { governor, token, addr2, tokenAddress } = await loadFixture(deployGovernanceFixture);
+
+            const calldata = token.interface.encodeFunctionData("transfer", [addr2.address, 0]);
+            const tx = await governor.connect(addr2)["propose(address[],uint256[],bytes[],string)"](
+                [tokenAddress], [0], [calldata], "Standard Reason"
+            );
+            const receipt = await tx.wait();
+            const pid = receipt.logs.find(log => log.fragment?.name === 'ProposalCreated').args[0];
+            await mine(1);
+
+            await expect(
+                governor.connect(addr2).castQuadraticVoteWithReason(pid, 1, ethers.parseEther("1"), "Nope")
+            ).to.be.revertedWithCustomError(governor, "MyGovernor__InvalidVotingType");
+        });
+
+        it("Should allow topping up votes on the same side", async function () {
             const { governor, token, addr2, tokenAddress } = await loadFixture(deployGovernanceFixture);
 
             const calldata = token.interface.encodeFunctionData("transfer", [addr2.address, 0]);
             const tx = await governor.connect(addr2)["propose(address[],uint256[],bytes[],string,uint8)"](
-                [tokenAddress], [0], [calldata], "QV Double", 1
+                [tokenAddress], [0], [calldata], "QV Top Up", 1
             );
             const receipt = await tx.wait();
             const event = receipt.logs.find(log => log.fragment?.name === 'ProposalCreated');
             const pid = event.args[0];
             await mine(1);
 
-            // First vote: 10 votes (cost 100) -- VALID
+            // First vote: 10 votes (cost 100)
             await governor.connect(addr2).castQuadraticVote(pid, 1, ethers.parseEther("10"));
 
-            // Second vote -- SHOULD FAIL (Single vote policy)
+            // Top-up: +20 votes on the same side
             await expect(
                 governor.connect(addr2).castQuadraticVote(pid, 1, ethers.parseEther("20"))
+            ).to.emit(governor, "VoteCastWithParams");
+
+            const votes = await governor.proposalVotes(pid);
+            expect(votes[1]).to.equal(ethers.parseEther("30")); // Tally reflects the total
+            expect(await governor.hasVoted(pid, addr2.address)).to.equal(true);
+        });
+
+        it("Should charge cumulative cost (total² − previous²) on top-ups", async function () {
+            const { governor, token, addr2, tokenAddress } = await loadFixture(deployGovernanceFixture);
+
+            const calldata = token.interface.encodeFunctionData("transfer", [addr2.address, 0]);
+            const tx = await governor.connect(addr2)["propose(address[],uint256[],bytes[],string,uint8)"](
+                [tokenAddress], [0], [calldata], "QV Cumulative Cost", 1
+            );
+            const receipt = await tx.wait();
+            const event = receipt.logs.find(log => log.fragment?.name === 'ProposalCreated');
+            const pid = event.args[0];
+            await mine(1);
+
+            await governor.connect(addr2).castQuadraticVote(pid, 1, ethers.parseEther("10")); // cost 100
+            await governor.connect(addr2).castQuadraticVote(pid, 1, ethers.parseEther("20")); // +800 (900 − 100)
+            await governor.connect(addr2).castQuadraticVote(pid, 1, ethers.parseEther("10")); // +700 (1600 − 900)
+
+            // Not 10² + 20² + 10² = 600: the ballot is priced on its 40 total votes
+            const [votesCast, cost, support] = await governor.quadraticBallot(pid, addr2.address);
+            expect(votesCast).to.equal(ethers.parseEther("40"));
+            expect(cost).to.equal(ethers.parseEther("1600"));
+            expect(support).to.equal(1);
+
+            const [remaining, used, total] = await governor.getQuadraticVotingPower(pid, addr2.address);
+            expect(used).to.equal(ethers.parseEther("1600"));
+            expect(remaining).to.equal(total - used);
+        });
+
+        it("Should reject top-ups that exceed the remaining budget", async function () {
+            const { governor, token, addr2, tokenAddress } = await loadFixture(deployGovernanceFixture);
+
+            const calldata = token.interface.encodeFunctionData("transfer", [addr2.address, 0]);
+            const tx = await governor.connect(addr2)["propose(address[],uint256[],bytes[],string,uint8)"](
+                [tokenAddress], [0], [calldata], "QV Budget Top Up", 1
+            );
+            const receipt = await tx.wait();
+            const event = receipt.logs.find(log => log.fragment?.name === 'ProposalCreated');
+            const pid = event.args[0];
+            await mine(1);
+
+            // addr2 has 10,000 power: 90 votes cost 8,100
+            await governor.connect(addr2).castQuadraticVote(pid, 1, ethers.parseEther("90"));
+
+            // 101 total votes would cost 10,201 (> 10,000): charged 2,101 with 1,900 remaining
+            await expect(
+                governor.connect(addr2).castQuadraticVote(pid, 1, ethers.parseEther("11"))
+            ).to.be.revertedWithCustomError(governor, "MyGovernor__InsufficientVotingPower")
+                .withArgs(ethers.parseEther("2101"), ethers.parseEther("1900"));
+
+            // Exactly 100 total votes spends the whole budget
+            await governor.connect(addr2).castQuadraticVote(pid, 1, ethers.parseEther("10"));
+            const [remaining] = await governor.getQuadraticVotingPower(pid, addr2.address);
+            expect(remaining).to.equal(0);
+        });
+
+        it("Should reject topping up on a different side", async function () {
+            const { governor, token, addr2, tokenAddress } = await loadFixture(deployGovernanceFixture);
+
+            const calldata = token.interface.encodeFunctionData("transfer", [addr2.address, 0]);
+            const tx = await governor.connect(addr2)["propose(address[],uint256[],bytes[],string,uint8)"](
+                [tokenAddress], [0], [calldata], "QV Side Switch", 1
+            );
+            const receipt = await tx.wait();
+            const event = receipt.logs.find(log => log.fragment?.name === 'ProposalCreated');
+            const pid = event.args[0];
+            await mine(1);
+
+            await governor.connect(addr2).castQuadraticVote(pid, 1, ethers.parseEther("10"));
+
+            await expect(
+                governor.connect(addr2).castQuadraticVote(pid, 0, ethers.parseEther("5"))
+            ).to.be.revertedWithCustomError(governor, "GovernorCountingQuadratic__SupportMismatch")
+                .withArgs(addr2.address, 1, 0);
+            await expect(
+                governor.connect(addr2).castQuadraticVote(pid, 2, ethers.parseEther("5"))
+            ).to.be.revertedWithCustomError(governor, "GovernorCountingQuadratic__SupportMismatch");
+        });
+
+        it("Should reject standard ballots on a quadratic proposal", async function () {
+            const { governor, token, addr1, tokenAddress } = await loadFixture(deployGovernanceFixture);
+
+            const calldata = token.interface.encodeFunctionData("transfer", [addr1.address, 0]);
+            const tx = await governor.connect(addr1)["propose(address[],uint256[],bytes[],string,uint8)"](
+                [tokenAddress], [0], [calldata], "QV Only", 1
+            );
+            const receipt = await tx.wait();
+            const event = receipt.logs.find(log => log.fragment?.name === 'ProposalCreated');
+            const pid = event.args[0];
+            await mine(1);
+
+            await expect(
+                governor.connect(addr1).castVote(pid, 1)
+            ).to.be.revertedWithCustomError(governor, "MyGovernor__InvalidVotingType");
+        });
+
+        it("Should enforce the QV budget on castVoteWithReasonAndParams", async function () {
+            const { governor, token, addr2, tokenAddress } = await loadFixture(deployGovernanceFixture);
+
+            const calldata = token.interface.encodeFunctionData("transfer", [addr2.address, 0]);
+            const tx = await governor.connect(addr2)["propose(address[],uint256[],bytes[],string,uint8)"](
+                [tokenAddress], [0], [calldata], "QV Params Bypass", 1
+            );
+            const receipt = await tx.wait();
+            const event = receipt.logs.find(log => log.fragment?.name === 'ProposalCreated');
+            const pid = event.args[0];
+            await mine(1);
+
+            const params = ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [ethers.parseEther("1000")]);
+            await expect(
+                governor.connect(addr2).castVoteWithReasonAndParams(pid, 1, "", params)
+            ).to.be.revertedWithCustomError(governor, "MyGovernor__InsufficientVotingPower");
+        });
+
+        it("Should split a quadratic ballot across sides and price the whole ballot", async function () {
+            const { governor, token, addr2, tokenAddress } = await loadFixture(deployGovernanceFixture);
+
+            const calldata = token.interface.encodeFunctionData("transfer", [addr2.address, 0]);
+            const tx = await governor.connect(addr2)["propose(address[],uint256[],bytes[],string,uint8)"](
+                [tokenAddress], [0], [calldata], "QV Split", 1
+            );
+            const receipt = await tx.wait();
+            const event = receipt.logs.find(log => log.fragment?.name === 'ProposalCreated');
+            const pid = event.args[0];
+            await mine(1);
+
+            // 6 For + 2 Abstain: cost = (6 + 2)² = 64, not 6² + 2² = 40
+            await expect(
+                governor.connect(addr2).castQuadraticSplitVote(pid, 0, ethers.parseEther("6"), ethers.parseEther("2"))
+            ).to.emit(governor, "VoteCastWithParams");
+
+            const votes = await governor.proposalVotes(pid);
+            expect(votes[0]).to.equal(0);
+            expect(votes[1]).to.equal(ethers.parseEther("6"));
+            expect(votes[2]).to.equal(ethers.parseEther("2"));
+
+            const [againstVotes, forVotes, abstainVotes, cost] = await governor.quadraticBallotAllocation(pid, addr2.address);
+            expect(againstVotes).to.equal(0);
+            expect(forVotes).to.equal(ethers.parseEther("6"));
+            expect(abstainVotes).to.equal(ethers.parseEther("2"));
+            expect(cost).to.equal(ethers.parseEther("64"));
+
+            const [votesCast, , support] = await governor.quadraticBallot(pid, addr2.address);
+            expect(votesCast).to.equal(ethers.parseEther("8"));
+            expect(support).to.equal(await governor.VOTE_TYPE_SPLIT());
+
+            const [, used] = await governor.getQuadraticVotingPower(pid, addr2.address);
+            expect(used).to.equal(ethers.parseEther("64"));
+        });
+
+        it("Should treat split ballots as final", async function () {
+            const { governor, token, addr1, addr2, tokenAddress } = await loadFixture(deployGovernanceFixture);
+
+            const calldata = token.interface.encodeFunctionData("transfer", [addr2.address, 0]);
+            const tx = await governor.connect(addr2)["propose(address[],uint256[],bytes[],string,uint8)"](
+                [tokenAddress], [0], [calldata], "QV Split Final", 1
+            );
+            const receipt = await tx.wait();
+            const event = receipt.logs.find(log => log.fragment?.name === 'ProposalCreated');
+            const pid = event.args[0];
+            await mine(1);
+
+            await governor.connect(addr2).castQuadraticSplitVote(pid, ethers.parseEther("1"), ethers.parseEther("3"), 0);
+
+            // No top-ups or second split after a split ballot
+            await expect(
+                governor.connect(addr2).castQuadraticVote(pid, 1, ethers.parseEther("1"))
+            ).to.be.revertedWithCustomError(governor, "GovernorAlreadyCastVote");
+            await expect(
+                governor.connect(addr2).castQuadraticSplitVote(pid, 0, ethers.parseEther("1"), 0)
             ).to.be.revertedWithCustomError(governor, "GovernorAlreadyCastVote");
+
+            // No split after a single-side ballot
+            await governor.connect(addr1).castQuadraticVote(pid, 1, ethers.parseEther("5"));
+            await expect(
+                governor.connect(addr1).castQuadraticSplitVote(pid, 0, ethers.parseEther("1"), ethers.parseEther("1"))
+            ).to.be.revertedWithCustomError(governor, "GovernorAlreadyCastVote");
+        });
+
+        it("Should reject split ballots exceeding the budget or empty", async function () {
+            const { governor, token, addr2, tokenAddress } = await loadFixture(deployGovernanceFixture);
+
+            const calldata = token.interface.encodeFunctionData("transfer", [addr2.address, 0]);
+            const tx = await governor.connect(addr2)["propose(address[],uint256[],bytes[],string,uint8)"](
+                [tokenAddress], [0], [calldata], "QV Split Budget", 1
+            );
+            const receipt = await tx.wait();
+            const event = receipt.logs.find(log => log.fragment?.name === 'ProposalCreated');
+            const pid = event.args[0];
+            await mine(1);
+
+            // 80 For + 30 Abstain = 110 votes: cost 12,100 > 10,000 even though 80² + 30² = 7,300
+            await expect(
+                governor.connect(addr2).castQuadraticSplitVote(pid, 0, ethers.parseEther("80"), ethers.parseEther("30"))
+            ).to.be.revertedWithCustomError(governor, "MyGovernor__InsufficientVotingPower")
+                .withArgs(ethers.parseEther("12100"), ethers.parseEther("10000"));
+
+            await expect(
+                governor.connect(addr2).castQuadraticSplitVote(pid, 0, 0, 0)
+            ).to.be.revertedWithCustomError(governor, "MyGovernor__ZeroVotesCast");
+        });
+
+        it("Should reject split ballots on standard proposals", async function () {
+            const { governor, token, addr1, tokenAddress } = await loadFixture(deployGovernanceFixture);
+
+            const calldata = token.interface.encodeFunctionData("transfer", [addr1.address, 0]);
+            const tx = await governor.connect(addr1)["propose(address[],uint256[],bytes[],string)"](
+                [tokenAddress], [0], [calldata], "Standard Not Split"
+            );
+            const receipt = await tx.wait();
+            const event = receipt.logs.find(log => log.fragment?.name === 'ProposalCreated');
+            const pid = event.args[0];
+            await mine(1);
+
+            await expect(
+                governor.connect(addr1).castQuadraticSplitVote(pid, 0, ethers.parseEther("1"), 0)
+            ).to.be.revertedWithCustomError(governor, "MyGovernor__InvalidVotingType");
         });
 
         it("Should reject if insufficient voting power", async function () {
@@ -683,6 +1092,92 @@ describe("🎯 COMPREHENSIVE Governance Test Suite", function () {
 
             expect(await governor.state(pid)).to.equal(4); // Succeeded
         });
+
+        async function createQuadraticProposal(fixture, description) {
+            const { governor, token, addr1, tokenAddress } = fixture;
+            const calldata = token.interface.encodeFunctionData("transfer", [addr1.address, 0]);
+            const tx = await governor.connect(addr1)["propose(address[],uint256[],bytes[],string,uint8)"](
+                [tokenAddress], [0], [calldata], description, 1
+            );
+            const receipt = await tx.wait();
+            const event = receipt.logs.find(log => log.fragment?.name === 'ProposalCreated');
+            await mine(1);
+            return event.args[0];
+        }
+
+        it("Should measure Quadratic quorum in voting power spent, not votes", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, token, addr1 } = fixture;
+            const pid = await createQuadraticProposal(fixture, "QV Quorum");
+
+            // 201 votes cost 40,401 GT: above the 4% quorum (40,000 GT) although the tally is only 201 votes
+            await governor.connect(addr1).castQuadraticVote(pid, 1, ethers.parseEther("201"));
+
+            const snapshot = await governor.proposalSnapshot(pid);
+            const expectedQuorum = (await token.getPastTotalSupply(snapshot)) * 4n / 100n;
+            expect(await governor.quadraticQuorum(snapshot)).to.equal(expectedQuorum);
+            expect(await governor.proposalQuorum(pid)).to.equal(expectedQuorum);
+            expect(await governor.proposalParticipation(pid)).to.equal(ethers.parseEther("40401"));
+
+            await mine(50401);
+            expect(await governor.state(pid)).to.equal(4); // Succeeded
+        });
+
+        it("Should defeat Quadratic proposals whose spent power is below quorum", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, addr1 } = fixture;
+            const pid = await createQuadraticProposal(fixture, "QV Low Participation");
+
+            // 199 votes cost 39,601 GT
+            await governor.connect(addr1).castQuadraticVote(pid, 1, ethers.parseEther("199"));
+            await mine(50401);
+
+            expect(await governor.proposalParticipation(pid)).to.equal(ethers.parseEther("39601"));
+            expect(await governor.state(pid)).to.equal(3); // Defeated
+        });
+
+        it("Should not count power spent Against towards Quadratic quorum", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, addr1, addr2 } = fixture;
+            const pid = await createQuadraticProposal(fixture, "QV Against");
+
+            await governor.connect(addr1).castQuadraticVote(pid, 0, ethers.parseEther("201"));
+            await governor.connect(addr2).castQuadraticVote(pid, 2, ethers.parseEther("50"));
+
+            expect(await governor.proposalParticipation(pid)).to.equal(ethers.parseEther("2500"));
+        });
+
+        it("Should count the For and Abstain share of a split ballot's cost", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, addr1 } = fixture;
+            const pid = await createQuadraticProposal(fixture, "QV Split Quorum");
+
+            // 200 votes cost 40,000 GT; 150 of them are For/Abstain, so 30,000 GT counts towards quorum
+            await governor.connect(addr1).castQuadraticSplitVote(
+                pid, ethers.parseEther("50"), ethers.parseEther("100"), ethers.parseEther("50")
+            );
+
+            expect(await governor.quadraticParticipation(pid)).to.equal(ethers.parseEther("30000"));
+        });
+
+        it("Should count Standard participation in For + Abstain votes", async function () {
+            const { governor, token, addr1, addr2, addr3, tokenAddress } = await loadFixture(deployGovernanceFixture);
+
+            const calldata = token.interface.encodeFunctionData("transfer", [addr1.address, 0]);
+            const tx = await governor.connect(addr1)["propose(address[],uint256[],bytes[],string)"](
+                [tokenAddress], [0], [calldata], "Standard Participation"
+            );
+            const receipt = await tx.wait();
+            const pid = receipt.logs.find(log => log.fragment?.name === 'ProposalCreated').args[0];
+
+            await mine(1);
+            await governor.connect(addr1).castVote(pid, 0);
+            await governor.connect(addr2).castVote(pid, 1);
+            await governor.connect(addr3).castVote(pid, 2);
+
+            expect(await governor.proposalParticipation(pid)).to.equal(ethers.parseEther("12000"));
+            expect(await governor.proposalQuorum(pid)).to.equal(await governor.quorum(await governor.proposalSnapshot(pid)));
+        });
     });
 
     // ============================================
@@ -895,4 +1390,2419 @@ describe("🎯 COMPREHENSIVE Governance Test Suite", function () {
             expect(await governor.proposalVotingTypes(pid2)).to.equal(1); // Quadratic
         });
     });
+
+    // ============================================
+    // 11. TIMELOCK QUEUE & EXECUTION TESTS
+    // ============================================
+
+    describe("1️⃣1️⃣ Timelock Queue & Execution", function () {
+
+        const treasuryGrant = ethers.parseEther("500");
+
+        // Creates a passed proposal paying `treasuryGrant` from the timelock treasury to addr3
+        async function succeededTreasuryProposal(fixture) {
+            const { governor, token, timelockAddress, owner, addr1, addr2, addr3, tokenAddress } = fixture;
+
+            await token.connect(owner).transfer(timelockAddress, ethers.parseEther("10000"));
+
+            const calldata = token.interface.encodeFunctionData("transfer", [addr3.address, treasuryGrant]);
+            const description = "Treasury Grant";
+            const tx = await governor.connect(addr1)["propose(address[],uint256[],bytes[],string)"](
+                [tokenAddress], [0], [calldata], description
+            );
+            const receipt = await tx.wait();
+            const event = receipt.logs.find(log => log.fragment?.name === 'ProposalCreated');
+            const pid = event.args[0];
+
+            await mine(1);
+            await governor.connect(addr1).castVote(pid, 1);
+            await governor.connect(addr2).castVote(pid, 1);
+            await mine(50401);
+
+            return {
+                pid,
+                args: [[tokenAddress], [0], [calldata], ethers.id(description)]
+            };
+        }
+
+        it("Should use the timelock as executor", async function () {
+            const { governor, timelockAddress } = await loadFixture(deployGovernanceFixture);
+
+            expect(await governor.timelock()).to.equal(timelockAddress);
+        });
+
+        it("Should require queuing before execution", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor } = fixture;
+            const { pid, args } = await succeededTreasuryProposal(fixture);
+
+            expect(await governor.state(pid)).to.equal(4); // Succeeded
+            expect(await governor.proposalNeedsQueuing(pid)).to.equal(true);
+
+            await expect(governor.execute(...args)).to.be.reverted;
+        });
+
+        it("Should transition to Queued with an ETA after queuing", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor } = fixture;
+            const { pid, args } = await succeededTreasuryProposal(fixture);
+
+            await expect(governor.queue(...args)).to.emit(governor, "ProposalQueued");
+
+            expect(await governor.state(pid)).to.equal(5); // Queued
+            const eta = await governor.proposalEta(pid);
+            expect(eta).to.equal(BigInt(await time.latest()) + BigInt(MIN_DELAY));
+        });
+
+        it("Should reject execution before the timelock delay elapses", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, timelock } = fixture;
+            const { args } = await succeededTreasuryProposal(fixture);
+
+            await governor.queue(...args);
+
+            await expect(governor.execute(...args))
+                .to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+        });
+
+        it("Should transition to Executed and move treasury funds after the delay", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, token, addr3, timelockAddress } = fixture;
+            const { pid, args } = await succeededTreasuryProposal(fixture);
+
+            await governor.queue(...args);
+            await time.increase(MIN_DELAY);
+
+            const initialBalance = await token.balanceOf(addr3.address);
+            const initialTreasury = await token.balanceOf(timelockAddress);
+
+            await expect(governor.execute(...args)).to.emit(governor, "ProposalExecuted").withArgs(pid);
+
+            expect(await governor.state(pid)).to.equal(7); // Executed
+            expect(await token.balanceOf(addr3.address)).to.equal(initialBalance + treasuryGrant);
+            expect(await token.balanceOf(timelockAddress)).to.equal(initialTreasury - treasuryGrant);
+        });
+
+        it("Should reject direct scheduling on the timelock by non-governor accounts", async function () {
+            const { timelock, addr1, tokenAddress } = await loadFixture(deployGovernanceFixture);
+
+            await expect(
+                timelock.connect(addr1).schedule(tokenAddress, 0, "0x", ethers.ZeroHash, ethers.ZeroHash, MIN_DELAY)
+            ).to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    // ============================================
+    // 12. GASLESS VOTING BY SIGNATURE TESTS
+    // ============================================
+
+    describe("1️⃣2️⃣ Gasless Voting by Signature", function () {
+
+        async function signQuadraticBallot(governor, signer, pid, support, numVotes) {
+            const { chainId } = await ethers.provider.getNetwork();
+            const nonce = await governor.nonces(signer.address);
+            return signer.signTypedData(
+                { name: "MyGovernor", version: "1", chainId, verifyingContract: await governor.getAddress() },
+                QUADRATIC_BALLOT_TYPES,
+                { proposalId: pid, support, numVotes, voter: signer.address, nonce }
+            );
+        }
+
+        it("Should count a relayed quadratic ballot for the signer", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, addr2, addr5 } = fixture;
+            const pid = await createProposal(fixture, "QV By Sig", 1);
+
+            const numVotes = ethers.parseEther("10");
+            const signature = await signQuadraticBallot(governor, addr2, pid, 1, numVotes);
+
+            // addr5 pays the gas, addr2's ballot is counted
+            await expect(governor.connect(addr5).castQuadraticVoteBySig(pid, 1, numVotes, addr2.address, signature))
+                .to.emit(governor, "VoteCastWithParams");
+
+            const [votes, cost, support] = await governor.quadraticBallot(pid, addr2.address);
+            expect(votes).to.equal(numVotes);
+            expect(cost).to.equal(ethers.parseEther("100"));
+            expect(support).to.equal(1);
+            expect(await governor.hasVoted(pid, addr5.address)).to.equal(false);
+            expect(await governor.nonces(addr2.address)).to.equal(1);
+        });
+
+        it("Should reject a replayed quadratic ballot signature", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, addr2 } = fixture;
+            const pid = await createProposal(fixture, "QV Replay", 1);
+
+            const numVotes = ethers.parseEther("10");
+            const signature = await signQuadraticBallot(governor, addr2, pid, 1, numVotes);
+            await governor.castQuadraticVoteBySig(pid, 1, numVotes, addr2.address, signature);
+
+            await expect(governor.castQuadraticVoteBySig(pid, 1, numVotes, addr2.address, signature))
+                .to.be.revertedWithCustomError(governor, "GovernorInvalidSignature")
+                .withArgs(addr2.address);
+        });
+
+        it("Should reject a quadratic ballot whose fields differ from the signed ones", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, addr2, addr3 } = fixture;
+            const pid = await createProposal(fixture, "QV Tamper", 1);
+
+            const signature = await signQuadraticBallot(governor, addr2, pid, 1, ethers.parseEther("10"));
+
+            await expect(governor.castQuadraticVoteBySig(pid, 1, ethers.parseEther("20"), addr2.address, signature))
+                .to.be.revertedWithCustomError(governor, "GovernorInvalidSignature");
+            await expect(governor.castQuadraticVoteBySig(pid, 1, ethers.parseEther("10"), addr3.address, signature))
+                .to.be.revertedWithCustomError(governor, "GovernorInvalidSignature");
+        });
+
+        it("Should enforce the quadratic budget on signed ballots", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, addr5 } = fixture;
+            const pid = await createProposal(fixture, "QV Sig Budget", 1);
+
+            // addr5 holds 100 GT: 11 votes cost 121
+            const numVotes = ethers.parseEther("11");
+            const signature = await signQuadraticBallot(governor, addr5, pid, 1, numVotes);
+
+            await expect(governor.castQuadraticVoteBySig(pid, 1, numVotes, addr5.address, signature))
+                .to.be.revertedWithCustomError(governor, "MyGovernor__InsufficientVotingPower");
+        });
+
+        it("Should relay a batch of standard and quadratic ballots", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, owner, addr1, addr2, addr3 } = fixture;
+            const standardPid = await createProposal(fixture, "Relay Standard", 0);
+            const quadraticPid = await createProposal(fixture, "Relay QV", 1);
+
+            const domain = await governorDomain(governor);
+            const sign = async (signer, nonce, ballot) => {
+                const types = ballot.kind === "quadratic" ? QUADRATIC_BALLOT_TYPES : BALLOT_TYPES;
+                const signature = await signer.signTypedData(domain, types, { ...ballot, voter: signer.address, nonce });
+                return { ...ballot, voter: signer.address, signature };
+            };
+
+            const relayer = createBallotRelayer({ governor: governor.connect(owner), batchSize: 10, log: () => {} });
+
+            // addr2 queues two ballots, signed over consecutive nonces
+            await relayer.submit(await sign(addr1, 0n, { kind: "standard", proposalId: standardPid, support: 1 }));
+            await relayer.submit(await sign(addr2, 0n, { kind: "standard", proposalId: standardPid, support: 0 }));
+            await relayer.submit(await sign(addr2, 1n, {
+                kind: "quadratic", proposalId: quadraticPid, support: 1, numVotes: ethers.parseEther("5")
+            }));
+
+            // Signature for the wrong nonce is rejected before reaching the chain
+            const stale = await sign(addr3, 5n, { kind: "standard", proposalId: standardPid, support: 1 });
+            let submitError;
+            try {
+                await relayer.submit(stale);
+            } catch (error) {
+                submitError = error;
+            }
+            expect(submitError.message).to.contain("Signature does not match");
+
+            const batch = await relayer.flush();
+            expect(batch.map(entry => entry.status)).to.deep.equal(["submitted", "submitted", "submitted"]);
+
+            const [against, forVotes] = await governor.proposalVotes(standardPid);
+            expect(forVotes).to.equal(ethers.parseEther("50000"));
+            expect(against).to.equal(ethers.parseEther("10000"));
+
+            const [votes] = await governor.quadraticBallot(quadraticPid, addr2.address);
+            expect(votes).to.equal(ethers.parseEther("5"));
+            expect(relayer.pending()).to.equal(0);
+        });
+
+        it("Should fail the signer's later ballots when a relayed ballot reverts", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, owner, addr1, addr5 } = fixture;
+            const standardPid = await createProposal(fixture, "Relay Standard", 0);
+            const quadraticPid = await createProposal(fixture, "Relay QV", 1);
+
+            const domain = await governorDomain(governor);
+            const sign = async (signer, nonce, ballot) => {
+                const types = ballot.kind === "quadratic" ? QUADRATIC_BALLOT_TYPES : BALLOT_TYPES;
+                const signature = await signer.signTypedData(domain, types, { ...ballot, voter: signer.address, nonce });
+                return { ...ballot, voter: signer.address, signature };
+            };
+            const relayer = createBallotRelayer({ governor: governor.connect(owner), batchSize: 10, log: () => {} });
+
+            // addr5 holds 100 GT: 11 votes cost 121, so its first ballot reverts and leaves nonce 0 unused
+            await relayer.submit(await sign(addr5, 0n, {
+                kind: "quadratic", proposalId: quadraticPid, support: 1, numVotes: ethers.parseEther("11")
+            }));
+            await relayer.submit(await sign(addr1, 0n, { kind: "standard", proposalId: standardPid, support: 1 }));
+            await relayer.submit(await sign(addr5, 1n, { kind: "standard", proposalId: standardPid, support: 1 }));
+
+            const batch = await relayer.flush();
+            expect(batch.map(entry => entry.status)).to.deep.equal(["failed", "submitted", "failed"]);
+            expect(batch[0].error).to.equal("This vote needs 121 GT of voting power, 100 GT remaining");
+            expect(batch[2].error).to.contain("Signed after quadratic #1, which failed and left its nonce unused");
+            expect(batch[2].txHash).to.equal(null);
+            expect(await governor.nonces(addr5.address)).to.equal(0n);
+
+            // Signed again over the unused nonce, the ballot goes through
+            await relayer.submit(await sign(addr5, 0n, { kind: "standard", proposalId: standardPid, support: 1 }));
+            expect((await relayer.flush()).map(entry => entry.status)).to.deep.equal(["submitted"]);
+            expect(await governor.hasVoted(standardPid, addr5.address)).to.equal(true);
+        });
+    });
+
+    // ============================================
+    // 13. PROPOSAL INDEXER TESTS
+    // ============================================
+
+    describe("1️⃣3️⃣ Proposal Indexer", function () {
+
+        it("Should index proposals with tallies, state and per-voter ballots", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, addr1, addr2, addr3 } = fixture;
+            const standardPid = await createProposal(fixture, "Indexed Standard", 0);
+            const quadraticPid = await createProposal(fixture, "Indexed QV", 1);
+
+            await governor.connect(addr1).castVoteWithReason(standardPid, 1, "Ship it");
+            await governor.connect(addr2).castVote(standardPid, 0);
+            await governor.connect(addr2).castQuadraticVote(quadraticPid, 1, ethers.parseEther("10"));
+            await governor.connect(addr2).castQuadraticVote(quadraticPid, 1, ethers.parseEther("5"));
+            await governor.connect(addr3).castQuadraticSplitVote(
+                quadraticPid, ethers.parseEther("2"), ethers.parseEther("6"), 0
+            );
+
+            const indexer = createProposalIndexer({ governor, store: memoryStore(), log: () => {} });
+            await indexer.sync();
+
+            const proposals = indexer.proposals(addr2.address);
+            expect(proposals.map(p => p.description)).to.deep.equal(["Indexed QV", "Indexed Standard"]);
+
+            for (const pid of [standardPid, quadraticPid]) {
+                const indexed = indexer.proposal(pid.toString());
+                const [against, forVotes, abstain] = await governor.proposalVotes(pid);
+                expect([indexed.againstVotes, indexed.forVotes, indexed.abstainVotes])
+                    .to.deep.equal([against.toString(), forVotes.toString(), abstain.toString()]);
+                expect(indexed.state).to.equal(Number(await governor.state(pid)));
+                expect(indexed.participation).to.equal((await governor.proposalParticipation(pid)).toString());
+            }
+
+            const standard = indexer.proposal(standardPid.toString());
+            expect(standard.votes[0]).to.include({ voter: addr1.address, support: 1, reason: "Ship it" });
+
+            // addr2 topped up to 15 QV votes (cost 225); addr3 split 2 Against / 6 For (cost 64)
+            const [qvProposal] = proposals;
+            expect(qvProposal.votingType).to.equal(1);
+            expect(qvProposal.voterBallot).to.include({ forVotes: ethers.parseEther("15").toString(), support: 1 });
+            expect(qvProposal.voterBallot.cost).to.equal(ethers.parseEther("225").toString());
+
+            const splitBallot = indexer.proposal(quadraticPid.toString()).ballots[addr3.address];
+            expect(splitBallot).to.include({ againstVotes: ethers.parseEther("2").toString(), support: 255 });
+            expect(splitBallot.cost).to.equal(ethers.parseEther("64").toString());
+        });
+
+        it("Should serve paginated vote history with costs, turnout and quorum", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, addr1, addr2, addr3 } = fixture;
+            const pid = await createProposal(fixture, "Detail QV", 1);
+
+            await governor.connect(addr2).castQuadraticVote(pid, 1, ethers.parseEther("10"));
+            await governor.connect(addr2).castQuadraticVote(pid, 1, ethers.parseEther("20"));
+            await governor.connect(addr3).castQuadraticVote(pid, 0, ethers.parseEther("4"));
+            await governor.connect(addr1).castQuadraticVote(pid, 2, ethers.parseEther("1"));
+
+            const indexer = createProposalIndexer({ governor, store: memoryStore(), log: () => {} });
+            await indexer.sync();
+
+            const firstPage = indexer.votes(pid.toString(), { page: 1, pageSize: 3 });
+            expect(firstPage.total).to.equal(4);
+            expect(firstPage.votes.map(v => v.voter)).to.deep.equal([addr1.address, addr3.address, addr2.address]);
+            // addr2's top-up from 10 to 30 votes costs 900 - 100 = 800
+            expect(firstPage.votes[2].cost).to.equal(ethers.parseEther("800").toString());
+
+            const secondPage = indexer.votes(pid.toString(), { page: 2, pageSize: 3 });
+            expect(secondPage.votes).to.have.length(1);
+            expect(secondPage.votes[0].cost).to.equal(ethers.parseEther("100").toString());
+
+            const detail = indexer.proposalDetail(pid.toString());
+            expect(detail.voteCount).to.equal(4);
+            expect(detail.voterCount).to.equal(3);
+            // Quadratic quorum and participation are measured in voting power spent on For and Abstain
+            expect(detail.quorum).to.equal((await governor.quadraticQuorum(detail.voteStart)).toString());
+            expect(detail.turnout).to.have.length(4);
+            expect(detail.turnout[3]).to.include({
+                forVotes: ethers.parseEther("30").toString(),
+                againstVotes: ethers.parseEther("4").toString(),
+                abstainVotes: ethers.parseEther("1").toString(),
+                participation: ethers.parseEther("901").toString()
+            });
+            expect(detail.participation).to.equal((await governor.proposalParticipation(pid)).toString());
+
+            // Ids from the URL path never resolve to Object.prototype members
+            expect(indexer.proposal("constructor")).to.equal(null);
+            expect(indexer.proposalDetail("toString")).to.equal(null);
+            expect(indexer.votes("hasOwnProperty")).to.equal(null);
+        });
+
+        it("Should resume from the stored block on restart", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, addr1 } = fixture;
+            const store = memoryStore();
+            const pid = await createProposal(fixture, "Resume", 0);
+
+            await createProposalIndexer({ governor, store, log: () => {} }).sync();
+            await governor.connect(addr1).castVote(pid, 1);
+
+            // A fresh indexer picks up only the new vote from the persisted database
+            const restarted = createProposalIndexer({ governor, store, log: () => {} });
+            expect(await restarted.sync()).to.equal(1);
+            expect(restarted.proposal(pid.toString()).forVotes).to.equal(ethers.parseEther("50000").toString());
+        });
+
+        it("Should roll back events from blocks that were reorged away", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor } = fixture;
+            const indexer = createProposalIndexer({ governor, store: memoryStore(), log: () => {} });
+            await createProposal(fixture, "Kept", 0);
+
+            const snapshot = await ethers.provider.send("evm_snapshot", []);
+            await createProposal(fixture, "Orphaned", 0);
+            await indexer.sync();
+            expect(indexer.proposals().map(p => p.description)).to.deep.equal(["Orphaned", "Kept"]);
+
+            // Replace the orphaned blocks with a different chain of the same height
+            await ethers.provider.send("evm_revert", [snapshot]);
+            await mine(3);
+            await indexer.sync();
+
+            expect(indexer.proposals().map(p => p.description)).to.deep.equal(["Kept"]);
+            expect(indexer.status().lastBlock).to.equal(await ethers.provider.getBlockNumber());
+        });
+    });
+
+    // ============================================
+    // 14. DELEGATE DIRECTORY TESTS
+    // ============================================
+
+    describe("1️⃣4️⃣ Delegate Directory", function () {
+
+        async function signDelegation(token, signer, delegatee, nonce) {
+            const expiry = BigInt(await time.latest()) + 3600n;
+            const signature = await signer.signTypedData(
+                await tokenDomain(token),
+                DELEGATION_TYPES,
+                { delegatee, nonce, expiry }
+            );
+            return {
+                kind: "delegation",
+                delegator: signer.address,
+                delegatee,
+                nonce: nonce.toString(),
+                expiry: expiry.toString(),
+                signature
+            };
+        }
+
+        it("Should rank delegates by current and historical votes", async function () {
+            const { governor, token, owner, addr1, addr2, addr4, addr5 } = await loadFixture(deployGovernanceFixture);
+
+            const before = await ethers.provider.getBlockNumber();
+            await token.connect(addr4).delegate(addr2.address);
+            await token.connect(addr5).delegate(addr2.address);
+            await mine(1);
+
+            const indexer = createProposalIndexer({ governor, token, store: memoryStore(), log: () => {} });
+            await indexer.sync();
+
+            const current = indexer.delegates();
+            expect(current[0].address).to.equal(owner.address); // Holds the undistributed supply
+            for (const delegate of current) {
+                expect(delegate.votes).to.equal((await token.getVotes(delegate.address)).toString());
+            }
+
+            const addr2Record = current.find(d => d.address === addr2.address);
+            expect(addr2Record.votes).to.equal(ethers.parseEther("10600").toString());
+            expect(addr2Record.delegators).to.have.members([addr2.address, addr4.address, addr5.address]);
+            expect(current.find(d => d.address === addr4.address)).to.equal(undefined);
+
+            // Historical ranking matches getPastVotes
+            const past = indexer.delegates(before);
+            for (const delegate of past) {
+                expect(delegate.votes).to.equal((await token.getPastVotes(delegate.address, before)).toString());
+            }
+            expect(past.find(d => d.address === addr2.address).votes).to.equal(ethers.parseEther("10000").toString());
+            expect(current.findIndex(d => d.address === addr1.address)).to.be.lessThan(
+                current.findIndex(d => d.address === addr2.address)
+            );
+        });
+
+        it("Should relay signed delegations through delegateBySig", async function () {
+            const { governor, token, owner, addr1, freshUser } = await loadFixture(deployGovernanceFixture);
+            await token.transfer(freshUser.address, ethers.parseEther("300"));
+
+            const relayer = createBallotRelayer({ governor, token: token.connect(owner), log: () => {} });
+            await relayer.submitDelegation(await signDelegation(token, freshUser, addr1.address, 0n));
+
+            // A second delegation from the same account must use the next nonce
+            let staleError;
+            try {
+                await relayer.submitDelegation(await signDelegation(token, freshUser, addr1.address, 0n));
+            } catch (error) {
+                staleError = error;
+            }
+            expect(staleError.message).to.contain("is not the next nonce");
+
+            const [entry] = await relayer.flush();
+            expect(entry.status).to.equal("submitted");
+            expect(await token.delegates(freshUser.address)).to.equal(addr1.address);
+            expect(await token.getVotes(addr1.address)).to.equal(ethers.parseEther("50300"));
+        });
+
+        it("Should only register aliases signed by the aliased account", async function () {
+            const { addr1, addr2 } = await loadFixture(deployGovernanceFixture);
+            const file = path.join(os.tmpdir(), `aliases-${Date.now()}.json`);
+            const registry = createAliasRegistry(file);
+
+            const signature = await addr1.signMessage(aliasMessage("whale", addr1.address));
+            registry.register("whale", addr1.address, signature);
+            expect(registry.resolve("whale")).to.equal(addr1.address);
+            expect(registry.aliasOf(addr1.address)).to.equal("whale");
+
+            // addr2 cannot claim an alias for addr1, nor take an alias already in use
+            const forged = await addr2.signMessage(aliasMessage("fake-whale", addr1.address));
+            expect(() => registry.register("fake-whale", addr1.address, forged)).to.throw("Signature was not made by");
+            const taken = await addr2.signMessage(aliasMessage("whale", addr2.address));
+            expect(() => registry.register("whale", addr2.address, taken)).to.throw("already taken");
+
+            // The registry survives a restart
+            expect(createAliasRegistry(file).resolve("whale")).to.equal(addr1.address);
+            fs.rmSync(file);
+        });
+
+        it("Should treat Object.prototype names as ordinary aliases", async function () {
+            const { addr1 } = await loadFixture(deployGovernanceFixture);
+            const file = path.join(os.tmpdir(), `aliases-${Date.now()}.json`);
+            const registry = createAliasRegistry(file);
+
+            expect(registry.resolve("constructor")).to.equal(null);
+            expect(registry.resolve("hasownproperty")).to.equal(null);
+            registry.register("constructor", addr1.address, await addr1.signMessage(aliasMessage("constructor", addr1.address)));
+            expect(createAliasRegistry(file).resolve("constructor")).to.equal(addr1.address);
+            fs.rmSync(file);
+        });
+    });
+
+    // ============================================
+    // 15. PROPOSAL CANCELLATION & GUARDIAN VETO TESTS
+    // ============================================
+
+    describe("1️⃣5️⃣ Proposal Cancellation & Guardian Veto", function () {
+
+        const description = "Suspicious Grant";
+
+        async function createProposal(fixture) {
+            const { governor, token, addr1, addr3, tokenAddress } = fixture;
+            const calldata = token.interface.encodeFunctionData("transfer", [addr3.address, ethers.parseEther("500")]);
+            const tx = await governor.connect(addr1)["propose(address[],uint256[],bytes[],string)"](
+                [tokenAddress], [0], [calldata], description
+            );
+            const receipt = await tx.wait();
+            const event = receipt.logs.find(log => log.fragment?.name === 'ProposalCreated');
+            return {
+                pid: event.args[0],
+                args: [[tokenAddress], [0], [calldata], ethers.id(description)]
+            };
+        }
+
+        async function succeededProposal(fixture) {
+            const { governor, addr1, addr2 } = fixture;
+            const proposal = await createProposal(fixture);
+            await mine(1);
+            await governor.connect(addr1).castVote(proposal.pid, 1);
+            await governor.connect(addr2).castVote(proposal.pid, 1);
+            await mine(50401);
+            return proposal;
+        }
+
+        // Proposes and cancels in the same block, while the proposal is still Pending
+        async function cancelWhilePending(fixture, cancel) {
+            const { governor, token, addr1, addr3, tokenAddress } = fixture;
+            const calldata = token.interface.encodeFunctionData("transfer", [addr3.address, ethers.parseEther("500")]);
+            const args = [[tokenAddress], [0], [calldata], ethers.id(description)];
+
+            await network.provider.send("evm_setAutomine", [false]);
+            try {
+                const proposeTx = await governor.connect(addr1)["propose(address[],uint256[],bytes[],string)"](
+                    ...args.slice(0, 3), description
+                );
+                const cancelTx = await cancel(args);
+                await mine(1);
+                await proposeTx.wait();
+                return { pid: await governor.getProposalId(...args), receipt: await cancelTx.wait() };
+            } finally {
+                await network.provider.send("evm_setAutomine", [true]);
+            }
+        }
+
+        it("Should let the proposer cancel while Pending", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, addr1 } = fixture;
+
+            const { pid, receipt } = await cancelWhilePending(fixture, (args) => governor.connect(addr1).cancel(...args));
+
+            expect(receipt.logs.some(log => log.fragment?.name === 'ProposalCanceled')).to.equal(true);
+            expect(await governor.state(pid)).to.equal(2); // Canceled
+        });
+
+        it("Should let the proposer cancel while Active", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, addr1, addr2 } = fixture;
+            const { pid, args } = await createProposal(fixture);
+            await mine(1);
+            await governor.connect(addr2).castVote(pid, 0);
+
+            expect(await governor.state(pid)).to.equal(1); // Active
+            await expect(governor.connect(addr1).cancel(...args))
+                .to.emit(governor, "ProposalCanceled").withArgs(pid);
+            expect(await governor.state(pid)).to.equal(2); // Canceled
+        });
+
+        it("Should reject cancellation by other accounts or after voting ends", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, addr1, addr2 } = fixture;
+            const { pid, args } = await succeededProposal(fixture);
+
+            await expect(governor.connect(addr2).cancel(...args))
+                .to.be.revertedWithCustomError(governor, "GovernorUnableToCancel").withArgs(pid, addr2.address);
+            await expect(governor.connect(addr1).cancel(...args))
+                .to.be.revertedWithCustomError(governor, "GovernorUnableToCancel").withArgs(pid, addr1.address);
+        });
+
+        it("Should let the guardian veto a Pending proposal", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, guardian } = fixture;
+
+            const { pid, receipt } = await cancelWhilePending(fixture,
+                (args) => governor.connect(guardian).vetoProposal(...args, "Malicious target")
+            );
+
+            const vetoed = receipt.logs.find(log => log.fragment?.name === 'ProposalVetoed');
+            expect(vetoed.args).to.deep.equal([pid, guardian.address, "Malicious target"]);
+            expect(await governor.state(pid)).to.equal(2); // Canceled
+        });
+
+        it("Should let the guardian veto an Active proposal with a reason", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, guardian } = fixture;
+            const { pid, args } = await createProposal(fixture);
+            await mine(1);
+
+            await expect(governor.connect(guardian).vetoProposal(...args, "Drains the treasury"))
+                .to.emit(governor, "ProposalVetoed").withArgs(pid, guardian.address, "Drains the treasury")
+                .and.to.emit(governor, "ProposalCanceled").withArgs(pid);
+            expect(await governor.state(pid)).to.equal(2); // Canceled
+        });
+
+        it("Should let the guardian veto a Succeeded proposal", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, guardian } = fixture;
+            const { pid, args } = await succeededProposal(fixture);
+
+            expect(await governor.state(pid)).to.equal(4); // Succeeded
+            await governor.connect(guardian).vetoProposal(...args, "Vote was bought");
+            expect(await governor.state(pid)).to.equal(2); // Canceled
+            await expect(governor.queue(...args)).to.be.revertedWithCustomError(governor, "GovernorUnexpectedProposalState");
+        });
+
+        it("Should cancel the timelock operation when vetoing a Queued proposal", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, timelock, guardian } = fixture;
+            const { pid, args } = await succeededProposal(fixture);
+
+            await governor.queue(...args);
+            expect(await governor.state(pid)).to.equal(5); // Queued
+            const [targets, values, calldatas, descriptionHash] = args;
+            // GovernorTimelockControl salts operations with bytes20(governor) ^ descriptionHash
+            const salt = ethers.toBeHex((BigInt(await governor.getAddress()) << 96n) ^ BigInt(descriptionHash), 32);
+            const operationId = await timelock.hashOperationBatch(targets, values, calldatas, ethers.ZeroHash, salt);
+            expect(await timelock.isOperationPending(operationId)).to.equal(true);
+
+            await governor.connect(guardian).vetoProposal(...args, "Exploit found during the delay");
+
+            expect(await governor.state(pid)).to.equal(2); // Canceled
+            expect(await timelock.isOperation(operationId)).to.equal(false);
+            await time.increase(MIN_DELAY);
+            await expect(governor.execute(...args)).to.be.revertedWithCustomError(governor, "GovernorUnexpectedProposalState");
+        });
+
+        it("Should reject vetoes from non-guardians, including the owner", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, owner, addr1 } = fixture;
+            const { args } = await createProposal(fixture);
+
+            await expect(governor.connect(owner).vetoProposal(...args, "No"))
+                .to.be.revertedWithCustomError(governor, "MyGovernor__NotGuardian").withArgs(owner.address);
+            await expect(governor.connect(addr1).vetoProposal(...args, "No"))
+                .to.be.revertedWithCustomError(governor, "MyGovernor__NotGuardian").withArgs(addr1.address);
+        });
+
+        it("Should reject vetoes of Defeated or Executed proposals", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, guardian } = fixture;
+            const { pid, args } = await createProposal(fixture);
+            await mine(50402);
+
+            expect(await governor.state(pid)).to.equal(3); // Defeated
+            await expect(governor.connect(guardian).vetoProposal(...args, "Too late"))
+                .to.be.revertedWithCustomError(governor, "GovernorUnexpectedProposalState");
+        });
+
+        it("Should allow vetoes while the governor is paused", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, owner, guardian } = fixture;
+            const { pid, args } = await createProposal(fixture);
+            await mine(1);
+
+            await governor.connect(owner).pause();
+            await governor.connect(guardian).vetoProposal(...args, "Emergency");
+            expect(await governor.state(pid)).to.equal(2); // Canceled
+        });
+
+        it("Should index a veto with the guardian's reason", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, guardian } = fixture;
+            const { pid, args } = await createProposal(fixture);
+            await mine(1);
+            await governor.connect(guardian).vetoProposal(...args, "Drains the treasury");
+
+            const indexer = createProposalIndexer({ governor, store: memoryStore(), log: () => {} });
+            await indexer.sync();
+
+            const indexed = indexer.proposal(pid.toString());
+            expect(indexed.state).to.equal(2); // Canceled
+            expect(indexed.canceledBlock).to.not.equal(null);
+            expect(indexed.veto.guardian).to.equal(guardian.address);
+            expect(indexed.veto.reason).to.equal("Drains the treasury");
+        });
+
+        it("Should only change the guardian through governance", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, owner, guardian, addr1, addr2, governorAddress } = fixture;
+
+            await expect(governor.connect(owner).setGuardian(addr2.address))
+                .to.be.revertedWithCustomError(governor, "GovernorOnlyExecutor");
+
+            const calldata = governor.interface.encodeFunctionData("setGuardian", [addr2.address]);
+            const tx = await governor.connect(addr1)["propose(address[],uint256[],bytes[],string)"](
+                [governorAddress], [0], [calldata], "Rotate guardian"
+            );
+            const receipt = await tx.wait();
+            const pid = receipt.logs.find(log => log.fragment?.name === 'ProposalCreated').args[0];
+            const args = [[governorAddress], [0], [calldata], ethers.id("Rotate guardian")];
+
+            await mine(1);
+            await governor.connect(addr1).castVote(pid, 1);
+            await mine(50401);
+            await governor.queue(...args);
+            await time.increase(MIN_DELAY);
+            await expect(governor.execute(...args))
+                .to.emit(governor, "GuardianSet").withArgs(guardian.address, addr2.address);
+
+            expect(await governor.guardian()).to.equal(addr2.address);
+        });
+    });
+
+    // ============================================
+    // 16. GOVERNANCE PARAMETERS TESTS
+    // ============================================
+
+    describe("1️⃣6️⃣ Governance Parameters", function () {
+
+        // Passes and executes a proposal calling `functionName(value)` on the governor
+        async function executeSetting(fixture, functionName, value) {
+            const { governor, addr1, addr2, governorAddress } = fixture;
+            const calldata = governor.interface.encodeFunctionData(functionName, [value]);
+            const description = `${functionName}(${value})`;
+            const args = [[governorAddress], [0], [calldata], ethers.id(description)];
+
+            const tx = await governor.connect(addr1)["propose(address[],uint256[],bytes[],string)"](
+                ...args.slice(0, 3), description
+            );
+            const receipt = await tx.wait();
+            const pid = receipt.logs.find(log => log.fragment?.name === 'ProposalCreated').args[0];
+
+            await mine(Number(await governor.votingDelay()) + 1);
+            await governor.connect(addr1).castVote(pid, 1);
+            await governor.connect(addr2).castVote(pid, 1);
+            await mine(Number(await governor.votingPeriod()));
+            await governor.queue(...args);
+            await time.increase(MIN_DELAY);
+            return governor.execute(...args);
+        }
+
+        it("Should deploy with the parameters passed to the constructor", async function () {
+            const { token, timelock, guardian } = await loadFixture(deployGovernanceFixture);
+            const Governor = await getGovernorFactory(ethers);
+            const governor = await Governor.deploy(await token.getAddress(), await timelock.getAddress(), {
+                votingDelay: 7200,
+                votingPeriod: 21600,
+                proposalThreshold: ethers.parseEther("250"),
+                quorumNumerator: 10,
+                quadraticQuorumNumerator: 2,
+                guardian: guardian.address,
+                voterRegistry: ethers.ZeroAddress
+            });
+
+            expect(await governor.votingDelay()).to.equal(7200);
+            expect(await governor.votingPeriod()).to.equal(21600);
+            expect(await governor.proposalThreshold()).to.equal(ethers.parseEther("250"));
+            expect(await governor["quorumNumerator()"]()).to.equal(10);
+            expect(await governor["quadraticQuorumNumerator()"]()).to.equal(2);
+            expect(await governor.guardian()).to.equal(guardian.address);
+        });
+
+        it("Should reject setting changes that do not come from governance", async function () {
+            const { governor, owner } = await loadFixture(deployGovernanceFixture);
+
+            await expect(governor.connect(owner).setVotingDelay(1))
+                .to.be.revertedWithCustomError(governor, "GovernorOnlyExecutor");
+            await expect(governor.connect(owner).setVotingPeriod(100))
+                .to.be.revertedWithCustomError(governor, "GovernorOnlyExecutor");
+            await expect(governor.connect(owner).setProposalThreshold(0))
+                .to.be.revertedWithCustomError(governor, "GovernorOnlyExecutor");
+            await expect(governor.connect(owner).updateQuorumNumerator(50))
+                .to.be.revertedWithCustomError(governor, "GovernorOnlyExecutor");
+        });
+
+        it("Should update the voting delay through an executed proposal", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, token, addr1, tokenAddress } = fixture;
+
+            await expect(executeSetting(fixture, "setVotingDelay", 10))
+                .to.emit(governor, "VotingDelaySet").withArgs(0, 10);
+            expect(await governor.votingDelay()).to.equal(10);
+
+            const calldata = token.interface.encodeFunctionData("transfer", [addr1.address, 0]);
+            const tx = await governor.connect(addr1)["propose(address[],uint256[],bytes[],string)"](
+                [tokenAddress], [0], [calldata], "Delayed"
+            );
+            const receipt = await tx.wait();
+            const pid = receipt.logs.find(log => log.fragment?.name === 'ProposalCreated').args[0];
+            expect(await governor.proposalSnapshot(pid)).to.equal(receipt.blockNumber + 10);
+
+            await mine(1);
+            expect(await governor.state(pid)).to.equal(0); // Still Pending
+        });
+
+        it("Should update the voting period through an executed proposal", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, token, addr1, tokenAddress } = fixture;
+
+            await expect(executeSetting(fixture, "setVotingPeriod", 100))
+                .to.emit(governor, "VotingPeriodSet").withArgs(50400, 100);
+
+            const calldata = token.interface.encodeFunctionData("transfer", [addr1.address, 0]);
+            const tx = await governor.connect(addr1)["propose(address[],uint256[],bytes[],string)"](
+                [tokenAddress], [0], [calldata], "Short vote"
+            );
+            const receipt = await tx.wait();
+            const pid = receipt.logs.find(log => log.fragment?.name === 'ProposalCreated').args[0];
+            expect(await governor.proposalDeadline(pid)).to.equal(receipt.blockNumber + 100);
+
+            await mine(101);
+            expect(await governor.state(pid)).to.equal(3); // Defeated once the shorter period ends
+        });
+
+        it("Should make proposalThreshold follow the threshold set by governance", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, token, addr4, addr5, tokenAddress } = fixture;
+            const newThreshold = ethers.parseEther("400");
+
+            await expect(executeSetting(fixture, "setProposalThreshold", newThreshold))
+                .to.emit(governor, "ProposalThresholdSet").withArgs(ethers.parseEther("1000"), newThreshold);
+            expect(await governor.proposalThreshold()).to.equal(newThreshold);
+
+            // addr4 (500 GT) can now propose; addr5 (100 GT) is checked against the new threshold
+            const calldata = token.interface.encodeFunctionData("transfer", [addr4.address, 0]);
+            await expect(governor.connect(addr4)["propose(address[],uint256[],bytes[],string)"](
+                [tokenAddress], [0], [calldata], "Smaller holder proposal"
+            )).to.emit(governor, "ProposalCreated");
+            await expect(governor.connect(addr5)["propose(address[],uint256[],bytes[],string)"](
+                [tokenAddress], [0], [calldata], "Tiny holder proposal"
+            )).to.be.revertedWithCustomError(governor, "MyGovernor__BelowProposalThreshold")
+                .withArgs(ethers.parseEther("100"), newThreshold);
+        });
+
+        it("Should update the quorum numerator through an executed proposal", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, token } = fixture;
+
+            await expect(executeSetting(fixture, "updateQuorumNumerator", 10))
+                .to.emit(governor, "QuorumNumeratorUpdated").withArgs(4, 10);
+
+            await mine(1);
+            const block = (await ethers.provider.getBlockNumber()) - 1;
+            expect(await governor["quorumNumerator()"]()).to.equal(10);
+            expect(await governor.quorum(block)).to.equal((await token.getPastTotalSupply(block)) / 10n);
+        });
+
+        it("Should update the Quadratic quorum numerator through an executed proposal", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, token } = fixture;
+            const before = await ethers.provider.getBlockNumber();
+
+            await expect(executeSetting(fixture, "updateQuadraticQuorumNumerator", 2))
+                .to.emit(governor, "QuadraticQuorumNumeratorUpdated").withArgs(4, 2);
+            await mine(1);
+
+            const block = (await ethers.provider.getBlockNumber()) - 1;
+            expect(await governor["quadraticQuorumNumerator()"]()).to.equal(2);
+            expect(await governor["quadraticQuorumNumerator(uint256)"](before)).to.equal(4);
+            expect(await governor.quadraticQuorum(block)).to.equal((await token.getPastTotalSupply(block)) * 2n / 100n);
+            // The Standard quorum is unaffected
+            expect(await governor["quorumNumerator()"]()).to.equal(4);
+        });
+
+        it("Should reject a Quadratic quorum numerator above the denominator", async function () {
+            const { token, timelock, guardian } = await loadFixture(deployGovernanceFixture);
+            const Governor = await getGovernorFactory(ethers);
+
+            await expect(Governor.deploy(await token.getAddress(), await timelock.getAddress(), {
+                ...GOVERNOR_PARAMS,
+                quadraticQuorumNumerator: 101,
+                guardian: guardian.address,
+                voterRegistry: ethers.ZeroAddress
+            })).to.be.revertedWithCustomError(Governor, "GovernorInvalidQuorumFraction").withArgs(101, 100);
+        });
+
+        it("Should load per-network deployment parameters from the config file", async function () {
+            const root = path.join(__dirname, "..");
+            const config = loadGovernanceConfig(root, "hardhat");
+            expect(config.governor).to.deep.equal({ ...GOVERNOR_PARAMS, guardian: null });
+            expect(config.timelockDelay).to.equal(MIN_DELAY);
+            expect(config.voterIssuer).to.equal(null);
+            expect(config.maxInflationBps).to.equal(MAX_INFLATION_BPS);
+
+            expect(() => loadGovernanceConfig(root, "mainnet")).to.throw('No governance parameters for network "mainnet"');
+
+            const file = path.join(os.tmpdir(), `governance-${Date.now()}.json`);
+            fs.writeFileSync(file, JSON.stringify({
+                test: { votingDelay: 0, votingPeriod: 10, proposalThreshold: "1", quorumNumerator: 101, quadraticQuorumNumerator: 4, timelockDelay: 0 }
+            }));
+            expect(() => loadGovernanceConfig(root, "test", file)).to.throw("test.quorumNumerator must be an integer");
+            fs.rmSync(file);
+        });
+    });
+
+    // ============================================
+    // 17. VOTER REGISTRY & SYBIL RESISTANCE TESTS
+    // ============================================
+
+    describe("1️⃣7️⃣ Voter Registry & Sybil Resistance", function () {
+
+        // Passes and executes a governance proposal calling `registry.setRegistered(voters, registered)`
+        async function setRegisteredByGovernance(fixture, voters, registered) {
+            const { governor, registry, addr1, addr2, registryAddress } = fixture;
+            const calldata = registry.interface.encodeFunctionData("setRegistered", [voters, registered]);
+            const description = `Registry update ${voters.join(",")} ${registered}`;
+            const args = [[registryAddress], [0], [calldata], ethers.id(description)];
+
+            const tx = await governor.connect(addr1)["propose(address[],uint256[],bytes[],string)"](
+                ...args.slice(0, 3), description
+            );
+            const receipt = await tx.wait();
+            const pid = receipt.logs.find(log => log.fragment?.name === 'ProposalCreated').args[0];
+            await mine(1);
+            await governor.connect(addr1).castVote(pid, 1);
+            await governor.connect(addr2).castVote(pid, 1);
+            await mine(50401);
+            await governor.queue(...args);
+            await time.increase(MIN_DELAY);
+            return governor.execute(...args);
+        }
+
+        async function createQuadraticProposal(fixture, description, requireRegistration) {
+            const { governor, token, addr1, tokenAddress } = fixture;
+            const calldata = token.interface.encodeFunctionData("transfer", [addr1.address, 0]);
+            const tx = await governor.connect(addr1)["propose(address[],uint256[],bytes[],string,uint8,bool)"](
+                [tokenAddress], [0], [calldata], description, 1, requireRegistration
+            );
+            const receipt = await tx.wait();
+            const event = receipt.logs.find(log => log.fragment?.name === 'ProposalCreated');
+            await mine(1);
+            return event.args[0];
+        }
+
+        const deadline = async () => BigInt(await time.latest()) + 3600n;
+
+        it("Should only let governance edit the allowlist", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { registry, owner, addr3, timelockAddress } = fixture;
+
+            expect(await registry.owner()).to.equal(timelockAddress);
+            await expect(registry.connect(owner).setRegistered([addr3.address], true))
+                .to.be.revertedWithCustomError(registry, "OwnableUnauthorizedAccount");
+
+            await expect(setRegisteredByGovernance(fixture, [addr3.address], true))
+                .to.emit(registry, "RegistrationChanged").withArgs(addr3.address, true, timelockAddress);
+            expect(await registry.isRegistered(addr3.address)).to.equal(true);
+
+            await setRegisteredByGovernance(fixture, [addr3.address], false);
+            expect(await registry.isRegistered(addr3.address)).to.equal(false);
+        });
+
+        it("Should register voters with single-use issuer attestations", async function () {
+            const { registry, issuer, addr3, addr5 } = await loadFixture(deployGovernanceFixture);
+            const attestation = await signAttestation(registry, issuer, addr3.address, await deadline());
+
+            // Anyone may relay the attestation
+            await expect(registry.connect(addr5).registerWithAttestation(
+                attestation.voter, attestation.deadline, attestation.signature
+            )).to.emit(registry, "RegistrationChanged").withArgs(addr3.address, true, issuer.address);
+            expect(await registry.isRegistered(addr3.address)).to.equal(true);
+
+            // The voter's nonce moved on, so the same attestation cannot be replayed
+            await expect(registry.registerWithAttestation(attestation.voter, attestation.deadline, attestation.signature))
+                .to.be.revertedWithCustomError(registry, "VoterRegistry__InvalidAttestation").withArgs(addr3.address);
+        });
+
+        it("Should reject attestations that are forged or expired", async function () {
+            const { registry, issuer, addr3, addr4 } = await loadFixture(deployGovernanceFixture);
+
+            const forged = await signAttestation(registry, addr4, addr4.address, await deadline());
+            await expect(registry.registerWithAttestation(forged.voter, forged.deadline, forged.signature))
+                .to.be.revertedWithCustomError(registry, "VoterRegistry__InvalidAttestation").withArgs(addr4.address);
+
+            const expiry = await deadline();
+            const expired = await signAttestation(registry, issuer, addr3.address, expiry);
+            await time.increase(3601);
+            await expect(registry.registerWithAttestation(expired.voter, expired.deadline, expired.signature))
+                .to.be.revertedWithCustomError(registry, "VoterRegistry__AttestationExpired").withArgs(expiry);
+        });
+
+        it("Should only flag Quadratic proposals and require a configured registry", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, token, timelock, addr1, guardian, tokenAddress } = fixture;
+            const calldata = token.interface.encodeFunctionData("transfer", [addr1.address, 0]);
+
+            await expect(governor.connect(addr1)["propose(address[],uint256[],bytes[],string,uint8,bool)"](
+                [tokenAddress], [0], [calldata], "Standard with registry", 0, true
+            )).to.be.revertedWithCustomError(governor, "MyGovernor__InvalidVotingType");
+
+            const Governor = await getGovernorFactory(ethers);
+            const unregistered = await Governor.deploy(tokenAddress, await timelock.getAddress(), {
+                ...GOVERNOR_PARAMS,
+                guardian: guardian.address,
+                voterRegistry: ethers.ZeroAddress
+            });
+            await expect(unregistered.connect(addr1)["propose(address[],uint256[],bytes[],string,uint8,bool)"](
+                [tokenAddress], [0], [calldata], "QV without registry", 1, true
+            )).to.be.revertedWithCustomError(unregistered, "MyGovernor__VoterRegistryNotSet");
+
+            await expect(governor.connect(addr1).setVoterRegistry(ethers.ZeroAddress))
+                .to.be.revertedWithCustomError(governor, "GovernorOnlyExecutor");
+        });
+
+        it("Should check registration at the proposal snapshot", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, registry, issuer, addr2, addr3, registryAddress } = fixture;
+
+            const early = await signAttestation(registry, issuer, addr2.address, await deadline());
+            await registry.registerWithAttestation(early.voter, early.deadline, early.signature);
+
+            const pid = await createQuadraticProposal(fixture, "Registered voters only", true);
+            expect(await governor.proposalVoterRegistry(pid)).to.equal(registryAddress);
+
+            const indexer = createProposalIndexer({ governor, store: { load: () => null, save: () => {} }, log: () => {} });
+            await indexer.sync();
+            expect(indexer.proposal(pid.toString()).voterRegistry).to.equal(registryAddress);
+
+            // Registering after the snapshot is too late for this proposal
+            const late = await signAttestation(registry, issuer, addr3.address, await deadline());
+            await registry.registerWithAttestation(late.voter, late.deadline, late.signature);
+
+            await expect(governor.connect(addr2).castQuadraticVote(pid, 1, ethers.parseEther("10")))
+                .to.emit(governor, "VoteCastWithParams");
+            await expect(governor.connect(addr3).castQuadraticVote(pid, 1, ethers.parseEther("10")))
+                .to.be.revertedWithCustomError(governor, "MyGovernor__VoterNotRegistered").withArgs(addr3.address);
+        });
+
+        it("Should stop split-wallet attacks from gaining votes", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, token, registry, issuer, owner } = fixture;
+            const signers = await ethers.getSigners();
+            const attacker = signers[11];
+            const sybils = signers.slice(12, 15);
+            const stake = ethers.parseEther("10000");
+
+            // The attacker spreads 10,000 GT over four self-delegated wallets and registers only their own identity
+            await token.connect(owner).transfer(attacker.address, stake);
+            for (const sybil of sybils) {
+                await token.connect(attacker).transfer(sybil.address, stake / 4n);
+                await token.connect(sybil).delegate(sybil.address);
+            }
+            await token.connect(attacker).delegate(attacker.address);
+            const attestation = await signAttestation(registry, issuer, attacker.address, await deadline());
+            await registry.registerWithAttestation(attestation.voter, attestation.deadline, attestation.signature);
+
+            const open = await createQuadraticProposal(fixture, "Open QV", false);
+            const restricted = await createQuadraticProposal(fixture, "Registered QV", true);
+
+            // Without the registry each 2,500 GT wallet buys 50 votes: 200 votes instead of 100 from one wallet
+            const walletVotes = ethers.parseEther("50");
+            for (const wallet of [attacker, ...sybils]) {
+                await governor.connect(wallet).castQuadraticVote(open, 1, walletVotes);
+            }
+            expect((await governor.proposalVotes(open))[1]).to.equal(ethers.parseEther("200"));
+
+            // With the registry the extra wallets cannot vote, so the attacker gets no more than 100 votes
+            await governor.connect(attacker).castQuadraticVote(restricted, 1, walletVotes);
+            for (const sybil of sybils) {
+                await expect(governor.connect(sybil).castQuadraticVote(restricted, 1, walletVotes))
+                    .to.be.revertedWithCustomError(governor, "MyGovernor__VoterNotRegistered").withArgs(sybil.address);
+                await expect(governor.connect(sybil).castQuadraticSplitVote(restricted, 0, walletVotes, 0))
+                    .to.be.revertedWithCustomError(governor, "MyGovernor__VoterNotRegistered");
+            }
+            const [, restrictedFor] = await governor.proposalVotes(restricted);
+            expect(restrictedFor).to.equal(walletVotes);
+            expect(restrictedFor).to.be.lte(ethers.parseEther("100"));
+        });
+    });
+
+    // ============================================
+    // 18. MULTI-OPTION PROPOSALS (APPROVAL & RANKED CHOICE)
+    // ============================================
+
+    describe("1️⃣8️⃣ Multi-Option Proposals", function () {
+
+        const APPROVAL = 2;
+        const RANKED_CHOICE = 3;
+        const VOTE_TYPE_OPTIONS = 254;
+        const grant = ethers.parseEther("100");
+
+        const optionsBallot = (options) => ethers.AbiCoder.defaultAbiCoder().encode(["uint256[]"], [options]);
+
+        // Proposal whose option `i` pays `grant` from the treasury to `recipients[i]`
+        async function createOptionsProposal(fixture, description, votingType, recipients) {
+            const { governor, token, addr1, tokenAddress } = fixture;
+            const targets = recipients.map(() => tokenAddress);
+            const values = recipients.map(() => 0);
+            const calldatas = recipients.map(r => token.interface.encodeFunctionData("transfer", [r.address, grant]));
+            const labels = recipients.map((_, i) => `Option ${i}`);
+            const optionEnds = recipients.map((_, i) => i + 1);
+
+            const tx = await governor.connect(addr1).proposeWithOptions(
+                targets, values, calldatas, labels, optionEnds, description, votingType
+            );
+            const receipt = await tx.wait();
+            const pid = receipt.logs.find(log => log.fragment?.name === 'ProposalCreated').args[0];
+            await mine(1);
+            return { pid, args: [targets, values, calldatas, ethers.id(description)] };
+        }
+
+        function castOptions(governor, voter, pid, options) {
+            return governor.connect(voter).castVoteWithReasonAndParams(
+                pid, VOTE_TYPE_OPTIONS, "", optionsBallot(options)
+            );
+        }
+
+        it("Should create options and reject invalid option layouts", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, token, addr1, addr2, addr3, tokenAddress } = fixture;
+            const library = await ethers.getContractFactory("MultiOptionVotes");
+            const calldata = token.interface.encodeFunctionData("transfer", [addr2.address, grant]);
+            const propose = (calldatas, labels, optionEnds, description, votingType = APPROVAL) =>
+                governor.connect(addr1).proposeWithOptions(
+                    calldatas.map(() => tokenAddress), calldatas.map(() => 0), calldatas, labels, optionEnds,
+                    description, votingType
+                );
+
+            // The second option has no actions ("do nothing")
+            await expect(propose([calldata], ["Fund", "Reject"], [1, 1], "Fund or not"))
+                .to.emit(governor, "ProposalOptionsCreated").withArgs(anyValue, ["Fund", "Reject"], [1, 1]);
+
+            await expect(propose([calldata], ["Only"], [1], "Single option"))
+                .to.be.revertedWithCustomError(library, "MultiOptionVotes__InvalidOptions").withArgs(1, 1);
+            await expect(propose([calldata, calldata], ["A", "B"], [1, 1], "Uncovered actions"))
+                .to.be.revertedWithCustomError(library, "MultiOptionVotes__InvalidOptions").withArgs(2, 2);
+            await expect(propose([calldata, calldata], ["A", "B", "C"], [2, 1, 2], "Decreasing ends"))
+                .to.be.revertedWithCustomError(library, "MultiOptionVotes__InvalidOptions").withArgs(3, 2);
+            await expect(propose([calldata], ["A"], [0, 1], "Missing label"))
+                .to.be.revertedWithCustomError(governor, "MultiOptionVotes__InvalidOptions").withArgs(2, 1);
+
+            // Options only go with multi-option voting types, which need options
+            await expect(propose([calldata], ["A", "B"], [0, 1], "Standard with options", 0))
+                .to.be.revertedWithCustomError(governor, "MyGovernor__InvalidVotingType");
+            await expect(governor.connect(addr1)["propose(address[],uint256[],bytes[],string,uint8)"](
+                [tokenAddress], [0], [calldata], "Approval without options", APPROVAL
+            )).to.be.revertedWithCustomError(governor, "MyGovernor__InvalidVotingType");
+
+            expect(await governor.proposalVotingTypes(
+                (await createOptionsProposal(fixture, "Ranked", RANKED_CHOICE, [addr2, addr3])).pid
+            )).to.equal(RANKED_CHOICE);
+        });
+
+        it("Should elect the option with the most approvals", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, addr1, addr2, addr3, addr4 } = fixture;
+            const { pid } = await createOptionsProposal(fixture, "Approval grant", APPROVAL, [addr2, addr3, addr4]);
+
+            await castOptions(governor, addr2, pid, [0, 1]);
+            await castOptions(governor, addr3, pid, [1]);
+            await castOptions(governor, addr1, pid, [2, 1]);
+
+            const [rounds, decided, winner] = await governor.optionResults(pid);
+            expect(rounds).to.deep.equal([[
+                ethers.parseEther("10000"), ethers.parseEther("62000"), ethers.parseEther("50000")
+            ]]);
+            expect(decided).to.equal(true);
+            expect(winner).to.equal(1);
+            // Each voter counts once towards quorum, however many options they approve
+            expect(await governor.proposalParticipation(pid)).to.equal(ethers.parseEther("62000"));
+            expect(await governor.hasVoted(pid, addr2.address)).to.equal(true);
+
+            await mine(50401);
+            expect(await governor.state(pid)).to.equal(4); // Succeeded
+        });
+
+        it("Should defeat an approval proposal tied for the lead", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, addr1, addr2, addr3 } = fixture;
+            const { pid } = await createOptionsProposal(fixture, "Approval tie", APPROVAL, [addr2, addr3]);
+
+            await castOptions(governor, addr1, pid, [0, 1]);
+
+            const [, decided] = await governor.optionResults(pid);
+            expect(decided).to.equal(false);
+            await mine(50401);
+            expect(await governor.state(pid)).to.equal(3); // Defeated
+        });
+
+        it("Should run instant-runoff rounds for ranked-choice proposals", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, token, owner, addr2, addr3, addr4 } = fixture;
+            const signers = await ethers.getSigners();
+            const voters = signers.slice(11, 14);
+            const weights = ["40000", "35000", "25000"].map(v => ethers.parseEther(v));
+            for (let i = 0; i < voters.length; ++i) {
+                await token.connect(owner).transfer(voters[i].address, weights[i]);
+                await token.connect(voters[i]).delegate(voters[i].address);
+            }
+            const { pid } = await createOptionsProposal(fixture, "Ranked grant", RANKED_CHOICE, [addr2, addr3, addr4]);
+
+            await castOptions(governor, voters[0], pid, [0]);
+            await castOptions(governor, voters[1], pid, [1, 0]);
+            await castOptions(governor, voters[2], pid, [2, 1]);
+
+            // Option 0 leads on first preferences but option 2's voters prefer option 1 to it
+            const [rounds, decided, winner] = await governor.optionResults(pid);
+            expect(rounds).to.deep.equal([
+                weights,
+                [weights[0], weights[1] + weights[2], 0n]
+            ]);
+            expect(decided).to.equal(true);
+            expect(winner).to.equal(1);
+        });
+
+        it("Should bound the cost of an instant runoff however many distinct rankings are cast", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, token, owner } = fixture;
+            const signers = await ethers.getSigners();
+
+            // 60 voters with distinct weights rank a pseudo-random subset of the 10 options in a pseudo-random order
+            let seed = 7;
+            const random = (n) => Math.floor((seed = (seed * 1103515245 + 12345) % 2147483648) / 65536) % n;
+            const ballots = [];
+            for (let i = 0; i < 60; ++i) {
+                const voter = ethers.Wallet.createRandom().connect(ethers.provider);
+                const weight = ethers.parseEther(String(1000 + 37 * i));
+                await setBalance(voter.address, ethers.parseEther("1"));
+                await token.connect(owner).transfer(voter.address, weight);
+                await token.connect(voter).delegate(voter.address);
+                const options = [...Array(10).keys()];
+                for (let j = options.length - 1; j > 0; --j) {
+                    const k = random(j + 1);
+                    [options[j], options[k]] = [options[k], options[j]];
+                }
+                ballots.push({ voter, weight, options: options.slice(0, 3 + random(8)) });
+            }
+            const { pid } = await createOptionsProposal(fixture, "Ten grantees", RANKED_CHOICE, signers.slice(10, 20));
+            for (const { voter, options } of ballots) await castOptions(governor, voter, pid, options);
+            expect(new Set(ballots.map(b => b.options.join())).size).to.equal(60);
+
+            // Reference count: every ballot for its first remaining option; a majority wins, else the last drop out
+            const rounds = [];
+            const eliminated = new Set();
+            let winner = null;
+            for (;;) {
+                const votes = Array(10).fill(0n);
+                for (const { weight, options } of ballots) {
+                    const option = options.find(o => !eliminated.has(o));
+                    if (option !== undefined) votes[option] += weight;
+                }
+                rounds.push(votes);
+                const remaining = [...Array(10).keys()].filter(o => !eliminated.has(o));
+                const counted = votes.reduce((a, b) => a + b, 0n);
+                const most = remaining.reduce((a, o) => (votes[o] > votes[a] ? o : a), remaining[0]);
+                const fewest = remaining.reduce((a, o) => (votes[o] < a ? votes[o] : a), votes[most]);
+                if (votes[most] * 2n > counted) {
+                    winner = most;
+                    break;
+                }
+                if (votes[most] === fewest) break;
+                remaining.filter(o => votes[o] === fewest).forEach(o => eliminated.add(o));
+            }
+            const [onChainRounds, decided, onChainWinner] = await governor.optionResults(pid);
+            expect(onChainRounds.map(round => [...round])).to.deep.equal(rounds);
+            expect(rounds.length).to.be.gte(5);
+            expect(decided).to.equal(winner !== null);
+            if (decided) expect(onChainWinner).to.equal(winner);
+
+            // Once voting ends state() runs the runoff; its cost depends on the options, not on the ballots
+            await mine(50401);
+            expect(await governor.state(pid)).to.equal(decided ? 4 : 3);
+            expect(await governor.state.estimateGas(pid)).to.be.lt(3_000_000n);
+        });
+
+        it("Should only queue and execute the winning option's actions", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, token, owner, addr1, addr2, addr4, addr5, timelockAddress } = fixture;
+            await token.connect(owner).transfer(timelockAddress, ethers.parseEther("1000"));
+            const { pid, args } = await createOptionsProposal(fixture, "Pick a grantee", APPROVAL, [addr4, addr5]);
+
+            await castOptions(governor, addr1, pid, [1]);
+            await castOptions(governor, addr2, pid, [0]);
+            await mine(50401);
+
+            const before = [await token.balanceOf(addr4.address), await token.balanceOf(addr5.address)];
+            await expect(governor.queue(...args)).to.emit(governor, "ProposalQueued");
+            expect(await governor.state(pid)).to.equal(5); // Queued
+            await time.increase(MIN_DELAY);
+            await expect(governor.execute(...args)).to.emit(governor, "ProposalExecuted").withArgs(pid);
+
+            expect(await governor.state(pid)).to.equal(7); // Executed
+            expect(await token.balanceOf(addr4.address)).to.equal(before[0]);
+            expect(await token.balanceOf(addr5.address)).to.equal(before[1] + grant);
+            expect(await token.balanceOf(timelockAddress)).to.equal(ethers.parseEther("1000") - grant);
+        });
+
+        it("Should reject invalid and repeated ballots", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, addr1, addr2, addr3 } = fixture;
+            const library = await ethers.getContractFactory("MultiOptionVotes");
+            const { pid } = await createOptionsProposal(fixture, "Ballot checks", RANKED_CHOICE, [addr2, addr3]);
+
+            await expect(governor.connect(addr1).castVote(pid, 1))
+                .to.be.revertedWithCustomError(governor, "GovernorInvalidVoteType");
+            await expect(governor.connect(addr1).castQuadraticVote(pid, 1, 1))
+                .to.be.revertedWithCustomError(governor, "MyGovernor__InvalidVotingType");
+            for (const options of [[], [2], [0, 0], [0, 1, 0]]) {
+                await expect(castOptions(governor, addr1, pid, options))
+                    .to.be.revertedWithCustomError(library, "MultiOptionVotes__InvalidBallot").withArgs(addr1.address);
+            }
+
+            await castOptions(governor, addr1, pid, [1, 0]);
+            await expect(castOptions(governor, addr1, pid, [0]))
+                .to.be.revertedWithCustomError(governor, "GovernorAlreadyCastVote").withArgs(addr1.address);
+
+            // Yes/no proposals do not take option ballots
+            const { tokenAddress, token } = fixture;
+            const calldata = token.interface.encodeFunctionData("transfer", [addr2.address, 0]);
+            const tx = await governor.connect(addr1)["propose(address[],uint256[],bytes[],string)"](
+                [tokenAddress], [0], [calldata], "Yes/no"
+            );
+            const standard = (await tx.wait()).logs.find(log => log.fragment?.name === 'ProposalCreated').args[0];
+            await mine(1);
+            await expect(castOptions(governor, addr2, standard, [0]))
+                .to.be.revertedWithCustomError(governor, "GovernorInvalidVoteType");
+        });
+
+        it("Should index options, option ballots and results", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, addr1, addr2, addr3, addr4 } = fixture;
+            const { pid } = await createOptionsProposal(fixture, "Indexed ranked", RANKED_CHOICE, [addr2, addr3, addr4]);
+
+            await castOptions(governor, addr2, pid, [2, 0]);
+            await castOptions(governor, addr1, pid, [1]);
+
+            const indexer = createProposalIndexer({ governor, store: memoryStore(), log: () => {} });
+            await indexer.sync();
+
+            const indexed = indexer.proposal(pid.toString());
+            expect(indexed.votingType).to.equal(RANKED_CHOICE);
+            expect(indexed.options).to.deep.equal([
+                { label: "Option 0", start: 0, end: 1 },
+                { label: "Option 1", start: 1, end: 2 },
+                { label: "Option 2", start: 2, end: 3 }
+            ]);
+            expect(indexed.ballots[addr2.address].options).to.deep.equal([2, 0]);
+            expect(indexed.votes[0]).to.include({ voter: addr2.address, support: VOTE_TYPE_OPTIONS });
+            expect(indexed.participation).to.equal((await governor.proposalParticipation(pid)).toString());
+
+            const [rounds, decided, winner] = await governor.optionResults(pid);
+            expect(indexed.optionResults).to.deep.equal({
+                rounds: rounds.map(round => round.map(votes => votes.toString())),
+                decided,
+                winner: Number(winner)
+            });
+            expect(indexed.optionResults.winner).to.equal(1);
+        });
+
+        it("Should defeat a winning option without quorum", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, addr2, addr3 } = fixture;
+            const { pid } = await createOptionsProposal(fixture, "Low turnout", APPROVAL, [addr2, addr3]);
+
+            await castOptions(governor, addr2, pid, [0]);
+            expect(await governor.proposalParticipation(pid)).to.equal(ethers.parseEther("10000"));
+            expect(await governor.proposalParticipation(pid)).to.be.lt(await governor.proposalQuorum(pid));
+
+            const [, decided, winner] = await governor.optionResults(pid);
+            expect(decided).to.equal(true);
+            expect(winner).to.equal(0);
+            await mine(50401);
+            expect(await governor.state(pid)).to.equal(3); // Defeated
+        });
+    });
+
+    // ============================================
+    // 19. CONVICTION (TIME-WEIGHTED) VOTING
+    // ============================================
+
+    describe("1️⃣9️⃣ Conviction Voting", function () {
+
+        const CONVICTION = 4;
+        const PERIOD = 201600;
+        const amount = ethers.parseEther("1000");
+
+        // Funds and self-delegates a fresh account; returns the block its votes start ageing from
+        async function delegateFresh(token, owner, holder, value = amount) {
+            await token.connect(owner).transfer(holder.address, value);
+            const tx = await token.connect(holder).delegate(holder.address);
+            return (await tx.wait()).blockNumber;
+        }
+
+        it("Should scale votes linearly with delegation age up to 3x", async function () {
+            const { token, owner, freshUser } = await loadFixture(deployGovernanceFixture);
+            const start = await delegateFresh(token, owner, freshUser);
+            await mine(PERIOD + 10);
+
+            const at = async (age) => token.convictionMultiplier(freshUser.address, start + age);
+            expect(await at(0)).to.deep.equal([amount, amount, 10000n]);
+            expect(await at(PERIOD / 4)).to.deep.equal([amount, amount * 3n / 2n, 15000n]);
+            expect(await at(PERIOD / 2)).to.deep.equal([amount, amount * 2n, 20000n]);
+            expect(await at(PERIOD)).to.deep.equal([amount, amount * 3n, 30000n]);
+            // Capped once the votes are older than the conviction period
+            expect(await token.getPastConvictionVotes(freshUser.address, start + PERIOD + 5)).to.equal(amount * 3n);
+        });
+
+        it("Should give flash-acquired votes almost no bonus", async function () {
+            const { token, owner, addr5, freshUser } = await loadFixture(deployGovernanceFixture);
+            // addr5 has held 100 GT since the fixture; freshUser buys 1000 GT right before the snapshot
+            await mine(PERIOD);
+            const start = await delegateFresh(token, owner, freshUser);
+            await mine(2);
+
+            const [, , flashBps] = await token.convictionMultiplier(freshUser.address, start + 1);
+            expect(flashBps).to.be.lt(10001n);
+            const [votes, longTerm] = await token.convictionMultiplier(addr5.address, start + 1);
+            expect(longTerm).to.equal(votes * 3n);
+        });
+
+        it("Should only age the votes held without interruption", async function () {
+            const { token, owner, addr2, freshUser } = await loadFixture(deployGovernanceFixture);
+            const start = await delegateFresh(token, owner, freshUser);
+            await mine(PERIOD / 2 - 1);
+
+            // Half of the votes leave and come back: only the half that stayed keeps its age
+            await token.connect(freshUser).transfer(addr2.address, amount / 2n);
+            await token.connect(addr2).transfer(freshUser.address, amount / 2n);
+            const back = await time.latestBlock();
+            await mine(2);
+
+            const [votes, weighted] = await token.convictionMultiplier(freshUser.address, back);
+            expect(votes).to.equal(amount);
+            // The stayed half aged (back - start) blocks, the returned half 0 blocks
+            const stayed = amount / 2n;
+            const bonus = stayed * BigInt(back - start) * 20000n / (BigInt(PERIOD) * 10000n);
+            expect(weighted).to.equal(amount + bonus);
+
+            // Adding votes never makes the older ones younger
+            await token.connect(owner).transfer(freshUser.address, amount);
+            await mine(1);
+            const [, afterTopUp] = await token.convictionMultiplier(freshUser.address, await time.latestBlock() - 1);
+            expect(afterTopUp).to.be.gte(weighted + amount);
+        });
+
+        it("Should reject conviction lookups at future timepoints", async function () {
+            const { token, addr1 } = await loadFixture(deployGovernanceFixture);
+            const now = await time.latestBlock();
+
+            await expect(token.convictionMultiplier(addr1.address, now + 1))
+                .to.be.revertedWithCustomError(token, "ERC5805FutureLookup");
+        });
+
+        it("Should count conviction-weighted votes on Conviction proposals only", async function () {
+            const { governor, token, owner, addr1, addr2, freshUser, tokenAddress } = await loadFixture(deployGovernanceFixture);
+            await mine(PERIOD);
+            // freshUser matches addr2's 10,000 GT right before the proposals, addr2 has held its votes for longer
+            await delegateFresh(token, owner, freshUser, ethers.parseEther("10000"));
+
+            const calldata = token.interface.encodeFunctionData("transfer", [addr1.address, 0]);
+            const propose = async (description, votingType) => {
+                const tx = await governor.connect(addr1)["propose(address[],uint256[],bytes[],string,uint8)"](
+                    [tokenAddress], [0], [calldata], description, votingType
+                );
+                return (await tx.wait()).logs.find(log => log.fragment?.name === 'ProposalCreated').args[0];
+            };
+            const conviction = await propose("Conviction", CONVICTION);
+            const standard = await propose("Standard", 0);
+            await mine(1);
+            const snapshot = await governor.proposalSnapshot(conviction);
+
+            const addr2Weight = await token.getPastConvictionVotes(addr2.address, snapshot);
+            const freshWeight = await token.getPastConvictionVotes(freshUser.address, snapshot);
+            expect(addr2Weight).to.equal(ethers.parseEther("30000"));
+            expect(freshWeight).to.be.lt(ethers.parseEther("10001"));
+
+            await expect(governor.connect(addr2).castVote(conviction, 1))
+                .to.emit(governor, "VoteCast").withArgs(addr2.address, conviction, 1, addr2Weight, "");
+            await governor.connect(freshUser).castVote(conviction, 0);
+            await governor.connect(addr2).castVote(standard, 1);
+            await governor.connect(freshUser).castVote(standard, 0);
+
+            const [againstC, forC] = await governor.proposalVotes(conviction);
+            expect([againstC, forC]).to.deep.equal([freshWeight, addr2Weight]);
+            // Quorum counts addr2's 10,000 GT at the snapshot, not its 30,000 conviction-weighted votes
+            expect(await governor.proposalParticipation(conviction)).to.equal(ethers.parseEther("10000"));
+            const [againstS, forS] = await governor.proposalVotes(standard);
+            expect([againstS, forS]).to.deep.equal([ethers.parseEther("10000"), ethers.parseEther("10000")]);
+
+            await expect(governor.connect(addr1).castQuadraticVote(conviction, 1, 1))
+                .to.be.revertedWithCustomError(governor, "MyGovernor__InvalidVotingType");
+        });
+
+        it("Should not let the conviction bonus lower the quorum", async function () {
+            const { governor, token, owner, addr1, freshUser, tokenAddress } = await loadFixture(deployGovernanceFixture);
+            // 15,000 GT held for a full period weigh 45,000 votes, over the 40,000 quorum, but are still 15,000 GT
+            await delegateFresh(token, owner, freshUser, ethers.parseEther("15000"));
+            await mine(PERIOD);
+
+            const calldata = token.interface.encodeFunctionData("transfer", [addr1.address, 0]);
+            const tx = await governor.connect(addr1)["propose(address[],uint256[],bytes[],string,uint8)"](
+                [tokenAddress], [0], [calldata], "Long-term holders only", CONVICTION
+            );
+            const proposalId = (await tx.wait()).logs.find(log => log.fragment?.name === 'ProposalCreated').args[0];
+            await mine(1);
+            await governor.connect(freshUser).castVote(proposalId, 1);
+
+            const [, forVotes] = await governor.proposalVotes(proposalId);
+            expect(forVotes).to.equal(ethers.parseEther("45000"));
+            expect(await governor.proposalParticipation(proposalId)).to.equal(ethers.parseEther("15000"));
+            expect(await governor.proposalQuorum(proposalId)).to.equal(ethers.parseEther("40000"));
+            await mine(50401);
+            expect(await governor.state(proposalId)).to.equal(3); // Defeated: quorum not reached
+
+            // The indexer counts the same participation from the vote's snapshot votes
+            const indexer = createProposalIndexer({ governor, store: memoryStore(), log: () => {} });
+            await indexer.sync();
+            expect(indexer.proposal(proposalId.toString())).to.include({
+                forVotes: ethers.parseEther("45000").toString(),
+                participation: ethers.parseEther("15000").toString(),
+                state: 3
+            });
+        });
+    });
+
+    // ============================================
+    // 20. TOKEN MINTING, INFLATION CAP & VESTING
+    // ============================================
+
+    describe("2️⃣0️⃣ Token Minting & Vesting", function () {
+
+        const YEAR = 365 * 24 * 3600;
+
+        it("Should only let governance mint and change the minting settings", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { token, owner, addr3, tokenAddress, timelockAddress } = fixture;
+            const amount = ethers.parseEther("5000");
+
+            expect(await token.minter()).to.equal(timelockAddress);
+            expect(await token.owner()).to.equal(timelockAddress);
+            await expect(token.connect(owner).mint(owner.address, amount))
+                .to.be.revertedWithCustomError(token, "GovernanceToken__NotMinter").withArgs(owner.address);
+            await expect(token.connect(owner).setMinter(owner.address))
+                .to.be.revertedWithCustomError(token, "OwnableUnauthorizedAccount");
+            await expect(token.connect(owner).setMaxInflation(10000))
+                .to.be.revertedWithCustomError(token, "OwnableUnauthorizedAccount");
+
+            const mint = token.interface.encodeFunctionData("mint", [addr3.address, amount]);
+            await expect(executeByGovernance(fixture, [[tokenAddress, mint]], "Mint a grant"))
+                .to.changeTokenBalance(token, addr3, amount);
+            expect(await token.totalSupply()).to.equal(ethers.parseEther("1005000"));
+            expect(await token.mintedInPeriod()).to.equal(amount);
+        });
+
+        it("Should cap the supply minted per year", async function () {
+            const { token, owner, timelockAddress } = await loadFixture(deployGovernanceFixture);
+            // Mint directly as the timelock to step through periods without full proposals
+            await setBalance(timelockAddress, ethers.parseEther("1"));
+            const minter = await ethers.getImpersonatedSigner(timelockAddress);
+            const supply = ethers.parseEther("1000000");
+
+            // 2% of the 1,000,000 GT supply at the start of the period
+            expect(await token.mintable()).to.equal(supply * 2n / 100n);
+            await token.connect(minter).mint(owner.address, ethers.parseEther("15000"));
+            expect(await token.mintable()).to.equal(ethers.parseEther("5000"));
+            await expect(token.connect(minter).mint(owner.address, ethers.parseEther("5001")))
+                .to.be.revertedWithCustomError(token, "GovernanceToken__InflationCapExceeded")
+                .withArgs(ethers.parseEther("5001"), ethers.parseEther("5000"));
+            await token.connect(minter).mint(owner.address, ethers.parseEther("5000"));
+            expect(await token.mintable()).to.equal(0n);
+
+            // A new period is measured against the supply when it starts
+            await time.increase(YEAR);
+            const grown = await token.totalSupply();
+            expect(await token.mintable()).to.equal(grown * 2n / 100n);
+            await expect(token.connect(minter).mint(owner.address, grown * 2n / 100n + 1n))
+                .to.be.revertedWithCustomError(token, "GovernanceToken__InflationCapExceeded");
+            await token.connect(minter).mint(owner.address, grown * 2n / 100n);
+            expect(await token.inflationPeriodSupply()).to.equal(grown);
+            expect(await token.inflationPeriodStart()).to.equal(await time.latest());
+
+            // Lowering the cap applies to the current period; 0 lifts it
+            await expect(token.connect(minter).setMaxInflation(10001))
+                .to.be.revertedWithCustomError(token, "GovernanceToken__InvalidInflation").withArgs(10001);
+            await time.increase(YEAR);
+            await expect(token.connect(minter).setMaxInflation(100))
+                .to.emit(token, "MaxInflationSet").withArgs(MAX_INFLATION_BPS, 100);
+            expect(await token.mintable()).to.equal((await token.totalSupply()) / 100n);
+            await token.connect(minter).setMaxInflation(0);
+            expect(await token.mintable()).to.equal(ethers.MaxUint256);
+            await token.connect(minter).mint(owner.address, supply);
+        });
+
+        it("Should create delegating vesting grants by proposal", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { token, vestingFactory, freshUser, tokenAddress, timelockAddress, vestingFactoryAddress } = fixture;
+            const grant = ethers.parseEther("12000");
+            const start = BigInt(await time.latest()) + 10n * 86400n;
+            const duration = BigInt(YEAR);
+
+            // Mint the grant to the treasury, approve the factory and create the wallet in one proposal
+            await expect(executeByGovernance(fixture, [
+                [tokenAddress, token.interface.encodeFunctionData("mint", [timelockAddress, grant])],
+                [tokenAddress, token.interface.encodeFunctionData("approve", [vestingFactoryAddress, grant])],
+                [vestingFactoryAddress, vestingFactory.interface.encodeFunctionData(
+                    "createVestingWallet", [freshUser.address, start, duration, grant]
+                )]
+            ], "Contributor grant")).to.emit(vestingFactory, "VestingWalletCreated")
+                .withArgs(anyValue, freshUser.address, timelockAddress, start, duration, grant);
+
+            const [walletAddress] = await vestingFactory.vestingWallets(freshUser.address);
+            const wallet = await ethers.getContractAt("DelegatingVestingWallet", walletAddress);
+            expect(await token.balanceOf(walletAddress)).to.equal(grant);
+            expect(await wallet.owner()).to.equal(freshUser.address);
+
+            // The locked grant votes for the beneficiary straight away
+            expect(await token.delegates(walletAddress)).to.equal(freshUser.address);
+            expect(await token.getVotes(freshUser.address)).to.equal(grant);
+
+            // Halfway through, half of the grant is released to the beneficiary
+            await time.setNextBlockTimestamp(start + duration / 2n);
+            await wallet["release(address)"](tokenAddress);
+            expect(await token.balanceOf(freshUser.address)).to.equal(grant / 2n);
+            // Released tokens need the beneficiary's own delegation, like any balance
+            expect(await token.getVotes(freshUser.address)).to.equal(grant / 2n);
+        });
+
+        it("Should let only the beneficiary re-delegate a vesting wallet", async function () {
+            const { token, vestingFactory, owner, freshUser, addr2, tokenAddress, vestingFactoryAddress } =
+                await loadFixture(deployGovernanceFixture);
+            const grant = ethers.parseEther("1000");
+
+            // Anyone may fund a grant from their own balance
+            await token.connect(owner).approve(vestingFactoryAddress, grant);
+            await vestingFactory.connect(owner).createVestingWallet(freshUser.address, await time.latest(), YEAR, grant);
+            const [walletAddress] = await vestingFactory.vestingWallets(freshUser.address);
+            const wallet = await ethers.getContractAt("DelegatingVestingWallet", walletAddress);
+            expect(await wallet.votesToken()).to.equal(tokenAddress);
+
+            await expect(wallet.connect(addr2).delegate(addr2.address))
+                .to.be.revertedWithCustomError(wallet, "OwnableUnauthorizedAccount");
+            const votesBefore = await token.getVotes(addr2.address);
+            await wallet.connect(freshUser).delegate(addr2.address);
+            expect(await token.getVotes(addr2.address)).to.equal(votesBefore + grant);
+            expect(await token.getVotes(freshUser.address)).to.equal(0n);
+
+            await expect(vestingFactory.createVestingWallet(freshUser.address, 0, YEAR, 0))
+                .to.be.revertedWithCustomError(vestingFactory, "VestingWalletFactory__InvalidGrant")
+                .withArgs(freshUser.address, 0);
+            await expect(vestingFactory.createVestingWallet(freshUser.address, 0, 0, grant))
+                .to.be.revertedWithCustomError(vestingFactory, "VestingWalletFactory__InvalidGrant")
+                .withArgs(freshUser.address, grant);
+        });
+    });
+
+    // ============================================
+    // 21. DAO TREASURY
+    // ============================================
+
+    describe("2️⃣1️⃣ DAO Treasury", function () {
+
+        const ETH = ethers.ZeroAddress;
+        const GRANTS = ethers.encodeBytes32String("grants");
+        const AUDITS = ethers.encodeBytes32String("audits");
+
+        // Funds the treasury with 10 ETH and 20,000 GT from the owner
+        async function fundTreasury(fixture) {
+            const { token, owner, treasuryAddress } = fixture;
+            await owner.sendTransaction({ to: treasuryAddress, value: ethers.parseEther("10") });
+            await token.connect(owner).transfer(treasuryAddress, ethers.parseEther("20000"));
+        }
+
+        // Acts as the timelock directly, to exercise the treasury without a full proposal per step
+        async function timelockSigner({ timelockAddress }) {
+            await setBalance(timelockAddress, ethers.parseEther("1"));
+            return ethers.getImpersonatedSigner(timelockAddress);
+        }
+
+        it("Should hold ETH and tokens and only pay out through governance", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { treasury, token, owner, addr4, tokenAddress, treasuryAddress, timelockAddress } = fixture;
+
+            expect(await treasury.owner()).to.equal(timelockAddress);
+            await expect(owner.sendTransaction({ to: treasuryAddress, value: ethers.parseEther("10") }))
+                .to.emit(treasury, "Received").withArgs(owner.address, ethers.parseEther("10"));
+            await token.connect(owner).transfer(treasuryAddress, ethers.parseEther("20000"));
+            expect(await treasury.balanceOf(ETH)).to.equal(ethers.parseEther("10"));
+            expect(await treasury.balanceOf(tokenAddress)).to.equal(ethers.parseEther("20000"));
+
+            await expect(treasury.connect(owner).pay(ETH, owner.address, 1, GRANTS))
+                .to.be.revertedWithCustomError(treasury, "OwnableUnauthorizedAccount");
+
+            const payEth = treasury.interface.encodeFunctionData("pay", [ETH, addr4.address, ethers.parseEther("2"), GRANTS]);
+            const payGt = treasury.interface.encodeFunctionData("pay", [tokenAddress, addr4.address, ethers.parseEther("500"), AUDITS]);
+            const execution = executeByGovernance(fixture, [[treasuryAddress, payEth], [treasuryAddress, payGt]], "Pay addr4");
+            await expect(execution).to.changeEtherBalance(addr4, ethers.parseEther("2"));
+            await expect(execution).to.changeTokenBalance(token, addr4, ethers.parseEther("500"));
+            await expect(execution)
+                .to.emit(treasury, "PaymentSent").withArgs(GRANTS, ETH, addr4.address, ethers.parseEther("2"))
+                .and.to.emit(treasury, "PaymentSent").withArgs(AUDITS, tokenAddress, addr4.address, ethers.parseEther("500"));
+
+            expect(await treasury.spent(GRANTS, ETH)).to.equal(ethers.parseEther("2"));
+            expect(await treasury.spent(AUDITS, tokenAddress)).to.equal(ethers.parseEther("500"));
+        });
+
+        it("Should enforce category budgets and available funds", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { treasury, addr4, tokenAddress } = fixture;
+            await fundTreasury(fixture);
+            const timelock = await timelockSigner(fixture);
+
+            await expect(treasury.connect(timelock).setBudget(GRANTS, tokenAddress, ethers.parseEther("1000")))
+                .to.emit(treasury, "BudgetSet").withArgs(GRANTS, tokenAddress, ethers.parseEther("1000"));
+            await treasury.connect(timelock).pay(tokenAddress, addr4.address, ethers.parseEther("600"), GRANTS);
+            await expect(treasury.connect(timelock).pay(tokenAddress, addr4.address, ethers.parseEther("500"), GRANTS))
+                .to.be.revertedWithCustomError(treasury, "Treasury__BudgetExceeded")
+                .withArgs(GRANTS, tokenAddress, ethers.parseEther("500"), ethers.parseEther("400"));
+            // Other categories and assets have no budget
+            await treasury.connect(timelock).pay(tokenAddress, addr4.address, ethers.parseEther("500"), AUDITS);
+            await treasury.connect(timelock).pay(ETH, addr4.address, ethers.parseEther("1"), GRANTS);
+
+            await expect(treasury.connect(timelock).pay(ETH, addr4.address, ethers.parseEther("10"), AUDITS))
+                .to.be.revertedWithCustomError(treasury, "Treasury__InsufficientFunds")
+                .withArgs(ETH, ethers.parseEther("10"), ethers.parseEther("9"));
+            await expect(treasury.connect(timelock).pay(ETH, ethers.ZeroAddress, 1, AUDITS))
+                .to.be.revertedWithCustomError(treasury, "Treasury__InvalidPayment");
+        });
+
+        it("Should stream payments linearly and reserve the streamed funds", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { treasury, token, addr4, addr5, tokenAddress } = fixture;
+            await fundTreasury(fixture);
+            const timelock = await timelockSigner(fixture);
+            const amount = ethers.parseEther("12000");
+            const duration = 1200;
+            const start = await time.latest() + 100;
+
+            await expect(treasury.connect(timelock).createStream(tokenAddress, addr4.address, amount, start, duration, GRANTS))
+                .to.emit(treasury, "StreamCreated").withArgs(0, GRANTS, addr4.address, tokenAddress, amount, start, duration);
+            expect(await treasury.streamCount()).to.equal(1n);
+            expect(await treasury.reserved(tokenAddress)).to.equal(amount);
+            expect(await treasury.available(tokenAddress)).to.equal(ethers.parseEther("8000"));
+            await expect(treasury.connect(timelock).pay(tokenAddress, addr5.address, ethers.parseEther("8001"), AUDITS))
+                .to.be.revertedWithCustomError(treasury, "Treasury__InsufficientFunds");
+
+            expect(await treasury.withdrawable(0)).to.equal(0n);
+            await time.setNextBlockTimestamp(start + duration / 4);
+            // Anyone can push the vested funds to the recipient
+            await expect(treasury.connect(addr5).withdrawFromStream(0))
+                .to.emit(treasury, "StreamWithdrawn").withArgs(0, addr4.address, amount / 4n);
+            expect(await token.balanceOf(addr4.address)).to.equal(ethers.parseEther("500") + amount / 4n);
+            expect(await treasury.reserved(tokenAddress)).to.equal(amount * 3n / 4n);
+
+            await time.increaseTo(start + duration);
+            await treasury.withdrawFromStream(0);
+            expect(await treasury.withdrawable(0)).to.equal(0n);
+            expect(await treasury.reserved(tokenAddress)).to.equal(0n);
+            expect(await treasury.spent(GRANTS, tokenAddress)).to.equal(amount);
+        });
+
+        it("Should let governance cancel a stream and release the unvested funds", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { treasury, addr4, treasuryAddress } = fixture;
+            await fundTreasury(fixture);
+            const timelock = await timelockSigner(fixture);
+            const start = await time.latest();
+
+            await treasury.connect(timelock).createStream(ETH, addr4.address, ethers.parseEther("8"), start, 800, GRANTS);
+            await time.setNextBlockTimestamp(start + 200);
+            await expect(treasury.connect(timelock).cancelStream(0))
+                .to.emit(treasury, "StreamCancelled").withArgs(0, ethers.parseEther("6"));
+            expect(await treasury.spent(GRANTS, ETH)).to.equal(ethers.parseEther("2"));
+            expect(await treasury.available(ETH)).to.equal(ethers.parseEther("8"));
+
+            // The recipient keeps what vested before the cancellation
+            await time.increase(1000);
+            await expect(treasury.withdrawFromStream(0)).to.changeEtherBalances(
+                [addr4, treasuryAddress], [ethers.parseEther("2"), -ethers.parseEther("2")]
+            );
+            await expect(treasury.connect(timelock).cancelStream(0))
+                .to.be.revertedWithCustomError(treasury, "Treasury__InvalidStream").withArgs(0);
+            await expect(treasury.withdrawable(1))
+                .to.be.revertedWithCustomError(treasury, "Treasury__InvalidStream").withArgs(1);
+            await expect(treasury.connect(timelock).createStream(ETH, addr4.address, 1, start, 0, GRANTS))
+                .to.be.revertedWithCustomError(treasury, "Treasury__InvalidPayment");
+        });
+    });
+
+    // ============================================
+    // 22. PROPOSAL METADATA & CONTENT ADDRESSING
+    // ============================================
+
+    describe("2️⃣2️⃣ Proposal Metadata", function () {
+
+        const metadata = {
+            title: "Fund the audit",
+            summary: "Pay for an external audit of the treasury.",
+            body: "## Scope\n\n- Treasury.sol\n- **Streams**",
+            discussion: "https://forum.example.org/t/audit/42",
+            tags: ["Security", "treasury"]
+        };
+
+        it("Should derive IPFS-compatible content identifiers", async function () {
+            // CIDv1 raw sha2-256 identifiers IPFS assigns to the same bytes
+            expect(contentId(Buffer.alloc(0))).to.equal("bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku");
+            expect(contentId(Buffer.from("hello world"))).to.equal("bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e");
+        });
+
+        it("Should validate and canonicalize metadata documents", async function () {
+            expect(validateMetadata({ ...metadata, title: "  Fund the audit " })).to.deep.equal({
+                version: 1,
+                ...metadata,
+                tags: ["security", "treasury"]
+            });
+            // Key order and whitespace do not change the bytes, so equal documents share an identifier
+            const reordered = { ...Object.fromEntries(Object.entries(metadata).reverse()), title: `${metadata.title}\n` };
+            expect(encodeMetadata(reordered).equals(encodeMetadata(metadata))).to.equal(true);
+
+            expect(() => validateMetadata({ ...metadata, title: " " })).to.throw("title is required");
+            expect(() => validateMetadata({ ...metadata, discussion: "javascript:alert(1)" }))
+                .to.throw("discussion must be an http(s) link");
+            expect(() => validateMetadata({ ...metadata, tags: ["no spaces"] })).to.throw('Tag "no spaces"');
+            expect(() => validateMetadata({ ...metadata, summary: "x".repeat(501) })).to.throw("summary must be at most 500");
+        });
+
+        it("Should serve stored content only while it matches its identifier", async function () {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), "content-"));
+            const store = createContentStore(dir);
+            const bytes = encodeMetadata(metadata);
+
+            const cid = store.put(bytes);
+            expect(cid).to.equal(contentId(bytes));
+            expect(JSON.parse(store.get(cid)).title).to.equal(metadata.title);
+            expect(store.get(contentId(Buffer.from("missing")))).to.equal(null);
+            expect(() => store.get("../escape")).to.throw("Invalid content identifier");
+
+            fs.writeFileSync(path.join(dir, cid), encodeMetadata({ ...metadata, title: "Tampered" }));
+            expect(() => store.get(cid)).to.throw(`Content of ${cid} does not match its identifier`);
+            fs.rmSync(dir, { recursive: true });
+        });
+
+        it("Should reference metadata from the on-chain description", async function () {
+            const { governor, token, addr1, tokenAddress } = await loadFixture(deployGovernanceFixture);
+            const cid = contentId(encodeMetadata(metadata));
+            const description = metadataDescription(metadata.title, cid);
+            const calldata = token.interface.encodeFunctionData("transfer", [addr1.address, 0]);
+
+            const tx = await governor.connect(addr1)["propose(address[],uint256[],bytes[],string)"](
+                [tokenAddress], [0], [calldata], description
+            );
+            const event = (await tx.wait()).logs.find(log => log.fragment?.name === 'ProposalCreated');
+            expect(parseDescription(event.args.description)).to.deep.equal({ title: metadata.title, cid });
+            // The identifier is part of the description hash, so the proposal id commits to the metadata
+            expect(event.args.proposalId).to.equal(await governor.hashProposal(
+                [tokenAddress], [0], [calldata], ethers.id(description)
+            ));
+
+            expect(parseDescription("Plain proposal")).to.deep.equal({ title: "Plain proposal", cid: null });
+            expect(parseDescription(`Title\n\nipfs://${cid.slice(0, -1)}`).cid).to.equal(null);
+        });
+    });
+
+    describe("2️⃣3️⃣ Proposal Drafts", function () {
+
+        const draftContent = (recipient) => ({
+            title: "Fund the audit",
+            metadata: { summary: "Pay for an audit", body: "## Scope\n\n- Treasury.sol", discussion: "", tags: "security" },
+            votingType: 4,
+            requireRegistration: false,
+            actions: [{ target: recipient, value: "0", calldata: "0x", signature: "", abiName: "GovernanceToken" }],
+            options: []
+        });
+
+        it("Should validate draft content", async function () {
+            const [, addr1] = await ethers.getSigners();
+            const content = draftContent(addr1.address.toLowerCase());
+
+            expect(validateDraftContent(content).actions[0].target).to.equal(addr1.address);
+            expect(() => validateDraftContent({ ...content, votingType: 5 })).to.throw("votingType must be an integer");
+            expect(() => validateDraftContent({ ...content, actions: [{ ...content.actions[0], value: "1.5" }] }))
+                .to.throw("actions[0].value must be a decimal amount of wei");
+            expect(() => validateDraftContent({
+                ...content,
+                options: [{ label: "A", actions: [{ ...content.actions[0], target: "0x1234" }] }]
+            })).to.throw("options[0].actions[0].target must be an address");
+        });
+
+        it("Should only let the holder of the edit key update a shared draft", async function () {
+            const [, addr1] = await ethers.getSigners();
+            const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "drafts-")), "drafts.json");
+            const store = createDraftStore(file);
+
+            const { id, editKey } = store.create(draftContent(addr1.address));
+            expect(store.get(id).content.title).to.equal("Fund the audit");
+            expect(store.get(id)).to.not.have.property("editKeyHash");
+
+            expect(() => store.update(id, "not-the-key", { ...draftContent(addr1.address), title: "Hijacked" }))
+                .to.throw("Invalid edit key");
+            store.update(id, editKey, { ...draftContent(addr1.address), title: "Fund the audit (v2)" });
+
+            // Drafts survive restarts
+            expect(createDraftStore(file).get(id).content.title).to.equal("Fund the audit (v2)");
+            expect(store.get("missing")).to.equal(null);
+            fs.rmSync(path.dirname(file), { recursive: true });
+        });
+
+        it("Should accept co-author comments only with the author's signature", async function () {
+            const [, addr1, addr2] = await ethers.getSigners();
+            const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "drafts-")), "drafts.json");
+            const store = createDraftStore(file);
+            const { id } = store.create(draftContent(addr1.address));
+
+            const body = "Please cap the audit budget.";
+            const signature = await addr2.signMessage(commentMessage(id, body));
+            expect(() => store.comment(id, { author: addr1.address, body, signature }))
+                .to.throw(`Signature was not made by ${addr1.address}`);
+            // A signature for one draft cannot be replayed on another
+            const other = store.create(draftContent(addr1.address)).id;
+            expect(() => store.comment(other, { author: addr2.address, body, signature })).to.throw("Signature was not made");
+
+            store.comment(id, { author: addr2.address, body: `  ${body}\n`, signature });
+            expect(createDraftStore(file).get(id).comments.map(c => [c.author, c.body])).to.deep.equal([[addr2.address, body]]);
+            expect(() => store.comment(id, { author: addr2.address, body: " ", signature })).to.throw("Comment must be");
+            expect(() => store.comment("missing", { author: addr2.address, body, signature })).to.throw('Unknown draft "missing"');
+            fs.rmSync(path.dirname(file), { recursive: true });
+        });
+    });
+
+    describe("2️⃣4️⃣ Revert Decoding", function () {
+
+        it("Should have a message for every custom error of the deployed contracts", async function () {
+            const known = new Set(Object.keys(ERROR_MESSAGES).map(declaration =>
+                ethers.ErrorFragment.from(declaration).format("sighash")
+            ));
+            const contracts = [
+                "MyGovernor", "MultiOptionVotes", "QuadraticVotes", "GovernanceToken", "VoterRegistry", "Treasury",
+                "VestingWalletFactory", "DelegatingVestingWallet", "TimelockController"
+            ];
+            for (const name of contracts) {
+                const iface = new ethers.Interface((await artifacts.readArtifact(name)).abi);
+                iface.forEachError(fragment => {
+                    expect(known.has(fragment.format("sighash")), `${name}: ${fragment.format("sighash")}`).to.equal(true);
+                });
+            }
+        });
+
+        it("Should describe governor reverts with their decoded arguments", async function () {
+            const { governor, token, addr1, addr4, tokenAddress } = await loadFixture(deployGovernanceFixture);
+            const calldata = token.interface.encodeFunctionData("transfer", [addr1.address, 0]);
+            const propose = (signer, description, votingType) =>
+                governor.connect(signer)["propose(address[],uint256[],bytes[],string,uint8)"](
+                    [tokenAddress], [0], [calldata], description, votingType
+                );
+
+            const belowThreshold = await propose(addr4, "Too small", 0).catch(error => error);
+            expect(describeError(belowThreshold)).to.equal("Proposing needs 1000 GT of voting power; you have 500 GT");
+
+            const receipt = await (await propose(addr1, "QV", 1)).wait();
+            const pid = receipt.logs.find(log => log.fragment?.name === 'ProposalCreated').args[0];
+            await mine(1);
+
+            const overBudget = await governor.connect(addr4).castQuadraticVote(pid, 1, ethers.parseEther("100"))
+                .catch(error => error);
+            expect(describeError(overBudget)).to.equal("This vote needs 10000 GT of voting power, 500 GT remaining");
+
+            const tooEarly = await governor.queue([tokenAddress], [0], [calldata], ethers.id("QV")).catch(error => error);
+            expect(describeError(tooEarly)).to.equal("The proposal is Active; this needs it to be Succeeded");
+        });
+
+        it("Should decode wallet-nested revert data and fall back to the error message", async function () {
+            const iface = new ethers.Interface(Object.keys(ERROR_MESSAGES));
+            const data = iface.encodeErrorResult("Treasury__BudgetExceeded", [
+                ethers.encodeBytes32String("grants"), ethers.ZeroAddress, ethers.parseEther("2.5"), ethers.parseEther("1")
+            ]);
+
+            // Wallets wrap the node's error, e.g. { info: { error: { data: { data } } } }
+            expect(describeError({ info: { error: { code: -32603, data: { data } } } }))
+                .to.equal('Paying 2.5 ETH exceeds the "grants" budget; 1 ETH remaining');
+            expect(decodeRevert(data).name).to.equal("Treasury__BudgetExceeded");
+
+            const panic = "0x4e487b71" + ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [0x11]).slice(2);
+            expect(decodeRevert(panic).message).to.equal("The contract failed with an arithmetic overflow or underflow");
+            expect(decodeRevert("0xdeadbeef")).to.equal(null);
+            expect(describeError(new Error("user rejected action"))).to.equal("user rejected action");
+        });
+    });
+
+    describe("2️⃣5️⃣ Deployment Registry", function () {
+
+        const deploymentOn = (chainId, governor) => ({
+            network: `chain-${chainId}`,
+            chainId,
+            deployBlock: 7,
+            abiHash: ethers.ZeroHash,
+            addresses: { governor, token: ethers.ZeroAddress }
+        });
+
+        it("Should record deployments per chain id", async function () {
+            const root = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+            expect(loadDeployments(root)).to.deep.equal({});
+
+            recordDeployment(root, deploymentOn(31337, ethers.ZeroAddress));
+            recordDeployment(root, deploymentOn(11155111, ethers.ZeroAddress));
+            recordDeployment(root, { ...deploymentOn(31337, ethers.ZeroAddress), deployBlock: 9 });
+
+            expect(Object.keys(loadDeployments(root))).to.deep.equal(["31337", "11155111"]);
+            expect(loadDeployment(root, 31337n).deployBlock).to.equal(9);
+            expect(loadDeployment(root, 11155111).network).to.equal("chain-11155111");
+            expect(() => loadDeployment(root, 1)).to.throw("No deployment recorded for chain 1");
+            fs.rmSync(root, { recursive: true });
+        });
+
+        it("Should refuse to replace a live deployment without the overwrite flag", async function () {
+            const { governor } = await loadFixture(deployGovernanceFixture);
+            const live = deploymentOn(31337, await governor.getAddress());
+            // A record of a development chain that was reset points at an address without code
+            const stale = deploymentOn(31337, ethers.Wallet.createRandom().address);
+
+            expect(await checkExistingDeployment({}, 31337, ethers.provider)).to.equal(null);
+            await expect(checkExistingDeployment({ 31337: live }, 31337, ethers.provider))
+                .to.be.rejectedWith(`Chain 31337 already has a deployment (governor ${live.addresses.governor}, block 7)`);
+            expect(await checkExistingDeployment({ 31337: live }, 31337, ethers.provider, { overwrite: true }))
+                .to.equal(live);
+            expect(await checkExistingDeployment({ 31337: stale }, 31337, ethers.provider)).to.equal(stale);
+            // Other chains' deployments never block this one
+            expect(await checkExistingDeployment({ 1: live }, 31337, ethers.provider)).to.equal(null);
+        });
+
+        it("Should hash the ABIs bundled with the frontend", async function () {
+            const abis = {};
+            for (const name of FRONTEND_CONTRACTS) {
+                abis[name] = (await artifacts.readArtifact(name)).abi;
+            }
+            const hash = abiHash(abis);
+
+            expect(hash).to.match(/^0x[0-9a-f]{64}$/);
+            expect(abiHash(JSON.parse(JSON.stringify(abis)))).to.equal(hash);
+            expect(abiHash({ ...abis, Treasury: abis.Treasury.slice(1) })).to.not.equal(hash);
+        });
+    });
+
+    describe("2️⃣6️⃣ Governance Tasks", function () {
+
+        // Runs a gov:* task against the fixture's contracts and returns its result and what it printed
+        async function runTask(fixture, name, args) {
+            const output = [];
+            const log = console.log;
+            console.log = (...parts) => output.push(parts.join(" "));
+            try {
+                const result = await run(name, { governor: fixture.governorAddress, token: fixture.tokenAddress, ...args });
+                return { result, output: output.join("\n") };
+            } finally {
+                console.log = log;
+            }
+        }
+
+        const writeProposalFile = (content) => {
+            const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "proposal-")), "proposal.json");
+            fs.writeFileSync(file, JSON.stringify(content));
+            return file;
+        };
+
+        it("Should propose, vote, queue and execute a Standard proposal", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, addr1, addr2 } = fixture;
+            const file = writeProposalFile([{ target: "governor", function: "setVotingDelay(uint48)", args: [5] }]);
+
+            const { result: { proposalId } } = await runTask(fixture, "gov:propose", {
+                file, description: "Delay voting by 5 blocks", from: addr1.address
+            });
+            expect(await governor.proposalVotingTypes(proposalId)).to.equal(0);
+            await mine(1);
+
+            const vote = await runTask(fixture, "gov:vote", { id: String(proposalId), support: "for", from: addr1.address });
+            expect(vote.output).to.equal(`${addr1.address} voted for on proposal ${proposalId} with 50000 GT`);
+            await runTask(fixture, "gov:vote", { id: String(proposalId), support: "1", reason: "Agreed", from: addr2.address });
+            await expect(runTask(fixture, "gov:vote", { id: String(proposalId), support: "against", from: addr2.address }))
+                .to.be.rejectedWith(`${addr2.address} already voted on this proposal`);
+
+            await mine(50401);
+            const queued = await runTask(fixture, "gov:queue", { id: String(proposalId) });
+            expect(queued.result.eta).to.be.gt(0n);
+            await time.increase(MIN_DELAY);
+            await runTask(fixture, "gov:execute", { id: String(proposalId) });
+            expect(await governor.votingDelay()).to.equal(5);
+
+            const { output } = await runTask(fixture, "gov:status", { id: String(proposalId) });
+            expect(output).to.match(/State\s+Executed/);
+            expect(output).to.match(/for\s+60000/);
+            fs.rmSync(path.dirname(file), { recursive: true });
+        });
+
+        it("Should buy Quadratic votes and report the tally as JSON", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { addr1, addr2 } = fixture;
+            const file = writeProposalFile({
+                description: "Quadratic grant round",
+                votingType: "quadratic",
+                actions: [{ target: addr2.address, value: "0", calldata: "0x" }]
+            });
+
+            const { result: { proposalId } } = await runTask(fixture, "gov:propose", { file, from: addr1.address });
+            await mine(1);
+
+            const vote = await runTask(fixture, "gov:qv-vote", {
+                id: String(proposalId), support: "for", votes: "10", from: addr2.address
+            });
+            expect(vote.output).to.contain("100 GT of voting power used, 9900 GT remaining");
+            await expect(runTask(fixture, "gov:vote", { id: String(proposalId), support: "for", from: addr1.address }))
+                .to.be.rejectedWith("This is a Quadratic proposal: vote with gov:qv-vote");
+            await expect(runTask(fixture, "gov:qv-vote", {
+                id: String(proposalId), support: "for", votes: "100", from: addr2.address
+            })).to.be.rejectedWith("This vote needs 12000 GT of voting power, 9900 GT remaining");
+
+            const { output } = await runTask(fixture, "gov:status", { id: String(proposalId), format: "json" });
+            const status = JSON.parse(output);
+            expect(status.votingType).to.equal("quadratic");
+            expect(status.state).to.equal("Active");
+            expect(status.votes.for).to.equal(ethers.parseEther("10").toString());
+            fs.rmSync(path.dirname(file), { recursive: true });
+        });
+
+        it("Should vote on options, delegate and list every proposal", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { token, addr1, addr2, addr3, addr5 } = fixture;
+            const file = writeProposalFile({
+                description: "Pick a grantee",
+                options: [
+                    { label: "Fund A", actions: [{ target: addr3.address, calldata: "0x" }] },
+                    { label: "Fund B", actions: [] }
+                ]
+            });
+
+            const { result: { proposalId } } = await runTask(fixture, "gov:propose", {
+                file, type: "ranked-choice", from: addr1.address
+            });
+            await expect(runTask(fixture, "gov:propose", { file, from: addr1.address }))
+                .to.be.rejectedWith("standard proposals take actions, not options");
+            await mine(1);
+
+            await expect(runTask(fixture, "gov:vote", { id: String(proposalId), from: addr2.address }))
+                .to.be.rejectedWith("Choose options with --options");
+            const vote = await runTask(fixture, "gov:vote", { id: String(proposalId), options: "2,1", from: addr2.address });
+            expect(vote.output).to.contain("voted Fund B, Fund A");
+
+            const delegation = await runTask(fixture, "gov:delegate", { to: addr3.address, from: addr5.address });
+            expect(delegation.result.votes).to.equal(await token.getVotes(addr3.address));
+            expect(await token.delegates(addr5.address)).to.equal(addr3.address);
+
+            const detail = await runTask(fixture, "gov:status", { id: String(proposalId) });
+            expect(detail.output).to.match(/2\s+Fund B \(winning\)\s+10000/);
+            const list = await runTask(fixture, "gov:status", {});
+            expect(list.result).to.have.lengthOf(1);
+            expect(list.output).to.contain(`${proposalId}  Active  ranked-choice`);
+            await expect(runTask(fixture, "gov:status", { id: "123" })).to.be.rejectedWith("Unknown proposal 123");
+            fs.rmSync(path.dirname(file), { recursive: true });
+        });
+
+        it("Should report a Pending proposal's quorum once its snapshot has passed", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, addr1 } = fixture;
+            const setting = writeProposalFile([{ target: "governor", function: "setVotingDelay(uint48)", args: [10] }]);
+            const { result: { proposalId: settingId } } = await runTask(fixture, "gov:propose", {
+                file: setting, description: "Delay voting by 10 blocks", from: addr1.address
+            });
+            await mine(1);
+            await runTask(fixture, "gov:vote", { id: String(settingId), support: "for", from: addr1.address });
+            await mine(50401);
+            await runTask(fixture, "gov:queue", { id: String(settingId) });
+            await time.increase(MIN_DELAY);
+            await runTask(fixture, "gov:execute", { id: String(settingId) });
+            expect(await governor.votingDelay()).to.equal(10);
+
+            const file = writeProposalFile([{ target: addr1.address, calldata: "0x" }]);
+            const { result: { proposalId } } = await runTask(fixture, "gov:propose", {
+                file, description: "Delayed vote", from: addr1.address
+            });
+
+            // quorum(snapshot) reverts with ERC5805FutureLookup until the snapshot block is in the past
+            const pending = await runTask(fixture, "gov:status", { id: String(proposalId) });
+            expect(pending.output).to.match(/State\s+Pending/);
+            expect(pending.output).to.match(/Quorum\s+-/);
+            const list = await runTask(fixture, "gov:status", { format: "json" });
+            expect(JSON.parse(list.output).map(status => [status.state, status.quorum])).to.deep.equal([
+                ["Executed", ethers.parseEther("40000").toString()],
+                ["Pending", null]
+            ]);
+
+            await mine(11);
+            const active = await runTask(fixture, "gov:status", { id: String(proposalId) });
+            expect(active.result.quorum).to.equal(ethers.parseEther("40000"));
+            expect(active.output).to.match(/Quorum\s+0 of 40000/);
+
+            await expect(runTask(fixture, "gov:status", { id: "12abc" })).to.be.rejectedWith('Invalid proposal id "12abc"');
+            await expect(runTask(fixture, "gov:queue", { id: "" })).to.be.rejectedWith('Invalid proposal id ""');
+            fs.rmSync(path.dirname(setting), { recursive: true });
+            fs.rmSync(path.dirname(file), { recursive: true });
+        });
+    });
+
+    describe("2️⃣7️⃣ Proposal Simulation", function () {
+
+        const ETH = ethers.ZeroAddress;
+        const GRANTS = ethers.encodeBytes32String("grants");
+
+        // Simulates `actions` as the fixture's timelock, with every deployed contract known
+        async function simulate(fixture, actions) {
+            const {
+                tokenAddress, governorAddress, timelockAddress, registryAddress, vestingFactoryAddress, treasuryAddress
+            } = fixture;
+            return simulateActions({
+                provider: ethers.provider,
+                executor: timelockAddress,
+                governor: governorAddress,
+                governanceCallSlot: await governanceCallSlot(artifacts),
+                actions,
+                contracts: await deploymentContracts(artifacts, {
+                    token: tokenAddress,
+                    governor: governorAddress,
+                    timelock: timelockAddress,
+                    voterRegistry: registryAddress,
+                    vestingFactory: vestingFactoryAddress,
+                    treasury: treasuryAddress
+                })
+            });
+        }
+
+        const action = (contract, target, fn, args, value = 0n) =>
+            ({ target, value, calldata: contract.interface.encodeFunctionData(fn, args) });
+
+        it("Should report events, storage writes and balance changes without changing state", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, treasury, token, owner, addr5, governorAddress, treasuryAddress, tokenAddress } = fixture;
+            await owner.sendTransaction({ to: treasuryAddress, value: ethers.parseEther("10") });
+            await token.connect(owner).transfer(treasuryAddress, ethers.parseEther("1000"));
+            const ethBefore = await ethers.provider.getBalance(addr5.address);
+
+            const report = await simulate(fixture, [
+                action(treasury, treasuryAddress, "pay", [ETH, addr5.address, ethers.parseEther("1"), GRANTS]),
+                action(treasury, treasuryAddress, "pay", [tokenAddress, addr5.address, ethers.parseEther("500"), GRANTS]),
+                // onlyGovernance: only accepted from the timelock while the governor expects the call
+                action(governor, governorAddress, "setVotingDelay", [7])
+            ]);
+
+            expect(report.success).to.equal(true);
+            expect(report.valueShortfall).to.equal(0n);
+            expect(report.actions.map((a) => a.function)).to.deep.equal([
+                "pay(address,address,uint256,bytes32)",
+                "pay(address,address,uint256,bytes32)",
+                "setVotingDelay(uint48)"
+            ]);
+            expect(report.actions[1].events.map((e) => e.name)).to.include.members(["Transfer", "PaymentSent"]);
+            expect(report.actions[2].events[0]).to.deep.include({ contract: "MyGovernor", name: "VotingDelaySet" });
+            expect(report.actions[2].events[0].args).to.deep.equal({ oldVotingDelay: "0", newVotingDelay: "7" });
+            const writes = report.actions[1].calls.filter((call) => call.storageWrites > 0);
+            expect(writes.map((call) => [call.contract, call.function])).to.deep.equal([
+                ["Treasury", "pay(address,address,uint256,bytes32)"],
+                ["GovernanceToken", "transfer(address,uint256)"]
+            ]);
+            expect(writes[1].from).to.equal(treasuryAddress);
+            expect(report.actions[0].storageWrites.every((write) => write.contract === "Treasury")).to.equal(true);
+
+            const changes = report.balanceChanges.map((c) => [c.name ?? c.account, c.asset, c.change]);
+            expect(changes).to.have.deep.members([
+                ["Treasury", "ETH", -ethers.parseEther("1")],
+                [addr5.address, "ETH", ethers.parseEther("1")],
+                ["Treasury", "GT", -ethers.parseEther("500")],
+                [addr5.address, "GT", ethers.parseEther("500")]
+            ]);
+            expect(formatSimulation(report, (amount) => ethers.formatEther(amount))).to.contain("Execution succeeds");
+
+            // The run is rolled back
+            expect(await governor.votingDelay()).to.equal(0);
+            expect(await ethers.provider.getBalance(addr5.address)).to.equal(ethBefore);
+            expect(await treasury.balanceOf(ETH)).to.equal(ethers.parseEther("10"));
+            await expect(governor.connect(owner).setVotingDelay(7))
+                .to.be.revertedWithCustomError(governor, "GovernorOnlyExecutor");
+        });
+
+        it("Should stop at the first reverting action with its decoded reason", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { treasury, addr5, treasuryAddress } = fixture;
+
+            const report = await simulate(fixture, [
+                { target: addr5.address, value: ethers.parseEther("2"), calldata: "0x" },
+                action(treasury, treasuryAddress, "pay", [ETH, addr5.address, ethers.parseEther("100"), GRANTS]),
+                { target: addr5.address, value: 0n, calldata: "0x" }
+            ]);
+
+            expect(report.success).to.equal(false);
+            // The timelock holds nothing, so the value has to come with the call to execute
+            expect(report.valueShortfall).to.equal(ethers.parseEther("2"));
+            expect(report.actions).to.have.lengthOf(2);
+            expect(report.actions[0].success).to.equal(true);
+            expect(report.actions[1]).to.include({
+                success: false,
+                error: "The treasury cannot pay 100 ETH; 0 ETH is available"
+            });
+            expect(report.balanceChanges).to.deep.equal([]);
+            const text = formatSimulation(report, (amount) => ethers.formatEther(amount));
+            expect(text).to.contain("REVERTS: The treasury cannot pay 100 ETH");
+            expect(text).to.contain("Execution reverts: nothing would change");
+            expect(await ethers.provider.getBalance(fixture.timelockAddress)).to.equal(0n);
+        });
+
+        it("Should simulate one option of a multi-option proposal and require a node to fork", async function () {
+            const proposal = {
+                proposalId: 1n,
+                targets: ["0x0000000000000000000000000000000000000001", "0x0000000000000000000000000000000000000002"],
+                values: [0n, 5n],
+                calldatas: ["0x", "0x"],
+                optionEnds: [0, 2]
+            };
+            expect(proposalActions(proposal, 0)).to.deep.equal([]);
+            expect(proposalActions(proposal, 1).map((a) => a.value)).to.deep.equal([0n, 5n]);
+            expect(() => proposalActions(proposal, 2)).to.throw("Proposal 1 has options 1 to 2");
+            expect(proposalActions({ ...proposal, optionEnds: [] })).to.have.lengthOf(2);
+
+            await expect(run("gov:simulate", { id: "1", fork: "http://127.0.0.1:1" }))
+                .to.be.rejectedWith("Cannot reach the node to fork at http://127.0.0.1:1");
+
+            // A node that answers with a JSON-RPC error is not forked with a NaN block number
+            const node = http.createServer((req, res) => {
+                res.writeHead(200, { "Content-Type": "application/json" });
+                res.end(JSON.stringify({ jsonrpc: "2.0", id: 1, error: { code: -32000, message: "node is syncing" } }));
+            });
+            await new Promise((resolve) => node.listen(0, "127.0.0.1", resolve));
+            const url = `http://127.0.0.1:${node.address().port}`;
+            try {
+                await expect(run("gov:simulate", { id: "1", fork: url }))
+                    .to.be.rejectedWith(`Cannot reach the node to fork at ${url}: eth_chainId failed: node is syncing`);
+            } finally {
+                node.close();
+            }
+        });
+    });
+
+    describe("2️⃣8️⃣ Governance Analytics", function () {
+
+        it("Should measure inequality of voting power", async function () {
+            expect(giniCoefficient([5n, 5n, 5n, 5n])).to.equal(0);
+            // 2 (1·1 + 2·3) / (2 · 4) - 3 / 2
+            expect(giniCoefficient([3n, 0n, 1n])).to.equal(0.25);
+            expect(giniCoefficient([])).to.equal(0);
+            expect(nakamotoCoefficient([2n, 5n, 3n])).to.equal(2);
+            expect(nakamotoCoefficient([6n, 3n, 2n])).to.equal(1);
+            expect(nakamotoCoefficient([0n])).to.equal(0);
+        });
+
+        it("Should report turnout, concentration, pass rates and the other mechanism's outcome", async function () {
+            const fixture = await loadFixture(deployGovernanceFixture);
+            const { governor, token, owner, addr1, addr2, addr4, addr5 } = fixture;
+
+            const standard = await createProposal(fixture, "Fund A, B\n\nDetails", 0);
+            const quadratic = await createProposal(fixture, "Quadratic grant", 1);
+            await createProposal(fixture, "Nobody votes", 0);
+            await governor.connect(addr1).castVote(standard, 1);
+            await governor.connect(addr2).castVote(standard, 0);
+            // 200 votes cost addr1 the whole 40,000 GT quorum; the owner's single Against vote costs 1 GT
+            await governor.connect(addr1).castQuadraticVote(quadratic, 1, ethers.parseEther("200"));
+            await governor.connect(owner).castQuadraticVote(quadratic, 0, ethers.parseEther("1"));
+            await token.connect(addr5).delegate(addr4.address);
+            await mine(50401);
+
+            const indexer = createProposalIndexer({ governor, token, store: memoryStore(), log: () => {} });
+            await indexer.sync();
+            const analytics = computeAnalytics(indexer.records());
+
+            expect(analytics.turnout.map(row => [row.title, row.state, row.voters])).to.deep.equal([
+                ["Fund A, B", "Succeeded", 2],
+                ["Quadratic grant", "Succeeded", 2],
+                ["Nobody votes", "Defeated", 0]
+            ]);
+            // Every token is delegated: 60,000 of 1,000,000 GT voted, and For 50,000 is 125% of the 40,000 quorum
+            expect(analytics.turnout[0]).to.include({
+                votingPower: ethers.parseEther("1000000").toString(),
+                votedPower: ethers.parseEther("60000").toString(),
+                turnout: 0.06,
+                quorumRatio: 1.25,
+                quorumReached: true
+            });
+            expect(analytics.turnout[1]).to.include({ turnout: 0.9874, quorumRatio: 1 });
+            expect(analytics.turnout[2]).to.include({ turnout: 0, quorumReached: false });
+
+            // The owner keeps 937,400 of the 1,000,000 GT, so one delegate controls a majority throughout
+            const latest = analytics.concentration[analytics.concentration.length - 1];
+            expect(latest).to.include({ delegates: 5, nakamoto: 1 });
+            const balances = await Promise.all(
+                [owner, addr1, addr2, fixture.addr3, addr4].map(account => token.getVotes(account.address))
+            );
+            expect(latest.gini).to.equal(giniCoefficient(balances));
+            expect(analytics.concentration[analytics.concentration.length - 2].delegates).to.equal(6);
+
+            expect(analytics.passRates).to.deep.equal([
+                { votingType: "standard", proposals: 2, decided: 2, passed: 1, defeated: 1, passRate: 0.5 },
+                { votingType: "quadratic", proposals: 1, decided: 1, passed: 1, defeated: 0, passRate: 1 }
+            ]);
+
+            // Standard: sqrt(50,000) ≈ 223.6 quadratic votes For beat sqrt(10,000) = 100 Against either way
+            const [asQuadratic, asStandard] = analytics.comparison;
+            expect(asQuadratic).to.include({ alternative: "quadratic", passed: true, alternativePassed: true, differs: false });
+            expect(BigInt(asQuadratic.alternativeAgainstVotes)).to.equal(ethers.parseEther("100"));
+            // Quadratic: counted with full voting power, the owner's 937,400 GT Against outweigh addr1's 50,000 For
+            expect(asStandard).to.include({
+                alternative: "standard",
+                passed: true,
+                alternativePassed: false,
+                differs: true,
+                alternativeForVotes: ethers.parseEther("50000").toString(),
+                alternativeAgainstVotes: ethers.parseEther("937400").toString()
+            });
+            expect(analytics.comparison).to.have.lengthOf(3);
+
+            const csv = analyticsCsv(analytics, "passRates");
+            expect(csv).to.equal(
+                "votingType,proposals,decided,passed,defeated,passRate\nstandard,2,2,1,1,0.5\nquadratic,1,1,1,0,1\n"
+            );
+            expect(analyticsCsv(analytics, "turnout").split("\n")[1]).to.match(/^\d+,"Fund A, B",standard,Succeeded,/);
+            expect(() => analyticsCsv(analytics, "votes")).to.throw('Unknown analytics table "votes"');
+        });
+    });
 });